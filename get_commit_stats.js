@@ -1,151 +1,168 @@
 #!/usr/bin/env node
 
+/**
+ * CLI do commit-stats: lê as opções, chama getStats (index.js) e exibe o relatório
+ * Toda a coleta fica na biblioteca; aqui ficam apenas terminal, arquivos de saída e códigos de saída
+ * O subcomando servir expõe os mesmos relatórios por HTTP (lib/servidor.js)
+ */
+
 const { Command } = require('commander');
-const { execSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { getStats } = require('./index');
+const { criarServidor } = require('./lib/servidor');
+const { ehErroDeCota, ehErroDeAutenticacao } = require('./lib/github_client');
+const { CacheEmDisco } = require('./lib/cache');
+const { formatarRelatorio } = require('./lib/formatos');
+const { formatarHtml } = require('./lib/html');
+const { encontrarArquivoDeConfiguracao, lerArquivoDeConfiguracao, opcoesDoPerfil } = require('./lib/configuracao');
+const { IDIOMAS, t, definirIdioma, detectarIdioma, formatarNumero, localeAtual } = require('./lib/idioma');
+const {
+    ErroDeValidacao,
+    DEFAULT_CONCURRENCY,
+    MAX_CONCURRENCY,
+    DEFAULT_ESPERA_MAXIMA_COTA,
+    DEFAULT_MAX_BRANCHES,
+    MAX_MAX_BRANCHES,
+    DEFAULT_PAGINAS_POR_BRANCH,
+    MAX_PAGINAS_POR_BRANCH,
+    PROVEDORES,
+    MODOS_DE_OUTLIER,
+    DEFAULT_PORTA,
+    DEFAULT_TTL_CACHE,
+    MAX_TTL_CACHE,
+    DEFAULT_MAX_EXECUCOES,
+    MAX_MAX_EXECUCOES,
+    lerArquivoDoTime,
+    validarFormatoSaida,
+    validarPorta,
+    validarTtlDoCache,
+    validarMaximoDeExecucoes
+} = require('./lib/validacao');
 
 const program = new Command();
 
-/**
- * Valida nome de usuário do GitHub
- * Permite apenas: alfanuméricos, hífens e underscores (máx 39 caracteres)
- */
-function validarUsuario(usuario) {
-    if (!usuario || typeof usuario !== 'string') {
-        throw new Error('Nome de usuário é obrigatório');
-    }
-    // GitHub username: max 39 chars, apenas alfanuméricos, hífens e underscore
-    // Não pode começar ou terminar com hífen
-    const regex = /^[a-zA-Z0-9](?:[a-zA-Z0-9_-]{0,37}[a-zA-Z0-9])?$/;
-    if (!regex.test(usuario)) {
-        throw new Error(`Nome de usuário inválido: "${usuario}". Use apenas letras, números, _ e - (máx 39 caracteres)`);
-    }
-    return usuario;
-}
+// Códigos de saída com --estrito; sem ele, qualquer erro encerra com 1 e dados incompletos com 0
+const CODIGOS_DE_SAIDA = {
+    erro: 1,
+    validacao: 2,
+    autenticacao: 3,
+    cota: 4,
+    dadosIncompletos: 5
+};
 
 /**
- * Valida nome de organização do GitHub
- * Permite apenas: alfanuméricos e hífens (máx 39 caracteres)
+ * Acumula valores de opções repetíveis (ex: --local dir1 --local dir2)
  */
-function validarOrganizacao(org) {
-    if (!org || typeof org !== 'string') {
-        return null;
-    }
-    // GitHub organization name: similar a username
-    const regex = /^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?$/;
-    if (!regex.test(org)) {
-        throw new Error(`Nome de organização inválido: "${org}". Use apenas letras, números e - (máx 39 caracteres)`);
-    }
-    return org;
-}
-
-/**
- * Valida formato de data YYYY-MM-DD
- * Retorna a string original validada (não o objeto Date)
- */
-function validarFormatoData(dataStr) {
-    if (!dataStr || typeof dataStr !== 'string') {
-        throw new Error('Data é obrigatória');
-    }
-    const regex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!regex.test(dataStr)) {
-        throw new Error(`Formato de data inválido: "${dataStr}". Use YYYY-MM-DD.`);
-    }
-    const data = new Date(dataStr);
-    if (isNaN(data.getTime())) {
-        throw new Error(`Data inválida: "${dataStr}"`);
-    }
-    // Retorna a string original, não o objeto Date
-    return dataStr;
+function colecionar(valor, anteriores) {
+    return anteriores.concat([valor]);
 }
 
 /**
- * Valida tipo de data para busca (author-date ou committer-date)
- * author-date: Data em que o commit foi originalmente criado
- * committer-date: Data em que o commit foi aplicado ao branch (merge/rebase)
+ * Idioma de --idioma lido antes da análise das opções (a ajuda é montada com ele), ou null
+ * Valores inválidos ficam para a validação de getStats, que informa o erro
  */
-function validarTipoData(tipoData) {
-    const tiposValidos = ['author', 'committer'];
-    const valor = tipoData || 'committer'; // Padrão: committer-date
-    if (!tiposValidos.includes(valor)) {
-        throw new Error(`Tipo de data inválido: "${valor}". Use 'author' ou 'committer'.`);
+function idiomaDaLinhaDeComando(argv = process.argv.slice(2)) {
+    for (let i = 0; i < argv.length; i++) {
+        const valor = argv[i] === '--idioma' ? argv[i + 1] : argv[i].startsWith('--idioma=') ? argv[i].slice('--idioma='.length) : undefined;
+        if (valor !== undefined) {
+            try {
+                return definirIdioma(valor);
+            } catch (e) {
+                return null;
+            }
+        }
     }
-    return valor;
+    return null;
 }
 
-/**
- * Sanitiza string para uso seguro em comandos shell
- * Escapa caracteres especiais que poderiam ser usados para injeção
- */
-function sanitizar(input) {
-    if (typeof input !== 'string') {
-        return '';
-    }
-    // Remove caracteres perigosos e mantém apenas alfanuméricos, /, ., -, _, @, :
-    // Suficiente para nomes de repo e organizações do GitHub
-    return input.replace(/[^a-zA-Z0-9/._@:\-+]/g, '');
-}
+// Idioma definido antes das opções, para que a ajuda (--help) já saia no idioma escolhido
+definirIdioma(idiomaDaLinhaDeComando() || detectarIdioma());
 
 // Configuração do CLI
 program
     .name('commit-stats')
-    .description('CLI para buscar estatísticas de commits do GitHub')
-    .version('1.0.0')
-    .argument('<usuario>', 'Nome do usuário do GitHub')
-    .requiredOption('-i, --inicio <data>', 'Data de início (YYYY-MM-DD)')
-    .option('-f, --fim <data>', 'Data final (YYYY-MM-DD)')
-    .option('-o, --org <organizacao>', 'Filtrar por organização')
-    .option('-t, --tipo-data <tipo>', 'Tipo de data para filtrar: "author" (data de criação do commit) ou "committer" (data de merge/rebase). Padrão: committer', 'committer')
-    .parse();
+    .description(t('ajudaDescricao'))
+    .version('1.0.0', '-V, --version', t('ajudaVersao'))
+    .helpOption('-h, --help', t('ajudaAjuda'))
+    // "help" continua disponível como nome de usuário
+    .helpCommand(false)
+    // Opção desconhecida ou sem valor também é erro de validação em --estrito
+    .exitOverride(erro => process.exit(erro.exitCode !== 0 && program.opts().estrito ? CODIGOS_DE_SAIDA.validacao : erro.exitCode))
+    .argument('[usuarios...]', t('ajudaUsuarios'))
+    .option('-i, --inicio <data>', t('ajudaInicio'))
+    .option('-f, --fim <data>', t('ajudaFim'))
+    .option('-o, --org <organizacao>', t('ajudaOrg'))
+    .option('--provedor <provedor>', t('ajudaProvedor', PROVEDORES))
+    .option('--fonte <fonte>', t('ajudaFonte'), colecionar, [])
+    .option('-t, --tipo-data <tipo>', t('ajudaTipoData'), 'committer')
+    .option('--time <arquivo>', t('ajudaTime'))
+    .option('--time-org <slug>', t('ajudaTimeOrg'))
+    .option('--formato <formato>', t('ajudaFormato'), 'tabela')
+    .option('--saida <arquivo>', t('ajudaSaida'))
+    .option('--html <arquivo>', t('ajudaHtml'))
+    .option('--excluir-caminho <glob>', t('ajudaExcluirCaminho'), colecionar, [])
+    .option('--sem-exclusoes-padrao', t('ajudaSemExclusoesPadrao'))
+    .option('--identidades <arquivo>', t('ajudaIdentidades'))
+    .option('--coautoria', t('ajudaCoautoria'))
+    .option('--sem-merges', t('ajudaSemMerges'))
+    .option('--incluir-repo <padrao>', t('ajudaIncluirRepo'), colecionar, [])
+    .option('--excluir-repo <padrao>', t('ajudaExcluirRepo'), colecionar, [])
+    .option('--sem-arquivados', t('ajudaSemArquivados'))
+    .option('--sem-forks', t('ajudaSemForks'))
+    .option('--branches <estrategia>', t('ajudaBranches'), 'todas')
+    .option('--max-branches <n>', t('ajudaMaxBranches', MAX_MAX_BRANCHES, DEFAULT_MAX_BRANCHES), String(DEFAULT_MAX_BRANCHES))
+    .option('--max-paginas-por-branch <n>', t('ajudaMaxPaginasPorBranch', MAX_PAGINAS_POR_BRANCH, DEFAULT_PAGINAS_POR_BRANCH), String(DEFAULT_PAGINAS_POR_BRANCH))
+    .option('--branches-ativas-desde <data>', t('ajudaBranchesAtivasDesde'))
+    .option('--prs', t('ajudaPrs'))
+    .option('--comparar-com <intervalo>', t('ajudaCompararCom'))
+    .option('--comparar <modo>', t('ajudaComparar'))
+    .option('--agrupar <periodo>', t('ajudaAgrupar'))
+    .option('--limite-outlier <linhas>', t('ajudaLimiteOutlier'))
+    .option('--modo-outlier <modo>', t('ajudaModoOutlier', MODOS_DE_OUTLIER))
+    .option('-c, --concorrencia <n>', t('ajudaConcorrencia', MAX_CONCURRENCY, DEFAULT_CONCURRENCY), String(DEFAULT_CONCURRENCY))
+    .option('--espera-maxima-cota <minutos>', t('ajudaEsperaMaximaCota', DEFAULT_ESPERA_MAXIMA_COTA), String(DEFAULT_ESPERA_MAXIMA_COTA))
+    .option('--sem-cache', t('ajudaSemCache'))
+    .option('--limpar-cache', t('ajudaLimparCache'))
+    .option('--api-url <url>', t('ajudaApiUrl'))
+    .option('--retomar', t('ajudaRetomar'))
+    .option('--local <diretorio>', t('ajudaLocal'), colecionar, [])
+    .option('--gravar <diretorio>', t('ajudaGravar'))
+    .option('--reproduzir <diretorio>', t('ajudaReproduzir'))
+    .option('--estrito', t('ajudaEstrito'))
+    .option('--idioma <idioma>', t('ajudaIdioma', IDIOMAS))
+    .option('--perfil <nome>', t('ajudaPerfil'))
+    .option('--config <arquivo>', t('ajudaConfig'))
+    .action(() => main());
+
+// Subcomando servir: as opções do comando principal (provedor, filtros, cache...) valem para todos os pedidos
+program
+    .command('servir')
+    .description(t('ajudaServir'))
+    .helpOption('-h, --help', t('ajudaAjuda'))
+    .option('--porta <porta>', t('ajudaPorta', DEFAULT_PORTA), String(DEFAULT_PORTA))
+    .option('--host <endereco>', t('ajudaHost'), '127.0.0.1')
+    .option('--ttl-cache <segundos>', t('ajudaTtlCache', MAX_TTL_CACHE, DEFAULT_TTL_CACHE), String(DEFAULT_TTL_CACHE))
+    .option('--max-execucoes <n>', t('ajudaMaxExecucoes', MAX_MAX_EXECUCOES, DEFAULT_MAX_EXECUCOES), String(DEFAULT_MAX_EXECUCOES))
+    .action(opcoesDoServidor => servir(opcoesDoServidor));
 
 const options = program.opts();
-const args = program.args;
-
-// Validar e sanitizar entradas
-const usuario = validarUsuario(args[0]);
-const dataInicio = validarFormatoData(options.inicio);
-
-let dataFim = options.fim;
-// Se data final não informada, usar data atual
-if (!dataFim) {
-    const hoje = new Date();
-    dataFim = hoje.toISOString().split('T')[0];
-}
-dataFim = validarFormatoData(dataFim);
-
-const org = options.org ? validarOrganizacao(options.org) : null;
-const tipoData = validarTipoData(options.tipoData);
-
-/**
- * Constrói query de busca para API do GitHub
- * Usa valores validados e sanitizados
- */
-function buildQuery(usuarioValidado, inicio, fim, orgValidada, tipoDataValidado) {
-    const dataField = `${tipoDataValidado}-date`;
-    let query = `author:${usuarioValidado}+${dataField}:${inicio}..${fim}`;
-    if (orgValidada) {
-        query += `+org:${orgValidada}`;
-    }
-    // Ordenar do mais recente para o mais antigo
-    query += `+sort:${dataField}-desc`;
-    return query;
-}
-
-// Constantes de configuração
-const API_TIMEOUT = 90000;  // 90 segundos (aumentado para muitos commits)
-const MAX_PAGE_SIZE = 100;  // GitHub Search API: max 100 itens por página
-const MAX_SEARCH_RESULTS = 1000;  // GitHub Search API: max 1000 resultados totais
-const MAX_REPOS_PER_ORG = 1000;  // Limite de segurança para organizações muito grandes
-const MAX_COMMITS_PER_PAGE = 100;  // GitHub API: max 100 commits por página
 
 /**
  * Classe para exibir barra de progresso visual
  */
 class ProgressBar {
-    constructor(total, label = 'Progresso') {
+    /**
+     * @param {number} total Total de itens
+     * @param {string} label Rótulo exibido antes da barra
+     * @param {number} [startTime] Início da etapa (ms), para o cálculo de ETA e tempo total
+     */
+    constructor(total, label, startTime = Date.now()) {
         this.total = total;
         this.current = 0;
         this.label = label;
-        this.startTime = Date.now();
+        this.infoAdicional = null;
+        this.startTime = startTime;
         this.width = 40;  // Largura da barra
     }
 
@@ -187,9 +204,10 @@ class ProgressBar {
         const bar = '='.repeat(filled) + (progress < 100 ? '>' : '') + ' '.repeat(Math.max(0, this.width - filled - (progress < 100 ? 1 : 0)));
         const percentage = progress.toFixed(1).padStart(5);
         const eta = this.formatTime(this.getETA());
+        const info = [extraInfo, this.infoAdicional ? this.infoAdicional() : ''].filter(Boolean).join(' | ');
 
         // Limpar linha e imprimir progresso (usa \r para sobrescrever)
-        const output = `\r${this.label}: [${bar}] ${percentage}% | ${this.current}/${this.total} | ETA: ${eta}${extraInfo ? ' | ' + extraInfo : ''}`;
+        const output = `\r${this.label}: [${bar}] ${percentage}% | ${this.current}/${this.total} | ETA: ${eta}${info ? ' | ' + info : ''}`;
         process.stderr.write(output);
 
         // Nova linha ao completar
@@ -201,457 +219,259 @@ class ProgressBar {
     complete(message = '') {
         this.current = this.total;
         const elapsed = this.formatTime(this.getElapsed());
-        this.render(`${message || 'Concluído'} | Tempo total: ${elapsed}`);
+        this.render(`${message || t('concluido')} | ${t('tempoTotal', elapsed)}`);
     }
 }
 
 /**
- * Lista todos os repositórios de uma organização
+ * Converte um valor do arquivo de configuração para o tipo da opção correspondente da CLI
  */
-function buscarRepositoriosDaOrganizacao(orgValidada) {
-    const repos = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore && repos.length < MAX_REPOS_PER_ORG) {
-        try {
-            const cmd = `gh api "orgs/${orgValidada}/repos?per_page=${MAX_PAGE_SIZE}&type=all&page=${page}" --jq ".[].full_name"`;
-            const output = execSync(cmd, {
-                encoding: 'utf-8',
-                timeout: 30000,
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-
-            const lines = output.trim().split('\n');
-            for (const line of lines) {
-                if (line) {
-                    const repo = sanitizar(line);
-                    if (repo) repos.push(repo);
-                }
-            }
-
-            hasMore = lines.length === MAX_PAGE_SIZE;
-            page++;
-        } catch (e) {
-            console.error(`Aviso: Erro ao buscar repositórios (página ${page}). Continuando...`);
-            hasMore = false;
-        }
+function valorDaConfiguracao(opcao, valor, arquivo) {
+    const invalido = tipo => new ErroDeValidacao(t('erroNaConfiguracao', arquivo, t('tipoDaOpcaoInvalido', opcao.long, tipo)));
+    if (opcao.isBoolean()) {
+        if (typeof valor !== 'boolean') throw invalido(t('tipoBooleano'));
+        return valor;
     }
-
-    return repos;
+    // Opções repetíveis (ex: --excluir-caminho) aceitam um valor ou uma lista
+    if (Array.isArray(opcao.defaultValue)) {
+        const valores = Array.isArray(valor) ? valor : [valor];
+        if (!valores.every(item => typeof item === 'string' || typeof item === 'number')) throw invalido(t('tipoListaDeTextos'));
+        return valores.map(String);
+    }
+    if (typeof valor !== 'string' && typeof valor !== 'number') throw invalido(t('tipoTexto'));
+    return String(valor);
 }
 
 /**
- * Lista branches de um repositório via API do GitHub
- * Prioriza branches principais e busca todas as branches disponíveis
+ * Aplica o arquivo de configuração às opções que não vieram da linha de comando
+ * Precedência: linha de comando, depois o perfil (--perfil), depois as opções padrão do arquivo,
+ * depois os padrões da CLI. Usuários na linha de comando (ou --time/--time-org) substituem os do arquivo
+ * Retorna o arquivo usado (ou null) e os usuários da execução
  */
-function buscarBranchesDoRepositorio(repo) {
-    const branches = [];
-    const seenNames = new Set();
-    let page = 1;
-    let hasMore = true;
-    const MAX_BRANCHES = 100;  // Limite de segurança para repositórios muito grandes
-
-    // Padrões de branches principais (para priorização)
-    const mainPatterns = [
-        'main', 'master',
-        'develop', 'development', 'dev',
-        'staging', 'stage', 'stg',
-        'production', 'prod',
-        'release', 'hotfix',
-        'test', 'testing', 'qa'
-    ];
-
-    try {
-        // Primeiro, obter a branch padrão
-        const defaultBranchCmd = `gh api "repos/${repo}" --jq ".default_branch"`;
-        const defaultBranch = execSync(defaultBranchCmd, {
-            encoding: 'utf-8',
-            timeout: 30000,
-            stdio: ['pipe', 'pipe', 'pipe']
-        }).trim();
-
-        if (defaultBranch && !seenNames.has(defaultBranch)) {
-            branches.push(defaultBranch);
-            seenNames.add(defaultBranch);
+function aplicarConfiguracao() {
+    const arquivo = options.config || encontrarArquivoDeConfiguracao();
+    const configuracao = arquivo ? lerArquivoDeConfiguracao(arquivo) : null;
+    const doArquivo = opcoesDoPerfil(configuracao, options.perfil);
+
+    const opcoesDaCli = new Map(program.options
+        .filter(opcao => !['perfil', 'config', 'version'].includes(opcao.attributeName()))
+        .map(opcao => [opcao.attributeName(), opcao]));
+    const args = program.args;
+    const usuariosNaLinhaDeComando = args.length > 0 ||
+        ['time', 'timeOrg'].some(nome => program.getOptionValueSource(nome) === 'cli');
+
+    for (const [nome, valor] of Object.entries(doArquivo)) {
+        if (nome === 'usuarios') continue;
+        const opcao = opcoesDaCli.get(nome);
+        if (!opcao) {
+            throw new ErroDeValidacao(t('opcaoDesconhecida', nome, configuracao.arquivo));
         }
-    } catch (e) {
-        // Se falhar ao obter branch padrão, continua sem ela
+        if (program.getOptionValueSource(nome) === 'cli') continue;
+        if (usuariosNaLinhaDeComando && (nome === 'time' || nome === 'timeOrg')) continue;
+        options[nome] = valorDaConfiguracao(opcao, valor, configuracao.arquivo);
     }
 
-    // Buscar todas as branches via API
-    while (hasMore && branches.length < MAX_BRANCHES) {
-        try {
-            const cmd = `gh api "repos/${repo}/branches?per_page=${MAX_PAGE_SIZE}&page=${page}" --jq ".[].name"`;
-            const output = execSync(cmd, {
-                encoding: 'utf-8',
-                timeout: 30000,
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-
-            const lines = output.trim().split('\n');
-            const pageBranches = [];
-
-            // Primeiro, adiciona branches que correspondem aos padrões principais
-            for (const line of lines) {
-                if (!line) continue;
-                const branchName = sanitizar(line);
-                if (branchName && !seenNames.has(branchName)) {
-                    const lowerName = branchName.toLowerCase();
-                    // Verifica se corresponde a algum padrão principal
-                    const isMainBranch = mainPatterns.some(pattern => lowerName === pattern || lowerName.startsWith(pattern + '-') || lowerName.endsWith('-' + pattern));
-                    if (isMainBranch) {
-                        pageBranches.push(branchName);
-                        seenNames.add(branchName);
-                    }
-                }
-            }
-
-            // Depois, adiciona as demais branches da página
-            for (const line of lines) {
-                if (!line) continue;
-                const branchName = sanitizar(line);
-                if (branchName && !seenNames.has(branchName)) {
-                    pageBranches.push(branchName);
-                    seenNames.add(branchName);
-                }
-            }
-
-            // Adiciona as branches desta página à lista principal
-            branches.push(...pageBranches);
-
-            hasMore = lines.length === MAX_PAGE_SIZE;
-            page++;
-        } catch (e) {
-            console.error(`Aviso: Erro ao buscar branches (página ${page}) de ${repo}. Continuando...`);
-            hasMore = false;
-        }
+    let usuarios = args;
+    if (!usuariosNaLinhaDeComando && doArquivo.usuarios !== undefined) {
+        usuarios = Array.isArray(doArquivo.usuarios) ? doArquivo.usuarios : [doArquivo.usuarios];
     }
-
-    return branches;
+    return { arquivo: configuracao ? configuracao.arquivo : null, usuarios };
 }
 
 /**
- * Busca commits de um usuário em um repositório específico
+ * Texto com a cota restante da API para a barra de progresso
  */
-function buscarCommitsNoRepositorio(repo, usuario, inicio, fim, tipoData) {
-    const commits = [];
-
-    // Buscar branches do repositório
-    const branches = buscarBranchesDoRepositorio(repo);
-    const seenShas = new Set();  // Deduplicar commits por SHA
-
-    for (const branch of branches) {
-        let page = 1;
-        let hasMore = true;
-
-        while (hasMore && page <= 10) {  // Limite de páginas por branch
-            try {
-                // Buscar commits na branch específica
-                const cmd = `gh api "repos/${repo}/commits?author=${usuario}&sha=${branch}&since=${inicio}T00:00:00Z&until=${fim}T23:59:59Z&per_page=${MAX_COMMITS_PER_PAGE}&page=${page}" --jq ".[]"`;
-
-                const output = execSync(cmd, {
-                    encoding: 'utf-8',
-                    timeout: 30000,
-                    stdio: ['pipe', 'pipe', 'pipe']
-                });
-
-                const lines = output.trim().split('\n');
-
-                for (const line of lines) {
-                    if (!line) continue;
-                    try {
-                        const parsed = JSON.parse(line);
-                        const sha = sanitizar(parsed.sha);
-                        const dateField = tipoData === 'author' ? parsed.commit.author.date : parsed.commit.commitmitter.date;
-
-                        if (sha && /^[a-f0-9]{40}$/i.test(sha) && dateField && !seenShas.has(sha)) {
-                            seenShas.add(sha);
-                            commits.push({ repo, sha, date: dateField });
-                        }
-                    } catch (parseError) {
-                        // Ignorar linhas inválidas
-                    }
-                }
-
-                hasMore = lines.length === MAX_COMMITS_PER_PAGE;
-                page++;
-            } catch (e) {
-                break;  // Sem mais resultados ou erro
-            }
-        }
+function infoCota(cota) {
+    if (!cota) {
+        return '';
     }
-
-    return commits;
+    return t('cotaDaApi', formatarNumero(cota.restante), formatarNumero(cota.limite));
 }
 
 /**
- * Busca commits de um usuário em todos os repositórios de uma organização
+ * Desenha no terminal os eventos de progresso da biblioteca
+ * Uma barra por etapa; uma etapa nova (ou repetida após concluída) começa outra barra
  */
-function buscarCommitsPorOrganizacao(usuario, inicio, fim, org, tipoData) {
-    console.error(`Listando repositórios da organização ${org}...`);
-    const repos = buscarRepositoriosDaOrganizacao(org);
-    console.error(`Encontrados ${repos.length} repositório(s).`);
-
-    const allCommits = [];
-    const seenShas = new Set();  // Deduplicar por SHA
-
-    // Criar barra de progresso
-    const progressBar = new ProgressBar(repos.length, 'Buscando repos');
-
-    for (const repo of repos) {
-        const commits = buscarCommitsNoRepositorio(repo, usuario, inicio, fim, tipoData);
-
-        for (const commit of commits) {
-            if (!seenShas.has(commit.sha)) {
-                seenShas.add(commit.sha);
-                allCommits.push(commit);
-            }
+function criarExibicaoDeProgresso() {
+    let barraAtual = null;
+    return (evento) => {
+        if (!barraAtual || barraAtual.label !== evento.etapa || barraAtual.startTime !== evento.iniciadoEm) {
+            barraAtual = new ProgressBar(evento.total, evento.etapa, evento.iniciadoEm);
+        }
+        barraAtual.total = evento.total;
+        barraAtual.infoAdicional = () => infoCota(evento.cota);
+        if (evento.concluido) {
+            barraAtual.complete(evento.info);
+        } else {
+            barraAtual.setCurrent(evento.atual, evento.info);
         }
+    };
+}
 
-        // Atualizar progresso com informações extras
-        const extraInfo = `${repo} | +${commits.length} commits`;
-        progressBar.update(1, extraInfo);
-    }
+// Mensagens da biblioteca vão para stderr, deixando stdout só para o relatório
+const logger = {
+    info: mensagem => console.error(mensagem),
+    aviso: mensagem => console.error(`\n${t('aviso', mensagem)}`)
+};
 
-    // Completar progresso
-    progressBar.complete(`Total: ${allCommits.length} commits`);
+/**
+ * Exibe resultados formatados
+ * Se um arquivo de saída for informado, grava o relatório nele em vez de imprimir
+ */
+function exibirResultados(relatorio, formato = 'tabela', arquivo = null) {
+    const conteudo = formatarRelatorio(relatorio, formato);
 
-    // Ordenar por data descrescente
-    allCommits.sort((a, b) => new Date(b.date) - new Date(a.date));
+    if (arquivo) {
+        fs.writeFileSync(arquivo, conteudo + '\n', 'utf-8');
+        console.error(t('relatorioSalvo', formato, arquivo));
+        return;
+    }
 
-    return allCommits;
+    console.log(conteudo);
 }
 
 /**
- * Busca commits via API do GitHub com paginação
- * GitHub Search API limita a 100 resultados por página e 1000 totais
+ * Código de saída de um erro com --estrito
  */
-function buscarCommits(usuarioValidado, inicio, fim, orgValidada, tipoDataValidado) {
-    // Se há organização, usar estratégia de busca direta em cada repositório
-    // (API search não indexa todos os repositórios de uma organização)
-    if (orgValidada) {
-        return buscarCommitsPorOrganizacao(usuarioValidado, inicio, fim, orgValidada, tipoDataValidado);
+function codigoDeSaida(erro) {
+    if (ehErroDeCota(erro)) {
+        return CODIGOS_DE_SAIDA.cota;
     }
-
-    // Caso contrário, usar API de busca (comportamento original)
-    try {
-        const query = buildQuery(usuarioValidado, inicio, fim, orgValidada, tipoDataValidado);
-        const commits = [];
-        let page = 1;
-        let hasMore = true;
-        let totalCount = 0;
-
-        console.error(`Buscando commits (com paginação)...`);
-
-        // Primeiro, busca o total de resultados sem paginação
-        try {
-            const countCmd = `gh api "search/commits?q=${query}&per_page=1" --jq ".total_count"`;
-            const countOutput = execSync(countCmd, {
-                encoding: 'utf-8',
-                timeout: 30000,
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-            totalCount = parseInt(countOutput.trim(), 10);
-            console.error(`Total encontrado: ${totalCount} commits na API do GitHub.`);
-        } catch (e) {
-            // Se falhar ao buscar o total, continua sem o contador
-            console.error(`Aviso: Não foi possível obter o total de commits.`);
-        }
-
-        // Criar barra de progresso (estimado em 10 páginas máximo)
-        const maxPages = Math.min(10, Math.ceil(totalCount / MAX_PAGE_SIZE) || 1);
-        const progressBar = new ProgressBar(maxPages, 'Buscando páginas');
-
-        // Busca com paginação
-        while (hasMore && page <= 10) {  // Max 10 páginas = 1000 resultados (limite da API)
-            const cmd = `gh api "search/commits?q=${query}&per_page=${MAX_PAGE_SIZE}&page=${page}" --jq ".items | map({repo: .repository.full_name, sha: .sha}) | .[]"`;
-
-            const output = execSync(cmd, {
-                encoding: 'utf-8',
-                timeout: API_TIMEOUT,
-                stdio: ['pipe', 'pipe', 'pipe'],
-                maxBuffer: 10 * 1024 * 1024  // 10MB max buffer
-            });
-
-            const lines = output.trim().split('\n');
-
-            // Processa os commits desta página
-            let pageCommits = 0;
-            for (const line of lines) {
-                if (!line || line.length === 0) continue;
-                try {
-                    const parsed = JSON.parse(line);
-                    // Sanitizar repo e sha antes de usar
-                    const repo = sanitizar(parsed.repo);
-                    const sha = sanitizar(parsed.sha);
-                    // Validar formato do SHA (40 caracteres hexadecimais para commits completos)
-                    if (repo && sha && /^[a-f0-9]{40}$/i.test(sha)) {
-                        commits.push({ repo, sha });
-                        pageCommits++;
-                    }
-                } catch (e) {
-                    // Ignorar linhas inválidas silenciosamente
-                }
-            }
-
-            // Atualizar progresso
-            progressBar.update(1, `Página ${page} | +${pageCommits} commits`);
-
-            // Verifica se há mais páginas
-            if (pageCommits === 0 || commits.length >= totalCount) {
-                hasMore = false;
-            }
-
-            page++;
-        }
-
-        progressBar.complete(`Total: ${commits.length} commits`);
-
-        // Aviso sobre limite da API
-        if (commits.length >= MAX_SEARCH_RESULTS) {
-            console.error(`Aviso: A API de busca do GitHub limita a ${MAX_SEARCH_RESULTS} resultados.`);
-            console.error(`Aviso: Para períodos maiores, considere dividir a busca em intervalos menores.`);
-        }
-
-        return commits;
-    } catch (e) {
-        // Mensagem genérica para não expor detalhes internos
-        console.error('Erro ao buscar commits. Verifique sua conexão e autenticação do GitHub CLI.');
-        return [];
+    if (ehErroDeAutenticacao(erro)) {
+        return CODIGOS_DE_SAIDA.autenticacao;
+    }
+    if (erro instanceof ErroDeValidacao) {
+        return CODIGOS_DE_SAIDA.validacao;
     }
+    return CODIGOS_DE_SAIDA.erro;
 }
 
 /**
- * Obtém estatísticas de um commit específico
+ * Código de saída de um relatório com dados incompletos em --estrito: autenticação
+ * (401/403) se alguma falha for de permissão, dados incompletos nas demais
  */
-function getCommitStats(repo, sha) {
-    try {
-        // Repo e sha já estão sanitizados
-        const cmd = `gh api "repos/${repo}/commits/${sha}" --jq "{additions: .stats.additions, deletions: .stats.deletions}"`;
-
-        const output = execSync(cmd, {
-            encoding: 'utf-8',
-            timeout: 30000,
-            stdio: ['pipe', 'pipe', 'pipe']
-        });
-
-        const parsed = JSON.parse(output);
-        // Validar que os valores são números
-        return {
-            additions: typeof parsed.additions === 'number' ? parsed.additions : 0,
-            deletions: typeof parsed.deletions === 'number' ? parsed.deletions : 0
-        };
-    } catch (e) {
-        // Falha silenciosa para commits individuais
-        return { additions: 0, deletions: 0 };
-    }
+function codigoDosDadosIncompletos(falhas) {
+    const negado = falhas.some(falha => falha.status === 401 || falha.status === 403);
+    return negado ? CODIGOS_DE_SAIDA.autenticacao : CODIGOS_DE_SAIDA.dadosIncompletos;
 }
 
 /**
- * Exibe resultados formatados
+ * Ctrl-C e sinais de término encerram com process.exit para que o checkpoint
+ * da varredura seja gravado (evento 'exit', ver lib/checkpoint.js)
  */
-function exibirResultados(results, totalCommits, totalAdditions, totalDeletions, usuario, inicio, fim) {
-    console.log('\n' + '='.repeat(80));
-    console.log(`ESTATÍSTICAS DE COMMITS - ${sanitizar(usuario)} (${inicio} até ${fim})`);
-    console.log('='.repeat(80));
-    console.log(`\n📊 TOTAL GERAL:`);
-    console.log(`   • Commits: ${totalCommits}`);
-    console.log(`   • Linhas adicionadas: +${totalAdditions.toLocaleString('pt-BR')}`);
-    console.log(`   • Linhas removidas: -${totalDeletions.toLocaleString('pt-BR')}`);
-    console.log(`   • Total de linhas alteradas: ${(totalAdditions + totalDeletions).toLocaleString('pt-BR')}`);
-
-    if (Object.keys(results).length > 0) {
-        console.log(`\n📁 POR REPOSITÓRIO:`);
-        console.log('-'.repeat(80));
-        console.log(`${'Repositório'.padEnd(50)} ${'Commits'.padEnd(10)} ${'Adições'.padEnd(15)} ${'Remoções'.padEnd(15)} ${'Total'.padEnd(15)}`);
-        console.log('-'.repeat(80));
-
-        const sortedRepos = Object.entries(results).sort((a, b) => b[1].total - a[1].total);
-        for (const [repo, stats] of sortedRepos) {
-            console.log(`${sanitizar(repo).padEnd(50)} ${stats.commits.toString().padEnd(10)} +${stats.additions.toLocaleString('pt-BR').padEnd(14)} -${stats.deletions.toLocaleString('pt-BR').padEnd(14)} ${stats.total.toLocaleString('pt-BR').padEnd(15)}`);
-        }
-
-        console.log('-'.repeat(80));
-        console.log(`${'TOTAL'.padEnd(50)} ${totalCommits.toString().padEnd(10)} +${totalAdditions.toLocaleString('pt-BR').padEnd(14)} -${totalDeletions.toLocaleString('pt-BR').padEnd(14)} ${(totalAdditions + totalDeletions).toLocaleString('pt-BR').padEnd(15)}`);
+function encerrarAoInterromper() {
+    for (const [sinal, codigo] of [['SIGINT', 130], ['SIGTERM', 143]]) {
+        process.once(sinal, () => {
+            console.error(t('interrompido'));
+            process.exit(codigo);
+        });
     }
-    console.log('='.repeat(80));
 }
 
 /**
  * Função principal
  */
-function main() {
+async function main() {
     try {
-        console.error(`Buscando commits de ${usuario}...`);
-        console.error(`Período: ${dataInicio} até ${dataFim}`);
-        console.error(`Tipo de data: ${tipoData}-date`);
-        if (org) {
-            console.error(`Organização: ${org}`);
+        const configuracao = aplicarConfiguracao();
+        // O idioma também pode vir do arquivo de configuração
+        if (options.idioma) {
+            definirIdioma(options.idioma);
         }
-
-        // Buscar commits
-        const commits = buscarCommits(usuario, dataInicio, dataFim, org, tipoData);
-
-        if (commits.length === 0) {
-            console.log('\nNenhum commit encontrado para o período especificado.');
-            return;
+        if (configuracao.arquivo) {
+            console.error(t('configuracaoUsada', configuracao.arquivo, options.perfil));
+        }
+        if (!options.inicio) {
+            throw new ErroDeValidacao(t('inicioObrigatorio'));
         }
 
-        console.error(`\nProcessando ${commits.length} commits...\n`);
+        const formatoSaida = validarFormatoSaida(options.formato);
+        const arquivoSaida = options.saida || null;
 
-        // Agrupar por repositório
-        const byRepo = {};
-        for (const c of commits) {
-            if (!byRepo[c.repo]) {
-                byRepo[c.repo] = [];
-            }
-            byRepo[c.repo].push(c.sha);
+        if (options.limparCache) {
+            const cache = new CacheEmDisco();
+            cache.limpar();
+            console.error(t('cacheRemovido', cache.raiz));
         }
 
-        let totalAdditions = 0;
-        let totalDeletions = 0;
-        let totalCommits = 0;
-        const results = {};
-
-        // Criar barra de progresso para processamento
-        const progressBar = new ProgressBar(Object.keys(byRepo).length, 'Obtendo stats');
+        // Membros de --time-org são obtidos pela biblioteca e somam-se aos usuários informados
+        const usuarios = [...configuracao.usuarios, ...(options.time ? lerArquivoDoTime(options.time) : [])];
+        const nomeDoTime = options.timeOrg || (options.time ? path.basename(options.time).replace(/\.[^.]*$/, '') : null);
+
+        encerrarAoInterromper();
+        const relatorio = await getStats({
+            ...options,
+            usuarios,
+            time: nomeDoTime,
+            cache: !options.semCache,
+            logger,
+            onProgresso: criarExibicaoDeProgresso()
+        });
 
-        for (const [repo, shas] of Object.entries(byRepo)) {
-            let repoAdditions = 0;
-            let repoDeletions = 0;
-            const repoCount = shas.length;
+        // O HTML é gerado mesmo sem commits, para que o arquivo esperado sempre exista
+        if (options.html) {
+            fs.writeFileSync(options.html, formatarHtml(relatorio) + '\n', 'utf-8');
+            console.error(t('relatorioHtmlSalvo', options.html));
+        }
 
-            for (const sha of shas) {
-                const stats = getCommitStats(repo, sha);
-                repoAdditions += stats.additions;
-                repoDeletions += stats.deletions;
-                totalCommits++;
-            }
+        // Sem commits por causa de falhas (ou de --limite-outlier), o relatório é exibido: as listas explicam o vazio
+        const falhas = relatorio.dadosIncompletos;
+        const foraDaCurva = relatorio.outliers ? relatorio.outliers.commits.length : 0;
+        if (relatorio.commits.length === 0 && falhas.length === 0 && foraDaCurva === 0 && formatoSaida === 'tabela' && !arquivoSaida && !relatorio.prs && !relatorio.comparacao) {
+            console.log(t('nenhumCommit'));
+        } else {
+            exibirResultados(relatorio, formatoSaida, arquivoSaida);
+        }
 
-            results[repo] = {
-                commits: repoCount,
-                additions: repoAdditions,
-                deletions: repoDeletions,
-                total: repoAdditions + repoDeletions
-            };
-            totalAdditions += repoAdditions;
-            totalDeletions += repoDeletions;
-
-            // Atualizar progresso
-            progressBar.update(1, `${repo}`);
+        // exitCode em vez de process.exit: o relatório já escrito em stdout não é cortado
+        if (options.estrito && falhas.length > 0) {
+            console.error(`\n${t('erro', t('dadosIncompletosEstrito', falhas.length))}`);
+            process.exitCode = codigoDosDadosIncompletos(falhas);
         }
 
-        progressBar.complete();
+    } catch (error) {
+        if (ehErroDeCota(error)) {
+            console.error(`\n${t('erro', t('cotaEsgotada', error.resetEm ? error.resetEm.toLocaleTimeString(localeAtual()) : null, error.servico))}`);
+            console.error(t('cotaEsgotadaDica'));
+            process.exit(options.estrito ? codigoDeSaida(error) : 1);
+        }
+        // Mensagem genérica de erro para não expor informações sensíveis
+        console.error(`\n${t('erro', error.message)}`);
+        process.exit(options.estrito ? codigoDeSaida(error) : 1);
+    }
+}
 
-        // Exibir resultados
-        exibirResultados(results, totalCommits, totalAdditions, totalDeletions, usuario, dataInicio, dataFim);
+/**
+ * Subcomando servir: estatísticas por HTTP até Ctrl-C (ver lib/servidor.js)
+ */
+function servir(opcoesDoServidor) {
+    try {
+        const configuracao = aplicarConfiguracao();
+        if (options.idioma) {
+            definirIdioma(options.idioma);
+        }
+        if (configuracao.arquivo) {
+            console.error(t('configuracaoUsada', configuracao.arquivo, options.perfil));
+        }
+        const porta = validarPorta(opcoesDoServidor.porta);
+        const servidor = criarServidor({ ...options, cache: !options.semCache }, {
+            ttlCache: validarTtlDoCache(opcoesDoServidor.ttlCache),
+            maxExecucoes: validarMaximoDeExecucoes(opcoesDoServidor.maxExecucoes),
+            logger
+        });
 
+        servidor.on('error', (error) => {
+            console.error(`\n${t('erro', error.message)}`);
+            process.exit(1);
+        });
+        encerrarAoInterromper();
+        servidor.listen(porta, opcoesDoServidor.host, () => {
+            console.error(t('servidorIniciado', `http://${opcoesDoServidor.host}:${porta}`));
+        });
     } catch (error) {
-        // Mensagem genérica de erro para não expor informações sensíveis
-        console.error(`\nErro: ${error.message}`);
+        console.error(`\n${t('erro', error.message)}`);
         process.exit(1);
     }
 }
 
-main();
+program.parse();
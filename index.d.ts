@@ -0,0 +1,433 @@
+/**
+ * Tipos da API de biblioteca do commit-stats (index.js)
+ */
+
+export type TipoData = 'author' | 'committer';
+export type Agrupamento = 'dia' | 'semana' | 'mes';
+export type FormatoSaida = 'tabela' | 'json' | 'csv' | 'markdown';
+export type Rota = 'login' | 'email' | 'nome' | 'coautoria';
+export type SituacaoDePr = 'abertos' | 'mesclados' | 'fechados';
+export type SituacaoNaComparacao = 'ativo' | 'novo' | 'sem-atividade';
+export type Idioma = 'pt-BR' | 'en';
+export type Provedor = 'github' | 'gitlab' | 'gitea';
+
+/** Fonte de commits: provedor, organização (grupo no GitLab) e URL da API */
+export interface Fonte {
+    provedor: Provedor;
+    /** Obrigatória no GitLab e no Gitea (sem busca de commits) */
+    org?: string | null;
+    /** Padrão: GITHUB_API_URL, GITLAB_API_URL ou GITEA_API_URL, ou a API pública do provedor */
+    apiUrl?: string | null;
+    /** Padrão: GITHUB_TOKEN/GH_TOKEN/gh auth token, GITLAB_TOKEN ou GITEA_TOKEN */
+    token?: string | null;
+}
+
+/** Mensagens da execução; objetos no estilo console também são aceitos (warn no lugar de aviso) */
+export interface Logger {
+    info?(mensagem: string): void;
+    aviso?(mensagem: string): void;
+    warn?(mensagem: string): void;
+}
+
+/** Atualização de uma etapa da coleta (ex: "Buscando páginas", "Obtendo stats") */
+export interface EventoDeProgresso {
+    etapa: string;
+    atual: number;
+    total: number;
+    info: string;
+    concluido: boolean;
+    /** Início da etapa (ms desde a época) */
+    iniciadoEm: number;
+    /** Cota da API conhecida na última resposta, ou null */
+    cota: { restante: number; limite: number } | null;
+}
+
+export interface Identidade {
+    emails?: string[];
+    nomes?: string[];
+}
+
+export interface GetStatsOpcoes {
+    /** Login do GitHub (ou use usuarios para um time) */
+    usuario?: string;
+    usuarios?: string[];
+    /** Nome do time exibido no relatório */
+    time?: string;
+    /** Slug de um time da organização (exige org) cujos membros serão analisados */
+    timeOrg?: string;
+    /** Data inicial (YYYY-MM-DD, no formato do idioma ou relativa: "ultimo-mes", "-30d", "hoje"...) */
+    inicio: string;
+    /** Data final (YYYY-MM-DD, no formato do idioma ou relativa). Padrão: hoje ou o fim do período de inicio */
+    fim?: string;
+    /** Organização (no GitLab, o caminho do grupo, ex: "empresa/backend") */
+    org?: string;
+    /** Padrão: github */
+    provedor?: Provedor;
+    /**
+     * Várias fontes combinadas em um relatório ("provedor[:org][@url]" ou objetos), no lugar de
+     * provedor, org, apiUrl e token; os repositórios ganham o host como prefixo
+     */
+    fonte?: string | Array<string | Fonte>;
+    /** Padrão: committer */
+    tipoData?: TipoData;
+    agrupar?: Agrupamento;
+    /** Período de comparação "inicio..fim" (datas YYYY-MM-DD ou relativas) */
+    compararCom?: string;
+    /** Compara com o período imediatamente anterior, de mesma duração */
+    comparar?: 'anterior';
+    /** Idioma das mensagens e do relatório; vale para o processo inteiro (ver definirIdioma) */
+    idioma?: Idioma;
+    excluirCaminho?: string[];
+    semExclusoesPadrao?: boolean;
+    /** Caminho do arquivo JSON ou o próprio objeto { login: { emails, nomes } } */
+    identidades?: string | Record<string, Identidade>;
+    coautoria?: boolean;
+    semMerges?: boolean;
+    incluirRepo?: string[];
+    excluirRepo?: string[];
+    semArquivados?: boolean;
+    semForks?: boolean;
+    /** Branches varridas com org: 'padrao', 'principais', 'todas' (padrão) ou glob/regex de nomes */
+    branches?: string;
+    /** Branches por repositório (1 a 1000). Padrão: 100 */
+    maxBranches?: number;
+    /** Páginas de 100 commits por branch (1 a 100). Padrão: 10 */
+    maxPaginasPorBranch?: number;
+    /** Ignora branches sem commits desde a data (YYYY-MM-DD ou relativa) */
+    branchesAtivasDesde?: string;
+    /** Commits com mais linhas alteradas que o limite ficam fora dos totais (ver Relatorio.outliers) */
+    limiteOutlier?: number;
+    /** Tratamento dos commits acima de limiteOutlier: 'excluir' (padrão) ou 'limitar' (contam até o limite) */
+    modoOutlier?: ModoOutlier;
+    prs?: boolean;
+    /** Clones git locais (modo offline, sem API) */
+    local?: string[];
+    /** Continua a varredura da organização (org) do checkpoint de uma execução interrompida */
+    retomar?: boolean;
+    /** false não grava o checkpoint da varredura da organização (sem retomar depois). Padrão: true */
+    checkpoint?: boolean;
+    /** Grava todas as respostas da API no diretório (desativa o cache) */
+    gravar?: string;
+    /** Usa as respostas gravadas no diretório em vez da API, sem acesso à rede */
+    reproduzir?: string;
+    /** Requisições simultâneas (1 a 32). Padrão: 4 */
+    concorrencia?: number;
+    /** Minutos a aguardar pela renovação da cota (0 a 60). Padrão: 10 */
+    esperaMaximaCota?: number;
+    /** false desativa o cache em disco. Padrão: true */
+    cache?: boolean;
+    diretorioCache?: string;
+    /** Padrão: GITHUB_API_URL, GITLAB_API_URL ou GITEA_API_URL, ou a API pública do provedor */
+    apiUrl?: string;
+    /** Padrão: GITHUB_TOKEN, GH_TOKEN ou gh auth token (GITLAB_TOKEN e GITEA_TOKEN nos outros provedores) */
+    token?: string;
+    logger?: Logger;
+    onProgresso?(evento: EventoDeProgresso): void;
+}
+
+export interface Acumulador {
+    commits: number;
+    additions: number;
+    deletions: number;
+    total: number;
+}
+
+export type Atribuicao = Record<Rota, number>;
+
+export interface EstatisticasDoUsuario extends Acumulador {
+    repositorios: number;
+    atribuicao: Atribuicao;
+    results: Record<string, Acumulador>;
+}
+
+export interface CommitDoRelatorio {
+    repo: string;
+    sha: string;
+    date: string | null;
+    usuario: string | null;
+    rota: Rota;
+    /** Primeira branch em que o commit foi encontrado (null fora da varredura com org) */
+    branch: string | null;
+    branchPadrao: boolean | null;
+    /** Primeira linha da mensagem do commit */
+    mensagem: string | null;
+    additions: number;
+    deletions: number;
+}
+
+export type ModoOutlier = 'excluir' | 'limitar';
+
+/** Commit nas listas de maiores commits e de fora da curva */
+export interface CommitPorTamanho {
+    repo: string;
+    sha: string;
+    date: string | null;
+    usuario: string | null;
+    branch: string | null;
+    mensagem: string | null;
+    additions: number;
+    deletions: number;
+    /** Linhas alteradas (additions + deletions) */
+    total: number;
+}
+
+/** Distribuição das linhas alteradas por commit, com todos os commits (inclusive os fora da curva) */
+export interface DistribuicaoDosTamanhos {
+    commits: number;
+    /** null sem commits; mediana e p90 com uma casa decimal */
+    mediana: number | null;
+    p90: number | null;
+    maximo: number | null;
+    /** Histograma; a última faixa tem ate null (sem limite superior) */
+    faixas: Array<{ de: number; ate: number | null; commits: number }>;
+    /** Até 20 commits (tamanho fixo), do maior para o menor; todos os acima de limiteOutlier ficam em outliers.commits */
+    maiores: CommitPorTamanho[];
+}
+
+export interface Periodo extends Acumulador {
+    /** AAAA-MM-DD, AAAA-Www ou AAAA-MM */
+    periodo: string;
+    inicio: string;
+}
+
+export interface PrsPorSituacao {
+    prs: number;
+    additions: number;
+    deletions: number;
+}
+
+export type PrsDoUsuario = Record<SituacaoDePr, PrsPorSituacao> & {
+    revisoes: number;
+    prsRevisados: number;
+    medianaAteMergeHoras: number | null;
+};
+
+export interface PullRequest {
+    usuario: string;
+    repo: string;
+    numero: number;
+    titulo: string;
+    criadoEm: string | null;
+    mescladoEm: string | null;
+    fechadoEm: string | null;
+    additions: number;
+    deletions: number;
+}
+
+export interface Variacao {
+    anterior: Acumulador;
+    diferenca: Acumulador;
+    /** Variação em %, com uma casa decimal; null quando o valor anterior é zero */
+    percentual: Record<keyof Acumulador, number | null>;
+}
+
+export type TipoDeFalha = 'repositorios' | 'branchPadrao' | 'branches' | 'commits' | 'item' | 'busca' | 'stats' | 'pr' | 'revisoes' | 'local';
+
+/** Falha contornada pela coleta: o que ficou de fora dos totais e por quê */
+export interface FalhaDaColeta {
+    tipo: TipoDeFalha;
+    /** Repositório afetado (a organização, na listagem de repositórios); null na busca */
+    repo: string | null;
+    /** Parte afetada: branch, página, SHA, PR (#42), critério ou intervalo da busca */
+    alvo: string | null;
+    motivo: string;
+    /** Status HTTP da API (0 em falhas de rede); null fora da API */
+    status: number | null;
+}
+
+export interface Relatorio {
+    parametros: {
+        usuario: string | null;
+        usuarios: string[];
+        time: string | null;
+        inicio: string;
+        fim: string;
+        org: string | null;
+        /** Fontes consultadas (vazio no modo local) */
+        fontes: Array<{ provedor: Provedor; host: string; org: string | null }>;
+        tipoData: TipoData;
+        agrupamento: Agrupamento | null;
+        idioma: Idioma;
+        exclusoes: string[];
+        semMerges: boolean;
+        incluirRepo: string[];
+        excluirRepo: string[];
+        semArquivados: boolean;
+        semForks: boolean;
+        branches: string;
+        maxBranches: number;
+        maxPaginasPorBranch: number;
+        branchesAtivasDesde: string | null;
+        /** Caminho do arquivo de identidades (null se ausente ou passado como objeto) */
+        identidades: string | null;
+        coautoria: boolean;
+        prs: boolean;
+        limiteOutlier: number | null;
+        modoOutlier: ModoOutlier | null;
+    };
+    totais: Acumulador;
+    /** Por repositório (owner/repo) */
+    results: Record<string, Acumulador>;
+    porUsuario: Record<string, EstatisticasDoUsuario>;
+    porLinguagem: Record<string, Acumulador>;
+    ignorado: { arquivos: number; additions: number; deletions: number };
+    atribuicao: Atribuicao;
+    /** Commits na branch padrão e apenas em outras branches (null fora da varredura com org) */
+    porBranch: { padrao: Acumulador; outras: Acumulador } | null;
+    /** Commits contados nos totais (sem os excluídos por limiteOutlier) */
+    commits: CommitDoRelatorio[];
+    tamanhos: DistribuicaoDosTamanhos;
+    /** Commits acima de limiteOutlier (null sem limiteOutlier); additions e deletions são as linhas que deixaram de contar */
+    outliers: {
+        limite: number;
+        modo: ModoOutlier;
+        commits: CommitPorTamanho[];
+        additions: number;
+        deletions: number;
+    } | null;
+    porPeriodo?: Periodo[];
+    prs?: {
+        porUsuario: Record<string, PrsDoUsuario>;
+        revisoes: { porRepositorio: Record<string, { revisoes: number; prs: number }> };
+        lista: PullRequest[];
+    };
+    /** Presente com compararCom ou comparar */
+    comparacao?: {
+        inicio: string;
+        fim: string;
+        totais: Variacao;
+        results: Record<string, Variacao & { situacao: SituacaoNaComparacao }>;
+    };
+    /** Falhas da coleta (dos dois períodos, com comparação); vazio quando os totais estão completos */
+    dadosIncompletos: FalhaDaColeta[];
+}
+
+export interface CommitEncontrado {
+    repo: string;
+    sha: string;
+    usuario: string;
+    rota?: Rota;
+    date?: string | null;
+    mensagem?: string | null;
+    branch?: string;
+    branchPadrao?: boolean;
+    /** Presente no modo local, em que as estatísticas vêm do git log */
+    stats?: EstatisticasDoCommit;
+    /** Com várias fontes: índice da fonte e nome do repositório nela (repo tem o host como prefixo) */
+    fonte?: number;
+    repoNaFonte?: string;
+}
+
+export interface EstatisticasDoCommit {
+    additions: number;
+    deletions: number;
+    /** caminho null: linhas que a API não detalhou por arquivo */
+    arquivos: Array<{ caminho: string | null; additions: number; deletions: number }>;
+    ignorado?: { arquivos: number; additions: number; deletions: number };
+}
+
+export type GetCommitStatsOpcoes = Pick<GetStatsOpcoes,
+    'provedor' | 'token' | 'apiUrl' | 'cache' | 'diretorioCache' | 'gravar' | 'reproduzir' | 'excluirCaminho' | 'semExclusoesPadrao' | 'concorrencia' | 'esperaMaximaCota' | 'logger'>;
+
+export function getStats(opcoes: GetStatsOpcoes): Promise<Relatorio>;
+export function buscarCommits(opcoes: GetStatsOpcoes): Promise<CommitEncontrado[]>;
+/** Lança GitHubApiError se as estatísticas não puderem ser obtidas */
+export function getCommitStats(repo: string, sha: string, opcoes?: GetCommitStatsOpcoes): Promise<EstatisticasDoCommit>;
+export function formatarRelatorio(relatorio: Relatorio, formato?: FormatoSaida): string;
+/** Página HTML autocontida (gráficos SVG e tabelas ordenáveis, sem recursos externos) */
+export function formatarHtml(relatorio: Relatorio): string;
+
+export const IDIOMAS: Idioma[];
+/** Define o idioma das mensagens e do relatório (aceita variações como "en-US" e "pt_BR") */
+export function definirIdioma(idioma: string): Idioma;
+/** Idioma do ambiente (LC_ALL, LC_MESSAGES ou LANG); pt-BR quando não há locale */
+export function detectarIdioma(ambiente?: Record<string, string | undefined>): Idioma;
+
+export const PROVEDORES: Provedor[];
+/** Com provedores, o usuário precisa ser válido em ao menos um deles. Padrão: 'github' */
+export function validarUsuario(usuario: string, provedores?: Provedor | Provedor[]): string;
+export function validarUsuarios(usuarios: string[], provedores?: Provedor | Provedor[]): string[];
+export function validarOrganizacao(org: string, provedor?: Provedor): string;
+export function validarProvedor(provedor?: string): Provedor;
+/** "provedor[:org][@url]" ou objeto; campos ausentes ficam null */
+export function validarFonte(fonte: string | Fonte): { provedor: Provedor; org: string | null; apiUrl: string | null; token: string | null };
+export function validarSlugDoTime(slug?: string): string | null;
+export function validarFormatoData(data: string): string;
+export function validarTipoData(tipoData?: string): TipoData;
+export function validarFormatoSaida(formato?: string): FormatoSaida;
+export function validarAgrupamento(agrupamento?: string): Agrupamento | null;
+export function validarGlob(glob: string): string;
+export function validarPadraoDeRepositorio(padrao: string): RegExp;
+export function validarConcorrencia(valor: number | string): number;
+export function validarEsperaMaximaCota(valor: number | string): number;
+export function validarDiretorio(diretorio: string): string;
+
+/** Lançado pelos validadores e por getStats para opções inválidas */
+export class ErroDeValidacao extends Error {}
+
+export class GitHubApiError extends Error {
+    status: number;
+    /** 'HTTP', 'REDE', 'TIMEOUT', 'RESPOSTA_INVALIDA', 'RATE_LIMIT', 'NAO_GRAVADA' ou 'LINK_EXTERNO' */
+    codigo: string;
+    url: string;
+    headers: Record<string, string>;
+    /** Serviço que respondeu: 'GitHub', 'GitLab' ou 'Gitea' */
+    servico: string;
+    readonly resetEm: Date | null;
+}
+
+export function ehErroDeCota(erro: unknown): boolean;
+/** 401, ou 403 que não seja limite de requisições */
+export function ehErroDeAutenticacao(erro: unknown): boolean;
+/** Cota esgotada ou resposta ausente da gravação reproduzida: erros que interrompem a coleta */
+export function ehErroFatal(erro: unknown): boolean;
+
+/** Respostas da API gravadas em um diretório (um JSON por URL), para GitHubClient */
+export class Gravacao {
+    constructor(diretorio: string, modo: 'gravar' | 'reproduzir');
+    diretorio: string;
+    reproduzindo: boolean;
+    /** URLs gravadas nesta execução */
+    readonly gravadas: number;
+}
+
+export interface RespostaDaApi {
+    status: number;
+    headers: Record<string, string>;
+    links: Record<string, string>;
+    data: any;
+}
+
+export class GitHubClient {
+    constructor(opcoes?: {
+        token?: string | null;
+        baseUrl?: string;
+        /** Nome do serviço nas mensagens. Padrão: 'GitHub' */
+        servico?: string;
+        /** Headers de cada requisição. Padrão: os da API do GitHub */
+        cabecalhos?: Record<string, string>;
+        timeout?: number;
+        concorrencia?: number;
+        maxTentativas?: number;
+        esperaMaximaCota?: number;
+        onAviso?(mensagem: string): void;
+        fetch?: typeof fetch;
+        /** Grava as respostas ou as reproduz (sem rede) */
+        gravacao?: Gravacao;
+    });
+    baseUrl: string;
+    /** texto: data recebe o corpo sem interpretação (ex: diffs) */
+    get(caminho: string, params?: Record<string, string | number>, opcoes?: { timeout?: number; texto?: boolean }): Promise<RespostaDaApi>;
+    paginas(caminho: string, params?: Record<string, string | number>, opcoes?: { maxPaginas?: number; timeout?: number }): AsyncGenerator<RespostaDaApi>;
+    cotaAtual(): { recurso: string; limite: number; restante: number; resetEm: Date | null } | null;
+}
+
+export class CacheEmDisco {
+    constructor(opcoes?: { diretorio?: string; namespace?: string; habilitado?: boolean });
+    raiz: string;
+    diretorio: string;
+    habilitado: boolean;
+    acertos: number;
+    falhas: number;
+    limpar(): void;
+}
@@ -0,0 +1,379 @@
+/**
+ * API de biblioteca do commit-stats
+ * Permite embutir a coleta em outras ferramentas (bots, jobs agendados) sem passar pela CLI:
+ * nada é escrito no terminal, mensagens vão para o logger e o progresso para onProgresso
+ */
+
+const path = require('path');
+const { GitHubClient, GitHubApiError, ehErroDeCota, ehErroDeAutenticacao, ehErroFatal } = require('./lib/github_client');
+const { CacheEmDisco } = require('./lib/cache');
+const { Gravacao } = require('./lib/gravacao');
+const { Checkpoint } = require('./lib/checkpoint');
+const { identidadeDoUsuario } = require('./lib/identidades');
+const { normalizarOpcoes, criarContexto } = require('./lib/contexto');
+const { mapearComConcorrencia } = require('./lib/concorrencia');
+const commits = require('./lib/commits');
+const { buscarCommitsEmClonesLocais } = require('./lib/local');
+const { buscarEstatisticasDePullRequests } = require('./lib/pull_requests');
+const { agregarEstatisticas, agruparPorPeriodo } = require('./lib/agregacao');
+const { compararRelatorios } = require('./lib/comparacao');
+const { distribuirTamanhos, aplicarLimiteDeOutlier } = require('./lib/tamanhos');
+const { formatarRelatorio } = require('./lib/formatos');
+const { formatarHtml } = require('./lib/html');
+const { t, definirIdioma, detectarIdioma, formatarNumero, IDIOMAS } = require('./lib/idioma');
+const validacao = require('./lib/validacao');
+
+/**
+ * Resolve os usuários da execução: os informados mais os membros do time da organização (timeOrg)
+ */
+async function resolverUsuarios(ctx, parametros) {
+    if (!parametros.timeOrg) {
+        return parametros.usuarios;
+    }
+    ctx.logger.info(t('listandoMembrosDoTime', parametros.org, parametros.timeOrg));
+    const membros = await commits.buscarMembrosDoTime(ctx, parametros.org, parametros.timeOrg);
+    return validacao.validarUsuarios([...parametros.usuarios, ...membros]);
+}
+
+/**
+ * Abre o checkpoint da varredura da organização de uma fonte (apenas --org pela API, a coleta mais longa)
+ * Com retomar, carrega o progresso gravado por uma execução interrompida com os mesmos parâmetros
+ * O arquivo fica no cache da fonte, separado por host da API
+ */
+function abrirCheckpoint(ctx, parametros, usuarios) {
+    if (!parametros.checkpoint || !ctx.org || parametros.local.length > 0) {
+        return null;
+    }
+
+    const checkpoint = new Checkpoint({
+        diretorio: path.join(ctx.cache.diretorio, 'checkpoints'),
+        parametros: {
+            usuarios: usuarios.map(usuario => identidadeDoUsuario(usuario, ctx.identidades)),
+            inicio: parametros.inicio,
+            fim: parametros.fim,
+            org: ctx.org,
+            tipoData: parametros.tipoData,
+            coautoria: parametros.coautoria,
+            semMerges: parametros.semMerges,
+            semArquivados: parametros.semArquivados,
+            semForks: parametros.semForks,
+            incluirRepo: parametros.incluirRepo,
+            excluirRepo: parametros.excluirRepo,
+            branches: parametros.branches,
+            maxBranches: parametros.maxBranches,
+            maxPaginasPorBranch: parametros.maxPaginasPorBranch,
+            branchesAtivasDesde: parametros.branchesAtivasDesde
+        },
+        logger: ctx.logger
+    });
+
+    if (parametros.retomar) {
+        if (checkpoint.carregar()) {
+            ctx.logger.info(t('retomandoDoCheckpoint', checkpoint.repositorios.size, checkpoint.stats.size));
+        } else {
+            ctx.logger.aviso(t('checkpointNaoEncontrado'));
+        }
+    } else if (checkpoint.existe()) {
+        ctx.logger.info(t('checkpointIgnorado'));
+    }
+
+    checkpoint.iniciar();
+    return checkpoint;
+}
+
+/**
+ * Busca os commits dos usuários (clones locais no modo offline, API do provedor caso contrário)
+ * Com várias fontes, cada uma é consultada em sequência e seus repositórios ganham o host
+ * como prefixo (ex: gitlab.empresa.com/grupo/projeto); fonte e repoNaFonte indicam de onde
+ * obter as estatísticas de cada commit
+ */
+async function coletarCommits(ctx, parametros, usuarios) {
+    const { inicio, fim, org, tipoData } = parametros;
+    if (parametros.local.length > 0) {
+        return buscarCommitsEmClonesLocais(ctx, parametros.local, usuarios, inicio, fim, org, tipoData);
+    }
+    if (ctx.fontes.length === 1) {
+        return commits.buscarCommits(ctx, usuarios, inicio, fim, org, tipoData);
+    }
+
+    const encontrados = [];
+    for (const [indice, fonte] of ctx.fontes.entries()) {
+        ctx.logger.info(t('fonteDaColeta', fonte.provedor.servico, fonte.rotulo, fonte.org));
+        const daFonte = await commits.buscarCommits(fonte, usuarios, inicio, fim, fonte.org, tipoData);
+        for (const commit of daFonte) {
+            encontrados.push({ ...commit, repo: `${fonte.rotulo}/${commit.repo}`, fonte: indice, repoNaFonte: commit.repo });
+        }
+    }
+    return encontrados;
+}
+
+/**
+ * Calcula o relatório completo de um usuário ou time no período
+ * Mesmo resultado da CLI com --formato json: parâmetros, totais, por repositório, usuário,
+ * linguagem e (opcionalmente) período e pull requests
+ *
+ * @param {Object} opcoes Ver GetStatsOpcoes em index.d.ts
+ * @returns {Promise<Object>} Relatório
+ */
+async function getStats(opcoes = {}) {
+    const parametros = normalizarOpcoes(opcoes);
+    const ctx = criarContexto(parametros, { logger: opcoes.logger, onProgresso: opcoes.onProgresso });
+    const { inicio, fim, org, tipoData } = parametros;
+
+    const usuarios = await resolverUsuarios(ctx, parametros);
+
+    if (usuarios.length === 1) {
+        ctx.logger.info(t('buscandoCommitsDoUsuario', usuarios[0]));
+    } else {
+        ctx.logger.info(t('buscandoCommitsDosUsuarios', usuarios));
+    }
+    ctx.logger.info(t('periodo', inicio, fim));
+    if (parametros.comparacao) {
+        ctx.logger.info(t('comparacaoCom', parametros.comparacao.inicio, parametros.comparacao.fim));
+    }
+    ctx.logger.info(t('tipoDeData', tipoData));
+    if (org) {
+        ctx.logger.info(t('organizacao', org));
+    }
+    if (parametros.gravar) {
+        ctx.logger.info(t('gravandoRespostas', parametros.gravar));
+    }
+    if (parametros.reproduzir) {
+        ctx.logger.info(t('reproduzindoRespostas', parametros.reproduzir));
+    }
+    const varreOrganizacao = parametros.local.length === 0 && ctx.fontes.some(fonte => fonte.org);
+    if (!varreOrganizacao && (parametros.branches !== 'todas' || parametros.branchesAtivasDesde)) {
+        ctx.logger.aviso(t('branchesSemOrg'));
+    }
+    if (!varreOrganizacao && parametros.retomar) {
+        ctx.logger.aviso(t('retomarSemOrg'));
+    }
+
+    // Um checkpoint por período e fonte; todos são removidos apenas ao fim da execução
+    const checkpoints = [];
+    const calcularPeriodo = async (doPeriodo) => {
+        for (const fonte of ctx.fontes) {
+            fonte.checkpoint = abrirCheckpoint(fonte, doPeriodo, usuarios);
+            if (fonte.checkpoint) {
+                checkpoints.push(fonte.checkpoint);
+            }
+        }
+        return calcularRelatorio(ctx, doPeriodo, usuarios);
+    };
+
+    try {
+        const relatorio = await calcularPeriodo(parametros);
+
+        if (parametros.comparacao) {
+            // Mesmos usuários, organização e filtros; pull requests e série temporal só no período principal
+            const { inicio: inicioDaComparacao, fim: fimDaComparacao } = parametros.comparacao;
+            ctx.logger.info(t('buscandoPeriodoDeComparacao', inicioDaComparacao, fimDaComparacao));
+            const anterior = await calcularPeriodo({ ...parametros, inicio: inicioDaComparacao, fim: fimDaComparacao, agrupamento: null, prs: false });
+            relatorio.comparacao = compararRelatorios(relatorio, anterior);
+        }
+
+        // Falhas dos dois períodos; vazio quando os totais estão completos
+        relatorio.dadosIncompletos = ctx.falhas.listar();
+        if (ctx.falhas.quantidade > 0) {
+            ctx.logger.aviso(t('dadosIncompletosAviso', ctx.falhas.quantidade));
+        }
+
+        // Com falhas, o checkpoint é mantido: --retomar busca de novo apenas o que falhou
+        checkpoints.forEach(checkpoint => checkpoint.finalizar(ctx.falhas.quantidade === 0));
+        if (parametros.gravar) {
+            ctx.logger.info(t('respostasGravadas', ctx.gravacao.gravadas, parametros.gravar));
+        }
+        return relatorio;
+    } catch (e) {
+        // Erros (ex: cota esgotada) também gravam o checkpoint, para retomar depois
+        checkpoints.forEach(checkpoint => checkpoint.finalizar(false));
+        throw e;
+    }
+}
+
+/**
+ * Coleta commits e estatísticas e monta o relatório (corpo de getStats)
+ */
+async function calcularRelatorio(ctx, parametros, usuarios) {
+    const { inicio, fim, org, tipoData, agrupamento } = parametros;
+    const encontrados = await coletarCommits(ctx, parametros, usuarios);
+
+    // Cada commit tem suas estatísticas buscadas uma única vez, mesmo se atribuído a vários usuários
+    const commitsUnicos = new Map();
+    for (const commit of encontrados) {
+        const chave = `${commit.repo}:${commit.sha}`;
+        if (!commitsUnicos.has(chave)) {
+            commitsUnicos.set(chave, commit);
+        }
+    }
+
+    if (commitsUnicos.size > 0) {
+        ctx.logger.info(t('processandoCommits', commitsUnicos.size));
+    }
+
+    // Um item de progresso por commit
+    const progresso = ctx.criarProgresso(commitsUnicos.size, t('etapaObtendoStats'));
+
+    // Buscar stats em paralelo, cada commit na sua fonte; commits do modo local já trazem as estatísticas
+    const statsUnicos = await mapearComConcorrencia(Array.from(commitsUnicos.values()), ctx.concorrencia, async (commit) => {
+        const fonte = ctx.fontes[commit.fonte || 0];
+        const repo = commit.repoNaFonte || commit.repo;
+        let stats = commit.stats || (fonte.checkpoint && fonte.checkpoint.statsDoCommit(repo, commit.sha));
+        if (!stats) {
+            try {
+                stats = await commits.getCommitStats(fonte, repo, commit.sha);
+                if (fonte.checkpoint) {
+                    fonte.checkpoint.registrarStats(repo, commit.sha, stats);
+                }
+            } catch (e) {
+                if (ehErroFatal(e)) throw e;
+                // O commit conta sem linhas; a falha fica em dadosIncompletos (e fora do checkpoint)
+                fonte.registrarFalha('stats', repo, commit.sha, e);
+                stats = { additions: 0, deletions: 0, arquivos: [] };
+            }
+        }
+        progresso.update(1, commit.repo);
+        return commits.aplicarExclusoes(stats, ctx.ehCaminhoExcluido);
+    });
+
+    if (commitsUnicos.size > 0) {
+        progresso.complete();
+    }
+    for (const fonte of ctx.fontes) {
+        if (fonte.cache.habilitado && fonte.cache.acertos > 0) {
+            ctx.logger.info(t('respostasDoCache', fonte.cache.acertos, fonte.cache.diretorio));
+        }
+    }
+
+    // Distribuição com todos os commits, antes de --limite-outlier: os fora da curva também aparecem nela
+    const unicos = Array.from(commitsUnicos.values());
+    const tamanhos = distribuirTamanhos(unicos.map((commit, indice) => ({ ...commit, additions: statsUnicos[indice].additions, deletions: statsUnicos[indice].deletions })));
+    const { stats: statsConsiderados, outliers } = aplicarLimiteDeOutlier(unicos, statsUnicos, parametros.limiteOutlier, parametros.modoOutlier);
+    if (outliers && outliers.commits.length > 0) {
+        ctx.logger.info(t('commitsForaDaCurva', outliers.commits.length, formatarNumero(outliers.limite), outliers.modo));
+    }
+
+    // Commits excluídos por --limite-outlier (stats null) ficam fora de todos os totais
+    const statsPorChave = new Map(Array.from(commitsUnicos.keys()).map((chave, indice) => [chave, statsConsiderados[indice]]));
+    const considerados = encontrados.filter(commit => statsPorChave.get(`${commit.repo}:${commit.sha}`) !== null);
+    const statsPorCommit = considerados.map(commit => statsPorChave.get(`${commit.repo}:${commit.sha}`));
+    const { totais, results, porUsuario, porLinguagem, ignorado, atribuicao, porBranch, commits: commitsComStats } = agregarEstatisticas(considerados, statsPorCommit, usuarios);
+
+    const relatorio = {
+        parametros: {
+            usuario: usuarios.length === 1 ? usuarios[0] : null,
+            usuarios,
+            time: usuarios.length > 1 ? parametros.time : null,
+            inicio,
+            fim,
+            org,
+            // Fontes consultadas (vazio no modo local); com mais de uma, os repositórios têm o host como prefixo
+            fontes: parametros.local.length > 0 ? [] : ctx.fontes.map(fonte => ({ provedor: fonte.provedor.nome, host: fonte.rotulo, org: fonte.org })),
+            tipoData,
+            agrupamento,
+            idioma: parametros.idioma,
+            exclusoes: parametros.exclusoes,
+            semMerges: parametros.semMerges,
+            incluirRepo: parametros.incluirRepo,
+            excluirRepo: parametros.excluirRepo,
+            semArquivados: parametros.semArquivados,
+            semForks: parametros.semForks,
+            branches: parametros.branches,
+            maxBranches: parametros.maxBranches,
+            maxPaginasPorBranch: parametros.maxPaginasPorBranch,
+            branchesAtivasDesde: parametros.branchesAtivasDesde,
+            identidades: parametros.arquivoDeIdentidades,
+            coautoria: parametros.coautoria,
+            prs: parametros.prs,
+            limiteOutlier: parametros.limiteOutlier,
+            modoOutlier: parametros.modoOutlier
+        },
+        totais,
+        results,
+        porUsuario,
+        porLinguagem,
+        ignorado,
+        atribuicao,
+        porBranch,
+        commits: commitsComStats,
+        tamanhos,
+        outliers
+    };
+
+    if (agrupamento) {
+        const { periodos, semData } = agruparPorPeriodo(commitsComStats, agrupamento, inicio, fim);
+        if (semData > 0) {
+            ctx.logger.aviso(t('commitsSemData', semData, tipoData));
+        }
+        relatorio.porPeriodo = periodos;
+    }
+
+    if (parametros.prs) {
+        ctx.logger.info(t('buscandoPullRequests'));
+        relatorio.prs = await buscarEstatisticasDePullRequests(ctx, usuarios, inicio, fim, org);
+    }
+
+    return relatorio;
+}
+
+/**
+ * Busca os commits (sem estatísticas) de um ou mais usuários no período
+ * Aceita as mesmas opções de getStats
+ */
+async function buscarCommits(opcoes = {}) {
+    const parametros = normalizarOpcoes(opcoes);
+    const ctx = criarContexto(parametros, { logger: opcoes.logger, onProgresso: opcoes.onProgresso });
+    const encontrados = await coletarCommits(ctx, parametros, await resolverUsuarios(ctx, parametros));
+    if (ctx.falhas.quantidade > 0) {
+        ctx.logger.aviso(t('dadosIncompletosAviso', ctx.falhas.quantidade));
+    }
+    return encontrados;
+}
+
+/**
+ * Estatísticas de um commit (adições, remoções e arquivos), já sem os caminhos excluídos
+ * Lança GitHubApiError se as estatísticas não puderem ser obtidas
+ * Opções: provedor, token, apiUrl, cache, diretorioCache, gravar, reproduzir, excluirCaminho, semExclusoesPadrao, logger
+ */
+async function getCommitStats(repo, sha, opcoes = {}) {
+    // Usuário e período não se aplicam a um commit isolado; valores fixos só para a validação
+    const parametros = normalizarOpcoes({ ...opcoes, usuario: 'commit-stats', inicio: '1970-01-01', local: [], prs: false });
+    const ctx = criarContexto(parametros, { logger: opcoes.logger });
+    const stats = await commits.getCommitStats(ctx, validacao.sanitizar(repo), validacao.sanitizar(sha));
+    return commits.aplicarExclusoes(stats, ctx.ehCaminhoExcluido);
+}
+
+module.exports = {
+    getStats,
+    buscarCommits,
+    getCommitStats,
+    formatarRelatorio,
+    formatarHtml,
+    IDIOMAS,
+    definirIdioma,
+    detectarIdioma,
+    validarUsuario: validacao.validarUsuario,
+    validarUsuarios: validacao.validarUsuarios,
+    validarOrganizacao: validacao.validarOrganizacao,
+    validarSlugDoTime: validacao.validarSlugDoTime,
+    validarFormatoData: validacao.validarFormatoData,
+    validarTipoData: validacao.validarTipoData,
+    validarFormatoSaida: validacao.validarFormatoSaida,
+    validarAgrupamento: validacao.validarAgrupamento,
+    validarGlob: validacao.validarGlob,
+    validarPadraoDeRepositorio: validacao.validarPadraoDeRepositorio,
+    validarConcorrencia: validacao.validarConcorrencia,
+    validarEsperaMaximaCota: validacao.validarEsperaMaximaCota,
+    validarDiretorio: validacao.validarDiretorio,
+    validarProvedor: validacao.validarProvedor,
+    validarFonte: validacao.validarFonte,
+    PROVEDORES: validacao.PROVEDORES,
+    GitHubClient,
+    GitHubApiError,
+    ehErroDeCota,
+    ehErroDeAutenticacao,
+    ehErroFatal,
+    ErroDeValidacao: validacao.ErroDeValidacao,
+    CacheEmDisco,
+    Gravacao
+};
@@ -0,0 +1,218 @@
+/**
+ * Agregação das estatísticas dos commits: totais, por repositório, usuário, linguagem e período
+ */
+
+const { ROTAS } = require('./identidades');
+const { linguagemDoArquivo } = require('./caminhos');
+
+const SEGUNDOS_POR_DIA = 24 * 60 * 60;
+
+/**
+ * Cria acumulador de estatísticas zerado
+ */
+function novoAcumulador() {
+    return { commits: 0, additions: 0, deletions: 0, total: 0 };
+}
+
+/**
+ * Soma as estatísticas de um commit ao acumulador
+ */
+function somarCommit(acumulador, stats) {
+    acumulador.commits++;
+    acumulador.additions += stats.additions;
+    acumulador.deletions += stats.deletions;
+    acumulador.total += stats.additions + stats.deletions;
+}
+
+/**
+ * Contador de commits por rota de atribuição, zerado
+ */
+function novaAtribuicao() {
+    return Object.fromEntries(ROTAS.map(rota => [rota, 0]));
+}
+
+/**
+ * Soma os arquivos de um commit ao total por linguagem
+ * O commit conta uma vez em cada linguagem que alterou
+ */
+function somarPorLinguagem(porLinguagem, arquivos) {
+    const doCommit = {};
+    for (const arquivo of arquivos) {
+        const linguagem = linguagemDoArquivo(arquivo.caminho);
+        if (!doCommit[linguagem]) {
+            doCommit[linguagem] = { additions: 0, deletions: 0 };
+        }
+        doCommit[linguagem].additions += arquivo.additions;
+        doCommit[linguagem].deletions += arquivo.deletions;
+    }
+    for (const [linguagem, stats] of Object.entries(doCommit)) {
+        if (!porLinguagem[linguagem]) {
+            porLinguagem[linguagem] = novoAcumulador();
+        }
+        somarCommit(porLinguagem[linguagem], stats);
+    }
+}
+
+/**
+ * Agrega commits e estatísticas em totais gerais, por repositório, por usuário e por linguagem
+ * Agrupa na ordem dos commits, independente da ordem de conclusão das requisições;
+ * um commit atribuído a mais de um usuário conta uma única vez nos totais gerais
+ * porBranch separa os commits encontrados na branch padrão dos encontrados só em outras
+ * branches (null quando a coleta não informa a branch, como na busca e no modo local)
+ */
+function agregarEstatisticas(commits, statsPorCommit, usuarios) {
+    const totais = novoAcumulador();
+    const results = {};
+    const porUsuario = {};
+    const porLinguagem = {};
+    const ignorado = { arquivos: 0, additions: 0, deletions: 0 };
+    const atribuicao = novaAtribuicao();
+    const porBranch = { padrao: novoAcumulador(), outras: novoAcumulador() };
+    let comBranch = false;
+    const lista = [];
+    const contados = new Set();
+
+    // Todos os usuários aparecem no ranking, mesmo sem commits
+    for (const usuario of usuarios) {
+        porUsuario[usuario] = { ...novoAcumulador(), repositorios: 0, atribuicao: novaAtribuicao(), results: {} };
+    }
+
+    commits.forEach((commit, indice) => {
+        const stats = statsPorCommit[indice];
+        // Rota pela qual o commit foi atribuído ao usuário (login, e-mail, nome ou co-autoria)
+        const rota = commit.rota || 'login';
+        atribuicao[rota]++;
+
+        const doUsuario = porUsuario[commit.usuario];
+        if (doUsuario) {
+            doUsuario.atribuicao[rota]++;
+            somarCommit(doUsuario, stats);
+            if (!doUsuario.results[commit.repo]) {
+                doUsuario.results[commit.repo] = novoAcumulador();
+            }
+            somarCommit(doUsuario.results[commit.repo], stats);
+        }
+
+        const chave = `${commit.repo}:${commit.sha}`;
+        if (contados.has(chave)) return;
+        contados.add(chave);
+
+        if (!results[commit.repo]) {
+            results[commit.repo] = novoAcumulador();
+        }
+        somarCommit(results[commit.repo], stats);
+        somarCommit(totais, stats);
+        somarPorLinguagem(porLinguagem, stats.arquivos || []);
+        if (commit.branch) {
+            comBranch = true;
+            somarCommit(commit.branchPadrao ? porBranch.padrao : porBranch.outras, stats);
+        }
+        if (stats.ignorado) {
+            ignorado.arquivos += stats.ignorado.arquivos;
+            ignorado.additions += stats.ignorado.additions;
+            ignorado.deletions += stats.ignorado.deletions;
+        }
+
+        lista.push({
+            repo: commit.repo,
+            sha: commit.sha,
+            date: commit.date || null,
+            usuario: commit.usuario || null,
+            rota,
+            branch: commit.branch || null,
+            branchPadrao: commit.branch ? Boolean(commit.branchPadrao) : null,
+            mensagem: commit.mensagem || null,
+            additions: stats.additions,
+            deletions: stats.deletions
+        });
+    });
+
+    for (const doUsuario of Object.values(porUsuario)) {
+        doUsuario.repositorios = Object.keys(doUsuario.results).length;
+    }
+
+    return { totais, results, porUsuario, porLinguagem, ignorado, atribuicao, porBranch: comBranch ? porBranch : null, commits: lista };
+}
+
+/**
+ * Chave do período (UTC) que contém a data: AAAA-MM-DD (dia), AAAA-Www (semana ISO) ou AAAA-MM (mês)
+ * Retorna também a data de início do período, usada para ordenar e exibir
+ */
+function periodoDaData(data, agrupamento) {
+    const dia = new Date(Date.UTC(data.getUTCFullYear(), data.getUTCMonth(), data.getUTCDate()));
+
+    if (agrupamento === 'mes') {
+        const inicio = new Date(Date.UTC(dia.getUTCFullYear(), dia.getUTCMonth(), 1));
+        return { periodo: inicio.toISOString().slice(0, 7), inicio: inicio.toISOString().slice(0, 10) };
+    }
+
+    if (agrupamento === 'semana') {
+        // Semanas ISO 8601 começam na segunda-feira; o ano da semana é o da sua quinta-feira
+        const diaDaSemana = (dia.getUTCDay() + 6) % 7;
+        const segunda = new Date(dia.getTime() - diaDaSemana * SEGUNDOS_POR_DIA * 1000);
+        const quinta = new Date(segunda.getTime() + 3 * SEGUNDOS_POR_DIA * 1000);
+        const primeiroDeJaneiro = Date.UTC(quinta.getUTCFullYear(), 0, 1);
+        const semana = Math.floor((quinta.getTime() - primeiroDeJaneiro) / (7 * SEGUNDOS_POR_DIA * 1000)) + 1;
+        return {
+            periodo: `${quinta.getUTCFullYear()}-W${String(semana).padStart(2, '0')}`,
+            inicio: segunda.toISOString().slice(0, 10)
+        };
+    }
+
+    const chave = dia.toISOString().slice(0, 10);
+    return { periodo: chave, inicio: chave };
+}
+
+/**
+ * Agrupa commits (já deduplicados) em uma série temporal contínua
+ * Todos os períodos entre início e fim aparecem, mesmo sem commits, para o gráfico não pular intervalos;
+ * commits sem data (ou fora do período) são contados à parte em semData
+ */
+function agruparPorPeriodo(commits, agrupamento, inicio, fim) {
+    const periodos = new Map();
+    const ultimoDia = new Date(`${fim}T00:00:00Z`).getTime();
+    for (let ms = new Date(`${inicio}T00:00:00Z`).getTime(); ms <= ultimoDia; ms += SEGUNDOS_POR_DIA * 1000) {
+        const { periodo, inicio: inicioDoPeriodo } = periodoDaData(new Date(ms), agrupamento);
+        if (!periodos.has(periodo)) {
+            periodos.set(periodo, { periodo, inicio: inicioDoPeriodo, ...novoAcumulador() });
+        }
+    }
+
+    let semData = 0;
+    for (const commit of commits) {
+        const data = commit.date ? new Date(commit.date) : null;
+        const doPeriodo = data && !isNaN(data.getTime()) ? periodos.get(periodoDaData(data, agrupamento).periodo) : null;
+        if (!doPeriodo) {
+            semData++;
+            continue;
+        }
+        somarCommit(doPeriodo, commit);
+    }
+
+    return { periodos: Array.from(periodos.values()), semData };
+}
+
+/**
+ * Agrupa por repositório e branch os commits (já deduplicados) encontrados apenas fora
+ * da branch padrão, ordenados pelo total de linhas alteradas
+ */
+function agruparForaDaBranchPadrao(commits) {
+    const grupos = new Map();
+    for (const commit of commits) {
+        if (commit.branchPadrao !== false) continue;
+        const chave = `${commit.repo}:${commit.branch}`;
+        if (!grupos.has(chave)) {
+            grupos.set(chave, { repo: commit.repo, branch: commit.branch, ...novoAcumulador() });
+        }
+        somarCommit(grupos.get(chave), commit);
+    }
+    return Array.from(grupos.values()).sort((a, b) => b.total - a.total || a.repo.localeCompare(b.repo) || a.branch.localeCompare(b.branch));
+}
+
+module.exports = {
+    novoAcumulador,
+    agregarEstatisticas,
+    agruparForaDaBranchPadrao,
+    periodoDaData,
+    agruparPorPeriodo
+};
@@ -0,0 +1,162 @@
+/**
+ * Cache em disco para dados da API do GitHub (ou do GitLab/Gitea, um diretório por host)
+ * Estatísticas de commits são imutáveis (repo + sha) e ficam armazenadas permanentemente;
+ * listagens (repositórios da organização, branches) expiram após um TTL
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TTL_REPOSITORIOS = 24 * 60 * 60 * 1000;  // 24 horas
+const TTL_BRANCHES = 60 * 60 * 1000;  // 1 hora (branches mudam com mais frequência)
+
+/**
+ * Diretório padrão do cache: COMMIT_STATS_CACHE_DIR, $XDG_CACHE_HOME/commit-stats ou ~/.cache/commit-stats
+ */
+function diretorioPadrao() {
+    if (process.env.COMMIT_STATS_CACHE_DIR) {
+        return path.resolve(process.env.COMMIT_STATS_CACHE_DIR);
+    }
+    const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+    return path.join(base, 'commit-stats');
+}
+
+/**
+ * Converte um nome em componente de caminho seguro
+ * Nomes de repositório já são sanitizados; isto só evita separadores e '..'
+ */
+function componenteSeguro(nome) {
+    return String(nome).replace(/[^a-zA-Z0-9._-]/g, '_').replace(/^\.+/, '_');
+}
+
+class CacheEmDisco {
+    /**
+     * @param {Object} opcoes
+     * @param {string} [opcoes.diretorio] Diretório raiz do cache
+     * @param {string} [opcoes.namespace] Separação por origem dos dados (ex: host da API)
+     * @param {boolean} [opcoes.habilitado] false desativa leitura e gravação
+     */
+    constructor({ diretorio = diretorioPadrao(), namespace = 'api.github.com', habilitado = true } = {}) {
+        this.raiz = diretorio;
+        this.diretorio = path.join(diretorio, componenteSeguro(namespace));
+        this.habilitado = habilitado;
+        this.acertos = 0;
+        this.falhas = 0;
+    }
+
+    lerJson(arquivo) {
+        try {
+            return JSON.parse(fs.readFileSync(arquivo, 'utf-8'));
+        } catch (e) {
+            // Arquivo ausente ou corrompido: tratado como ausência no cache
+            return null;
+        }
+    }
+
+    /**
+     * Grava de forma atômica (arquivo temporário + rename) para não deixar
+     * entradas corrompidas se o processo for interrompido
+     */
+    gravarJson(arquivo, dados) {
+        try {
+            fs.mkdirSync(path.dirname(arquivo), { recursive: true });
+            const temporario = `${arquivo}.${process.pid}.tmp`;
+            fs.writeFileSync(temporario, JSON.stringify(dados), 'utf-8');
+            fs.renameSync(temporario, arquivo);
+        } catch (e) {
+            // Falha ao gravar não interrompe a execução
+        }
+    }
+
+    arquivoDeStats(repo, sha) {
+        // Projetos do GitLab podem estar em subgrupos (grupo/subgrupo/projeto)
+        const [owner, ...nome] = repo.split('/');
+        return path.join(this.diretorio, 'commits', componenteSeguro(owner), componenteSeguro(nome.join('/') || '_'), `${componenteSeguro(sha)}.json`);
+    }
+
+    /**
+     * Chaves de listagens são arrays de componentes (ex: ['branches', owner, repo]),
+     * mapeados para subdiretórios para evitar colisões entre nomes
+     */
+    arquivoDeLista(chave) {
+        const componentes = [].concat(chave).map(componenteSeguro);
+        const arquivo = `${componentes.pop()}.json`;
+        return path.join(this.diretorio, 'listas', ...componentes, arquivo);
+    }
+
+    /**
+     * Retorna estatísticas armazenadas de um commit, ou null
+     * Entradas rejeitadas por ehValido (ex: formato antigo) contam como ausentes
+     */
+    lerStats(repo, sha, ehValido = () => true) {
+        if (!this.habilitado) return null;
+        let dados = this.lerJson(this.arquivoDeStats(repo, sha));
+        if (dados && !ehValido(dados)) {
+            dados = null;
+        }
+        if (dados) {
+            this.acertos++;
+        } else {
+            this.falhas++;
+        }
+        return dados;
+    }
+
+    gravarStats(repo, sha, stats) {
+        if (!this.habilitado) return;
+        this.gravarJson(this.arquivoDeStats(repo, sha), stats);
+    }
+
+    /**
+     * Retorna uma listagem armazenada, ou null se ausente, mais antiga que o TTL
+     * ou com algum item rejeitado por ehValido (ex: formato antigo)
+     */
+    lerLista(chave, ttl, ehValido = () => true) {
+        if (!this.habilitado) return null;
+        const entrada = this.lerJson(this.arquivoDeLista(chave));
+        if (!entrada || !Array.isArray(entrada.dados) || Date.now() - entrada.criadoEm > ttl || !entrada.dados.every(ehValido)) {
+            this.falhas++;
+            return null;
+        }
+        this.acertos++;
+        return entrada.dados;
+    }
+
+    gravarLista(chave, dados) {
+        if (!this.habilitado) return;
+        this.gravarJson(this.arquivoDeLista(chave), { criadoEm: Date.now(), dados });
+    }
+
+    /**
+     * Remove todo o cache (todas as origens)
+     * Apaga apenas os subdiretórios criados pelo cache, nunca a raiz inteira,
+     * já que ela pode ter sido apontada para um diretório existente
+     */
+    limpar() {
+        let origens = [];
+        try {
+            origens = fs.readdirSync(this.raiz, { withFileTypes: true }).filter(e => e.isDirectory());
+        } catch (e) {
+            return;
+        }
+        for (const origem of origens) {
+            const diretorio = path.join(this.raiz, origem.name);
+            for (const subdiretorio of ['commits', 'listas']) {
+                fs.rmSync(path.join(diretorio, subdiretorio), { recursive: true, force: true });
+            }
+            try {
+                fs.rmdirSync(diretorio);
+            } catch (e) {
+                // Diretório com outros arquivos: mantido
+            }
+        }
+    }
+}
+
+module.exports = {
+    CacheEmDisco,
+    diretorioPadrao,
+    TTL_REPOSITORIOS,
+    TTL_BRANCHES
+};
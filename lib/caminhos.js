@@ -0,0 +1,134 @@
+/**
+ * Filtros de caminhos de arquivos (--excluir-caminho) e classificação por linguagem
+ * Usados para que arquivos gerados, lockfiles e dependências vendorizadas não inflem os totais
+ */
+
+const path = require('path');
+
+// Exclusões aplicadas por padrão (desativáveis com --sem-exclusoes-padrao)
+const EXCLUSOES_PADRAO = [
+    'package-lock.json',
+    'npm-shrinkwrap.json',
+    'yarn.lock',
+    'pnpm-lock.yaml',
+    'composer.lock',
+    'Gemfile.lock',
+    'Cargo.lock',
+    'poetry.lock',
+    'Pipfile.lock',
+    'go.sum',
+    '*.min.js',
+    '*.min.css',
+    '*.map',
+    '**/node_modules/**',
+    '**/vendor/**',
+    '**/dist/**'
+];
+
+const LINGUAGENS_POR_EXTENSAO = {
+    js: 'JavaScript', jsx: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript',
+    ts: 'TypeScript', tsx: 'TypeScript', mts: 'TypeScript', cts: 'TypeScript',
+    py: 'Python', rb: 'Ruby', go: 'Go', rs: 'Rust', php: 'PHP',
+    java: 'Java', kt: 'Kotlin', kts: 'Kotlin', scala: 'Scala', groovy: 'Groovy',
+    swift: 'Swift', m: 'Objective-C', mm: 'Objective-C', dart: 'Dart',
+    c: 'C', h: 'C', cc: 'C++', cpp: 'C++', cxx: 'C++', hpp: 'C++', hh: 'C++',
+    cs: 'C#', fs: 'F#', vb: 'Visual Basic',
+    ex: 'Elixir', exs: 'Elixir', erl: 'Erlang', hs: 'Haskell', clj: 'Clojure', lua: 'Lua', r: 'R',
+    sh: 'Shell', bash: 'Shell', zsh: 'Shell', ps1: 'PowerShell',
+    html: 'HTML', htm: 'HTML', css: 'CSS', scss: 'CSS', sass: 'CSS', less: 'CSS',
+    vue: 'Vue', svelte: 'Svelte', sql: 'SQL', tf: 'Terraform', proto: 'Protocol Buffers',
+    json: 'JSON', yml: 'YAML', yaml: 'YAML', toml: 'TOML', xml: 'XML',
+    md: 'Markdown', mdx: 'Markdown', rst: 'reStructuredText', txt: 'Texto'
+};
+
+const LINGUAGENS_POR_NOME = {
+    Dockerfile: 'Dockerfile',
+    Makefile: 'Makefile',
+    Jenkinsfile: 'Groovy',
+    Rakefile: 'Ruby',
+    Gemfile: 'Ruby'
+};
+
+// Linhas do commit que a API não detalhou por arquivo (commits com mais de 3000 arquivos)
+const LINGUAGEM_NAO_LISTADA = '(não listados)';
+
+/**
+ * Converte um glob em expressão regular
+ * Sem '/' o padrão vale para o nome do arquivo em qualquer diretório (como no .gitignore);
+ * com '/' é relativo à raiz do repositório. '**' atravessa diretórios, '*' e '?' não
+ */
+function globParaRegex(glob) {
+    let padrao = glob.replace(/^\.?\//, '').replace(/\/$/, '/**');
+    if (!padrao.includes('/')) {
+        padrao = `**/${padrao}`;
+    }
+
+    let regex = '';
+    for (let i = 0; i < padrao.length; i++) {
+        const caractere = padrao[i];
+        if (padrao.startsWith('**/', i)) {
+            regex += '(?:.*/)?';
+            i += 2;
+        } else if (padrao.startsWith('**', i)) {
+            regex += '.*';
+            i += 1;
+        } else if (caractere === '*') {
+            regex += '[^/]*';
+        } else if (caractere === '?') {
+            regex += '[^/]';
+        } else {
+            regex += caractere.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${regex}$`);
+}
+
+/**
+ * Converte um padrão de --incluir-repo/--excluir-repo em expressão regular
+ * "/expr/flags" é usado como expressão regular; o restante, como glob sem
+ * diferenciar maiúsculas/minúsculas (como os nomes de repositório no GitHub)
+ */
+function padraoParaRegex(padrao) {
+    const regex = /^\/(.+)\/([a-z]*)$/.exec(padrao);
+    if (regex) {
+        return new RegExp(regex[1], regex[2]);
+    }
+    return new RegExp(globParaRegex(padrao).source, 'i');
+}
+
+/**
+ * Cria função que indica se um caminho deve ser ignorado
+ */
+function criarFiltroDeCaminhos(globs) {
+    const regexes = globs.map(globParaRegex);
+    return caminho => Boolean(caminho) && regexes.some(regex => regex.test(caminho));
+}
+
+/**
+ * Linguagem de um arquivo pela extensão (ou nome, para Dockerfile e afins)
+ * Extensões desconhecidas aparecem como a própria extensão (ex: ".lock")
+ */
+function linguagemDoArquivo(caminho) {
+    if (!caminho) {
+        return LINGUAGEM_NAO_LISTADA;
+    }
+    const nome = path.posix.basename(caminho);
+    if (LINGUAGENS_POR_NOME[nome]) {
+        return LINGUAGENS_POR_NOME[nome];
+    }
+    const extensao = path.posix.extname(nome).slice(1).toLowerCase();
+    // Extensões com caracteres incomuns não viram rótulo (evita quebrar tabelas e CSV)
+    if (!/^[a-z0-9_+-]{1,10}$/.test(extensao)) {
+        return 'Outros';
+    }
+    return LINGUAGENS_POR_EXTENSAO[extensao] || `.${extensao}`;
+}
+
+module.exports = {
+    EXCLUSOES_PADRAO,
+    LINGUAGEM_NAO_LISTADA,
+    globParaRegex,
+    padraoParaRegex,
+    criarFiltroDeCaminhos,
+    linguagemDoArquivo
+};
@@ -0,0 +1,156 @@
+/**
+ * Checkpoint da varredura de organizações (--org) para retomar execuções interrompidas (--retomar)
+ * Registra os repositórios já varridos (com seus commits) e as estatísticas já obtidas; ao retomar,
+ * apenas o que falta é buscado e o relatório final é o mesmo de uma execução sem interrupção
+ * O arquivo fica no diretório do cache, identificado pelos parâmetros que definem a coleta
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { t } = require('./idioma');
+
+const VERSAO = 2;
+const INTERVALO_DE_GRAVACAO = 5000;  // 5 segundos entre gravações durante a coleta
+
+/**
+ * Identificador dos parâmetros que definem quais commits são coletados
+ * Exclusões de caminho não entram: as estatísticas ficam gravadas antes de aplicá-las
+ */
+function chaveDosParametros(dados) {
+    return crypto.createHash('sha256').update(JSON.stringify(dados)).digest('hex').slice(0, 16);
+}
+
+class Checkpoint {
+    /**
+     * @param {Object} opcoes
+     * @param {string} opcoes.diretorio Diretório dos checkpoints
+     * @param {Object} opcoes.parametros Parâmetros da coleta (usuários, período, org, filtros...)
+     * @param {Object} opcoes.logger { info, aviso }
+     */
+    constructor({ diretorio, parametros, logger }) {
+        this.chave = chaveDosParametros(parametros);
+        this.arquivo = path.join(diretorio, `${this.chave}.json`);
+        this.logger = logger;
+        this.repositorios = new Map();
+        this.stats = new Map();
+        this.ultimaGravacao = Date.now();
+        this.pendente = false;
+        this.ativo = false;
+        // Ctrl-C e sinais de término encerram com process.exit (ver CLI), que dispara 'exit'
+        this.aoSair = () => this.finalizar(false);
+    }
+
+    existe() {
+        return fs.existsSync(this.arquivo);
+    }
+
+    /**
+     * Carrega o checkpoint gravado para os mesmos parâmetros
+     * Retorna false se não houver arquivo ou se ele for de outra versão ou estiver corrompido
+     */
+    carregar() {
+        let dados;
+        try {
+            dados = JSON.parse(fs.readFileSync(this.arquivo, 'utf-8'));
+        } catch (e) {
+            return false;
+        }
+        if (!dados || dados.versao !== VERSAO || dados.chave !== this.chave || !dados.repositorios || !dados.stats) {
+            return false;
+        }
+        this.repositorios = new Map(Object.entries(dados.repositorios));
+        this.stats = new Map(Object.entries(dados.stats));
+        return true;
+    }
+
+    /**
+     * Passa a gravar o checkpoint se a execução terminar antes de finalizar(true)
+     */
+    iniciar() {
+        this.ativo = true;
+        process.on('exit', this.aoSair);
+    }
+
+    /**
+     * Commits de um repositório já varrido, ou null
+     */
+    commitsDoRepositorio(repo) {
+        return this.repositorios.get(repo) || null;
+    }
+
+    registrarRepositorio(repo, commits) {
+        this.repositorios.set(repo, commits);
+        this.alterado();
+    }
+
+    /**
+     * Estatísticas (antes das exclusões de caminho) de um commit já obtido, ou null
+     */
+    statsDoCommit(repo, sha) {
+        return this.stats.get(`${repo}:${sha}`) || null;
+    }
+
+    registrarStats(repo, sha, stats) {
+        this.stats.set(`${repo}:${sha}`, stats);
+        this.alterado();
+    }
+
+    alterado() {
+        this.pendente = true;
+        if (Date.now() - this.ultimaGravacao >= INTERVALO_DE_GRAVACAO) {
+            this.salvar();
+        }
+    }
+
+    /**
+     * Grava de forma atômica (arquivo temporário + rename), como o cache
+     * Síncrono para poder ser chamado no evento 'exit' do processo
+     */
+    salvar() {
+        this.ultimaGravacao = Date.now();
+        this.pendente = false;
+        try {
+            fs.mkdirSync(path.dirname(this.arquivo), { recursive: true });
+            const temporario = `${this.arquivo}.${process.pid}.tmp`;
+            fs.writeFileSync(temporario, JSON.stringify({
+                versao: VERSAO,
+                chave: this.chave,
+                atualizadoEm: new Date().toISOString(),
+                repositorios: Object.fromEntries(this.repositorios),
+                stats: Object.fromEntries(this.stats)
+            }), 'utf-8');
+            fs.renameSync(temporario, this.arquivo);
+            return true;
+        } catch (e) {
+            this.logger.aviso(t('checkpointNaoGravado', this.arquivo, e.message));
+            return false;
+        }
+    }
+
+    /**
+     * Encerra o checkpoint: concluída a coleta, o arquivo é removido;
+     * em caso de interrupção, o progresso é gravado para --retomar
+     */
+    finalizar(concluido) {
+        if (!this.ativo) return;
+        this.ativo = false;
+        process.removeListener('exit', this.aoSair);
+
+        if (concluido) {
+            fs.rmSync(this.arquivo, { force: true });
+            return;
+        }
+        if (this.repositorios.size === 0 && this.stats.size === 0) {
+            return;
+        }
+        if ((!this.pendente && this.existe()) || this.salvar()) {
+            this.logger.info(t('progressoSalvo', this.repositorios.size, this.stats.size, this.arquivo));
+            this.logger.info(t('comoRetomar'));
+        }
+    }
+}
+
+module.exports = {
+    Checkpoint
+};
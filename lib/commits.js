@@ -0,0 +1,729 @@
+/**
+ * Coleta de commits e estatísticas pela API do provedor (GitHub, GitLab ou Gitea)
+ * Todas as funções recebem o contexto da execução (ctx, ver lib/contexto.js) com provedor
+ * (lib/provedores), cliente da API, cache, filtros, logger e progresso
+ * A busca de commits (sem --org) e os membros de times usam endpoints exclusivos do GitHub
+ */
+
+const { ehErroFatal } = require('./github_client');
+const { TTL_REPOSITORIOS, TTL_BRANCHES } = require('./cache');
+const { identidadeDoUsuario, ehCoautor, rotaExataDoAutor } = require('./identidades');
+const { mapearComConcorrencia } = require('./concorrencia');
+const { ErroDeValidacao, sanitizar, primeiraLinha } = require('./validacao');
+const { t } = require('./idioma');
+
+// Constantes de configuração
+const API_TIMEOUT = 90000;  // 90 segundos (aumentado para muitos commits)
+const MAX_PAGE_SIZE = 100;  // GitHub Search API: max 100 itens por página
+const MAX_SEARCH_RESULTS = 1000;  // GitHub Search API: max 1000 resultados totais
+const MAX_REPOS_PER_ORG = 1000;  // Limite de segurança para organizações muito grandes
+const SEGUNDOS_POR_DIA = 24 * 60 * 60;
+const MAX_BRANCHES_LISTADAS = 1000;  // Limite de segurança da listagem de branches de um repositório
+
+// Padrões de branches principais (estratégia "principais" e prioridade na estratégia "todas")
+const PADROES_DE_BRANCHES_PRINCIPAIS = [
+    'main', 'master',
+    'develop', 'development', 'dev',
+    'staging', 'stage', 'stg',
+    'production', 'prod',
+    'release', 'hotfix',
+    'test', 'testing', 'qa'
+];
+
+/**
+ * Constrói query de busca para API do GitHub
+ * Usa valores validados e sanitizados; o critério de autor (ex: author:login) já vem codificado para URL
+ */
+function buildQuery(ctx, criterioDeAutor, inicio, fim, orgValidada, tipoDataValidado) {
+    const dataField = `${tipoDataValidado}-date`;
+    let query = `${criterioDeAutor}+${dataField}:${inicio}..${fim}`;
+    if (orgValidada) {
+        query += `+org:${orgValidada}`;
+    }
+    if (ctx.semMerges) {
+        query += '+merge:false';
+    }
+    // Ordenar do mais recente para o mais antigo
+    query += `+sort:${dataField}-desc`;
+    return query;
+}
+
+/**
+ * Lista os membros (logins) de um time da organização
+ */
+async function buscarMembrosDoTime(ctx, orgValidada, slug) {
+    const membros = [];
+    const paginas = ctx.cliente.paginas(`orgs/${orgValidada}/teams/${slug}/members`, { per_page: MAX_PAGE_SIZE });
+    for await (const { data } of paginas) {
+        for (const item of data) {
+            const login = sanitizar(item.login);
+            if (login) membros.push(login);
+        }
+    }
+    return membros;
+}
+
+/**
+ * Lista todos os repositórios de uma organização (no GitLab, do grupo e seus subgrupos)
+ */
+async function buscarRepositoriosDaOrganizacao(ctx, orgValidada) {
+    const chaveCache = ['repos', orgValidada];
+    const emCache = ctx.cache.lerLista(chaveCache, TTL_REPOSITORIOS, item => typeof item === 'object' && item !== null);
+    if (emCache) {
+        return emCache;
+    }
+
+    const repos = [];
+    let page = 1;
+    let completo = true;
+
+    try {
+        for await (const pagina of ctx.provedor.listarRepositorios(ctx.cliente, orgValidada)) {
+            for (const repo of pagina) {
+                if (repo.nome) repos.push(repo);
+            }
+
+            if (repos.length >= MAX_REPOS_PER_ORG) break;
+            page++;
+        }
+    } catch (e) {
+        if (ehErroFatal(e)) throw e;
+        ctx.logger.aviso(t('erroAoBuscarRepositorios', page));
+        ctx.registrarFalha('repositorios', orgValidada, t('paginaDaListagem', page), e);
+        completo = false;
+    }
+
+    // Apenas listagens completas vão para o cache
+    if (completo) {
+        ctx.cache.gravarLista(chaveCache, repos);
+    }
+
+    return repos;
+}
+
+/**
+ * Indica se o nome corresponde a uma branch principal (ex: "develop", "release-2.0", "app-prod")
+ */
+function ehBranchPrincipal(nome) {
+    const minusculo = nome.toLowerCase();
+    return PADROES_DE_BRANCHES_PRINCIPAIS.some(padrao => minusculo === padrao || minusculo.startsWith(padrao + '-') || minusculo.endsWith('-' + padrao));
+}
+
+/**
+ * Lista branches de um repositório via API do provedor
+ * Retorna [{ nome, padrao }], com a branch padrão primeiro; na estratégia "padrao"
+ * (--branches padrao) apenas a branch padrão é obtida, sem listar as demais
+ */
+async function buscarBranchesDoRepositorio(ctx, repo) {
+    const apenasPadrao = ctx.branches.estrategia === 'padrao';
+    const chaveCache = ['branches', ...repo.split('/'), ...(apenasPadrao ? ['padrao'] : [])];
+    // Entradas antigas (apenas nomes) são buscadas novamente
+    const emCache = ctx.cache.lerLista(chaveCache, TTL_BRANCHES, item => typeof item === 'object' && item !== null);
+    if (emCache) {
+        return emCache;
+    }
+
+    let completo = true;
+    const branches = [];
+    const seenNames = new Set();
+    let page = 1;
+
+    try {
+        // Primeiro, obter a branch padrão
+        const defaultBranch = await ctx.provedor.obterBranchPadrao(ctx.cliente, repo);
+
+        if (defaultBranch) {
+            branches.push({ nome: defaultBranch, padrao: true });
+            seenNames.add(defaultBranch);
+        }
+    } catch (e) {
+        if (ehErroFatal(e)) throw e;
+        // Se falhar ao obter branch padrão, continua sem ela
+        ctx.registrarFalha('branchPadrao', repo, null, e);
+        completo = false;
+    }
+
+    // Buscar todas as branches via API
+    try {
+        const paginas = apenasPadrao ? [] : ctx.provedor.listarBranches(ctx.cliente, repo);
+        for await (const nomes of paginas) {
+            for (const branchName of nomes) {
+                if (branchName && !seenNames.has(branchName)) {
+                    branches.push({ nome: branchName, padrao: false });
+                    seenNames.add(branchName);
+                }
+            }
+
+            if (branches.length >= MAX_BRANCHES_LISTADAS) break;
+            page++;
+        }
+    } catch (e) {
+        if (ehErroFatal(e)) throw e;
+        ctx.logger.aviso(t('erroAoBuscarBranches', page, repo));
+        ctx.registrarFalha('branches', repo, t('paginaDaListagem', page), e);
+        completo = false;
+    }
+
+    if (completo) {
+        ctx.cache.gravarLista(chaveCache, branches);
+    }
+
+    return branches;
+}
+
+/**
+ * Seleciona as branches a varrer conforme --branches, na ordem de prioridade:
+ * branch padrão, branches principais e demais, até --max-branches
+ * Com um glob (ou /regex/), a branch padrão é sempre incluída
+ */
+function selecionarBranches(ctx, branches) {
+    const { estrategia, regex, maximo } = ctx.branches;
+    const padrao = branches.filter(branch => branch.padrao);
+    const principais = branches.filter(branch => !branch.padrao && ehBranchPrincipal(branch.nome));
+    const demais = branches.filter(branch => !branch.padrao && !ehBranchPrincipal(branch.nome));
+
+    let selecionadas;
+    if (estrategia === 'padrao') {
+        selecionadas = padrao;
+    } else if (estrategia === 'principais') {
+        selecionadas = [...padrao, ...principais];
+    } else {
+        selecionadas = [...padrao, ...principais, ...demais];
+        if (regex) {
+            selecionadas = selecionadas.filter(branch => branch.padrao || regex.test(branch.nome));
+        }
+    }
+    return selecionadas.slice(0, maximo);
+}
+
+/**
+ * Indica se a branch tem commits a partir da data (--branches-ativas-desde)
+ * Na dúvida (erro da API), a branch é mantida
+ */
+async function branchAtivaDesde(ctx, repo, branch, data) {
+    try {
+        return await ctx.provedor.branchTemCommitsDesde(ctx.cliente, repo, branch, data);
+    } catch (e) {
+        if (ehErroFatal(e)) throw e;
+        return true;
+    }
+}
+
+/**
+ * Rota pela qual o autor de um commit (já convertido por lerCommit) corresponde à identidade, ou null
+ * Usada nos provedores sem filtro de autor na API: login da conta (Gitea), nome e e-mail
+ * do git comparados por igualdade (rotaExataDoAutor; a organização inteira passa por aqui,
+ * então a busca por trecho do modo local atribuiria commits de outras pessoas) e, com
+ * --coautoria, trailers Co-authored-by
+ */
+function rotaDoCommit(ctx, commit, identidade) {
+    const { login, nome, email } = commit.autor;
+    if (login && login.toLowerCase() === identidade.login.toLowerCase()) {
+        return 'login';
+    }
+    const rota = rotaExataDoAutor(nome || '', email || '', identidade, ctx.provedor.regexEmailNoreply);
+    if (rota) {
+        return rota;
+    }
+    return ctx.coautoria && ehCoautor(commit.mensagem, identidade) ? 'coautoria' : null;
+}
+
+/**
+ * Busca commits de um ou mais usuários em um repositório específico
+ * As branches são listadas uma única vez e consultadas para cada usuário e e-mail da identidade
+ * (o filtro author da API aceita login ou e-mail); com --coautoria, cada branch também é
+ * lida sem filtro de autor para encontrar trailers Co-authored-by
+ * Provedores sem filtro de autor (GitLab, Gitea) leem cada branch uma única vez e comparam
+ * o autor de cada commit com todas as identidades
+ * Cada commit fica com a primeira branch (na ordem de prioridade) em que foi encontrado
+ */
+async function buscarCommitsNoRepositorio(ctx, repo, usuarios, inicio, fim, tipoData) {
+    const commits = [];
+
+    // Buscar branches do repositório, conforme a estratégia e sem as inativas
+    let branches = selecionarBranches(ctx, await buscarBranchesDoRepositorio(ctx, repo));
+    if (ctx.branches.ativasDesde) {
+        const ativas = await mapearComConcorrencia(branches, ctx.concorrencia, branch => branchAtivaDesde(ctx, repo, branch.nome, ctx.branches.ativasDesde));
+        branches = branches.filter((branch, indice) => ativas[indice]);
+    }
+    const seen = new Set();  // Deduplicar commits por usuário + SHA
+
+    const identidadesDosUsuarios = [].concat(usuarios).map(usuario => identidadeDoUsuario(usuario, ctx.identidades));
+    const consultas = [];
+    for (const branch of branches) {
+        if (!ctx.provedor.filtraPorAutor) {
+            consultas.push({ branch, usuario: null, autor: null, rota: null });
+            continue;
+        }
+        for (const identidade of identidadesDosUsuarios) {
+            consultas.push({ branch, usuario: identidade.login, autor: identidade.login, rota: 'login' });
+            for (const email of identidade.emails) {
+                consultas.push({ branch, usuario: identidade.login, autor: email, rota: 'email' });
+            }
+        }
+        if (ctx.coautoria) {
+            consultas.push({ branch, usuario: null, autor: null, rota: 'coautoria' });
+        }
+    }
+
+    // Branches em paralelo; resultados combinados na ordem de prioridade das branches
+    const commitsPorBranch = await mapearComConcorrencia(consultas, ctx.concorrencia, async ({ branch, usuario, autor, rota }) => {
+        const branchCommits = [];
+        const origem = { branch: branch.nome, branchPadrao: branch.padrao };
+        try {
+            // Buscar commits na branch específica (limite de páginas por branch)
+            const paginas = ctx.provedor.listarCommits(ctx.cliente, repo, { branch: branch.nome, autor, inicio, fim, maxPaginas: ctx.branches.paginas });
+
+            for await (const itens of paginas) {
+                for (const item of itens) {
+                    try {
+                        const commit = ctx.provedor.lerCommit(item, tipoData);
+                        if (ctx.semMerges && commit.merge) continue;
+                        const { sha, data: dateField } = commit;
+                        const mensagem = primeiraLinha(commit.mensagem);
+
+                        if (!sha || !/^[a-f0-9]{40}$/i.test(sha) || !dateField) continue;
+
+                        if (rota === 'login' || rota === 'email') {
+                            branchCommits.push({ repo, sha, date: dateField, mensagem, usuario, rota, ...origem });
+                            continue;
+                        }
+                        // Sem filtro de autor: credita cada usuário que corresponde ao commit
+                        for (const identidade of identidadesDosUsuarios) {
+                            const rotaDoUsuario = rota === 'coautoria'
+                                ? (ehCoautor(commit.mensagem, identidade) ? rota : null)
+                                : rotaDoCommit(ctx, commit, identidade);
+                            if (rotaDoUsuario) {
+                                branchCommits.push({ repo, sha, date: dateField, mensagem, usuario: identidade.login, rota: rotaDoUsuario, ...origem });
+                            }
+                        }
+                    } catch (parseError) {
+                        // Item inválido: ignorado, mas registrado (o commit fica de fora dos totais)
+                        ctx.registrarFalha('item', repo, branch.nome, parseError);
+                    }
+                }
+            }
+        } catch (e) {
+            if (ehErroFatal(e)) throw e;
+            // Mantém o que foi obtido da branch; as páginas restantes ficam em dadosIncompletos
+            ctx.registrarFalha('commits', repo, autor ? `${branch.nome} (${autor})` : branch.nome, e);
+        }
+        return branchCommits;
+    });
+
+    for (const branchCommits of commitsPorBranch) {
+        for (const commit of branchCommits) {
+            const chave = `${commit.usuario}:${commit.sha}`;
+            if (!seen.has(chave)) {
+                seen.add(chave);
+                commits.push(commit);
+            }
+        }
+    }
+
+    return commits;
+}
+
+/**
+ * Busca commits de um ou mais usuários em todos os repositórios de uma organização
+ * A varredura de repositórios e branches é compartilhada entre os usuários
+ * Com checkpoint (ctx.checkpoint), repositórios já varridos vêm do arquivo e cada repositório
+ * concluído é registrado nele
+ */
+async function buscarCommitsPorOrganizacao(ctx, usuarios, inicio, fim, org, tipoData) {
+    ctx.logger.info(t('listandoRepositorios', org));
+    const encontrados = await buscarRepositoriosDaOrganizacao(ctx, org);
+
+    // Filtros aplicados antes da varredura de branches, a parte mais cara da busca
+    const repos = encontrados
+        .filter(repo => !(ctx.semArquivados && repo.arquivado) && !(ctx.semForks && repo.fork))
+        .map(repo => repo.nome)
+        .filter(ctx.repositorioPermitido);
+    const ignorados = encontrados.length - repos.length;
+    ctx.logger.info(t('repositoriosEncontrados', encontrados.length, ignorados));
+    if (encontrados.length >= MAX_REPOS_PER_ORG) {
+        ctx.logger.aviso(t('limiteDeRepositorios', MAX_REPOS_PER_ORG));
+        ctx.registrarFalha('repositorios', org, null, t('limiteDeRepositorios', MAX_REPOS_PER_ORG));
+    }
+
+    const allCommits = [];
+    const seen = new Set();  // Deduplicar por usuário + SHA
+
+    // Acompanhamento de progresso
+    const progresso = ctx.criarProgresso(repos.length, t('etapaBuscandoRepos'));
+
+    // Repositórios em paralelo; progresso atualizado conforme cada um termina
+    const commitsPorRepo = await mapearComConcorrencia(repos, ctx.concorrencia, async (repo) => {
+        const salvos = ctx.checkpoint && ctx.checkpoint.commitsDoRepositorio(repo);
+        if (salvos) {
+            progresso.update(1, `${repo} | ${t('commitsNoProgresso', salvos.length)} (checkpoint)`);
+            return salvos;
+        }
+
+        const commits = await buscarCommitsNoRepositorio(ctx, repo, usuarios, inicio, fim, tipoData);
+        // Repositórios com falhas não vão para o checkpoint: ao retomar, são varridos de novo
+        if (ctx.checkpoint && !ctx.falhouNoRepositorio(repo)) {
+            ctx.checkpoint.registrarRepositorio(repo, commits);
+        }
+
+        // Atualizar progresso com informações extras
+        const extraInfo = `${repo} | ${t('commitsNoProgresso', commits.length)}`;
+        progresso.update(1, extraInfo);
+
+        return commits;
+    });
+
+    // Combinar na ordem dos repositórios para manter o resultado determinístico
+    for (const commits of commitsPorRepo) {
+        for (const commit of commits) {
+            const chave = `${commit.usuario}:${commit.sha}`;
+            if (!seen.has(chave)) {
+                seen.add(chave);
+                allCommits.push(commit);
+            }
+        }
+    }
+
+    // Completar progresso
+    progresso.complete(t('totalDeCommits', allCommits.length));
+
+    // Ordenar por data descrescente
+    allCommits.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return allCommits;
+}
+
+/**
+ * Converte período YYYY-MM-DD..YYYY-MM-DD em janela de tempo (segundos UTC, limites inclusivos)
+ */
+function criarJanela(inicio, fim) {
+    return {
+        inicio: Date.parse(`${inicio}T00:00:00Z`) / 1000,
+        fim: Date.parse(`${fim}T23:59:59Z`) / 1000
+    };
+}
+
+/**
+ * Formata os limites de uma janela para o qualificador de data da busca
+ * Janelas alinhadas a dias usam YYYY-MM-DD; as demais usam data e hora (ISO 8601, UTC)
+ */
+function formatarJanela(janela) {
+    const alinhada = janela.inicio % SEGUNDOS_POR_DIA === 0 && (janela.fim + 1) % SEGUNDOS_POR_DIA === 0;
+    const formatar = segundos => {
+        const iso = new Date(segundos * 1000).toISOString();
+        return alinhada ? iso.slice(0, 10) : iso.replace(/\.\d{3}Z$/, 'Z');
+    };
+    return { inicio: formatar(janela.inicio), fim: formatar(janela.fim) };
+}
+
+/**
+ * Divide uma janela em duas metades, preferindo limites de dia
+ * Retorna null se a janela não puder mais ser dividida
+ */
+function dividirJanela(janela) {
+    const diaInicio = Math.floor(janela.inicio / SEGUNDOS_POR_DIA);
+    const diaFim = Math.floor(janela.fim / SEGUNDOS_POR_DIA);
+
+    let corte;
+    if (diaFim > diaInicio) {
+        corte = (Math.floor((diaInicio + diaFim) / 2) + 1) * SEGUNDOS_POR_DIA;
+    } else if (janela.fim > janela.inicio) {
+        // Um único dia com mais de 1000 commits: dividir por horário
+        corte = Math.floor((janela.inicio + janela.fim) / 2) + 1;
+    } else {
+        return null;
+    }
+
+    return [
+        { inicio: janela.inicio, fim: corte - 1 },
+        { inicio: corte, fim: janela.fim }
+    ];
+}
+
+/**
+ * Define os intervalos de busca para o período
+ * Enquanto o total_count de um intervalo passar do limite de 1000 resultados da
+ * busca, ele é dividido ao meio (bisseção recursiva do período)
+ * montarQuery(inicio, fim) recebe os limites formatados de cada intervalo; endpoint é o tipo de
+ * busca (commits ou issues/PRs), ambos sujeitos ao mesmo limite
+ * Retorna os intervalos do mais recente para o mais antigo, com query e total (null se desconhecido)
+ */
+async function planejarJanelasDeBusca(ctx, montarQuery, inicio, fim, endpoint = 'search/commits') {
+    const finais = [];
+    const pendentes = [criarJanela(inicio, fim)];
+
+    while (pendentes.length > 0) {
+        const janela = pendentes.pop();
+        const limites = formatarJanela(janela);
+        const query = montarQuery(limites.inicio, limites.fim);
+        const rotulo = `${limites.inicio}..${limites.fim}`;
+
+        let total = null;
+        try {
+            const { data } = await ctx.cliente.get(`${endpoint}?q=${query}`, { per_page: 1 });
+            total = parseInt(data.total_count, 10) || 0;
+        } catch (e) {
+            if (ehErroFatal(e)) throw e;
+            // Se falhar ao buscar o total, continua sem o contador
+            ctx.logger.aviso(t('totalIndisponivel', rotulo));
+        }
+
+        if (total !== null && total > MAX_SEARCH_RESULTS) {
+            const metades = dividirJanela(janela);
+            if (metades) {
+                pendentes.push(...metades);
+                continue;
+            }
+            ctx.logger.aviso(t('janelaIndivisivel', rotulo, total, MAX_SEARCH_RESULTS));
+            ctx.registrarFalha('busca', null, rotulo, t('janelaIndivisivel', rotulo, total, MAX_SEARCH_RESULTS));
+        }
+
+        if (total !== 0) {
+            finais.push({ ...janela, query, rotulo, total });
+        }
+    }
+
+    return finais.sort((a, b) => b.inicio - a.inicio);
+}
+
+/**
+ * Busca commits de um ou mais usuários via API do provedor da fonte (ctx.provedor)
+ * Aceita um usuário (string) ou uma lista de usuários (modo time)
+ * Sem organização, usa a busca de commits, disponível apenas no GitHub
+ */
+async function buscarCommits(ctx, usuariosValidados, inicio, fim, orgValidada, tipoDataValidado) {
+    const usuarios = [].concat(usuariosValidados);
+
+    // Sem busca global de commits no GitLab e no Gitea: a varredura parte da organização
+    if (!orgValidada && ctx.provedor.nome !== 'github') {
+        throw new ErroDeValidacao(t('provedorExigeOrg', ctx.provedor.servico, ctx.provedor.nome));
+    }
+
+    // Se há organização, usar estratégia de busca direta em cada repositório
+    // (API search não indexa todos os repositórios de uma organização)
+    if (orgValidada) {
+        // A listagem de commits do GitHub filtra por login ou e-mail, mas não por nome do autor
+        if (ctx.provedor.filtraPorAutor && usuarios.some(usuario => identidadeDoUsuario(usuario, ctx.identidades).nomes.length > 0)) {
+            ctx.logger.aviso(t('nomesIgnoradosComOrg'));
+        }
+        return buscarCommitsPorOrganizacao(ctx, usuarios, inicio, fim, orgValidada, tipoDataValidado);
+    }
+
+    // Caso contrário, usar API de busca, uma vez por usuário e critério de identidade
+    const commits = [];
+    for (const usuario of usuarios) {
+        if (usuarios.length > 1) {
+            ctx.logger.info(t('usuarioDaBusca', usuario));
+        }
+        const criterios = criteriosDeBusca(ctx, identidadeDoUsuario(usuario, ctx.identidades));
+        const vistos = new Set();  // Um commit encontrado por mais de um critério fica com o primeiro
+        for (const { rota, criterio, rotulo, aceitar } of criterios) {
+            if (criterios.length > 1) {
+                ctx.logger.info(t('criterioDaBusca', rotulo));
+            }
+            const encontrados = await buscarCommitsViaBusca(ctx, criterio, inicio, fim, tipoDataValidado, aceitar);
+            for (const commit of encontrados) {
+                if (!vistos.has(commit.sha)) {
+                    vistos.add(commit.sha);
+                    commits.push({ ...commit, usuario, rota });
+                }
+            }
+        }
+    }
+    return commits;
+}
+
+/**
+ * Critérios de busca de uma identidade, na ordem de prioridade das rotas de atribuição
+ * E-mails e nomes usam os qualificadores author-email/author-name; co-autoria busca o
+ * termo no texto da mensagem e confirma o trailer Co-authored-by em cada resultado
+ */
+function criteriosDeBusca(ctx, identidade) {
+    const rotulos = t('rotulosDeRota');
+    const criterios = [{ rota: 'login', criterio: `author:${identidade.login}`, rotulo: `${rotulos.login} ${identidade.login}` }];
+    for (const email of identidade.emails) {
+        criterios.push({ rota: 'email', criterio: `author-email:${encodeURIComponent(email)}`, rotulo: `${rotulos.email} ${email}` });
+    }
+    for (const nome of identidade.nomes) {
+        criterios.push({ rota: 'nome', criterio: `author-name:${encodeURIComponent(`"${nome}"`)}`, rotulo: `${rotulos.nome} ${nome}` });
+    }
+    if (ctx.coautoria) {
+        const aceitar = item => ehCoautor(item.commit && item.commit.message, identidade);
+        for (const termo of [identidade.login, ...identidade.emails, ...identidade.nomes]) {
+            criterios.push({ rota: 'coautoria', criterio: encodeURIComponent(`"${termo}"`), rotulo: `${rotulos.coautoria} ${termo}`, aceitar });
+        }
+    }
+    return criterios;
+}
+
+/**
+ * Busca commits de um critério de autor via API de busca com paginação
+ * GitHub Search API limita a 100 resultados por página e 1000 totais;
+ * períodos acima do limite são divididos automaticamente em intervalos menores
+ * aceitar (opcional) descarta resultados que não confirmam o critério (ex: trailer de co-autoria)
+ */
+async function buscarCommitsViaBusca(ctx, criterioDeAutor, inicio, fim, tipoDataValidado, aceitar = null) {
+    const commits = [];
+    try {
+        const seenShas = new Set();  // Deduplicar por SHA entre intervalos
+
+        ctx.logger.info(t('buscandoCommitsPaginados'));
+
+        // Primeiro, busca o total de resultados, dividindo o período se passar do limite da API
+        // Sem organização: com --org a busca é feita diretamente nos repositórios
+        const janelas = await planejarJanelasDeBusca(ctx, (i, f) => buildQuery(ctx, criterioDeAutor, i, f, null, tipoDataValidado), inicio, fim);
+        const totalConhecido = janelas.every(j => j.total !== null);
+        const totalCount = janelas.reduce((soma, j) => soma + (j.total || 0), 0);
+        if (totalConhecido) {
+            ctx.logger.info(t('totalEncontrado', totalCount));
+        }
+        if (janelas.length > 1) {
+            ctx.logger.info(t('periodoDividido', janelas.length, MAX_SEARCH_RESULTS));
+        }
+
+        // Acompanhamento de progresso (intervalos sem total conhecido são estimados em 10 páginas)
+        const paginasPorJanela = janelas.map(j => j.total === null ? 10 : Math.min(10, Math.ceil(j.total / MAX_PAGE_SIZE)));
+        const totalPaginas = paginasPorJanela.reduce((soma, n) => soma + n, 0);
+        const progresso = ctx.criarProgresso(totalPaginas, t('etapaBuscandoPaginas'));
+
+        for (const [indice, janela] of janelas.entries()) {
+            let page = 1;
+            let janelaCommits = 0;
+            let paginasBuscadas = 0;
+
+            // Busca com paginação: max 10 páginas = 1000 resultados (limite da API)
+            const paginas = ctx.cliente.paginas(`search/commits?q=${janela.query}`, { per_page: MAX_PAGE_SIZE }, { maxPaginas: 10, timeout: API_TIMEOUT });
+            for await (const { data } of paginas) {
+                // Processa os commits desta página
+                let pageCommits = 0;
+                for (const item of (data && data.items) || []) {
+                    // Sanitizar repo e sha antes de usar
+                    const repo = sanitizar(item.repository && item.repository.full_name);
+                    const sha = sanitizar(item.sha);
+                    // Validar formato do SHA (40 caracteres hexadecimais para commits completos)
+                    if (repo && sha && /^[a-f0-9]{40}$/i.test(sha)) {
+                        pageCommits++;
+                        // Filtros sem qualificador na busca: aplicados aos resultados
+                        if (!ctx.repositorioPermitido(repo) || (ctx.semForks && item.repository.fork === true) || (ctx.semMerges && ctx.provedor.ehMerge(item)) || (aceitar && !aceitar(item))) {
+                            continue;
+                        }
+                        if (!seenShas.has(sha)) {
+                            seenShas.add(sha);
+                            // Mantém a data do tipo escolhido (author/committer) para o agrupamento por período
+                            const pessoa = item.commit && item.commit[tipoDataValidado];
+                            commits.push({ repo, sha, date: (pessoa && pessoa.date) || null, mensagem: primeiraLinha(item.commit && item.commit.message) });
+                        }
+                    }
+                }
+                janelaCommits += pageCommits;
+                paginasBuscadas++;
+
+                // Atualizar progresso
+                const intervalo = janelas.length > 1 ? `${janela.rotulo} | ` : '';
+                progresso.update(1, `${intervalo}${t('paginaNoProgresso', page)} | ${t('commitsNoProgresso', pageCommits)}`);
+
+                // Verifica se há mais páginas
+                if (pageCommits === 0 || (janela.total !== null && janelaCommits >= janela.total)) {
+                    break;
+                }
+
+                page++;
+            }
+
+            // Sem o total, 1000 resultados podem ser só o início do intervalo
+            if (janela.total === null && janelaCommits >= MAX_SEARCH_RESULTS) {
+                ctx.registrarFalha('busca', null, janela.rotulo, t('limiteDaBuscaSemTotal', MAX_SEARCH_RESULTS));
+            }
+
+            // Páginas estimadas e não buscadas contam como concluídas
+            const restantes = paginasPorJanela[indice] - paginasBuscadas;
+            if (restantes > 0) {
+                progresso.setCurrent(progresso.current + restantes, janela.rotulo);
+            }
+        }
+
+        progresso.complete(t('totalDeCommits', commits.length));
+
+        return commits;
+    } catch (e) {
+        if (ehErroFatal(e)) throw e;
+        // Mensagem genérica para não expor detalhes internos; o motivo vai para dadosIncompletos
+        ctx.logger.aviso(t('erroAoBuscarCommits'));
+        ctx.registrarFalha('busca', null, decodeURIComponent(criterioDeAutor), e);
+        return commits;
+    }
+}
+
+/**
+ * Obtém estatísticas de um commit específico
+ * Erros da API são lançados: quem coleta (calcularRelatorio em index.js) registra a falha e segue
+ */
+async function getCommitStats(ctx, repo, sha) {
+    // Estatísticas de um commit nunca mudam: o cache não expira
+    // Entradas antigas, sem a lista de arquivos, são buscadas novamente
+    const emCache = ctx.cache.lerStats(repo, sha, dados => Array.isArray(dados.arquivos));
+    if (emCache) {
+        return emCache;
+    }
+
+    // Repo e sha já estão sanitizados
+    const { stats, arquivos } = await ctx.provedor.obterEstatisticas(ctx.cliente, repo, sha);
+
+    // Validar que os valores são números
+    const valido = typeof stats.additions === 'number' && typeof stats.deletions === 'number';
+    const resultado = {
+        additions: typeof stats.additions === 'number' ? stats.additions : 0,
+        deletions: typeof stats.deletions === 'number' ? stats.deletions : 0,
+        arquivos
+    };
+
+    // Linhas além do limite de arquivos da API (ou de diffs omitidos) entram como um item sem caminho
+    const listadas = arquivos.reduce((soma, a) => ({ additions: soma.additions + a.additions, deletions: soma.deletions + a.deletions }), { additions: 0, deletions: 0 });
+    if (listadas.additions < resultado.additions || listadas.deletions < resultado.deletions) {
+        arquivos.push({
+            caminho: null,
+            additions: Math.max(0, resultado.additions - listadas.additions),
+            deletions: Math.max(0, resultado.deletions - listadas.deletions)
+        });
+    }
+
+    if (valido) {
+        ctx.cache.gravarStats(repo, sha, resultado);
+    }
+    return resultado;
+}
+
+/**
+ * Remove das estatísticas de um commit os arquivos que casam com --excluir-caminho
+ * As linhas removidas ficam em "ignorado" para o resumo do relatório
+ */
+function aplicarExclusoes(stats, ehExcluido) {
+    const resultado = { additions: 0, deletions: 0, arquivos: [], ignorado: { arquivos: 0, additions: 0, deletions: 0 } };
+    for (const arquivo of stats.arquivos) {
+        if (ehExcluido(arquivo.caminho)) {
+            resultado.ignorado.arquivos++;
+            resultado.ignorado.additions += arquivo.additions;
+            resultado.ignorado.deletions += arquivo.deletions;
+        } else {
+            resultado.additions += arquivo.additions;
+            resultado.deletions += arquivo.deletions;
+            resultado.arquivos.push(arquivo);
+        }
+    }
+    return resultado;
+}
+
+module.exports = {
+    API_TIMEOUT,
+    MAX_PAGE_SIZE,
+    MAX_SEARCH_RESULTS,
+    buscarMembrosDoTime,
+    buscarRepositoriosDaOrganizacao,
+    buscarBranchesDoRepositorio,
+    selecionarBranches,
+    buscarCommits,
+    buscarCommitsViaBusca,
+    planejarJanelasDeBusca,
+    getCommitStats,
+    aplicarExclusoes
+};
@@ -0,0 +1,73 @@
+/**
+ * Comparação entre períodos (--comparar-com, --comparar anterior)
+ * O relatório do período principal ganha a variação de cada total e de cada repositório
+ * em relação ao período de comparação, calculado com os mesmos usuários, organização e filtros
+ */
+
+const { novoAcumulador } = require('./agregacao');
+
+const METRICAS = ['commits', 'additions', 'deletions', 'total'];
+
+/**
+ * Variação de um acumulador em relação ao do período de comparação
+ * percentual é null quando o valor anterior é zero (variação indefinida)
+ */
+function variacao(atual, anterior) {
+    const diferenca = {};
+    const percentual = {};
+    for (const metrica of METRICAS) {
+        diferenca[metrica] = atual[metrica] - anterior[metrica];
+        percentual[metrica] = anterior[metrica] === 0 ? null : Math.round(diferenca[metrica] / anterior[metrica] * 1000) / 10;
+    }
+    return { anterior, diferenca, percentual };
+}
+
+/**
+ * Compara o relatório do período principal com o do período de comparação
+ * Repositórios só do período principal ficam como "novo"; os só do período de comparação,
+ * como "sem-atividade" (aparecem com valores zerados no período principal)
+ *
+ * @returns {Object} { inicio, fim, totais, results }
+ */
+function compararRelatorios(atual, anterior) {
+    const results = {};
+    for (const [repo, stats] of Object.entries(atual.results)) {
+        const doAnterior = anterior.results[repo];
+        results[repo] = { situacao: doAnterior ? 'ativo' : 'novo', ...variacao(stats, doAnterior || novoAcumulador()) };
+    }
+    for (const [repo, stats] of Object.entries(anterior.results)) {
+        if (!atual.results[repo]) {
+            results[repo] = { situacao: 'sem-atividade', ...variacao(novoAcumulador(), stats) };
+        }
+    }
+
+    return {
+        inicio: anterior.parametros.inicio,
+        fim: anterior.parametros.fim,
+        totais: variacao(atual.totais, anterior.totais),
+        results
+    };
+}
+
+/**
+ * Repositórios do relatório para exibição, incluindo os sem atividade no período principal
+ * (zerados) quando há comparação; mesma ordem de ordenarRepositorios
+ */
+function repositoriosComparados(relatorio) {
+    const linhas = Object.entries(relatorio.results);
+    if (relatorio.comparacao) {
+        for (const [repo, comparado] of Object.entries(relatorio.comparacao.results)) {
+            if (comparado.situacao === 'sem-atividade') {
+                linhas.push([repo, novoAcumulador()]);
+            }
+        }
+    }
+    return linhas.sort((a, b) => b[1].total - a[1].total ||
+        (relatorio.comparacao ? relatorio.comparacao.results[b[0]].anterior.total - relatorio.comparacao.results[a[0]].anterior.total : 0));
+}
+
+module.exports = {
+    METRICAS,
+    compararRelatorios,
+    repositoriosComparados
+};
@@ -0,0 +1,95 @@
+/**
+ * Execução de tarefas assíncronas com limite de simultaneidade
+ */
+
+/**
+ * Aplica uma função assíncrona a cada item com no máximo `limite` execuções simultâneas
+ * O resultado preserva a ordem dos itens, independente da ordem de conclusão
+ */
+async function mapearComConcorrencia(itens, limite, fn) {
+    const resultados = new Array(itens.length);
+    let proximo = 0;
+    let falhou = false;
+
+    const trabalhador = async () => {
+        // Após a primeira falha, nenhum novo item é iniciado
+        while (proximo < itens.length && !falhou) {
+            const indice = proximo++;
+            try {
+                resultados[indice] = await fn(itens[indice], indice);
+            } catch (e) {
+                falhou = true;
+                throw e;
+            }
+        }
+    };
+
+    const trabalhadores = Array.from({ length: Math.min(limite, itens.length) }, trabalhador);
+    await Promise.all(trabalhadores);
+
+    return resultados;
+}
+
+/**
+ * Fila de execuções com limite de simultaneidade e deduplicação por chave
+ * Um pedido com a chave de uma execução pendente (na fila ou em andamento) recebe a
+ * mesma promessa, sem iniciar outra execução; as demais esperam na ordem de chegada
+ */
+class FilaDeExecucoes {
+    /**
+     * @param {number} limite Máximo de execuções simultâneas
+     */
+    constructor(limite) {
+        this.limite = limite;
+        this.emAndamento = 0;
+        this.aguardando = [];
+        this.pendentes = new Map();
+    }
+
+    /**
+     * Quantidade de execuções esperando a vez
+     */
+    get naFila() {
+        return this.aguardando.length;
+    }
+
+    temPendente(chave) {
+        return this.pendentes.has(chave);
+    }
+
+    /**
+     * Executa fn quando houver vaga, ou reaproveita a execução pendente com a mesma chave
+     */
+    executar(chave, fn) {
+        if (this.pendentes.has(chave)) {
+            return this.pendentes.get(chave);
+        }
+        const promessa = new Promise((resolve, reject) => {
+            this.aguardando.push({ fn, resolve, reject });
+        });
+        // A chave é liberada ao terminar, com sucesso ou erro (erros não são reaproveitados)
+        const pendente = promessa.finally(() => this.pendentes.delete(chave));
+        this.pendentes.set(chave, pendente);
+        this.iniciarProximas();
+        return pendente;
+    }
+
+    iniciarProximas() {
+        while (this.emAndamento < this.limite && this.aguardando.length > 0) {
+            const { fn, resolve, reject } = this.aguardando.shift();
+            this.emAndamento++;
+            Promise.resolve()
+                .then(fn)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.emAndamento--;
+                    this.iniciarProximas();
+                });
+        }
+    }
+}
+
+module.exports = {
+    mapearComConcorrencia,
+    FilaDeExecucoes
+};
@@ -0,0 +1,241 @@
+/**
+ * Arquivo de configuração (.commitstatsrc) com opções padrão e perfis nomeados (--perfil)
+ * Aceita JSON ou YAML; o YAML suportado é o subconjunto usado em configurações simples
+ * (mapas por recuo, listas com "- " ou [a, b], textos, números, booleanos e comentários)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ErroDeValidacao } = require('./validacao');
+const { t } = require('./idioma');
+
+// Procurados no diretório atual, nos diretórios acima dele e, por último, no diretório do usuário
+const ARQUIVOS_DE_CONFIGURACAO = ['.commitstatsrc', '.commitstatsrc.json', '.commitstatsrc.yaml', '.commitstatsrc.yml'];
+
+// Opções com caminhos de arquivo, resolvidos em relação ao diretório do arquivo de configuração
+const OPCOES_COM_CAMINHO = ['time', 'identidades', 'local', 'saida', 'html'];
+
+/**
+ * Localiza o arquivo de configuração, ou null se não houver
+ */
+function encontrarArquivoDeConfiguracao(diretorio = process.cwd()) {
+    const candidatos = [];
+    for (let atual = path.resolve(diretorio); ; atual = path.dirname(atual)) {
+        candidatos.push(atual);
+        if (path.dirname(atual) === atual) break;
+    }
+    candidatos.push(os.homedir());
+
+    for (const candidato of candidatos) {
+        for (const nome of ARQUIVOS_DE_CONFIGURACAO) {
+            const arquivo = path.join(candidato, nome);
+            if (fs.existsSync(arquivo) && fs.statSync(arquivo).isFile()) {
+                return arquivo;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Remove comentários (# no início ou após espaço, fora de aspas) de uma linha YAML
+ */
+function removerComentario(linha) {
+    let aspas = null;
+    for (let i = 0; i < linha.length; i++) {
+        const caractere = linha[i];
+        if (aspas) {
+            if (caractere === aspas) aspas = null;
+        } else if (caractere === '"' || caractere === '\'') {
+            aspas = caractere;
+        } else if (caractere === '#' && (i === 0 || /\s/.test(linha[i - 1]))) {
+            return linha.slice(0, i);
+        }
+    }
+    return linha;
+}
+
+/**
+ * Converte um valor escalar YAML (texto, número, booleano, nulo ou lista em linha)
+ */
+function valorEscalar(texto, erro) {
+    if (texto.startsWith('"')) {
+        try {
+            return JSON.parse(texto);
+        } catch (e) {
+            throw erro(t('yamlAspasInvalidas'));
+        }
+    }
+    if (texto.startsWith('\'')) {
+        if (!texto.endsWith('\'') || texto.length < 2) throw erro(t('yamlAspasInvalidas'));
+        return texto.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (texto.startsWith('[')) {
+        if (!texto.endsWith(']')) throw erro(t('yamlListaSemFechamento'));
+        const conteudo = texto.slice(1, -1).trim();
+        return conteudo ? conteudo.split(',').map(item => valorEscalar(item.trim(), erro)) : [];
+    }
+    if (texto === 'true') return true;
+    if (texto === 'false') return false;
+    if (texto === 'null' || texto === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(texto)) return Number(texto);
+    return texto;
+}
+
+/**
+ * Interpreta o subconjunto de YAML aceito no arquivo de configuração
+ */
+function analisarYaml(conteudo, arquivo) {
+    const linhas = [];
+    conteudo.split(/\r?\n/).forEach((original, indice) => {
+        const linha = removerComentario(original).replace(/\s+$/, '');
+        if (!linha.trim()) return;
+        const recuo = linha.search(/\S/);
+        if (linha.slice(0, recuo).includes('\t')) {
+            throw new ErroDeValidacao(t('erroNaLinhaDaConfiguracao', arquivo, indice + 1, t('yamlTabulacao')));
+        }
+        linhas.push({ recuo, texto: linha.trim(), numero: indice + 1 });
+    });
+
+    let posicao = 0;
+    const erroNaLinha = linha => motivo => new ErroDeValidacao(t('erroNaLinhaDaConfiguracao', arquivo, linha.numero, motivo));
+    const ehItemDeLista = linha => linha.texto === '-' || linha.texto.startsWith('- ');
+
+    function bloco(recuo) {
+        return ehItemDeLista(linhas[posicao]) ? lista(recuo) : mapa(recuo);
+    }
+
+    function valorAninhado(recuo) {
+        const proxima = linhas[posicao];
+        return proxima && proxima.recuo > recuo ? bloco(proxima.recuo) : null;
+    }
+
+    function lista(recuo) {
+        const itens = [];
+        while (posicao < linhas.length && linhas[posicao].recuo === recuo && ehItemDeLista(linhas[posicao])) {
+            const linha = linhas[posicao++];
+            const valor = linha.texto.slice(1).trim();
+            itens.push(valor ? valorEscalar(valor, erroNaLinha(linha)) : valorAninhado(recuo));
+        }
+        return itens;
+    }
+
+    function mapa(recuo) {
+        const objeto = {};
+        while (posicao < linhas.length && linhas[posicao].recuo === recuo && !ehItemDeLista(linhas[posicao])) {
+            const linha = linhas[posicao++];
+            const match = /^("[^"]*"|'[^']*'|[^:'"]+?)\s*:(?:\s+(.*))?$/.exec(linha.texto);
+            if (!match) {
+                throw erroNaLinha(linha)(t('yamlChaveEsperada'));
+            }
+            const chave = match[1].replace(/^(["'])(.*)\1$/, '$2');
+            if (match[2]) {
+                objeto[chave] = valorEscalar(match[2], erroNaLinha(linha));
+            } else if (posicao < linhas.length && linhas[posicao].recuo === recuo && ehItemDeLista(linhas[posicao])) {
+                // Lista no mesmo recuo da chave ("chave:\n- item"), válido em YAML
+                objeto[chave] = lista(recuo);
+            } else {
+                objeto[chave] = valorAninhado(recuo);
+            }
+        }
+        return objeto;
+    }
+
+    if (linhas.length === 0) {
+        return {};
+    }
+    const resultado = bloco(linhas[0].recuo);
+    if (posicao < linhas.length) {
+        throw erroNaLinha(linhas[posicao])(t('yamlRecuoInesperado'));
+    }
+    return resultado;
+}
+
+/**
+ * Converte nomes de opções em kebab-case (como na CLI, ex: "tipo-data") para camelCase
+ */
+function nomeDaOpcao(chave) {
+    return chave.replace(/^-+/, '').replace(/-([a-z])/g, (_, letra) => letra.toUpperCase());
+}
+
+/**
+ * Normaliza um grupo de opções (padrões ou perfil): nomes em camelCase e caminhos absolutos
+ */
+function normalizarGrupo(grupo, descricao, arquivo) {
+    if (!grupo || typeof grupo !== 'object' || Array.isArray(grupo)) {
+        throw new ErroDeValidacao(t('erroNaConfiguracao', arquivo, t('grupoDeOpcoesInvalido', descricao)));
+    }
+    const diretorio = path.dirname(arquivo);
+    const opcoes = {};
+    for (const [chave, valor] of Object.entries(grupo)) {
+        const nome = nomeDaOpcao(chave);
+        if (OPCOES_COM_CAMINHO.includes(nome) && valor !== null) {
+            const resolver = caminho => typeof caminho === 'string' ? path.resolve(diretorio, caminho) : caminho;
+            opcoes[nome] = Array.isArray(valor) ? valor.map(resolver) : resolver(valor);
+        } else {
+            opcoes[nome] = valor;
+        }
+    }
+    return opcoes;
+}
+
+/**
+ * Lê o arquivo de configuração
+ * Retorna { arquivo, padrao, perfis }: opções de topo (padrão) e perfis nomeados (chave "perfis")
+ */
+function lerArquivoDeConfiguracao(arquivo) {
+    let conteudo;
+    try {
+        conteudo = fs.readFileSync(arquivo, 'utf-8');
+    } catch (e) {
+        throw new ErroDeValidacao(t('configuracaoIlegivel', arquivo, e.code === 'ENOENT' ? null : e.message));
+    }
+
+    // JSON pela extensão ou pelo conteúdo (.commitstatsrc sem extensão aceita os dois formatos)
+    let dados;
+    if (arquivo.endsWith('.json') || conteudo.trim().startsWith('{')) {
+        try {
+            dados = JSON.parse(conteudo);
+        } catch (e) {
+            throw new ErroDeValidacao(t('erroNaConfiguracao', arquivo, t('jsonInvalido')));
+        }
+    } else {
+        dados = analisarYaml(conteudo, arquivo);
+    }
+
+    const { perfis = {}, ...padrao } = dados || {};
+    if (!perfis || typeof perfis !== 'object' || Array.isArray(perfis)) {
+        throw new ErroDeValidacao(t('erroNaConfiguracao', arquivo, t('perfisInvalidos')));
+    }
+
+    return {
+        arquivo,
+        padrao: normalizarGrupo(padrao, t('opcoesPadrao'), arquivo),
+        perfis: Object.fromEntries(Object.entries(perfis).map(([nome, grupo]) =>
+            [nome, normalizarGrupo(grupo, t('oPerfil', nome), arquivo)]))
+    };
+}
+
+/**
+ * Opções da configuração para uma execução: as padrão, sobrepostas pelas do perfil escolhido
+ */
+function opcoesDoPerfil(configuracao, perfil) {
+    if (!perfil) {
+        return configuracao ? { ...configuracao.padrao } : {};
+    }
+    if (!configuracao) {
+        throw new ErroDeValidacao(t('perfilSemConfiguracao', perfil, ARQUIVOS_DE_CONFIGURACAO[0], os.homedir()));
+    }
+    if (!Object.prototype.hasOwnProperty.call(configuracao.perfis, perfil)) {
+        throw new ErroDeValidacao(t('perfilNaoEncontrado', perfil, configuracao.arquivo, Object.keys(configuracao.perfis)));
+    }
+    return { ...configuracao.padrao, ...configuracao.perfis[perfil] };
+}
+
+module.exports = {
+    ARQUIVOS_DE_CONFIGURACAO,
+    encontrarArquivoDeConfiguracao,
+    lerArquivoDeConfiguracao,
+    opcoesDoPerfil
+};
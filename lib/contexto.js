@@ -0,0 +1,403 @@
+/**
+ * Opções e contexto de uma execução
+ * Valida as opções recebidas pela biblioteca (mesmas regras da CLI) e monta o contexto
+ * compartilhado pelas funções de coleta: provedor, cliente da API, cache, filtros, logger, progresso
+ * e o registro das falhas contornadas (dados incompletos)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { GitHubClient } = require('./github_client');
+const { CacheEmDisco } = require('./cache');
+const { Gravacao } = require('./gravacao');
+const { RegistroDeFalhas } = require('./falhas');
+const { EXCLUSOES_PADRAO, criarFiltroDeCaminhos } = require('./caminhos');
+const { lerArquivoDeIdentidades, normalizarIdentidades } = require('./identidades');
+const { Progresso } = require('./progresso');
+const { obterProvedor } = require('./provedores');
+const { resolverData, resolverIntervalo, fimPadrao, periodoAnterior } = require('./datas');
+const { t, definirIdioma, obterIdioma } = require('./idioma');
+const {
+    ErroDeValidacao,
+    DEFAULT_CONCURRENCY,
+    DEFAULT_ESPERA_MAXIMA_COTA,
+    DEFAULT_MAX_BRANCHES,
+    DEFAULT_PAGINAS_POR_BRANCH,
+    validarProvedor,
+    validarUrlDaApi,
+    validarFonte,
+    validarOrganizacao,
+    validarUsuarios,
+    validarSlugDoTime,
+    validarFormatoData,
+    validarTipoData,
+    validarAgrupamento,
+    validarGlob,
+    validarPadraoDeRepositorio,
+    validarEstrategiaDeBranches,
+    validarMaximoDeBranches,
+    validarPaginasPorBranch,
+    validarLimiteDeOutlier,
+    validarModoDeOutlier,
+    validarConcorrencia,
+    validarEsperaMaximaCota,
+    validarDiretorio
+} = require('./validacao');
+
+/**
+ * Obtém o token de acesso ao provedor
+ * GitHub: GITHUB_TOKEN, GH_TOKEN e, se instalado, o token do GitHub CLI (gh auth token);
+ * GitLab: GITLAB_TOKEN; Gitea: GITEA_TOKEN
+ */
+function obterToken(provedor = 'github') {
+    const variavel = obterProvedor(provedor).variaveisDeToken.find(nome => process.env[nome]);
+    if (variavel) {
+        return process.env[variavel];
+    }
+    if (provedor !== 'github') {
+        return null;
+    }
+    try {
+        return execSync('gh auth token', {
+            encoding: 'utf-8',
+            timeout: 10000,
+            stdio: ['pipe', 'pipe', 'pipe']
+        }).trim() || null;
+    } catch (e) {
+        // GitHub CLI ausente ou não autenticado: segue sem token
+        return null;
+    }
+}
+
+/**
+ * Lista opcional de textos (aceita um único texto no lugar da lista)
+ */
+function lista(valor) {
+    if (valor === undefined || valor === null) {
+        return [];
+    }
+    return Array.isArray(valor) ? valor : [valor];
+}
+
+/**
+ * Período de comparação: compararCom ("inicio..fim", aceita datas relativas) ou
+ * comparar "anterior" (período imediatamente anterior, de mesma duração); null sem comparação
+ */
+function resolverComparacao(opcoes, inicio, fim) {
+    if (opcoes.compararCom && opcoes.comparar) {
+        throw new ErroDeValidacao(t('comparacaoDupla'));
+    }
+    if (opcoes.comparar) {
+        if (opcoes.comparar !== 'anterior') {
+            throw new ErroDeValidacao(t('comparacaoInvalida', opcoes.comparar));
+        }
+        return periodoAnterior(inicio, fim);
+    }
+    if (!opcoes.compararCom) {
+        return null;
+    }
+    const intervalo = resolverIntervalo(opcoes.compararCom);
+    if (!intervalo) {
+        throw new ErroDeValidacao(t('periodoDeComparacaoInvalido', opcoes.compararCom));
+    }
+    return { inicio: validarFormatoData(intervalo.inicio), fim: validarFormatoData(intervalo.fim) };
+}
+
+/**
+ * Fontes de commits da execução: as de fonte (--fonte, uma ou mais) ou a definida por
+ * provedor, org e apiUrl; cada uma com a URL da API resolvida e um rótulo (o host)
+ * que identifica seus repositórios quando há mais de uma fonte
+ */
+function resolverFontes(opcoes) {
+    const informadas = lista(opcoes.fonte);
+    let fontes;
+    if (informadas.length === 0) {
+        const provedor = validarProvedor(opcoes.provedor);
+        fontes = [{
+            provedor,
+            org: validarOrganizacao(opcoes.org, provedor),
+            apiUrl: opcoes.apiUrl ? validarUrlDaApi(opcoes.apiUrl) : null,
+            token: opcoes.token || null
+        }];
+    } else if (opcoes.provedor || opcoes.org || opcoes.apiUrl) {
+        throw new ErroDeValidacao(t('fonteComProvedor'));
+    } else {
+        fontes = informadas.map(validarFonte);
+    }
+
+    const vistas = new Set();
+    return fontes.map(fonte => {
+        const provedor = obterProvedor(fonte.provedor);
+        const apiUrl = fonte.apiUrl || process.env[provedor.variavelDaUrl] || provedor.urlPadrao;
+        const host = new URL(apiUrl).host;
+        const rotulo = host === 'api.github.com' ? 'github.com' : host;
+        const chave = `${fonte.provedor}:${host}:${fonte.org || ''}`.toLowerCase();
+        if (vistas.has(chave)) {
+            throw new ErroDeValidacao(t('fonteRepetida', `${fonte.provedor}${fonte.org ? `:${fonte.org}` : ''}@${rotulo}`));
+        }
+        vistas.add(chave);
+        return { ...fonte, apiUrl, rotulo };
+    });
+}
+
+/**
+ * Diretórios de --gravar e --reproduzir (caminhos absolutos, ou null)
+ * O de gravar é criado na primeira gravação; o de reproduzir precisa existir
+ */
+function resolverGravacao(opcoes, local) {
+    if (!opcoes.gravar && !opcoes.reproduzir) {
+        return { gravar: null, reproduzir: null };
+    }
+    if (opcoes.gravar && opcoes.reproduzir) {
+        throw new ErroDeValidacao(t('gravarComReproduzir'));
+    }
+    if (local.length > 0) {
+        throw new ErroDeValidacao(t('gravacaoComLocal'));
+    }
+    if (opcoes.reproduzir) {
+        return { gravar: null, reproduzir: validarDiretorio(opcoes.reproduzir) };
+    }
+    const gravar = path.resolve(String(opcoes.gravar));
+    if (fs.existsSync(gravar) && !fs.statSync(gravar).isDirectory()) {
+        throw new ErroDeValidacao(t('diretorioInvalido', opcoes.gravar));
+    }
+    return { gravar, reproduzir: null };
+}
+
+/**
+ * Valida as opções de uma execução e aplica os padrões
+ * Lança ErroDeValidacao com mensagem no idioma da execução para a primeira opção inválida
+ */
+function normalizarOpcoes(opcoes = {}) {
+    // O idioma vem primeiro: vale para as mensagens de validação e para o relatório
+    const idioma = opcoes.idioma ? definirIdioma(opcoes.idioma) : obterIdioma();
+    const local = lista(opcoes.local).map(validarDiretorio);
+    const fontes = resolverFontes(opcoes);
+    const { gravar, reproduzir } = resolverGravacao(opcoes, local);
+    if (local.length > 0 && lista(opcoes.fonte).length > 0) {
+        throw new ErroDeValidacao(t('fonteComLocal'));
+    }
+    // Pull requests e times só existem na API do GitHub
+    const apenasGithub = fontes.length === 1 && fontes[0].provedor === 'github';
+    const org = fontes.length === 1 ? fontes[0].org : null;
+    const timeOrg = validarSlugDoTime(opcoes.timeOrg);
+    if (timeOrg && !apenasGithub) {
+        throw new ErroDeValidacao(t('apenasGithub', '--time-org'));
+    }
+    if (timeOrg && !org) {
+        throw new ErroDeValidacao(t('timeOrgSemOrg'));
+    }
+    // Membros do time da organização são obtidos da API; aqui basta ao menos uma fonte de usuários
+    const informados = [...lista(opcoes.usuario), ...lista(opcoes.usuarios)];
+    const usuarios = timeOrg && informados.length === 0 ? [] : validarUsuarios(informados, fontes.map(fonte => fonte.provedor));
+
+    const prs = Boolean(opcoes.prs);
+    if (prs && local.length > 0) {
+        throw new ErroDeValidacao(t('prsComLocal'));
+    }
+    if (prs && !apenasGithub) {
+        throw new ErroDeValidacao(t('apenasGithub', '--prs'));
+    }
+
+    let identidades = null;
+    if (typeof opcoes.identidades === 'string') {
+        identidades = lerArquivoDeIdentidades(opcoes.identidades);
+    } else if (opcoes.identidades instanceof Map) {
+        identidades = opcoes.identidades;
+    } else if (opcoes.identidades) {
+        identidades = normalizarIdentidades(opcoes.identidades);
+    }
+
+    const incluirRepo = lista(opcoes.incluirRepo);
+    const excluirRepo = lista(opcoes.excluirRepo);
+    const { estrategia: branches, regex: regexDeBranches } = validarEstrategiaDeBranches(opcoes.branches);
+    const limiteOutlier = validarLimiteDeOutlier(opcoes.limiteOutlier);
+    if (opcoes.modoOutlier && limiteOutlier === null) {
+        throw new ErroDeValidacao(t('modoOutlierSemLimite'));
+    }
+
+    // Datas relativas (ex: "ultimo-mes", "-30d") são resolvidas antes da validação
+    const inicio = validarFormatoData(resolverData(opcoes.inicio, 'inicio'));
+    // Sem data final: o fim do período de início (ex: "ultimo-mes") ou a data atual
+    const fim = validarFormatoData(opcoes.fim ? resolverData(opcoes.fim, 'fim') : fimPadrao(opcoes.inicio));
+
+    return {
+        idioma,
+        usuarios,
+        time: opcoes.time || timeOrg || null,
+        timeOrg,
+        inicio,
+        fim,
+        comparacao: resolverComparacao(opcoes, inicio, fim),
+        org,
+        fontes,
+        tipoData: validarTipoData(opcoes.tipoData),
+        agrupamento: validarAgrupamento(opcoes.agrupar),
+        exclusoes: [...(opcoes.semExclusoesPadrao ? [] : EXCLUSOES_PADRAO), ...lista(opcoes.excluirCaminho).map(validarGlob)],
+        identidades,
+        arquivoDeIdentidades: typeof opcoes.identidades === 'string' ? opcoes.identidades : null,
+        coautoria: Boolean(opcoes.coautoria),
+        semMerges: Boolean(opcoes.semMerges),
+        semArquivados: Boolean(opcoes.semArquivados),
+        semForks: Boolean(opcoes.semForks),
+        incluirRepo,
+        excluirRepo,
+        padroesIncluirRepo: incluirRepo.map(validarPadraoDeRepositorio),
+        padroesExcluirRepo: excluirRepo.map(validarPadraoDeRepositorio),
+        branches,
+        regexDeBranches,
+        maxBranches: validarMaximoDeBranches(opcoes.maxBranches === undefined ? DEFAULT_MAX_BRANCHES : opcoes.maxBranches),
+        maxPaginasPorBranch: validarPaginasPorBranch(opcoes.maxPaginasPorBranch === undefined ? DEFAULT_PAGINAS_POR_BRANCH : opcoes.maxPaginasPorBranch),
+        branchesAtivasDesde: opcoes.branchesAtivasDesde ? validarFormatoData(resolverData(opcoes.branchesAtivasDesde, 'inicio')) : null,
+        limiteOutlier,
+        modoOutlier: limiteOutlier === null ? null : validarModoDeOutlier(opcoes.modoOutlier),
+        local,
+        prs,
+        retomar: Boolean(opcoes.retomar),
+        // false: sem checkpoint da varredura (ex: pedidos do servidor, que não têm --retomar)
+        checkpoint: opcoes.checkpoint !== false,
+        concorrencia: validarConcorrencia(opcoes.concorrencia === undefined ? DEFAULT_CONCURRENCY : opcoes.concorrencia),
+        esperaMaximaCota: validarEsperaMaximaCota(opcoes.esperaMaximaCota === undefined ? DEFAULT_ESPERA_MAXIMA_COTA : opcoes.esperaMaximaCota),
+        gravar,
+        reproduzir,
+        // Gravando ou reproduzindo, toda resposta passa pela API (ou pela gravação), nunca pelo cache
+        cache: opcoes.cache !== false && !gravar && !reproduzir,
+        diretorioCache: opcoes.diretorioCache || undefined
+    };
+}
+
+/**
+ * Logger com os métodos usados pela biblioteca (info e aviso)
+ * Aceita objetos no estilo console (warn no lugar de aviso); sem logger, nada é registrado
+ */
+function criarLogger(logger) {
+    const nada = () => {};
+    if (!logger) {
+        return { info: nada, aviso: nada };
+    }
+    const aviso = logger.aviso || logger.warn || logger.info || nada;
+    return {
+        info: (logger.info || nada).bind(logger),
+        aviso: aviso.bind(logger)
+    };
+}
+
+/**
+ * Monta o contexto da execução a partir das opções já normalizadas
+ * Cada fonte tem seu contexto (provedor, cliente, cache e organização), com os mesmos filtros
+ * e logger; o contexto retornado é o da primeira fonte, com todas elas em ctx.fontes
+ * @param {Object} parametros Resultado de normalizarOpcoes
+ * @param {Object} [extras]
+ * @param {Object} [extras.logger] { info, aviso } ou console
+ * @param {Function} [extras.onProgresso] Recebe os eventos de progresso (ver lib/progresso.js)
+ */
+function criarContexto(parametros, { logger = null, onProgresso = null } = {}) {
+    const modoLocal = parametros.local.length > 0;
+    const log = criarLogger(logger);
+    const { padroesIncluirRepo, padroesExcluirRepo } = parametros;
+    // Uma gravação para todas as fontes: as URLs de cada fonte já são distintas
+    let gravacao = null;
+    if (parametros.gravar) {
+        gravacao = new Gravacao(parametros.gravar, 'gravar');
+    } else if (parametros.reproduzir) {
+        gravacao = new Gravacao(parametros.reproduzir, 'reproduzir');
+    }
+
+    // Falhas de todas as fontes (lib/falhas.js), listadas no relatório em dadosIncompletos
+    const falhas = new RegistroDeFalhas();
+
+    const comum = {
+        logger: log,
+        concorrencia: parametros.concorrencia,
+        identidades: parametros.identidades,
+        coautoria: parametros.coautoria,
+        semMerges: parametros.semMerges,
+        semArquivados: parametros.semArquivados,
+        semForks: parametros.semForks,
+        // Varredura de branches no modo --org (ver selecionarBranches em lib/commits.js)
+        branches: {
+            estrategia: parametros.branches,
+            regex: parametros.regexDeBranches,
+            maximo: parametros.maxBranches,
+            paginas: parametros.maxPaginasPorBranch,
+            ativasDesde: parametros.branchesAtivasDesde
+        },
+        ehCaminhoExcluido: criarFiltroDeCaminhos(parametros.exclusoes),
+        gravacao,
+        falhas,
+        // Checkpoint da varredura da organização (lib/checkpoint.js), aberto por getStats
+        checkpoint: null,
+
+        /**
+         * Indica se um repositório passa por --incluir-repo/--excluir-repo
+         * Padrões são testados contra o nome completo (owner/repo)
+         */
+        repositorioPermitido(repo) {
+            if (padroesIncluirRepo.length > 0 && !padroesIncluirRepo.some(regex => regex.test(repo))) {
+                return false;
+            }
+            return !padroesExcluirRepo.some(regex => regex.test(repo));
+        }
+    };
+
+    const variasFontes = parametros.fontes.length > 1;
+    const fontes = parametros.fontes.map(fonte => {
+        const provedor = obterProvedor(fonte.provedor);
+
+        // Cliente da API do provedor (não usado no modo local)
+        const cliente = new GitHubClient({
+            // Reproduzindo uma gravação, nenhuma requisição chega ao provedor
+            token: modoLocal || (gravacao && gravacao.reproduzindo) ? null : (fonte.token || obterToken(fonte.provedor)),
+            baseUrl: fonte.apiUrl,
+            servico: provedor.servico,
+            cabecalhos: provedor.cabecalhos,
+            concorrencia: parametros.concorrencia,
+            esperaMaximaCota: parametros.esperaMaximaCota * 60 * 1000,
+            onAviso: log.aviso,
+            gravacao
+        });
+
+        // Cache em disco (separado por host da API para não misturar GitHub, GitHub Enterprise e outros provedores)
+        const cache = new CacheEmDisco({
+            diretorio: parametros.diretorioCache,
+            namespace: new URL(cliente.baseUrl).host,
+            habilitado: parametros.cache && !modoLocal
+        });
+
+        return {
+            ...comum,
+            provedor,
+            cliente,
+            cache,
+            org: fonte.org,
+            rotulo: fonte.rotulo,
+
+            criarProgresso(total, etapa) {
+                return new Progresso(total, etapa, onProgresso, () => cliente.cotaAtual());
+            },
+
+            /**
+             * Registra uma falha contornada na fonte (ver RegistroDeFalhas.registrar)
+             * Com mais de uma fonte, o repositório ganha o host como prefixo, como no relatório
+             */
+            registrarFalha(tipo, repo, alvo, erro) {
+                falhas.registrar(tipo, repo && variasFontes ? `${fonte.rotulo}/${repo}` : repo, alvo, erro);
+            },
+
+            falhouNoRepositorio(repo) {
+                return falhas.afetou(variasFontes ? `${fonte.rotulo}/${repo}` : repo);
+            }
+        };
+    });
+
+    const ctx = fontes[0];
+    ctx.fontes = fontes;
+    return ctx;
+}
+
+module.exports = {
+    obterToken,
+    normalizarOpcoes,
+    criarContexto
+};
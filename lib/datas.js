@@ -0,0 +1,218 @@
+/**
+ * Datas relativas para --inicio e --fim (ex: "ultimo-mes", "-30d", "trimestre-atual", "hoje")
+ * e datas no formato do idioma (DD/MM/AAAA em pt-BR, MM/DD/YYYY em inglês)
+ * São resolvidas para YYYY-MM-DD antes de validarFormatoData; datas em UTC, como a data final padrão
+ */
+
+const { obterIdioma } = require('./idioma');
+
+const MS_POR_DIA = 24 * 60 * 60 * 1000;
+
+// Deslocamentos a partir de hoje: -30d (dias), -2s ou -2w (semanas), -3m (meses), -1a ou -1y (anos)
+const REGEX_DESLOCAMENTO = /^-(\d{1,4})([dswmay])$/;
+
+// Data com barras (ou pontos): dia e mês na ordem do idioma, ano com quatro dígitos
+const REGEX_DATA_DO_IDIOMA = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/;
+
+const PERIODOS = [
+    'semana-atual', 'ultima-semana',
+    'mes-atual', 'ultimo-mes',
+    'trimestre-atual', 'ultimo-trimestre',
+    'ano-atual', 'ultimo-ano'
+];
+
+// Expressões em inglês, aceitas em qualquer idioma
+const SINONIMOS = {
+    'today': 'hoje',
+    'yesterday': 'ontem',
+    'this-week': 'semana-atual',
+    'last-week': 'ultima-semana',
+    'this-month': 'mes-atual',
+    'last-month': 'ultimo-mes',
+    'this-quarter': 'trimestre-atual',
+    'last-quarter': 'ultimo-trimestre',
+    'this-year': 'ano-atual',
+    'last-year': 'ultimo-ano'
+};
+
+/**
+ * Normaliza a expressão: minúsculas, sem acentos e com hífens ("Último mês" → "ultimo-mes");
+ * sinônimos em inglês viram a expressão em português ("last month" → "ultimo-mes")
+ */
+function normalizarExpressao(expressao) {
+    const normalizada = expressao.trim().toLowerCase()
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[\s_]+/g, '-');
+    return SINONIMOS[normalizada] || normalizada;
+}
+
+/**
+ * Converte uma data no formato do idioma atual para YYYY-MM-DD, ou null se não for uma
+ * (DD/MM/AAAA em pt-BR, MM/DD/YYYY em inglês)
+ */
+function dataDoIdioma(expressao) {
+    const partes = REGEX_DATA_DO_IDIOMA.exec(expressao.trim());
+    if (!partes) {
+        return null;
+    }
+    const [dia, mes] = obterIdioma() === 'en' ? [partes[2], partes[1]] : [partes[1], partes[2]];
+    return `${partes[3]}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')}`;
+}
+
+/**
+ * Data de hoje (meia-noite UTC)
+ */
+function hojeUtc(agora) {
+    return new Date(Date.UTC(agora.getUTCFullYear(), agora.getUTCMonth(), agora.getUTCDate()));
+}
+
+/**
+ * Data no formato YYYY-MM-DD
+ */
+function formatarData(data) {
+    return data.toISOString().slice(0, 10);
+}
+
+/**
+ * Subtrai meses mantendo o dia, limitado ao último dia do mês de destino (31/03 - 1m = 28/02)
+ */
+function subtrairMeses(data, meses) {
+    const ano = data.getUTCFullYear();
+    const mes = data.getUTCMonth() - meses;
+    const ultimoDia = new Date(Date.UTC(ano, mes + 1, 0)).getUTCDate();
+    return new Date(Date.UTC(ano, mes, Math.min(data.getUTCDate(), ultimoDia)));
+}
+
+/**
+ * Primeiro e último dia de um período nomeado que contém (ou antecede) hoje
+ * Semanas começam na segunda-feira (ISO 8601)
+ */
+function intervaloDoPeriodo(periodo, hoje) {
+    const ano = hoje.getUTCFullYear();
+    const mes = hoje.getUTCMonth();
+    const trimestre = Math.floor(mes / 3) * 3;
+
+    switch (periodo) {
+        case 'semana-atual':
+        case 'ultima-semana': {
+            const segunda = new Date(hoje.getTime() - ((hoje.getUTCDay() + 6) % 7) * MS_POR_DIA);
+            const inicio = periodo === 'semana-atual' ? segunda : new Date(segunda.getTime() - 7 * MS_POR_DIA);
+            return { inicio, fim: new Date(inicio.getTime() + 6 * MS_POR_DIA) };
+        }
+        case 'mes-atual':
+            return { inicio: new Date(Date.UTC(ano, mes, 1)), fim: new Date(Date.UTC(ano, mes + 1, 0)) };
+        case 'ultimo-mes':
+            return { inicio: new Date(Date.UTC(ano, mes - 1, 1)), fim: new Date(Date.UTC(ano, mes, 0)) };
+        case 'trimestre-atual':
+            return { inicio: new Date(Date.UTC(ano, trimestre, 1)), fim: new Date(Date.UTC(ano, trimestre + 3, 0)) };
+        case 'ultimo-trimestre':
+            return { inicio: new Date(Date.UTC(ano, trimestre - 3, 1)), fim: new Date(Date.UTC(ano, trimestre, 0)) };
+        case 'ano-atual':
+            return { inicio: new Date(Date.UTC(ano, 0, 1)), fim: new Date(Date.UTC(ano, 11, 31)) };
+        case 'ultimo-ano':
+            return { inicio: new Date(Date.UTC(ano - 1, 0, 1)), fim: new Date(Date.UTC(ano - 1, 11, 31)) };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Resolve uma data relativa ou no formato do idioma para YYYY-MM-DD
+ * Períodos nomeados viram o primeiro dia (limite 'inicio') ou o último dia (limite 'fim'),
+ * sem passar de hoje; os demais valores voltam inalterados
+ *
+ * @param {string} expressao Ex: "ultimo-mes", "-30d", "hoje", "2026-01-15", "15/01/2026"
+ * @param {'inicio'|'fim'} [limite]
+ * @param {Date} [agora]
+ */
+function resolverData(expressao, limite = 'inicio', agora = new Date()) {
+    if (typeof expressao !== 'string') {
+        return expressao;
+    }
+    const hoje = hojeUtc(agora);
+    const normalizada = normalizarExpressao(expressao);
+
+    if (normalizada === 'hoje') {
+        return formatarData(hoje);
+    }
+    if (normalizada === 'ontem') {
+        return formatarData(new Date(hoje.getTime() - MS_POR_DIA));
+    }
+
+    const deslocamento = REGEX_DESLOCAMENTO.exec(normalizada);
+    if (deslocamento) {
+        const quantidade = Number(deslocamento[1]);
+        switch (deslocamento[2]) {
+            case 'd': return formatarData(new Date(hoje.getTime() - quantidade * MS_POR_DIA));
+            case 's':
+            case 'w': return formatarData(new Date(hoje.getTime() - quantidade * 7 * MS_POR_DIA));
+            case 'm': return formatarData(subtrairMeses(hoje, quantidade));
+            default: return formatarData(subtrairMeses(hoje, quantidade * 12));
+        }
+    }
+
+    const intervalo = intervaloDoPeriodo(normalizada, hoje);
+    if (intervalo) {
+        const data = limite === 'fim' ? intervalo.fim : intervalo.inicio;
+        return formatarData(data > hoje ? hoje : data);
+    }
+
+    return dataDoIdioma(expressao) || expressao;
+}
+
+/**
+ * Data final padrão quando --fim não é informado
+ * Se --inicio for um período nomeado (ex: "ultimo-mes"), o fim desse período; caso contrário, hoje
+ */
+function fimPadrao(inicio, agora = new Date()) {
+    if (typeof inicio === 'string' && PERIODOS.includes(normalizarExpressao(inicio))) {
+        return resolverData(inicio, 'fim', agora);
+    }
+    return formatarData(hojeUtc(agora));
+}
+
+/**
+ * Resolve um intervalo "inicio..fim" (ex: "2025-12-01..2025-12-31", "-60d..-31d")
+ * Cada lado aceita as mesmas expressões de resolverData; retorna { inicio, fim } sem validar
+ * o formato (feito por validarFormatoData), ou null se o texto não tiver ".."
+ */
+function resolverIntervalo(texto, agora = new Date()) {
+    const partes = typeof texto === 'string' ? texto.split('..') : [];
+    if (partes.length !== 2 || !partes[0].trim() || !partes[1].trim()) {
+        return null;
+    }
+    return { inicio: resolverData(partes[0].trim(), 'inicio', agora), fim: resolverData(partes[1].trim(), 'fim', agora) };
+}
+
+/**
+ * Período imediatamente anterior, com a mesma duração
+ * Meses completos (do dia 1 ao último dia) recuam o mesmo número de meses do calendário,
+ * para que "ultimo-mes" seja comparado com o mês anterior inteiro; os demais recuam em dias
+ */
+function periodoAnterior(inicio, fim) {
+    const dataInicio = new Date(`${inicio}T00:00:00Z`);
+    const dataFim = new Date(`${fim}T00:00:00Z`);
+    const diaSeguinteAoFim = new Date(dataFim.getTime() + MS_POR_DIA);
+
+    if (dataInicio.getUTCDate() === 1 && diaSeguinteAoFim.getUTCDate() === 1) {
+        const meses = (diaSeguinteAoFim.getUTCFullYear() - dataInicio.getUTCFullYear()) * 12 + diaSeguinteAoFim.getUTCMonth() - dataInicio.getUTCMonth();
+        return {
+            inicio: formatarData(new Date(Date.UTC(dataInicio.getUTCFullYear(), dataInicio.getUTCMonth() - meses, 1))),
+            fim: formatarData(new Date(dataInicio.getTime() - MS_POR_DIA))
+        };
+    }
+
+    const dias = Math.round((dataFim - dataInicio) / MS_POR_DIA) + 1;
+    return {
+        inicio: formatarData(new Date(dataInicio.getTime() - dias * MS_POR_DIA)),
+        fim: formatarData(new Date(dataInicio.getTime() - MS_POR_DIA))
+    };
+}
+
+module.exports = {
+    PERIODOS,
+    resolverData,
+    resolverIntervalo,
+    fimPadrao,
+    periodoAnterior
+};
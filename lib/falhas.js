@@ -0,0 +1,69 @@
+/**
+ * Dados incompletos da coleta
+ * Falhas que a coleta contorna (uma página de repositórios ou de branches, a listagem de uma
+ * branch, um commit ilegível, as estatísticas de um commit...) ficam registradas em vez de apenas
+ * avisadas: o relatório lista o que faltou e por quê (dadosIncompletos) e, com --estrito, a CLI
+ * encerra com código de saída diferente de zero
+ */
+
+const { GitHubApiError } = require('./github_client');
+
+// Tipos de falha, na ordem em que aparecem no relatório
+const TIPOS_DE_FALHA = ['repositorios', 'branchPadrao', 'branches', 'commits', 'item', 'busca', 'stats', 'pr', 'revisoes', 'local'];
+
+class RegistroDeFalhas {
+    constructor() {
+        this.falhas = [];
+        this.chaves = new Set();
+    }
+
+    /**
+     * Registra uma falha; a mesma falha registrada de novo (ex: no período de comparação) é ignorada
+     * @param {string} tipo Um de TIPOS_DE_FALHA
+     * @param {string|null} repo Repositório afetado (ou a organização, na listagem de repositórios)
+     * @param {string|null} alvo Parte afetada: branch, página, SHA, PR ou critério da busca
+     * @param {Error|string} erro Causa da falha; erros da API mantêm o status HTTP
+     */
+    registrar(tipo, repo, alvo, erro) {
+        const falha = {
+            tipo,
+            repo: repo || null,
+            alvo: alvo || null,
+            motivo: erro instanceof Error ? erro.message : String(erro),
+            status: erro instanceof GitHubApiError ? erro.status : null
+        };
+        const chave = JSON.stringify([falha.tipo, falha.repo, falha.alvo, falha.motivo]);
+        if (!this.chaves.has(chave)) {
+            this.chaves.add(chave);
+            this.falhas.push(falha);
+        }
+    }
+
+    get quantidade() {
+        return this.falhas.length;
+    }
+
+    /**
+     * Indica se houve falha no repositório
+     */
+    afetou(repo) {
+        return this.falhas.some(falha => falha.repo === repo);
+    }
+
+    /**
+     * Falhas na ordem dos tipos, depois por repositório e alvo, independente da ordem
+     * em que as requisições terminaram
+     */
+    listar() {
+        const texto = valor => valor || '';
+        return [...this.falhas].sort((a, b) =>
+            TIPOS_DE_FALHA.indexOf(a.tipo) - TIPOS_DE_FALHA.indexOf(b.tipo) ||
+            texto(a.repo).localeCompare(texto(b.repo)) ||
+            texto(a.alvo).localeCompare(texto(b.alvo)));
+    }
+}
+
+module.exports = {
+    TIPOS_DE_FALHA,
+    RegistroDeFalhas
+};
@@ -0,0 +1,802 @@
+/**
+ * Formatação do relatório: tabela para terminal, JSON, CSV e Markdown
+ */
+
+const { ROTAS } = require('./identidades');
+const { agruparForaDaBranchPadrao } = require('./agregacao');
+const { repositoriosComparados } = require('./comparacao');
+const { distribuirTamanhos } = require('./tamanhos');
+const { SITUACOES_DE_PR } = require('./pull_requests');
+const { ErroDeValidacao, sanitizar } = require('./validacao');
+const { t, formatarNumero } = require('./idioma');
+
+const LARGURA_BARRA = 20;  // Caracteres da maior barra no gráfico por período
+const MAX_BRANCHES_FORA_DA_PADRAO = 20;  // Linhas da tabela de trabalho fora da branch padrão
+const MAX_FALHAS_EXIBIDAS = 20;  // Falhas listadas em "Dados incompletos" (o JSON traz todas)
+const MAX_FORA_DA_CURVA_EXIBIDOS = 20;  // Commits listados em "Fora da curva" (o JSON traz todos)
+const MAX_CARACTERES_DA_MENSAGEM = 50;  // Mensagem dos maiores commits na tabela do terminal
+const NIVEIS_SPARKLINE = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+/**
+ * Ordena repositórios do relatório pelo total de linhas alteradas (decrescente)
+ */
+function ordenarRepositorios(results) {
+    return Object.entries(results).sort((a, b) => b[1].total - a[1].total);
+}
+
+/**
+ * Ordena usuários do ranking: total de linhas, depois commits, depois nome
+ */
+function ordenarUsuarios(porUsuario) {
+    return Object.entries(porUsuario).sort((a, b) =>
+        b[1].total - a[1].total || b[1].commits - a[1].commits || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Ordena linguagens pelo total de linhas alteradas, depois pelo nome
+ */
+function ordenarLinguagens(porLinguagem) {
+    return Object.entries(porLinguagem).sort((a, b) => b[1].total - a[1].total || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Percentual do total de linhas alteradas (uma casa decimal)
+ */
+function percentual(valor, total) {
+    return total > 0 ? `${formatarNumero(valor / total * 100, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}%` : '-';
+}
+
+/**
+ * Número com sinal explícito (ex: "+1.234", "-56", "0")
+ */
+function comSinal(valor) {
+    return `${valor > 0 ? '+' : valor < 0 ? '-' : ''}${formatarNumero(Math.abs(valor))}`;
+}
+
+/**
+ * Variação percentual com sinal (ex: "+12,5%"); "-" quando indefinida (período anterior zerado)
+ */
+function variacaoPercentual(percentual) {
+    if (percentual === null) {
+        return '-';
+    }
+    const valor = formatarNumero(Math.abs(percentual), { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    return `${percentual > 0 ? '+' : percentual < 0 ? '-' : ''}${valor}%`;
+}
+
+/**
+ * Variação de uma métrica dos totais (ex: "anterior: 100 | +19, +19,0%")
+ */
+function resumoDaVariacao(comparado, metrica) {
+    return t('variacaoDoTotal', formatarNumero(comparado.anterior[metrica]), comSinal(comparado.diferenca[metrica]), variacaoPercentual(comparado.percentual[metrica]));
+}
+
+/**
+ * Resumo das linhas ignoradas por --excluir-caminho, ou null se nada foi ignorado
+ */
+function resumoDoIgnorado(ignorado) {
+    if (!ignorado || ignorado.arquivos === 0) {
+        return null;
+    }
+    return t('ignoradoEmArquivos', formatarNumero(ignorado.additions), formatarNumero(ignorado.deletions), ignorado.arquivos);
+}
+
+/**
+ * Resumo das rotas de atribuição (ex: "login 110 | e-mail 5 | co-autoria 4"), ou null
+ * se todos os commits vieram do login (caso em que não há o que auditar)
+ */
+function resumoDaAtribuicao(atribuicao) {
+    if (!atribuicao || ROTAS.every(rota => rota === 'login' || atribuicao[rota] === 0)) {
+        return null;
+    }
+    const rotulos = t('rotulosDeRota');
+    return ROTAS.filter(rota => rota === 'login' || atribuicao[rota] > 0)
+        .map(rota => `${rotulos[rota]} ${atribuicao[rota]}`)
+        .join(' | ');
+}
+
+/**
+ * Resumo dos commits na branch padrão e apenas em outras branches, ou null se a coleta
+ * não informa a branch (ex: "branch padrão 100 (+1.234 / -567) | só em outras branches 19 (+80 / -12)")
+ */
+function resumoDasBranches(porBranch) {
+    if (!porBranch) {
+        return null;
+    }
+    const resumo = stats => `${stats.commits} (+${formatarNumero(stats.additions)} / -${formatarNumero(stats.deletions)})`;
+    return t('resumoDasBranches', resumo(porBranch.padrao), resumo(porBranch.outras));
+}
+
+/**
+ * Trabalho fora da branch padrão por repositório e branch, limitado às maiores
+ * Retorna { grupos, omitidos }
+ */
+function trabalhoForaDaBranchPadrao(relatorio) {
+    const grupos = relatorio.porBranch ? agruparForaDaBranchPadrao(relatorio.commits) : [];
+    return {
+        grupos: grupos.slice(0, MAX_BRANCHES_FORA_DA_PADRAO),
+        omitidos: Math.max(0, grupos.length - MAX_BRANCHES_FORA_DA_PADRAO)
+    };
+}
+
+/**
+ * Falhas da coleta a exibir em "Dados incompletos", limitadas às primeiras
+ * Retorna { falhas, total, omitidas }; relatórios antigos (JSON salvo) não têm a lista
+ */
+function dadosIncompletos(relatorio) {
+    const todas = relatorio.dadosIncompletos || [];
+    return {
+        falhas: todas.slice(0, MAX_FALHAS_EXIBIDAS),
+        total: todas.length,
+        omitidas: Math.max(0, todas.length - MAX_FALHAS_EXIBIDAS)
+    };
+}
+
+/**
+ * Tipo (rótulo) e local de uma falha (ex: "acme/api main", "acme/api #42")
+ */
+function descreverFalha(falha) {
+    return {
+        tipo: t('rotulosDeFalha')[falha.tipo] || falha.tipo,
+        local: [falha.repo, falha.alvo].filter(Boolean).join(' ')
+    };
+}
+
+/**
+ * Distribuição do tamanho dos commits; relatórios antigos (JSON salvo) não a têm,
+ * e ela é calculada a partir da lista de commits
+ */
+function tamanhosDosCommits(relatorio) {
+    return relatorio.tamanhos || distribuirTamanhos(relatorio.commits);
+}
+
+/**
+ * Rótulo de uma faixa do histograma de tamanhos (ex: "11–50", "> 5.000")
+ */
+function rotuloDaFaixa(faixa) {
+    if (faixa.ate === null) {
+        return `> ${formatarNumero(faixa.de - 1)}`;
+    }
+    return `${formatarNumero(faixa.de)}–${formatarNumero(faixa.ate)}`;
+}
+
+/**
+ * Resumo da distribuição (mediana, p90 e máximo), ou null se não há commits
+ */
+function resumoDosTamanhos(tamanhos) {
+    if (tamanhos.commits === 0) {
+        return null;
+    }
+    const linhas = valor => formatarNumero(valor, { maximumFractionDigits: 1 });
+    return t('resumoDosTamanhos', linhas(tamanhos.mediana), linhas(tamanhos.p90), linhas(tamanhos.maximo), tamanhos.commits);
+}
+
+/**
+ * Resumo dos commits acima de --limite-outlier, ou null se nenhum passou do limite
+ */
+function resumoForaDaCurva(outliers) {
+    if (!outliers || outliers.commits.length === 0) {
+        return null;
+    }
+    return t('resumoForaDaCurva', outliers.commits.length, formatarNumero(outliers.limite), outliers.modo,
+        formatarNumero(outliers.additions), formatarNumero(outliers.deletions));
+}
+
+/**
+ * Commits acima de --limite-outlier a exibir, limitados aos maiores
+ * Retorna { commits, omitidos }
+ */
+function commitsForaDaCurva(relatorio) {
+    const todos = relatorio.outliers ? relatorio.outliers.commits : [];
+    return {
+        commits: todos.slice(0, MAX_FORA_DA_CURVA_EXIBIDOS),
+        omitidos: Math.max(0, todos.length - MAX_FORA_DA_CURVA_EXIBIDOS)
+    };
+}
+
+/**
+ * Primeira linha da mensagem do commit encurtada para a tabela do terminal ("" se ausente)
+ */
+function mensagemCurta(mensagem) {
+    if (!mensagem) {
+        return '';
+    }
+    return mensagem.length > MAX_CARACTERES_DA_MENSAGEM ? `${mensagem.slice(0, MAX_CARACTERES_DA_MENSAGEM - 1)}…` : mensagem;
+}
+
+/**
+ * Indica se o relatório é de um time (mais de um usuário)
+ */
+function ehRelatorioDeTime(relatorio) {
+    return relatorio.parametros.usuarios.length > 1;
+}
+
+/**
+ * Título do relatório: nome do usuário ou do time
+ */
+function tituloDoRelatorio(parametros) {
+    if (parametros.usuarios.length === 1) {
+        return sanitizar(parametros.usuario);
+    }
+    const nome = parametros.time ? `${sanitizar(parametros.time)} ` : '';
+    return t('relatorioDeTime', nome, parametros.usuarios.length);
+}
+
+/**
+ * Formata relatório como tabela para terminal
+ */
+function formatarTabela(relatorio) {
+    const { parametros, totais, results, porUsuario, comparacao } = relatorio;
+    const linhas = [];
+
+    linhas.push('\n' + '='.repeat(80));
+    linhas.push(`${t('estatisticasDeCommits').toUpperCase()} - ${tituloDoRelatorio(parametros)} (${t('intervalo', parametros.inicio, parametros.fim)})`);
+    if (comparacao) {
+        linhas.push(`${t('comparadoCom')} ${t('intervalo', comparacao.inicio, comparacao.fim)}`);
+    }
+    linhas.push('='.repeat(80));
+    // Com comparação, cada total traz o valor anterior e a variação
+    const variacaoTabela = metrica => comparacao ? ` (${resumoDaVariacao(comparacao.totais, metrica)})` : '';
+    linhas.push(`\n📊 ${t('totalGeral').toUpperCase()}:`);
+    linhas.push(`   • Commits: ${totais.commits}${variacaoTabela('commits')}`);
+    linhas.push(`   • ${t('linhasAdicionadas')}: +${formatarNumero(totais.additions)}${variacaoTabela('additions')}`);
+    linhas.push(`   • ${t('linhasRemovidas')}: -${formatarNumero(totais.deletions)}${variacaoTabela('deletions')}`);
+    linhas.push(`   • ${t('totalDeLinhasAlteradas')}: ${formatarNumero(totais.total)}${variacaoTabela('total')}`);
+    const ignoradoTabela = resumoDoIgnorado(relatorio.ignorado);
+    if (ignoradoTabela) {
+        linhas.push(`   • ${t('ignoradas')} (--excluir-caminho): ${ignoradoTabela}`);
+    }
+    const atribuicaoTabela = resumoDaAtribuicao(relatorio.atribuicao);
+    if (atribuicaoTabela) {
+        linhas.push(`   • ${t('commitsAtribuidosPor')}: ${atribuicaoTabela}`);
+    }
+    const branchesTabela = resumoDasBranches(relatorio.porBranch);
+    if (branchesTabela) {
+        linhas.push(`   • ${t('commitsEncontradosNa')}: ${branchesTabela}`);
+    }
+    const foraDaCurvaTabela = resumoForaDaCurva(relatorio.outliers);
+    if (foraDaCurvaTabela) {
+        linhas.push(`   • ${t('foraDaCurva')} (--limite-outlier): ${foraDaCurvaTabela}`);
+    }
+    const incompletosTabela = dadosIncompletos(relatorio);
+    if (incompletosTabela.total > 0) {
+        linhas.push(`   • ⚠️  ${t('resumoDosDadosIncompletos', incompletosTabela.total)}`);
+    }
+
+    if (ehRelatorioDeTime(relatorio)) {
+        linhas.push(`\n🏆 ${t('rankingDoTime').toUpperCase()}:`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaUsuario').padEnd(22)} ${'Commits'.padEnd(8)} ${t('colunaAdicoes').padEnd(13)} ${t('colunaRemocoes').padEnd(13)} ${'Total'.padEnd(13)} ${'Repos'.padEnd(6)}`);
+        linhas.push('-'.repeat(80));
+
+        for (const [usuario, stats] of ordenarUsuarios(porUsuario)) {
+            linhas.push(`${sanitizar(usuario).padEnd(22)} ${stats.commits.toString().padEnd(8)} +${formatarNumero(stats.additions).padEnd(12)} -${formatarNumero(stats.deletions).padEnd(12)} ${formatarNumero(stats.total).padEnd(13)} ${stats.repositorios.toString().padEnd(6)}`);
+        }
+
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('totalDoTime').toUpperCase().padEnd(22)} ${totais.commits.toString().padEnd(8)} +${formatarNumero(totais.additions).padEnd(12)} -${formatarNumero(totais.deletions).padEnd(12)} ${formatarNumero(totais.total).padEnd(13)} ${Object.keys(results).length.toString().padEnd(6)}`);
+
+        if (atribuicaoTabela) {
+            const rotulos = t('rotulosDeRota');
+            linhas.push(`\n🔎 ${t('atribuicaoPorUsuario').toUpperCase()}:`);
+            for (const [usuario, stats] of ordenarUsuarios(porUsuario)) {
+                linhas.push(`   • ${sanitizar(usuario)}: ${ROTAS.map(rota => `${rotulos[rota]} ${stats.atribuicao[rota]}`).join(' | ')}`);
+            }
+        }
+    }
+
+    const repositoriosTabela = repositoriosComparados(relatorio);
+    if (repositoriosTabela.length > 0) {
+        // Com comparação: variação do total de linhas e situação (novo / sem atividade)
+        const colunasDaComparacao = comparado => comparacao
+            ? ` ${comSinal(comparado.diferenca.total).padEnd(12)} ${variacaoPercentual(comparado.percentual.total).padEnd(9)} ${t('rotulosDeComparacao')[comparado.situacao] || ''}`.trimEnd()
+            : '';
+        linhas.push(`\n📁 ${t('porRepositorio').toUpperCase()}:`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaRepositorio').padEnd(50)} ${'Commits'.padEnd(10)} ${t('colunaAdicoes').padEnd(15)} ${t('colunaRemocoes').padEnd(15)} ${'Total'.padEnd(15)}${comparacao ? ` ${t('colunaDeltaTotal').padEnd(12)} ${t('colunaVariacao').padEnd(9)} ${t('colunaSituacao')}` : ''}`);
+        linhas.push('-'.repeat(80));
+
+        for (const [repo, stats] of repositoriosTabela) {
+            linhas.push(`${sanitizar(repo).padEnd(50)} ${stats.commits.toString().padEnd(10)} +${formatarNumero(stats.additions).padEnd(14)} -${formatarNumero(stats.deletions).padEnd(14)} ${formatarNumero(stats.total).padEnd(15)}${colunasDaComparacao(comparacao && comparacao.results[repo])}`);
+        }
+
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('linhaTotal').padEnd(50)} ${totais.commits.toString().padEnd(10)} +${formatarNumero(totais.additions).padEnd(14)} -${formatarNumero(totais.deletions).padEnd(14)} ${formatarNumero(totais.total).padEnd(15)}${colunasDaComparacao(comparacao && comparacao.totais)}`);
+    }
+
+    const foraDaPadraoTabela = trabalhoForaDaBranchPadrao(relatorio);
+    if (foraDaPadraoTabela.grupos.length > 0) {
+        linhas.push(`\n🌿 ${t('foraDaBranchPadrao').toUpperCase()}:`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaRepositorioEBranch').padEnd(50)} ${'Commits'.padEnd(10)} ${t('colunaAdicoes').padEnd(15)} ${t('colunaRemocoes').padEnd(15)} ${'Total'.padEnd(15)}`);
+        linhas.push('-'.repeat(80));
+        for (const grupo of foraDaPadraoTabela.grupos) {
+            linhas.push(`${`${sanitizar(grupo.repo)} ${sanitizar(grupo.branch)}`.padEnd(50)} ${grupo.commits.toString().padEnd(10)} +${formatarNumero(grupo.additions).padEnd(14)} -${formatarNumero(grupo.deletions).padEnd(14)} ${formatarNumero(grupo.total).padEnd(15)}`);
+        }
+        if (foraDaPadraoTabela.omitidos > 0) {
+            linhas.push(`   ${t('maisBranches', foraDaPadraoTabela.omitidos)}`);
+        }
+    }
+
+    if (relatorio.porLinguagem && Object.keys(relatorio.porLinguagem).length > 0) {
+        linhas.push(`\n🗂️  ${t('porLinguagem').toUpperCase()}:`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaLinguagem').padEnd(24)} ${'Commits'.padEnd(10)} ${t('colunaAdicoes').padEnd(13)} ${t('colunaRemocoes').padEnd(13)} ${'Total'.padEnd(13)} ${'%'.padEnd(6)}`);
+        linhas.push('-'.repeat(80));
+
+        for (const [linguagem, stats] of ordenarLinguagens(relatorio.porLinguagem)) {
+            linhas.push(`${linguagem.padEnd(24)} ${stats.commits.toString().padEnd(10)} +${formatarNumero(stats.additions).padEnd(12)} -${formatarNumero(stats.deletions).padEnd(12)} ${formatarNumero(stats.total).padEnd(13)} ${percentual(stats.total, totais.total).padEnd(6)}`);
+        }
+    }
+
+    if (relatorio.porPeriodo) {
+        const maiorTotal = Math.max(0, ...relatorio.porPeriodo.map(p => p.total));
+        linhas.push(`\n📈 ${t('porAgrupamento', t('rotulosDeAgrupamento')[parametros.agrupamento]).toUpperCase()}:`);
+        linhas.push(`   ${t('tendencia')}: ${sparkline(relatorio.porPeriodo.map(p => p.total))}`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaPeriodo').padEnd(12)} ${'Commits'.padEnd(8)} ${t('colunaAdicoes').padEnd(11)} ${t('colunaRemocoes').padEnd(11)} ${'Total'.padEnd(11)} ${''.padEnd(LARGURA_BARRA)}`);
+        linhas.push('-'.repeat(80));
+
+        for (const p of relatorio.porPeriodo) {
+            linhas.push(`${p.periodo.padEnd(12)} ${p.commits.toString().padEnd(8)} +${formatarNumero(p.additions).padEnd(10)} -${formatarNumero(p.deletions).padEnd(10)} ${formatarNumero(p.total).padEnd(11)} ${barra(p.total, maiorTotal)}`);
+        }
+    }
+
+    const tamanhosTabela = tamanhosDosCommits(relatorio);
+    if (tamanhosTabela.commits > 0) {
+        const maiorFaixa = Math.max(0, ...tamanhosTabela.faixas.map(faixa => faixa.commits));
+        linhas.push(`\n📏 ${t('tamanhoDosCommits').toUpperCase()}:`);
+        linhas.push(`   ${resumoDosTamanhos(tamanhosTabela)}`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaLinhas').padEnd(20)} ${'Commits'.padEnd(10)} %`);
+        linhas.push('-'.repeat(80));
+        for (const faixa of tamanhosTabela.faixas) {
+            linhas.push(`${rotuloDaFaixa(faixa).padEnd(20)} ${faixa.commits.toString().padEnd(10)} ${percentual(faixa.commits, tamanhosTabela.commits).padEnd(8)} ${barra(faixa.commits, maiorFaixa)}`.trimEnd());
+        }
+
+        linhas.push(`\n🐘 ${t('maioresCommits').toUpperCase()}:`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaRepositorio').padEnd(30)} ${'SHA'.padEnd(8)} ${t('colunaData').padEnd(10)} ${t('colunaAdicoes').padEnd(10)} ${t('colunaRemocoes').padEnd(10)} ${'Total'.padEnd(10)} ${t('colunaMensagem')}`);
+        linhas.push('-'.repeat(80));
+        for (const commit of tamanhosTabela.maiores) {
+            linhas.push(`${sanitizar(commit.repo).padEnd(30)} ${commit.sha.slice(0, 7).padEnd(8)} ${(commit.date ? commit.date.slice(0, 10) : '-').padEnd(10)} +${formatarNumero(commit.additions).padEnd(9)} -${formatarNumero(commit.deletions).padEnd(9)} ${formatarNumero(commit.total).padEnd(10)} ${mensagemCurta(commit.mensagem)}`.trimEnd());
+        }
+    }
+
+    const foraDaCurvaLista = commitsForaDaCurva(relatorio);
+    if (foraDaCurvaLista.commits.length > 0) {
+        linhas.push(`\n✂️  ${t('foraDaCurva').toUpperCase()}:`);
+        linhas.push(`   ${foraDaCurvaTabela}`);
+        linhas.push('-'.repeat(80));
+        for (const commit of foraDaCurvaLista.commits) {
+            const mensagem = commit.mensagem ? `: ${mensagemCurta(commit.mensagem)}` : '';
+            linhas.push(`   • ${sanitizar(commit.repo)} ${commit.sha.slice(0, 7)} ${commit.date ? commit.date.slice(0, 10) : '-'} (+${formatarNumero(commit.additions)} / -${formatarNumero(commit.deletions)})${mensagem}`);
+        }
+        if (foraDaCurvaLista.omitidos > 0) {
+            linhas.push(`   ${t('maisCommitsForaDaCurva', foraDaCurvaLista.omitidos)}`);
+        }
+    }
+
+    if (relatorio.prs) {
+        const rotulos = t('rotulosDeSituacao');
+        linhas.push(`\n📬 ${t('pullRequests').toUpperCase()}:`);
+        linhas.push('-'.repeat(80));
+        linhas.push(`${t('colunaUsuario').padEnd(22)} ${t('colunaSituacao').padEnd(20)} ${'PRs'.padEnd(6)} ${t('colunaAdicoes').padEnd(13)} ${t('colunaRemocoes').padEnd(13)}`);
+        linhas.push('-'.repeat(80));
+        for (const [usuario, doUsuario] of Object.entries(relatorio.prs.porUsuario)) {
+            for (const situacao of SITUACOES_DE_PR) {
+                const stats = doUsuario[situacao];
+                linhas.push(`${sanitizar(usuario).padEnd(22)} ${rotulos[situacao].padEnd(20)} ${stats.prs.toString().padEnd(6)} +${formatarNumero(stats.additions).padEnd(12)} -${formatarNumero(stats.deletions).padEnd(12)}`);
+            }
+            linhas.push(`${''.padEnd(22)} ${t('medianaERevisoes', formatarDuracao(doUsuario.medianaAteMergeHoras), doUsuario.revisoes, doUsuario.prsRevisados)}`);
+        }
+
+        const revisoesPorRepositorio = ordenarPorRevisoes(relatorio.prs.revisoes.porRepositorio);
+        if (revisoesPorRepositorio.length > 0) {
+            linhas.push(`\n👀 ${t('revisoesPorRepositorio').toUpperCase()}:`);
+            linhas.push('-'.repeat(80));
+            linhas.push(`${t('colunaRepositorio').padEnd(50)} ${t('colunaRevisoes').padEnd(10)} ${'PRs'.padEnd(10)}`);
+            linhas.push('-'.repeat(80));
+            for (const [repo, stats] of revisoesPorRepositorio) {
+                linhas.push(`${sanitizar(repo).padEnd(50)} ${stats.revisoes.toString().padEnd(10)} ${stats.prs.toString().padEnd(10)}`);
+            }
+        }
+    }
+    if (incompletosTabela.total > 0) {
+        linhas.push(`\n⚠️  ${t('dadosIncompletos').toUpperCase()}:`);
+        linhas.push('-'.repeat(80));
+        for (const falha of incompletosTabela.falhas) {
+            const { tipo, local } = descreverFalha(falha);
+            linhas.push(`   • ${tipo}${local ? ` (${local})` : ''}: ${falha.motivo}`);
+        }
+        if (incompletosTabela.omitidas > 0) {
+            linhas.push(`   ${t('maisFalhas', incompletosTabela.omitidas)}`);
+        }
+    }
+    linhas.push('='.repeat(80));
+
+    return linhas.join('\n');
+}
+
+/**
+ * Ordena repositórios pelo número de revisões (decrescente), depois pelo nome
+ */
+function ordenarPorRevisoes(porRepositorio) {
+    return Object.entries(porRepositorio).sort((a, b) => b[1].revisoes - a[1].revisoes || a[0].localeCompare(b[0]));
+}
+
+/**
+ * Formata duração em horas como "2d 4h" ou "3h 20min" ("-" se indisponível)
+ */
+function formatarDuracao(horas) {
+    if (horas === null || horas === undefined) {
+        return '-';
+    }
+    const minutos = Math.round(horas * 60);
+    const dias = Math.floor(minutos / (24 * 60));
+    const horasRestantes = Math.floor((minutos % (24 * 60)) / 60);
+    if (dias > 0) {
+        return `${dias}d ${horasRestantes}h`;
+    }
+    return `${horasRestantes}h ${minutos % 60}min`;
+}
+
+/**
+ * Gráfico de uma linha com a variação dos valores (um caractere por período)
+ */
+function sparkline(valores) {
+    const maior = Math.max(0, ...valores);
+    return valores.map(valor => {
+        if (maior === 0 || valor === 0) return NIVEIS_SPARKLINE[0];
+        // Qualquer atividade aparece acima do nível zero
+        return NIVEIS_SPARKLINE[Math.max(1, Math.round(valor / maior * (NIVEIS_SPARKLINE.length - 1)))];
+    }).join('');
+}
+
+/**
+ * Barra horizontal proporcional ao maior valor da série
+ */
+function barra(valor, maior) {
+    if (maior === 0 || valor === 0) return '';
+    return '█'.repeat(Math.max(1, Math.round(valor / maior * LARGURA_BARRA)));
+}
+
+/**
+ * Formata relatório como JSON
+ * Inclui parâmetros da busca, totais, resultados por repositório e lista de commits
+ */
+function formatarJson(relatorio) {
+    return JSON.stringify(relatorio, null, 2);
+}
+
+/**
+ * Escapa valor para célula CSV (RFC 4180)
+ */
+function escaparCsv(valor) {
+    const texto = String(valor);
+    if (/[",\r\n]/.test(texto)) {
+        return `"${texto.replace(/"/g, '""')}"`;
+    }
+    return texto;
+}
+
+/**
+ * Formata relatório como CSV (uma linha por repositório + linha de total)
+ * Números sem separador de milhar para facilitar importação em planilhas
+ * Com --agrupar, a tabela por período vem depois, separada por uma linha em branco
+ */
+function formatarCsv(relatorio) {
+    const tabela = ehRelatorioDeTime(relatorio) ? formatarCsvDoTime(relatorio) : formatarCsvPorRepositorio(relatorio);
+    return relatorio.porPeriodo ? `${tabela}\n\n${formatarCsvPorPeriodo(relatorio)}` : tabela;
+}
+
+/**
+ * Tabela por repositório do CSV, com as colunas da comparação quando houver
+ */
+function formatarCsvPorRepositorio(relatorio) {
+    const { totais, comparacao } = relatorio;
+    // Com comparação: total do período anterior, diferença, variação (%) e situação do repositório
+    const colunasDaComparacao = comparado => comparacao
+        ? [comparado.anterior.total, comparado.diferenca.total, comparado.percentual.total === null ? '' : comparado.percentual.total, comparado.situacao || '']
+        : [];
+    const linhas = [[t('colunaRepositorio'), 'Commits', t('colunaAdicoes'), t('colunaRemocoes'), 'Total',
+        ...(comparacao ? [t('colunaTotalAnterior'), t('colunaDiferenca'), t('colunaVariacaoPercentual'), t('colunaSituacao')] : [])]];
+
+    for (const [repo, stats] of repositoriosComparados(relatorio)) {
+        linhas.push([repo, stats.commits, stats.additions, stats.deletions, stats.total, ...colunasDaComparacao(comparacao && comparacao.results[repo])]);
+    }
+    linhas.push([t('linhaTotal'), totais.commits, totais.additions, totais.deletions, totais.total, ...colunasDaComparacao(comparacao && comparacao.totais)]);
+
+    return linhas.map(linha => linha.map(escaparCsv).join(',')).join('\n');
+}
+
+/**
+ * Formata relatório de time como CSV em formato longo (uma linha por usuário e repositório)
+ * Cada usuário tem uma linha TOTAL e o time uma linha final, prontas para tabelas dinâmicas
+ */
+function formatarCsvDoTime(relatorio) {
+    const { totais, results, porUsuario } = relatorio;
+    const linhas = [[t('colunaUsuario'), t('colunaRepositorio'), 'Commits', t('colunaAdicoes'), t('colunaRemocoes'), 'Total']];
+
+    for (const [usuario, doUsuario] of ordenarUsuarios(porUsuario)) {
+        for (const [repo, stats] of ordenarRepositorios(doUsuario.results)) {
+            linhas.push([usuario, repo, stats.commits, stats.additions, stats.deletions, stats.total]);
+        }
+        linhas.push([usuario, t('linhaTotal'), doUsuario.commits, doUsuario.additions, doUsuario.deletions, doUsuario.total]);
+    }
+    linhas.push([t('linhaTime'), t('linhaTotal'), totais.commits, totais.additions, totais.deletions, totais.total]);
+
+    // Repositórios do time sem distinção de usuário (commits contados uma vez)
+    for (const [repo, stats] of ordenarRepositorios(results)) {
+        linhas.push([t('linhaTime'), repo, stats.commits, stats.additions, stats.deletions, stats.total]);
+    }
+
+    return linhas.map(linha => linha.map(escaparCsv).join(',')).join('\n');
+}
+
+/**
+ * Formata a série temporal como CSV (uma linha por período + linha de total)
+ */
+function formatarCsvPorPeriodo(relatorio) {
+    const { totais, porPeriodo } = relatorio;
+    const linhas = [[t('colunaPeriodo'), t('colunaInicio'), 'Commits', t('colunaAdicoes'), t('colunaRemocoes'), 'Total']];
+
+    for (const p of porPeriodo) {
+        linhas.push([p.periodo, p.inicio, p.commits, p.additions, p.deletions, p.total]);
+    }
+    linhas.push([t('linhaTotal'), relatorio.parametros.inicio, totais.commits, totais.additions, totais.deletions, totais.total]);
+
+    return linhas.map(linha => linha.map(escaparCsv).join(',')).join('\n');
+}
+
+/**
+ * Formata relatório como Markdown (para relatórios e comentários de PR)
+ */
+function formatarMarkdown(relatorio) {
+    const { parametros, totais, results, porUsuario, comparacao } = relatorio;
+    const linhas = [];
+
+    linhas.push(`## ${t('estatisticasDeCommits')} - ${tituloDoRelatorio(parametros)} (${t('intervalo', parametros.inicio, parametros.fim)})`);
+    linhas.push('');
+    if (comparacao) {
+        linhas.push(`_${t('comparadoCom')} ${t('intervalo', comparacao.inicio, comparacao.fim)}_`);
+        linhas.push('');
+    }
+    const variacaoMarkdown = metrica => comparacao ? ` (${resumoDaVariacao(comparacao.totais, metrica)})` : '';
+    linhas.push(`- **Commits:** ${totais.commits}${variacaoMarkdown('commits')}`);
+    linhas.push(`- **${t('linhasAdicionadas')}:** +${formatarNumero(totais.additions)}${variacaoMarkdown('additions')}`);
+    linhas.push(`- **${t('linhasRemovidas')}:** -${formatarNumero(totais.deletions)}${variacaoMarkdown('deletions')}`);
+    linhas.push(`- **${t('totalDeLinhasAlteradas')}:** ${formatarNumero(totais.total)}${variacaoMarkdown('total')}`);
+    const ignoradoMarkdown = resumoDoIgnorado(relatorio.ignorado);
+    if (ignoradoMarkdown) {
+        linhas.push(`- **${t('ignoradas')} (\`--excluir-caminho\`):** ${ignoradoMarkdown}`);
+    }
+    const atribuicaoMarkdown = resumoDaAtribuicao(relatorio.atribuicao);
+    if (atribuicaoMarkdown) {
+        linhas.push(`- **${t('commitsAtribuidosPor')}:** ${atribuicaoMarkdown}`);
+    }
+    const branchesMarkdown = resumoDasBranches(relatorio.porBranch);
+    if (branchesMarkdown) {
+        linhas.push(`- **${t('commitsEncontradosNa')}:** ${branchesMarkdown}`);
+    }
+    const foraDaCurvaMarkdown = resumoForaDaCurva(relatorio.outliers);
+    if (foraDaCurvaMarkdown) {
+        linhas.push(`- **${t('foraDaCurva')} (\`--limite-outlier\`):** ${foraDaCurvaMarkdown}`);
+    }
+    const incompletosMarkdown = dadosIncompletos(relatorio);
+    if (incompletosMarkdown.total > 0) {
+        linhas.push(`- **${t('dadosIncompletos')}:** ${t('resumoDosDadosIncompletos', incompletosMarkdown.total)}`);
+    }
+
+    if (ehRelatorioDeTime(relatorio)) {
+        linhas.push('');
+        linhas.push(`### ${t('rankingDoTime')}`);
+        linhas.push('');
+        linhas.push(`| ${t('colunaUsuario')} | Commits | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} | Total | Repos |`);
+        linhas.push('|---|---:|---:|---:|---:|---:|');
+        for (const [usuario, stats] of ordenarUsuarios(porUsuario)) {
+            linhas.push(`| ${sanitizar(usuario)} | ${stats.commits} | +${formatarNumero(stats.additions)} | -${formatarNumero(stats.deletions)} | ${formatarNumero(stats.total)} | ${stats.repositorios} |`);
+        }
+        linhas.push(`| **${t('totalDoTime').toUpperCase()}** | **${totais.commits}** | **+${formatarNumero(totais.additions)}** | **-${formatarNumero(totais.deletions)}** | **${formatarNumero(totais.total)}** | **${Object.keys(results).length}** |`);
+        if (atribuicaoMarkdown) {
+            linhas.push('');
+            const rotulos = t('rotulosDeRota');
+            linhas.push(`**${t('atribuicaoPorUsuario')}:**`);
+            linhas.push('');
+            for (const [usuario, stats] of ordenarUsuarios(porUsuario)) {
+                linhas.push(`- ${sanitizar(usuario)}: ${ROTAS.map(rota => `${rotulos[rota]} ${stats.atribuicao[rota]}`).join(' | ')}`);
+            }
+        }
+        linhas.push('');
+        linhas.push(`### ${t('porRepositorio')}`);
+    }
+
+    const repositoriosMarkdown = repositoriosComparados(relatorio);
+    if (repositoriosMarkdown.length > 0) {
+        const colunasDaComparacao = (comparado, destaque = '') => comparacao
+            ? ` ${destaque}${comSinal(comparado.diferenca.total)}${destaque} | ${destaque}${variacaoPercentual(comparado.percentual.total)}${destaque} | ${t('rotulosDeComparacao')[comparado.situacao] || ''} |`
+            : '';
+        linhas.push('');
+        linhas.push(`| ${t('colunaRepositorio')} | Commits | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} | Total |${comparacao ? ` ${t('colunaDeltaTotal')} | ${t('colunaVariacao')} | ${t('colunaSituacao')} |` : ''}`);
+        linhas.push(`|---|---:|---:|---:|---:|${comparacao ? '---:|---:|---|' : ''}`);
+        for (const [repo, stats] of repositoriosMarkdown) {
+            linhas.push(`| ${sanitizar(repo)} | ${stats.commits} | +${formatarNumero(stats.additions)} | -${formatarNumero(stats.deletions)} | ${formatarNumero(stats.total)} |${colunasDaComparacao(comparacao && comparacao.results[repo])}`);
+        }
+        linhas.push(`| **${t('linhaTotal')}** | **${totais.commits}** | **+${formatarNumero(totais.additions)}** | **-${formatarNumero(totais.deletions)}** | **${formatarNumero(totais.total)}** |${colunasDaComparacao(comparacao && comparacao.totais, '**')}`);
+    }
+
+    const foraDaPadraoMarkdown = trabalhoForaDaBranchPadrao(relatorio);
+    if (foraDaPadraoMarkdown.grupos.length > 0) {
+        linhas.push('');
+        linhas.push(`### ${t('foraDaBranchPadrao')}`);
+        linhas.push('');
+        linhas.push(`| ${t('colunaRepositorio')} | Branch | Commits | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} | Total |`);
+        linhas.push('|---|---|---:|---:|---:|---:|');
+        for (const grupo of foraDaPadraoMarkdown.grupos) {
+            linhas.push(`| ${sanitizar(grupo.repo)} | ${sanitizar(grupo.branch)} | ${grupo.commits} | +${formatarNumero(grupo.additions)} | -${formatarNumero(grupo.deletions)} | ${formatarNumero(grupo.total)} |`);
+        }
+        if (foraDaPadraoMarkdown.omitidos > 0) {
+            linhas.push('');
+            linhas.push(`_${t('maisBranches', foraDaPadraoMarkdown.omitidos)}_`);
+        }
+    }
+
+    if (relatorio.porLinguagem && Object.keys(relatorio.porLinguagem).length > 0) {
+        linhas.push('');
+        linhas.push(`### ${t('porLinguagem')}`);
+        linhas.push('');
+        linhas.push(`| ${t('colunaLinguagem')} | Commits | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} | Total | % |`);
+        linhas.push('|---|---:|---:|---:|---:|---:|');
+        for (const [linguagem, stats] of ordenarLinguagens(relatorio.porLinguagem)) {
+            linhas.push(`| ${linguagem} | ${stats.commits} | +${formatarNumero(stats.additions)} | -${formatarNumero(stats.deletions)} | ${formatarNumero(stats.total)} | ${percentual(stats.total, totais.total)} |`);
+        }
+    }
+
+    if (relatorio.porPeriodo) {
+        const maiorTotal = Math.max(0, ...relatorio.porPeriodo.map(p => p.total));
+        linhas.push('');
+        linhas.push(`### ${t('porAgrupamento', t('rotulosDeAgrupamento')[parametros.agrupamento])}`);
+        linhas.push('');
+        linhas.push(`${t('tendencia')}: \`${sparkline(relatorio.porPeriodo.map(p => p.total))}\``);
+        linhas.push('');
+        linhas.push(`| ${t('colunaPeriodo')} | Commits | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} | Total | |`);
+        linhas.push('|---|---:|---:|---:|---:|---|');
+        for (const p of relatorio.porPeriodo) {
+            linhas.push(`| ${p.periodo} | ${p.commits} | +${formatarNumero(p.additions)} | -${formatarNumero(p.deletions)} | ${formatarNumero(p.total)} | ${barra(p.total, maiorTotal)} |`);
+        }
+    }
+
+    const tamanhosMarkdown = tamanhosDosCommits(relatorio);
+    if (tamanhosMarkdown.commits > 0) {
+        // A mensagem vem do autor do commit: barras verticais quebrariam a tabela
+        const mensagemNaTabela = mensagem => (mensagem || '').replace(/\|/g, '\\|');
+        const maiorFaixa = Math.max(0, ...tamanhosMarkdown.faixas.map(faixa => faixa.commits));
+        linhas.push('');
+        linhas.push(`### ${t('tamanhoDosCommits')}`);
+        linhas.push('');
+        linhas.push(resumoDosTamanhos(tamanhosMarkdown));
+        linhas.push('');
+        linhas.push(`| ${t('colunaLinhas')} | Commits | % | |`);
+        linhas.push('|---|---:|---:|---|');
+        for (const faixa of tamanhosMarkdown.faixas) {
+            linhas.push(`| ${rotuloDaFaixa(faixa)} | ${faixa.commits} | ${percentual(faixa.commits, tamanhosMarkdown.commits)} | ${barra(faixa.commits, maiorFaixa)} |`);
+        }
+
+        linhas.push('');
+        linhas.push(`### ${t('maioresCommits')}`);
+        linhas.push('');
+        linhas.push(`| ${t('colunaRepositorio')} | SHA | ${t('colunaData')} | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} | Total | ${t('colunaMensagem')} |`);
+        linhas.push('|---|---|---|---:|---:|---:|---|');
+        for (const commit of tamanhosMarkdown.maiores) {
+            linhas.push(`| ${sanitizar(commit.repo)} | \`${commit.sha.slice(0, 7)}\` | ${commit.date ? commit.date.slice(0, 10) : '-'} | +${formatarNumero(commit.additions)} | -${formatarNumero(commit.deletions)} | ${formatarNumero(commit.total)} | ${mensagemNaTabela(commit.mensagem)} |`);
+        }
+
+        const foraDaCurvaLista = commitsForaDaCurva(relatorio);
+        if (foraDaCurvaLista.commits.length > 0) {
+            linhas.push('');
+            linhas.push(`### ${t('foraDaCurva')}`);
+            linhas.push('');
+            linhas.push(foraDaCurvaMarkdown);
+            linhas.push('');
+            linhas.push(`| ${t('colunaRepositorio')} | SHA | ${t('colunaData')} | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} | ${t('colunaMensagem')} |`);
+            linhas.push('|---|---|---|---:|---:|---|');
+            for (const commit of foraDaCurvaLista.commits) {
+                linhas.push(`| ${sanitizar(commit.repo)} | \`${commit.sha.slice(0, 7)}\` | ${commit.date ? commit.date.slice(0, 10) : '-'} | +${formatarNumero(commit.additions)} | -${formatarNumero(commit.deletions)} | ${mensagemNaTabela(commit.mensagem)} |`);
+            }
+            if (foraDaCurvaLista.omitidos > 0) {
+                linhas.push('');
+                linhas.push(`_${t('maisCommitsForaDaCurva', foraDaCurvaLista.omitidos)}_`);
+            }
+        }
+    }
+
+    if (relatorio.prs) {
+        linhas.push('');
+        const rotulos = t('rotulosDeSituacao');
+        linhas.push(`### ${t('pullRequests')}`);
+        linhas.push('');
+        linhas.push(`| ${t('colunaUsuario')} | ${t('colunaSituacao')} | PRs | ${t('colunaAdicoes')} | ${t('colunaRemocoes')} |`);
+        linhas.push('|---|---|---:|---:|---:|');
+        for (const [usuario, doUsuario] of Object.entries(relatorio.prs.porUsuario)) {
+            for (const situacao of SITUACOES_DE_PR) {
+                const stats = doUsuario[situacao];
+                linhas.push(`| ${sanitizar(usuario)} | ${rotulos[situacao]} | ${stats.prs} | +${formatarNumero(stats.additions)} | -${formatarNumero(stats.deletions)} |`);
+            }
+        }
+        linhas.push('');
+        for (const [usuario, doUsuario] of Object.entries(relatorio.prs.porUsuario)) {
+            linhas.push(`- **${sanitizar(usuario)}:** ${t('medianaERevisoesResumo', formatarDuracao(doUsuario.medianaAteMergeHoras), doUsuario.revisoes, doUsuario.prsRevisados)}`);
+        }
+
+        const revisoesPorRepositorio = ordenarPorRevisoes(relatorio.prs.revisoes.porRepositorio);
+        if (revisoesPorRepositorio.length > 0) {
+            linhas.push('');
+            linhas.push(`### ${t('revisoesPorRepositorio')}`);
+            linhas.push('');
+            linhas.push(`| ${t('colunaRepositorio')} | ${t('colunaRevisoes')} | PRs |`);
+            linhas.push('|---|---:|---:|');
+            for (const [repo, stats] of revisoesPorRepositorio) {
+                linhas.push(`| ${sanitizar(repo)} | ${stats.revisoes} | ${stats.prs} |`);
+            }
+        }
+    }
+
+    if (incompletosMarkdown.total > 0) {
+        linhas.push('');
+        linhas.push(`### ${t('dadosIncompletos')}`);
+        linhas.push('');
+        for (const falha of incompletosMarkdown.falhas) {
+            const { tipo, local } = descreverFalha(falha);
+            linhas.push(`- **${tipo}**${local ? ` \`${local}\`` : ''}: ${falha.motivo}`);
+        }
+        if (incompletosMarkdown.omitidas > 0) {
+            linhas.push('');
+            linhas.push(`_${t('maisFalhas', incompletosMarkdown.omitidas)}_`);
+        }
+    }
+
+    return linhas.join('\n');
+}
+
+// Formatadores disponíveis para --formato
+const FORMATADORES = {
+    tabela: formatarTabela,
+    json: formatarJson,
+    csv: formatarCsv,
+    markdown: formatarMarkdown
+};
+
+/**
+ * Formata o relatório no formato informado (tabela, json, csv ou markdown)
+ */
+function formatarRelatorio(relatorio, formato = 'tabela') {
+    const formatador = FORMATADORES[formato];
+    if (!formatador) {
+        throw new ErroDeValidacao(t('formatoDeSaidaInvalido', formato, Object.keys(FORMATADORES)));
+    }
+    return formatador(relatorio);
+}
+
+module.exports = {
+    FORMATADORES,
+    formatarRelatorio,
+    ordenarRepositorios,
+    ordenarUsuarios,
+    ehRelatorioDeTime,
+    tituloDoRelatorio,
+    resumoDoIgnorado,
+    resumoDaAtribuicao,
+    resumoDasBranches,
+    trabalhoForaDaBranchPadrao,
+    dadosIncompletos,
+    descreverFalha,
+    tamanhosDosCommits,
+    rotuloDaFaixa,
+    resumoDosTamanhos,
+    resumoForaDaCurva,
+    commitsForaDaCurva,
+    percentual,
+    comSinal,
+    variacaoPercentual,
+    resumoDaVariacao
+};
@@ -0,0 +1,444 @@
+/**
+ * Cliente HTTP para a API REST do GitHub
+ * Substitui as chamadas `gh api` via shell: autentica com token, suporta
+ * URL base configurável (GitHub Enterprise ou servidor mock) e paginação via Link header
+ * Também atende às APIs do GitLab e do Gitea (lib/provedores), que seguem as mesmas
+ * convenções de paginação, autenticação e limites de requisição
+ */
+
+const { t } = require('./idioma');
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const DEFAULT_SERVICO = 'GitHub';
+const DEFAULT_CABECALHOS = {
+    'Accept': 'application/vnd.github+json',
+    'X-GitHub-Api-Version': '2022-11-28'
+};
+const DEFAULT_TIMEOUT = 30000;  // 30 segundos por requisição
+const USER_AGENT = 'get-commit-stats';
+
+const DEFAULT_MAX_TENTATIVAS = 5;  // Novas tentativas para falhas transitórias
+const DEFAULT_ESPERA_MAXIMA_COTA = 10 * 60 * 1000;  // Aguardar até 10 min pela renovação da cota
+const BACKOFF_BASE = 1000;  // 1s, 2s, 4s, 8s... (com jitter)
+const BACKOFF_MAXIMO = 60000;
+const ESPERA_LIMITE_SECUNDARIO = 60000;  // GitHub recomenda aguardar ao menos 1 minuto
+const STATUS_TRANSITORIOS = [500, 502, 503, 504];
+
+/**
+ * Header de cota da resposta: x-ratelimit-* (GitHub, Gitea) ou ratelimit-* (GitLab)
+ */
+function headerDeCota(headers, nome) {
+    const valor = headers[`x-ratelimit-${nome}`];
+    return valor !== undefined ? valor : headers[`ratelimit-${nome}`];
+}
+
+/**
+ * Erro estruturado da API do GitHub (ou do serviço do provedor, em servico)
+ * status: código HTTP (0 para falhas de rede/timeout)
+ * codigo: 'HTTP', 'REDE', 'TIMEOUT', 'RESPOSTA_INVALIDA', 'RATE_LIMIT', 'NAO_GRAVADA' (resposta
+ * ausente ao reproduzir uma gravação, ver lib/gravacao.js) ou 'LINK_EXTERNO' (próxima página
+ * fora da origem da API)
+ */
+class GitHubApiError extends Error {
+    constructor(mensagem, { status = 0, codigo = 'HTTP', url = '', headers = {}, detalhes = null, servico = DEFAULT_SERVICO } = {}) {
+        super(mensagem);
+        this.name = 'GitHubApiError';
+        this.status = status;
+        this.codigo = codigo;
+        this.url = url;
+        this.headers = headers;
+        this.detalhes = detalhes;
+        this.servico = servico;
+    }
+
+    /**
+     * Momento de renovação da cota informado pela API (x-ratelimit-reset), se houver
+     */
+    get resetEm() {
+        const reset = parseInt(headerDeCota(this.headers, 'reset'), 10);
+        return isNaN(reset) ? null : new Date(reset * 1000);
+    }
+}
+
+/**
+ * Indica se o erro é de limite de requisições (cota esgotada ou limite secundário)
+ */
+function ehErroDeCota(erro) {
+    return erro instanceof GitHubApiError && erro.codigo === 'RATE_LIMIT';
+}
+
+/**
+ * Indica se o erro é de autenticação ou permissão (401, ou 403 que não seja limite de requisições)
+ */
+function ehErroDeAutenticacao(erro) {
+    return erro instanceof GitHubApiError && (erro.status === 401 || (erro.status === 403 && erro.codigo !== 'RATE_LIMIT'));
+}
+
+/**
+ * Erros que interrompem a coleta em vez de serem ignorados item a item: cota esgotada
+ * (os totais sairiam incorretos) e resposta ausente ao reproduzir uma gravação
+ */
+function ehErroFatal(erro) {
+    return ehErroDeCota(erro) || (erro instanceof GitHubApiError && erro.codigo === 'NAO_GRAVADA');
+}
+
+/**
+ * Interpreta o header Link da API do GitHub
+ * Ex: <https://api.github.com/...&page=2>; rel="next", <...&page=5>; rel="last"
+ * Retorna objeto { next, last, prev, first } com as URLs presentes
+ */
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header || typeof header !== 'string') {
+        return links;
+    }
+    for (const parte of header.split(',')) {
+        const match = parte.match(/<([^>]+)>\s*;\s*rel="([^"]+)"/);
+        if (match) {
+            links[match[2]] = match[1];
+        }
+    }
+    return links;
+}
+
+/**
+ * Converte headers do fetch em objeto simples com chaves minúsculas
+ */
+function headersParaObjeto(headers) {
+    const objeto = {};
+    for (const [chave, valor] of headers.entries()) {
+        objeto[chave.toLowerCase()] = valor;
+    }
+    return objeto;
+}
+
+/**
+ * Backoff exponencial com jitter completo: valor aleatório entre 0 e base * 2^tentativa
+ */
+function calcularBackoff(tentativa, base = BACKOFF_BASE) {
+    const teto = Math.min(BACKOFF_MAXIMO, base * Math.pow(2, tentativa));
+    return Math.round(Math.random() * teto);
+}
+
+function esperar(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class GitHubClient {
+    /**
+     * @param {Object} opcoes
+     * @param {string} [opcoes.token] Token de acesso (GITHUB_TOKEN)
+     * @param {string} [opcoes.baseUrl] URL base da API (padrão: https://api.github.com)
+     * @param {string} [opcoes.servico] Nome do serviço nas mensagens (padrão: GitHub)
+     * @param {Object} [opcoes.cabecalhos] Headers de cada requisição (padrão: os da API do GitHub)
+     * @param {number} [opcoes.timeout] Timeout por requisição em ms
+     * @param {number} [opcoes.concorrencia] Máximo de requisições simultâneas (padrão: sem limite)
+     * @param {number} [opcoes.maxTentativas] Novas tentativas para falhas transitórias
+     * @param {number} [opcoes.esperaMaximaCota] Tempo máximo (ms) a aguardar pela renovação da cota
+     * @param {Function} [opcoes.onAviso] Recebe mensagens sobre novas tentativas e esperas
+     * @param {Function} [opcoes.fetch] Implementação de fetch (padrão: fetch global)
+     * @param {Object} [opcoes.gravacao] Gravacao (lib/gravacao.js) que grava ou reproduz as respostas
+     */
+    constructor({
+        token = null,
+        baseUrl = DEFAULT_BASE_URL,
+        servico = DEFAULT_SERVICO,
+        cabecalhos = DEFAULT_CABECALHOS,
+        timeout = DEFAULT_TIMEOUT,
+        concorrencia = Infinity,
+        maxTentativas = DEFAULT_MAX_TENTATIVAS,
+        esperaMaximaCota = DEFAULT_ESPERA_MAXIMA_COTA,
+        onAviso = null,
+        fetch: fetchImpl = null,
+        gravacao = null
+    } = {}) {
+        this.token = token;
+        // Garantir barra final para que caminhos relativos preservem prefixos (ex: /api/v3)
+        this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '') + '/';
+        this.servico = servico;
+        this.cabecalhos = cabecalhos;
+        this.timeout = timeout;
+        this.fetch = fetchImpl || globalThis.fetch;
+        this.gravacao = gravacao;
+        this.concorrencia = concorrencia;
+        this.ativas = 0;
+        this.filaDeEspera = [];
+        this.maxTentativas = maxTentativas;
+        this.esperaMaximaCota = esperaMaximaCota;
+        this.onAviso = onAviso;
+        // Requisições ficam pausadas até este instante (ms) após atingir limite de cota
+        this.pausadoAte = 0;
+        // Última cota informada pela API, por recurso (core, search, ...)
+        this.cotas = {};
+        this.ultimoRecurso = null;
+    }
+
+    /**
+     * Aguarda uma vaga para nova requisição (limita requisições simultâneas
+     * mesmo quando repositórios e branches são varridos em paralelo)
+     */
+    async aguardarVaga() {
+        if (this.ativas < this.concorrencia) {
+            this.ativas++;
+            return;
+        }
+        // A vaga é transferida diretamente por liberarVaga()
+        await new Promise(resolve => this.filaDeEspera.push(resolve));
+    }
+
+    liberarVaga() {
+        const proximo = this.filaDeEspera.shift();
+        if (proximo) {
+            proximo();
+        } else {
+            this.ativas--;
+        }
+    }
+
+    avisar(mensagem) {
+        if (this.onAviso) {
+            this.onAviso(mensagem);
+        }
+    }
+
+    /**
+     * Registra a cota informada nos headers x-ratelimit-* (ou ratelimit-*) da resposta
+     */
+    registrarCota(headers) {
+        const limite = parseInt(headerDeCota(headers, 'limit'), 10);
+        const restante = parseInt(headerDeCota(headers, 'remaining'), 10);
+        if (isNaN(limite) || isNaN(restante)) {
+            return;
+        }
+        const recurso = headers['x-ratelimit-resource'] || 'core';
+        const reset = parseInt(headerDeCota(headers, 'reset'), 10);
+        this.cotas[recurso] = {
+            recurso,
+            limite,
+            restante,
+            resetEm: isNaN(reset) ? null : new Date(reset * 1000)
+        };
+        this.ultimoRecurso = recurso;
+    }
+
+    /**
+     * Retorna a cota mais recente informada pela API ({ recurso, limite, restante, resetEm })
+     */
+    cotaAtual() {
+        return this.ultimoRecurso ? this.cotas[this.ultimoRecurso] : null;
+    }
+
+    /**
+     * Monta URL absoluta a partir de um caminho relativo e parâmetros de query
+     * Caminhos podem já conter query string (ex: search/commits?q=...)
+     */
+    montarUrl(caminho, params = {}) {
+        const url = /^https?:\/\//.test(caminho)
+            ? new URL(caminho)
+            : new URL(caminho.replace(/^\/+/, ''), this.baseUrl);
+        for (const [chave, valor] of Object.entries(params)) {
+            if (valor !== undefined && valor !== null) {
+                url.searchParams.set(chave, String(valor));
+            }
+        }
+        return url.toString();
+    }
+
+    /**
+     * Executa uma requisição GET e retorna { status, headers, links, data }
+     * Falhas transitórias (rede, 5xx, limites de cota) são repetidas com espera;
+     * as demais lançam GitHubApiError imediatamente
+     * Com texto, data é o corpo sem interpretação (ex: diffs); caso contrário, o JSON da resposta
+     */
+    async get(caminho, params = {}, { timeout = this.timeout, texto = false } = {}) {
+        const url = this.montarUrl(caminho, params);
+
+        for (let tentativa = 0; ; tentativa++) {
+            const pausa = this.pausadoAte - Date.now();
+            if (pausa > 0) {
+                await esperar(pausa);
+            }
+
+            try {
+                return await this.requisitar(url, timeout, texto);
+            } catch (e) {
+                const espera = this.calcularEspera(e, tentativa);
+                if (espera === null) {
+                    throw e;
+                }
+                if (ehErroDeCota(e)) {
+                    // Pausa todas as requisições, não só esta
+                    this.pausadoAte = Math.max(this.pausadoAte, Date.now() + espera);
+                    this.avisar(t('aguardandoCota', Math.ceil(espera / 1000), this.servico));
+                } else {
+                    this.avisar(t('novaTentativa', e.message, tentativa + 1, this.maxTentativas, Math.ceil(espera / 1000)));
+                    await esperar(espera);
+                }
+            }
+        }
+    }
+
+    /**
+     * Define quanto aguardar (ms) antes de repetir a requisição, ou null se não deve repetir
+     */
+    calcularEspera(erro, tentativa) {
+        if (!(erro instanceof GitHubApiError) || tentativa >= this.maxTentativas) {
+            return null;
+        }
+
+        if (erro.codigo === 'RATE_LIMIT') {
+            const retryAfter = parseInt(erro.headers['retry-after'], 10);
+            let espera;
+            if (!isNaN(retryAfter)) {
+                espera = retryAfter * 1000;
+            } else if (headerDeCota(erro.headers, 'remaining') === '0' && erro.resetEm) {
+                // Cota primária esgotada: aguardar a renovação (+1s de margem)
+                espera = Math.max(0, erro.resetEm.getTime() - Date.now()) + 1000;
+            } else {
+                // Limite secundário sem indicação de tempo
+                espera = ESPERA_LIMITE_SECUNDARIO + calcularBackoff(tentativa);
+            }
+            return espera <= this.esperaMaximaCota ? espera : null;
+        }
+
+        if (erro.codigo === 'REDE' || erro.codigo === 'TIMEOUT' || STATUS_TRANSITORIOS.includes(erro.status)) {
+            return calcularBackoff(tentativa);
+        }
+
+        return null;
+    }
+
+    /**
+     * Busca a URL na rede e retorna { status, statusText, headers, texto }
+     * Com uma gravação ativa (--gravar), a resposta também é gravada
+     */
+    async buscar(url, timeout) {
+        const headers = { ...this.cabecalhos, 'User-Agent': USER_AGENT };
+        if (this.token) {
+            headers['Authorization'] = `Bearer ${this.token}`;
+        }
+
+        let resposta;
+        await this.aguardarVaga();
+        try {
+            const obtida = await this.fetch(url, { headers, signal: AbortSignal.timeout(timeout) });
+            resposta = {
+                status: obtida.status,
+                statusText: obtida.statusText,
+                headers: headersParaObjeto(obtida.headers),
+                texto: await obtida.text()
+            };
+        } catch (e) {
+            const esgotado = e && (e.name === 'TimeoutError' || e.name === 'AbortError');
+            throw new GitHubApiError(
+                esgotado ? t('tempoEsgotado', timeout) : t('falhaDeConexao', this.servico),
+                { codigo: esgotado ? 'TIMEOUT' : 'REDE', url, servico: this.servico }
+            );
+        } finally {
+            this.liberarVaga();
+        }
+
+        if (this.gravacao) {
+            this.gravacao.registrar(url, resposta);
+        }
+        return resposta;
+    }
+
+    /**
+     * Resposta gravada da URL (--reproduzir); a ausência não é repetida como falha transitória
+     */
+    reproduzir(url) {
+        const resposta = this.gravacao.obter(url);
+        if (!resposta) {
+            throw new GitHubApiError(t('respostaNaoGravada', url, this.gravacao.diretorio), {
+                codigo: 'NAO_GRAVADA', url, servico: this.servico
+            });
+        }
+        return resposta;
+    }
+
+    /**
+     * Executa uma única requisição, sem novas tentativas
+     */
+    async requisitar(url, timeout, comoTexto = false) {
+        const resposta = this.gravacao && this.gravacao.reproduzindo
+            ? this.reproduzir(url)
+            : await this.buscar(url, timeout);
+        const { texto, headers: respostaHeaders } = resposta;
+        const ok = resposta.status >= 200 && resposta.status < 300;
+        this.registrarCota(respostaHeaders);
+
+        let data = null;
+        if (texto && comoTexto && ok) {
+            data = texto;
+        } else if (texto) {
+            try {
+                data = JSON.parse(texto);
+            } catch (e) {
+                throw new GitHubApiError(t('respostaInvalida', this.servico), {
+                    status: resposta.status, codigo: 'RESPOSTA_INVALIDA', url, headers: respostaHeaders, servico: this.servico
+                });
+            }
+        }
+
+        if (!ok) {
+            // GitHub e Gitea usam "message"; o GitLab, "message" ou "error"
+            const detalhe = data && (data.message || data.error);
+            const mensagem = detalhe ? (typeof detalhe === 'string' ? detalhe : JSON.stringify(detalhe)) : resposta.statusText;
+            // 403/429 com cota zerada, retry-after ou mensagem de "rate limit" indicam limite de requisições
+            const limiteAtingido = (resposta.status === 403 || resposta.status === 429) && (
+                headerDeCota(respostaHeaders, 'remaining') === '0'
+                || respostaHeaders['retry-after'] !== undefined
+                || /rate limit/i.test(mensagem || '')
+            );
+            throw new GitHubApiError(t('erroDaApi', resposta.status, mensagem, this.servico), {
+                status: resposta.status,
+                codigo: limiteAtingido ? 'RATE_LIMIT' : 'HTTP',
+                url,
+                headers: respostaHeaders,
+                detalhes: data,
+                servico: this.servico
+            });
+        }
+
+        return {
+            status: resposta.status,
+            headers: respostaHeaders,
+            links: parseLinkHeader(respostaHeaders.link),
+            data
+        };
+    }
+
+    /**
+     * Itera sobre as páginas de um endpoint seguindo o rel="next" do header Link
+     * Cada iteração produz a resposta completa de get() (inclui data e headers)
+     * O token vai em todas as requisições: um rel="next" de outra origem (host, porta ou
+     * protocolo) interrompe a paginação com erro, e quem coleta registra a falha
+     */
+    async *paginas(caminho, params = {}, { maxPaginas = Infinity, timeout = this.timeout } = {}) {
+        let url = this.montarUrl(caminho, params);
+        let pagina = 0;
+
+        while (url && pagina < maxPaginas) {
+            const resposta = await this.get(url, {}, { timeout });
+            pagina++;
+            yield resposta;
+            url = resposta.links.next || null;
+            if (url && new URL(url, this.baseUrl).origin !== new URL(this.baseUrl).origin) {
+                throw new GitHubApiError(t('linkForaDaApi', url, this.servico), {
+                    codigo: 'LINK_EXTERNO', url, servico: this.servico
+                });
+            }
+        }
+    }
+}
+
+module.exports = {
+    GitHubClient,
+    GitHubApiError,
+    ehErroDeCota,
+    ehErroDeAutenticacao,
+    ehErroFatal,
+    parseLinkHeader,
+    DEFAULT_BASE_URL
+};
@@ -0,0 +1,69 @@
+/**
+ * Gravação e reprodução das respostas da API (--gravar e --reproduzir)
+ * Com gravar, cada resposta recebida pelo cliente (lib/github_client.js) é salva no diretório;
+ * com reproduzir, as respostas vêm desse diretório, sem acesso à rede. Assim um relatório
+ * pode ser refeito depois (ou anexado a um bug report) com exatamente os mesmos dados
+ *
+ * Um arquivo JSON por URL ({ url, status, statusText, headers, corpo }), nomeado pelo hash da URL;
+ * o token não faz parte da URL nem dos headers gravados
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Headers usados pelo cliente (paginação, cota e tipo); os demais não são gravados
+const REGEX_HEADERS_GRAVADOS = /^(link|content-type|retry-after|x-ratelimit-.+|ratelimit-.+)$/;
+
+class Gravacao {
+    /**
+     * @param {string} diretorio Diretório das respostas
+     * @param {'gravar'|'reproduzir'} modo
+     */
+    constructor(diretorio, modo) {
+        this.diretorio = diretorio;
+        this.reproduzindo = modo === 'reproduzir';
+        this.urlsGravadas = new Set();
+        if (!this.reproduzindo) {
+            fs.mkdirSync(diretorio, { recursive: true });
+        }
+    }
+
+    arquivo(url) {
+        const hash = crypto.createHash('sha256').update(url).digest('hex').slice(0, 24);
+        return path.join(this.diretorio, `${hash}.json`);
+    }
+
+    /**
+     * Resposta gravada para a URL ({ status, statusText, headers, texto }) ou null se não houver
+     */
+    obter(url) {
+        let gravada;
+        try {
+            gravada = JSON.parse(fs.readFileSync(this.arquivo(url), 'utf-8'));
+        } catch (e) {
+            return null;
+        }
+        if (!gravada || gravada.url !== url) {
+            return null;
+        }
+        return { status: gravada.status, statusText: gravada.statusText, headers: gravada.headers || {}, texto: gravada.corpo };
+    }
+
+    /**
+     * Grava a resposta da URL; uma nova resposta para a mesma URL (ex: nova tentativa) substitui a anterior
+     */
+    registrar(url, { status, statusText, headers, texto }) {
+        const gravados = Object.fromEntries(Object.entries(headers).filter(([nome]) => REGEX_HEADERS_GRAVADOS.test(nome)));
+        fs.writeFileSync(this.arquivo(url), JSON.stringify({ url, status, statusText, headers: gravados, corpo: texto }, null, 2) + '\n', 'utf-8');
+        this.urlsGravadas.add(url);
+    }
+
+    get gravadas() {
+        return this.urlsGravadas.size;
+    }
+}
+
+module.exports = {
+    Gravacao
+};
@@ -0,0 +1,438 @@
+/**
+ * Relatório em HTML (--html): arquivo único, sem dependências externas, para enviar a quem não usa o terminal
+ * Gráficos em SVG embutido e tabelas ordenáveis por um script inline
+ */
+
+const { agruparPorPeriodo } = require('./agregacao');
+const { repositoriosComparados } = require('./comparacao');
+const { t, formatarNumero, localeAtual } = require('./idioma');
+const {
+    ordenarRepositorios,
+    ordenarUsuarios,
+    ehRelatorioDeTime,
+    tituloDoRelatorio,
+    resumoDoIgnorado,
+    resumoDaAtribuicao,
+    resumoDasBranches,
+    trabalhoForaDaBranchPadrao,
+    dadosIncompletos,
+    descreverFalha,
+    tamanhosDosCommits,
+    rotuloDaFaixa,
+    resumoDosTamanhos,
+    resumoForaDaCurva,
+    commitsForaDaCurva,
+    percentual,
+    comSinal,
+    variacaoPercentual,
+    resumoDaVariacao
+} = require('./formatos');
+
+const MAX_REPOS_NO_GRAFICO = 15;  // Repositórios com mais linhas alteradas exibidos no gráfico de barras
+const MAX_ROTULOS_NO_EIXO = 12;  // Rótulos de período no eixo horizontal (os demais ficam só na dica)
+const DIAS_PARA_AGRUPAR_POR_SEMANA = 31;
+const DIAS_PARA_AGRUPAR_POR_MES = 182;
+const COR_ADICOES = '#2da44e';
+const COR_REMOCOES = '#cf222e';
+const COR_COMMITS = '#0969da';
+
+const ESTILO = `
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1f2328; margin: 0 auto; max-width: 1000px; padding: 24px; }
+h1 { font-size: 1.5em; margin-bottom: 4px; }
+h2 { font-size: 1.15em; margin-top: 32px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+.subtitulo { color: #656d76; margin-top: 0; }
+.cartoes { display: flex; flex-wrap: wrap; gap: 12px; margin: 16px 0; }
+.cartao { border: 1px solid #d0d7de; border-radius: 6px; padding: 12px 16px; min-width: 140px; }
+.cartao .valor { font-size: 1.4em; font-weight: 600; }
+.cartao .rotulo { color: #656d76; font-size: 0.85em; }
+.cartao .variacao { color: #656d76; font-size: 0.8em; margin-top: 4px; }
+.nota { color: #656d76; font-size: 0.9em; }
+.alerta { color: ${COR_REMOCOES}; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { padding: 6px 8px; border-bottom: 1px solid #d0d7de; text-align: left; }
+td.numero, th.numero { text-align: right; font-variant-numeric: tabular-nums; }
+th { background: #f6f8fa; cursor: pointer; user-select: none; white-space: nowrap; }
+th[data-ordem="asc"]::after { content: " ▲"; }
+th[data-ordem="desc"]::after { content: " ▼"; }
+tfoot td { font-weight: 600; }
+.adicoes { color: ${COR_ADICOES}; }
+.remocoes { color: ${COR_REMOCOES}; }
+code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; }
+svg text { font-size: 11px; fill: #1f2328; }
+`;
+
+// Ordenação das tabelas: clique no cabeçalho alterna crescente/decrescente (linhas do tfoot ficam fixas)
+// O locale da comparação de textos é o do idioma do relatório
+const script = locale => `
+document.querySelectorAll('table.ordenavel th').forEach(function (th) {
+    th.addEventListener('click', function () {
+        var tabela = th.closest('table');
+        var corpo = tabela.tBodies[0];
+        var crescente = th.getAttribute('data-ordem') !== 'asc';
+        tabela.querySelectorAll('th').forEach(function (outro) { outro.removeAttribute('data-ordem'); });
+        th.setAttribute('data-ordem', crescente ? 'asc' : 'desc');
+        var indice = Array.prototype.indexOf.call(th.parentNode.children, th);
+        var valor = function (linha) {
+            var celula = linha.children[indice];
+            var numero = celula.getAttribute('data-valor');
+            return numero !== null ? Number(numero) : celula.textContent.trim().toLowerCase();
+        };
+        Array.from(corpo.rows).sort(function (a, b) {
+            var x = valor(a), y = valor(b);
+            var comparacao = typeof x === 'number' ? x - y : x.localeCompare(y, '${locale}');
+            return crescente ? comparacao : -comparacao;
+        }).forEach(function (linha) { corpo.appendChild(linha); });
+    });
+});
+`;
+
+/**
+ * Escapa texto para uso em HTML (conteúdo e atributos)
+ */
+function escaparHtml(valor) {
+    return String(valor)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Número formatado no idioma do relatório (separador de milhar)
+ */
+function numero(valor) {
+    return formatarNumero(valor);
+}
+
+/**
+ * Célula numérica: exibe o valor formatado e guarda o valor bruto para a ordenação
+ */
+function celulaNumerica(valor, texto = numero(valor), classe = '') {
+    return `<td class="numero${classe ? ` ${classe}` : ''}" data-valor="${valor}">${texto}</td>`;
+}
+
+/**
+ * Tabela ordenável; colunas são { titulo, numerica }
+ */
+function tabela(colunas, linhas, rodape = null) {
+    const cabecalho = colunas.map(coluna => `<th${coluna.numerica ? ' class="numero"' : ''}>${escaparHtml(coluna.titulo)}</th>`).join('');
+    return [
+        '<table class="ordenavel">',
+        `<thead><tr>${cabecalho}</tr></thead>`,
+        `<tbody>\n${linhas.map(linha => `<tr>${linha}</tr>`).join('\n')}\n</tbody>`,
+        rodape ? `<tfoot><tr>${rodape}</tr></tfoot>` : '',
+        '</table>'
+    ].join('\n');
+}
+
+/**
+ * Células de commits, adições, remoções e total de um acumulador
+ */
+function celulasDeEstatisticas(stats) {
+    return celulaNumerica(stats.commits) +
+        celulaNumerica(stats.additions, `+${numero(stats.additions)}`, 'adicoes') +
+        celulaNumerica(stats.deletions, `-${numero(stats.deletions)}`, 'remocoes') +
+        celulaNumerica(stats.total);
+}
+
+/**
+ * Colunas de commits, adições, remoções e total (títulos no idioma atual)
+ */
+function colunasDeEstatisticas() {
+    return [
+        { titulo: 'Commits', numerica: true },
+        { titulo: t('colunaAdicoes'), numerica: true },
+        { titulo: t('colunaRemocoes'), numerica: true },
+        { titulo: 'Total', numerica: true }
+    ];
+}
+
+/**
+ * Gráfico de barras horizontais com adições e remoções por repositório
+ */
+function graficoPorRepositorio(repositorios) {
+    const exibidos = repositorios.slice(0, MAX_REPOS_NO_GRAFICO);
+    const larguraRotulo = 240;
+    const larguraBarras = 480;
+    const alturaLinha = 30;
+    const largura = larguraRotulo + larguraBarras + 90;
+    const altura = exibidos.length * alturaLinha + 30;
+    const maior = Math.max(1, ...exibidos.map(([, stats]) => Math.max(stats.additions, stats.deletions)));
+    const escala = valor => Math.max(valor > 0 ? 1 : 0, Math.round(valor / maior * larguraBarras));
+
+    const elementos = exibidos.map(([repo, stats], indice) => {
+        const y = indice * alturaLinha;
+        const adicoes = escala(stats.additions);
+        const remocoes = escala(stats.deletions);
+        return [
+            `<text x="${larguraRotulo - 8}" y="${y + 17}" text-anchor="end">${escaparHtml(repo)}</text>`,
+            `<rect x="${larguraRotulo}" y="${y + 4}" width="${adicoes}" height="10" fill="${COR_ADICOES}"><title>${escaparHtml(repo)}: +${numero(stats.additions)}</title></rect>`,
+            `<text x="${larguraRotulo + adicoes + 4}" y="${y + 13}">+${numero(stats.additions)}</text>`,
+            `<rect x="${larguraRotulo}" y="${y + 16}" width="${remocoes}" height="10" fill="${COR_REMOCOES}"><title>${escaparHtml(repo)}: -${numero(stats.deletions)}</title></rect>`,
+            `<text x="${larguraRotulo + remocoes + 4}" y="${y + 25}">-${numero(stats.deletions)}</text>`
+        ].join('');
+    });
+
+    const legenda = altura - 10;
+    elementos.push(
+        `<rect x="${larguraRotulo}" y="${legenda - 9}" width="10" height="10" fill="${COR_ADICOES}"/><text x="${larguraRotulo + 14}" y="${legenda}">${escaparHtml(t('colunaAdicoes'))}</text>` +
+        `<rect x="${larguraRotulo + 80}" y="${legenda - 9}" width="10" height="10" fill="${COR_REMOCOES}"/><text x="${larguraRotulo + 94}" y="${legenda}">${escaparHtml(t('colunaRemocoes'))}</text>`
+    );
+
+    const nota = repositorios.length > exibidos.length
+        ? `\n<p class="nota">${escaparHtml(t('exibindoRepositorios', exibidos.length, repositorios.length))}</p>`
+        : '';
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${largura}" height="${altura}" viewBox="0 0 ${largura} ${altura}" role="img" aria-label="${escaparHtml(t('adicoesERemocoesPorRepositorio'))}">${elementos.join('\n')}</svg>${nota}`;
+}
+
+/**
+ * Gráfico de colunas com os commits por período
+ */
+function graficoPorPeriodo(periodos) {
+    const margemEsquerda = 40;
+    const larguraArea = 720;
+    const alturaArea = 180;
+    const largura = margemEsquerda + larguraArea + 10;
+    const altura = alturaArea + 40;
+    const maior = Math.max(1, ...periodos.map(p => p.commits));
+    const larguraColuna = larguraArea / Math.max(1, periodos.length);
+    const passoDosRotulos = Math.ceil(periodos.length / MAX_ROTULOS_NO_EIXO);
+
+    const elementos = [
+        `<line x1="${margemEsquerda}" y1="${alturaArea}" x2="${margemEsquerda + larguraArea}" y2="${alturaArea}" stroke="#d0d7de"/>`,
+        `<text x="${margemEsquerda - 6}" y="10" text-anchor="end">${numero(maior)}</text>`,
+        `<text x="${margemEsquerda - 6}" y="${alturaArea}" text-anchor="end">0</text>`
+    ];
+    periodos.forEach((p, indice) => {
+        const x = margemEsquerda + indice * larguraColuna;
+        const alturaColuna = Math.round(p.commits / maior * (alturaArea - 10));
+        elementos.push(`<rect x="${(x + larguraColuna * 0.1).toFixed(1)}" y="${alturaArea - alturaColuna}" width="${(larguraColuna * 0.8).toFixed(1)}" height="${alturaColuna}" fill="${COR_COMMITS}"><title>${escaparHtml(p.periodo)}: ${numero(p.commits)} commits, +${numero(p.additions)} / -${numero(p.deletions)}</title></rect>`);
+        if (indice % passoDosRotulos === 0) {
+            elementos.push(`<text x="${(x + larguraColuna / 2).toFixed(1)}" y="${alturaArea + 16}" text-anchor="middle">${escaparHtml(p.periodo)}</text>`);
+        }
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${largura}" height="${altura}" viewBox="0 0 ${largura} ${altura}" role="img" aria-label="${escaparHtml(t('commitsPorPeriodo'))}">${elementos.join('\n')}</svg>`;
+}
+
+/**
+ * Série temporal do relatório: a de --agrupar ou, sem ela, uma calculada com granularidade
+ * adequada ao tamanho do período (dia até um mês, semana até seis meses, mês acima disso)
+ */
+function serieTemporal(relatorio) {
+    const { parametros } = relatorio;
+    if (relatorio.porPeriodo) {
+        return { periodos: relatorio.porPeriodo, agrupamento: parametros.agrupamento };
+    }
+    const dias = (new Date(`${parametros.fim}T00:00:00Z`) - new Date(`${parametros.inicio}T00:00:00Z`)) / (24 * 60 * 60 * 1000);
+    const agrupamento = dias <= DIAS_PARA_AGRUPAR_POR_SEMANA ? 'dia' : dias <= DIAS_PARA_AGRUPAR_POR_MES ? 'semana' : 'mes';
+    return { periodos: agruparPorPeriodo(relatorio.commits, agrupamento, parametros.inicio, parametros.fim).periodos, agrupamento };
+}
+
+/**
+ * Formata relatório como página HTML autocontida
+ */
+function formatarHtml(relatorio) {
+    const { parametros, totais, results, porUsuario, comparacao } = relatorio;
+    const titulo = `${t('estatisticasDeCommits')} - ${tituloDoRelatorio(parametros)}`;
+    const repositorios = ordenarRepositorios(results);
+    const secoes = [];
+
+    const detalhes = [t('intervalo', parametros.inicio, parametros.fim), t('detalheDeData', parametros.tipoData)];
+    if (parametros.org) {
+        detalhes.push(t('detalheDeOrganizacao', parametros.org));
+    }
+    // Relatórios antigos (JSON salvo) não têm a lista de fontes
+    const fontes = parametros.fontes || [];
+    if (fontes.length > 1) {
+        detalhes.push(t('detalheDeFontes', fontes.map(fonte => `${fonte.host}${fonte.org ? `/${fonte.org}` : ''}`)));
+    }
+    if (comparacao) {
+        detalhes.push(`${t('comparadoCom').toLowerCase()} ${t('intervalo', comparacao.inicio, comparacao.fim)}`);
+    }
+    secoes.push(`<h1>${escaparHtml(titulo)}</h1>`);
+    secoes.push(`<p class="subtitulo">${escaparHtml(detalhes.join(' · '))}</p>`);
+
+    const cartoes = [
+        ['Commits', numero(totais.commits), '', 'commits'],
+        [t('linhasAdicionadas'), `+${numero(totais.additions)}`, 'adicoes', 'additions'],
+        [t('linhasRemovidas'), `-${numero(totais.deletions)}`, 'remocoes', 'deletions'],
+        [t('totalDeLinhasAlteradas'), numero(totais.total), '', 'total'],
+        [t('repositorios'), numero(repositorios.length), '', null]
+    ];
+    const variacaoDoCartao = metrica => comparacao && metrica
+        ? `<div class="variacao">${escaparHtml(resumoDaVariacao(comparacao.totais, metrica))}</div>`
+        : '';
+    secoes.push(`<div class="cartoes">\n${cartoes.map(([rotulo, valor, classe, metrica]) =>
+        `<div class="cartao"><div class="valor${classe ? ` ${classe}` : ''}">${valor}</div><div class="rotulo">${escaparHtml(rotulo)}</div>${variacaoDoCartao(metrica)}</div>`).join('\n')}\n</div>`);
+
+    const notas = [];
+    const ignorado = resumoDoIgnorado(relatorio.ignorado);
+    if (ignorado) {
+        notas.push(`${t('ignoradas')} (--excluir-caminho): ${ignorado}`);
+    }
+    const atribuicao = resumoDaAtribuicao(relatorio.atribuicao);
+    if (atribuicao) {
+        notas.push(`${t('commitsAtribuidosPor')}: ${atribuicao}`);
+    }
+    const branches = resumoDasBranches(relatorio.porBranch);
+    if (branches) {
+        notas.push(`${t('commitsEncontradosNa')}: ${branches}`);
+    }
+    const foraDaCurva = resumoForaDaCurva(relatorio.outliers);
+    if (foraDaCurva) {
+        notas.push(`${t('foraDaCurva')} (--limite-outlier): ${foraDaCurva}`);
+    }
+    for (const nota of notas) {
+        secoes.push(`<p class="nota">${escaparHtml(nota)}</p>`);
+    }
+
+    // Logo após os totais: quem lê o relatório precisa saber que eles podem estar abaixo do real
+    const incompletos = dadosIncompletos(relatorio);
+    if (incompletos.total > 0) {
+        secoes.push(`<h2 class="alerta">${escaparHtml(t('dadosIncompletos'))}</h2>`);
+        secoes.push(`<p class="alerta">${escaparHtml(t('resumoDosDadosIncompletos', incompletos.total))}</p>`);
+        secoes.push(tabela(
+            [{ titulo: t('colunaFalha') }, { titulo: t('colunaLocal') }, { titulo: t('colunaMotivo') }],
+            incompletos.falhas.map(falha => {
+                const { tipo, local } = descreverFalha(falha);
+                return `<td>${escaparHtml(tipo)}</td><td><code>${escaparHtml(local || '-')}</code></td><td>${escaparHtml(falha.motivo)}</td>`;
+            })
+        ));
+        if (incompletos.omitidas > 0) {
+            secoes.push(`<p class="nota">${escaparHtml(t('maisFalhas', incompletos.omitidas))}</p>`);
+        }
+    }
+
+    if (ehRelatorioDeTime(relatorio)) {
+        secoes.push(`<h2>${escaparHtml(t('rankingDoTime'))}</h2>`);
+        secoes.push(tabela(
+            [{ titulo: t('colunaUsuario') }, ...colunasDeEstatisticas(), { titulo: 'Repos', numerica: true }],
+            ordenarUsuarios(porUsuario).map(([usuario, stats]) =>
+                `<td>${escaparHtml(usuario)}</td>${celulasDeEstatisticas(stats)}${celulaNumerica(stats.repositorios)}`),
+            `<td>${escaparHtml(t('totalDoTime'))}</td>${celulasDeEstatisticas(totais)}${celulaNumerica(repositorios.length)}`
+        ));
+    }
+
+    if (repositorios.length > 0) {
+        secoes.push(`<h2>${escaparHtml(t('adicoesERemocoesPorRepositorio'))}</h2>`);
+        secoes.push(graficoPorRepositorio(repositorios));
+
+    }
+
+    // Com comparação, a tabela inclui os repositórios sem atividade no período (zerados)
+    const repositoriosDaTabela = repositoriosComparados(relatorio);
+    if (repositoriosDaTabela.length > 0) {
+        const colunasDaComparacao = comparacao
+            ? [
+                { titulo: t('colunaTotalAnterior'), numerica: true },
+                { titulo: t('colunaDeltaTotal'), numerica: true },
+                { titulo: t('colunaVariacao'), numerica: true },
+                { titulo: t('colunaSituacao') }
+            ]
+            : [];
+        const celulasDaComparacao = comparado => comparacao
+            ? celulaNumerica(comparado.anterior.total) +
+                celulaNumerica(comparado.diferenca.total, comSinal(comparado.diferenca.total)) +
+                celulaNumerica(comparado.percentual.total === null ? '' : comparado.percentual.total, variacaoPercentual(comparado.percentual.total)) +
+                `<td>${escaparHtml(t('rotulosDeComparacao')[comparado.situacao] || '')}</td>`
+            : '';
+        secoes.push(`<h2>${escaparHtml(t('porRepositorio'))}</h2>`);
+        secoes.push(tabela(
+            [{ titulo: t('colunaRepositorio') }, ...colunasDeEstatisticas(), ...colunasDaComparacao],
+            repositoriosDaTabela.map(([repo, stats]) =>
+                `<td>${escaparHtml(repo)}</td>${celulasDeEstatisticas(stats)}${celulasDaComparacao(comparacao && comparacao.results[repo])}`),
+            `<td>Total</td>${celulasDeEstatisticas(totais)}${celulasDaComparacao(comparacao && comparacao.totais)}`
+        ));
+    }
+
+    const foraDaPadrao = trabalhoForaDaBranchPadrao(relatorio);
+    if (foraDaPadrao.grupos.length > 0) {
+        secoes.push(`<h2>${escaparHtml(t('foraDaBranchPadrao'))}</h2>`);
+        secoes.push(tabela(
+            [{ titulo: t('colunaRepositorio') }, { titulo: 'Branch' }, ...colunasDeEstatisticas()],
+            foraDaPadrao.grupos.map(grupo => `<td>${escaparHtml(grupo.repo)}</td><td>${escaparHtml(grupo.branch)}</td>${celulasDeEstatisticas(grupo)}`)
+        ));
+        if (foraDaPadrao.omitidos > 0) {
+            secoes.push(`<p class="nota">${escaparHtml(t('maisBranches', foraDaPadrao.omitidos))}</p>`);
+        }
+    }
+
+    const { periodos, agrupamento } = serieTemporal(relatorio);
+    if (periodos.length > 0) {
+        secoes.push(`<h2>${escaparHtml(t('commitsPorAgrupamento', t('rotulosDeAgrupamento')[agrupamento]))}</h2>`);
+        secoes.push(graficoPorPeriodo(periodos));
+    }
+
+    const tamanhos = tamanhosDosCommits(relatorio);
+    if (tamanhos.commits > 0) {
+        secoes.push(`<h2>${escaparHtml(t('tamanhoDosCommits'))}</h2>`);
+        secoes.push(`<p class="nota">${escaparHtml(resumoDosTamanhos(tamanhos))}</p>`);
+        secoes.push(tabela(
+            [{ titulo: t('colunaLinhas') }, { titulo: 'Commits', numerica: true }, { titulo: '%', numerica: true }],
+            tamanhos.faixas.map(faixa =>
+                `<td>${escaparHtml(rotuloDaFaixa(faixa))}</td>${celulaNumerica(faixa.commits)}${celulaNumerica(faixa.commits, percentual(faixa.commits, tamanhos.commits))}`)
+        ));
+
+        const doTime = ehRelatorioDeTime(relatorio);
+        const comBranch = Boolean(relatorio.porBranch);
+        // Maiores commits e commits fora da curva: mesmas colunas
+        const colunasDeCommits = [
+            { titulo: t('colunaRepositorio') },
+            { titulo: 'SHA' },
+            ...(comBranch ? [{ titulo: 'Branch' }] : []),
+            ...(doTime ? [{ titulo: t('colunaUsuario') }] : []),
+            { titulo: t('colunaData') },
+            { titulo: t('colunaAdicoes'), numerica: true },
+            { titulo: t('colunaRemocoes'), numerica: true },
+            { titulo: 'Total', numerica: true },
+            { titulo: t('colunaMensagem') }
+        ];
+        const linhaDoCommit = commit => [
+            `<td>${escaparHtml(commit.repo)}</td>`,
+            `<td><code title="${escaparHtml(commit.sha)}">${escaparHtml(commit.sha.slice(0, 7))}</code></td>`,
+            comBranch ? `<td>${escaparHtml(commit.branch || '-')}</td>` : '',
+            doTime ? `<td>${escaparHtml(commit.usuario || '-')}</td>` : '',
+            `<td>${escaparHtml(commit.date ? commit.date.slice(0, 10) : '-')}</td>`,
+            celulaNumerica(commit.additions, `+${numero(commit.additions)}`, 'adicoes'),
+            celulaNumerica(commit.deletions, `-${numero(commit.deletions)}`, 'remocoes'),
+            celulaNumerica(commit.additions + commit.deletions),
+            `<td>${escaparHtml(commit.mensagem || '')}</td>`
+        ].join('');
+
+        secoes.push(`<h2>${escaparHtml(t('maioresCommits'))}</h2>`);
+        secoes.push(tabela(colunasDeCommits, tamanhos.maiores.map(linhaDoCommit)));
+
+        const foraDaCurvaLista = commitsForaDaCurva(relatorio);
+        if (foraDaCurvaLista.commits.length > 0) {
+            secoes.push(`<h2>${escaparHtml(t('foraDaCurva'))}</h2>`);
+            secoes.push(`<p class="nota">${escaparHtml(foraDaCurva)}</p>`);
+            secoes.push(tabela(colunasDeCommits, foraDaCurvaLista.commits.map(linhaDoCommit)));
+            if (foraDaCurvaLista.omitidos > 0) {
+                secoes.push(`<p class="nota">${escaparHtml(t('maisCommitsForaDaCurva', foraDaCurvaLista.omitidos))}</p>`);
+            }
+        }
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        `<html lang="${localeAtual()}">`,
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escaparHtml(titulo)}</title>`,
+        `<style>${ESTILO}</style>`,
+        '</head>',
+        '<body>',
+        ...secoes,
+        `<p class="nota">${escaparHtml(t('geradoEm', new Date().toISOString().slice(0, 16).replace('T', ' ')))}</p>`,
+        `<script>${script(localeAtual())}</script>`,
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+module.exports = {
+    formatarHtml
+};
@@ -0,0 +1,149 @@
+/**
+ * Identidades dos usuários: e-mails e nomes extras de cada login (--identidades)
+ * e reconhecimento de co-autores em trailers "Co-authored-by:"
+ */
+
+const fs = require('fs');
+const { ErroDeValidacao } = require('./validacao');
+const { t } = require('./idioma');
+
+// Rotas de atribuição, na ordem de prioridade (um commit encontrado por mais de uma fica com a primeira)
+const ROTAS = ['login', 'email', 'nome', 'coautoria'];
+
+const REGEX_EMAIL = /^[^\s@<>]+@[^\s@<>]+$/;
+// E-mail "noreply" do GitHub: login@users.noreply.github.com ou ID+login@users.noreply.github.com
+const REGEX_EMAIL_NOREPLY = /^(?:\d+\+)?([^@]+)@users\.noreply\.github\.com$/i;
+
+/**
+ * Lê o arquivo de identidades (JSON)
+ * Formato: { "login": { "emails": ["..."], "nomes": ["..."] } }
+ * Retorna um Map com o login em minúsculas como chave
+ */
+function lerArquivoDeIdentidades(arquivo) {
+    let conteudo;
+    try {
+        conteudo = JSON.parse(fs.readFileSync(arquivo, 'utf-8'));
+    } catch (e) {
+        throw new ErroDeValidacao(t('arquivoDeIdentidadesIlegivel', arquivo, e.code === 'ENOENT'));
+    }
+    return normalizarIdentidades(conteudo, `"${arquivo}"`);
+}
+
+/**
+ * Valida as identidades no formato do arquivo (objeto já carregado, ex: passado pela biblioteca)
+ * Retorna um Map com o login em minúsculas como chave
+ */
+function normalizarIdentidades(conteudo, origem = t('identidadesInformadas')) {
+    if (!conteudo || typeof conteudo !== 'object' || Array.isArray(conteudo)) {
+        throw new ErroDeValidacao(t('identidadesInvalidas', origem));
+    }
+
+    const identidades = new Map();
+    for (const [login, dados] of Object.entries(conteudo)) {
+        const emails = listaDeTextos(dados && dados.emails, t('emailsDe', login));
+        const nomes = listaDeTextos(dados && dados.nomes, t('nomesDe', login));
+        for (const email of emails) {
+            if (!REGEX_EMAIL.test(email)) {
+                throw new ErroDeValidacao(t('emailInvalido', login, email));
+            }
+        }
+        identidades.set(login.toLowerCase(), { emails, nomes });
+    }
+    return identidades;
+}
+
+/**
+ * Valida lista opcional de textos não vazios
+ */
+function listaDeTextos(valor, descricao) {
+    if (valor === undefined) {
+        return [];
+    }
+    if (!Array.isArray(valor) || !valor.every(item => typeof item === 'string' && item.trim())) {
+        throw new ErroDeValidacao(t('listaDeTextosInvalida', descricao));
+    }
+    return valor.map(item => item.trim());
+}
+
+/**
+ * Identidade completa de um login (sem entradas no arquivo, apenas o próprio login)
+ */
+function identidadeDoUsuario(usuario, identidades) {
+    const dados = (identidades && identidades.get(usuario.toLowerCase())) || { emails: [], nomes: [] };
+    return { login: usuario, emails: dados.emails, nomes: dados.nomes };
+}
+
+/**
+ * Extrai os co-autores ("Nome <email>") dos trailers Co-authored-by de uma mensagem de commit
+ */
+function extrairCoautores(mensagem) {
+    const coautores = [];
+    if (typeof mensagem !== 'string') {
+        return coautores;
+    }
+    const regex = /^co-authored-by:\s*(.*?)\s*<([^<>\s]+)>\s*$/gim;
+    let match;
+    while ((match = regex.exec(mensagem)) !== null) {
+        coautores.push({ nome: match[1], email: match[2] });
+    }
+    return coautores;
+}
+
+/**
+ * Indica se um co-autor corresponde à identidade (e-mail, e-mail noreply do login, nome ou o próprio login)
+ */
+function coautorCorresponde(coautor, identidade) {
+    const email = coautor.email.toLowerCase();
+    const nome = coautor.nome.toLowerCase();
+    const login = identidade.login.toLowerCase();
+
+    if (identidade.emails.some(e => e.toLowerCase() === email)) return true;
+    const noreply = REGEX_EMAIL_NOREPLY.exec(email);
+    if (noreply && noreply[1].toLowerCase() === login) return true;
+    return nome === login || identidade.nomes.some(n => n.toLowerCase() === nome);
+}
+
+/**
+ * Indica se a identidade aparece como co-autora na mensagem do commit
+ */
+function ehCoautor(mensagem, identidade) {
+    return extrairCoautores(mensagem).some(coautor => coautorCorresponde(coautor, identidade));
+}
+
+/**
+ * Rota pela qual um autor (nome e e-mail do git) corresponde à identidade no modo local, ou null
+ * O login segue a regra do git --author: presente em "Nome <email>", sem diferenciar maiúsculas;
+ * e-mails e nomes do arquivo de identidades só contam para o que o login não encontraria
+ */
+function rotaDoAutor(nome, email, identidade) {
+    if (`${nome} <${email}>`.toLowerCase().includes(identidade.login.toLowerCase())) return 'login';
+    if (identidade.emails.some(e => e.toLowerCase() === String(email).toLowerCase())) return 'email';
+    if (identidade.nomes.some(n => n.toLowerCase() === String(nome).toLowerCase())) return 'nome';
+    return null;
+}
+
+/**
+ * Rota pela qual um autor corresponde exatamente à identidade, ou null (provedores sem filtro de autor)
+ * Sem busca por trecho: "ana" não encontra commits de "Joana <joana@...>". O login conta apenas
+ * no e-mail noreply do provedor (regexNoreply, com o login no primeiro grupo): "ana@outra.com" pode
+ * ser outra pessoa. E-mails e nomes do arquivo de identidades contam quando iguais
+ */
+function rotaExataDoAutor(nome, email, identidade, regexNoreply) {
+    const emailDoAutor = String(email).toLowerCase();
+    const noreply = regexNoreply ? regexNoreply.exec(emailDoAutor) : null;
+    if (noreply && noreply[1].toLowerCase() === identidade.login.toLowerCase()) return 'login';
+    if (identidade.emails.some(e => e.toLowerCase() === emailDoAutor)) return 'email';
+    if (identidade.nomes.some(n => n.toLowerCase() === String(nome).toLowerCase())) return 'nome';
+    return null;
+}
+
+module.exports = {
+    ROTAS,
+    lerArquivoDeIdentidades,
+    normalizarIdentidades,
+    identidadeDoUsuario,
+    extrairCoautores,
+    ehCoautor,
+    rotaDoAutor,
+    rotaExataDoAutor
+};
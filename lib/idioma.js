@@ -0,0 +1,109 @@
+/**
+ * Idioma das mensagens, da ajuda da CLI e do relatório (--idioma pt-BR|en)
+ * Os textos ficam nos catálogos de lib/idiomas, um por idioma, com as mesmas chaves
+ * O idioma vale para o processo inteiro, como o locale de toLocaleString: a CLI o define
+ * a partir de --idioma ou de LANG, e a biblioteca a partir da opção idioma
+ */
+
+const IDIOMA_PADRAO = 'pt-BR';
+
+const CATALOGOS = {
+    'pt-BR': require('./idiomas/pt-BR'),
+    en: require('./idiomas/en')
+};
+
+const IDIOMAS = Object.keys(CATALOGOS);
+
+// Locale de números e horas de cada idioma
+const LOCALES = { 'pt-BR': 'pt-BR', en: 'en-US' };
+
+let idiomaAtual = IDIOMA_PADRAO;
+
+/**
+ * Texto da chave no idioma atual; chaves com parâmetros são funções no catálogo
+ * Chaves ausentes no idioma atual usam o catálogo padrão (pt-BR)
+ */
+function t(chave, ...valores) {
+    const catalogo = CATALOGOS[idiomaAtual];
+    const texto = Object.prototype.hasOwnProperty.call(catalogo, chave) ? catalogo[chave] : CATALOGOS[IDIOMA_PADRAO][chave];
+    if (texto === undefined) {
+        throw new Error(`Mensagem sem tradução: "${chave}"`);
+    }
+    return typeof texto === 'function' ? texto(...valores) : texto;
+}
+
+/**
+ * Normaliza o nome de um idioma ("en_US.UTF-8" → "en", "pt_br" → "pt-BR"), ou null se não suportado
+ */
+function normalizarIdioma(valor) {
+    if (!valor || typeof valor !== 'string') {
+        return null;
+    }
+    const prefixo = valor.trim().toLowerCase().split(/[._@-]/)[0];
+    if (prefixo === 'pt') return 'pt-BR';
+    if (prefixo === 'en') return 'en';
+    return null;
+}
+
+/**
+ * Valida o idioma informado (--idioma); aceita variações como "en-US" e "pt_BR"
+ */
+function validarIdioma(valor) {
+    const idioma = normalizarIdioma(valor);
+    if (!idioma) {
+        // Carregado aqui: lib/validacao.js depende deste módulo
+        const { ErroDeValidacao } = require('./validacao');
+        throw new ErroDeValidacao(t('idiomaInvalido', valor, IDIOMAS));
+    }
+    return idioma;
+}
+
+/**
+ * Idioma do ambiente (LC_ALL, LC_MESSAGES ou LANG)
+ * Português para locales "pt_*", inglês para os demais e pt-BR quando não há locale (C, POSIX)
+ */
+function detectarIdioma(ambiente = process.env) {
+    const locale = ambiente.LC_ALL || ambiente.LC_MESSAGES || ambiente.LANG;
+    if (!locale || locale === 'C' || locale === 'POSIX' || locale.startsWith('C.')) {
+        return IDIOMA_PADRAO;
+    }
+    return normalizarIdioma(locale) || 'en';
+}
+
+/**
+ * Define o idioma do processo; retorna o idioma normalizado
+ */
+function definirIdioma(valor) {
+    idiomaAtual = validarIdioma(valor);
+    return idiomaAtual;
+}
+
+function obterIdioma() {
+    return idiomaAtual;
+}
+
+/**
+ * Locale (BCP 47) do idioma atual, para toLocaleString e localeCompare
+ */
+function localeAtual() {
+    return LOCALES[idiomaAtual];
+}
+
+/**
+ * Número com o separador de milhar (e decimal) do idioma atual
+ */
+function formatarNumero(valor, opcoes) {
+    return valor.toLocaleString(localeAtual(), opcoes);
+}
+
+module.exports = {
+    IDIOMA_PADRAO,
+    IDIOMAS,
+    t,
+    validarIdioma,
+    detectarIdioma,
+    definirIdioma,
+    obterIdioma,
+    localeAtual,
+    formatarNumero
+};
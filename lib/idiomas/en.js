@@ -0,0 +1,343 @@
+/**
+ * Catálogo de mensagens em inglês (en)
+ * Mesmas chaves de pt-BR.js; chaves ausentes aqui usam o texto em português
+ */
+
+const lista = valores => valores.map(valor => `'${valor}'`).join(', ');
+// Nomes dos campos das métricas do servidor (commit-stats servir)
+const CAMPOS = { commits: 'Commits', additions: 'Lines added', deletions: 'Lines deleted' };
+
+module.exports = {
+    // Idioma
+    idiomaInvalido: (valor, idiomas) => `Invalid language: "${valor}". Use ${lista(idiomas)}.`,
+
+    // Validação das entradas
+    usuarioObrigatorio: 'User name is required',
+    usuarioInvalido: usuario => `Invalid user name: "${usuario}". Use only letters, numbers, _ and - (max 39 characters)`,
+    organizacaoInvalida: org => `Invalid organization name: "${org}". Use only letters, numbers and - (max 39 characters)`,
+    usuarioDeProvedorInvalido: usuario => `Invalid user name: "${usuario}". Use only letters, numbers, ., _ and -`,
+    grupoInvalido: grupo => `Invalid GitLab group: "${grupo}". Use letters, numbers, ., _ and -, with subgroups separated by / (e.g. company/backend)`,
+    organizacaoDoGiteaInvalida: org => `Invalid Gitea organization name: "${org}". Use only letters, numbers, ., _ and - (max 40 characters)`,
+    provedorInvalido: (valor, provedores) => `Invalid provider: "${valor}". Use ${lista(provedores)}.`,
+    urlDaApiInvalida: url => `Invalid API URL: "${url}". Use an http or https URL (e.g. https://gitlab.company.com/api/v4).`,
+    fonteInvalida: fonte => `Invalid source: "${fonte}". Use provider[:organization][@url] (e.g. gitlab:company/backend@https://gitlab.company.com/api/v4).`,
+    usuariosObrigatorios: 'User name is required (pass users, --time or --time-org)',
+    slugDoTimeInvalido: slug => `Invalid team slug: "${slug}". Use only letters, numbers, _ and -.`,
+    arquivoDoTimeIlegivel: arquivo => `Could not read the team file: "${arquivo}"`,
+    dataObrigatoria: 'Date is required',
+    formatoDeDataInvalido: data => `Invalid date format: "${data}". Use YYYY-MM-DD, MM/DD/YYYY or a relative date (e.g. last-month, -30d).`,
+    dataInvalida: data => `Invalid date: "${data}"`,
+    tipoDeDataInvalido: valor => `Invalid date type: "${valor}". Use 'author' or 'committer'.`,
+    formatoDeSaidaInvalido: (valor, formatos) => `Invalid output format: "${valor}". Use ${lista(formatos)}.`,
+    agrupamentoInvalido: valor => `Invalid grouping: "${valor}". Use 'dia' (day), 'semana' (week) or 'mes' (month).`,
+    padraoDeCaminhoVazio: 'Empty path pattern in --excluir-caminho',
+    padraoDeRepositorioVazio: 'Empty repository pattern',
+    padraoDeRepositorioInvalido: padrao => `Invalid repository pattern: "${padrao}". Use a glob (e.g. "api-*") or a regular expression between slashes (e.g. "/^api-/").`,
+    estrategiaDeBranchesVazia: estrategias => `Empty branch strategy. Use ${lista(estrategias)} or a glob (e.g. "release/*").`,
+    estrategiaDeBranchesInvalida: (valor, estrategias) => `Invalid branch strategy: "${valor}". Use ${lista(estrategias)}, a glob (e.g. "release/*") or a regular expression between slashes.`,
+    maximoDeBranchesInvalido: (valor, maximo) => `Invalid maximum number of branches: "${valor}". Use an integer between 1 and ${maximo}.`,
+    paginasPorBranchInvalido: (valor, maximo) => `Invalid maximum pages per branch: "${valor}". Use an integer between 1 and ${maximo}.`,
+    concorrenciaInvalida: (valor, maximo) => `Invalid concurrency: "${valor}". Use an integer between 1 and ${maximo}.`,
+    esperaMaximaInvalida: (valor, maximo) => `Invalid maximum wait: "${valor}". Use an integer number of minutes between 0 and ${maximo}.`,
+    portaInvalida: valor => `Invalid port: "${valor}". Use an integer between 1 and 65535.`,
+    ttlDoCacheInvalido: (valor, maximo) => `Invalid cache TTL: "${valor}". Use an integer number of seconds between 0 and ${maximo}.`,
+    maximoDeExecucoesInvalido: (valor, maximo) => `Invalid maximum of runs: "${valor}". Use an integer between 1 and ${maximo}.`,
+    limiteDeOutlierInvalido: valor => `Invalid outlier limit: "${valor}". Use a whole number of lines greater than zero.`,
+    modoDeOutlierInvalido: (valor, modos) => `Invalid outlier mode: "${valor}". Use ${lista(modos)}.`,
+    diretorioObrigatorio: 'Directory is required',
+    diretorioInvalido: diretorio => `Invalid directory: "${diretorio}"`,
+
+    // Opções da execução
+    comparacaoDupla: 'Use --comparar-com or --comparar, not both',
+    comparacaoInvalida: valor => `Invalid comparison: "${valor}". Use 'anterior' (previous period) or --comparar-com <start>..<end>.`,
+    periodoDeComparacaoInvalido: valor => `Invalid comparison period: "${valor}". Use <start>..<end> (e.g. 2025-12-01..2025-12-31).`,
+    timeOrgSemOrg: 'timeOrg (--time-org) requires org (the organization that owns the team)',
+    prsComLocal: '--prs relies on the GitHub API and cannot be used with --local',
+    fonteComProvedor: 'Use either --fonte or --provedor/--org/--api-url, not both',
+    fonteComLocal: '--fonte cannot be used with --local',
+    fonteRepetida: fonte => `Repeated source: ${fonte}`,
+    apenasGithub: opcao => `${opcao} relies on the GitHub API and can only be used with a single github source`,
+    gravarComReproduzir: 'Use --gravar or --reproduzir, not both',
+    gravacaoComLocal: '--gravar and --reproduzir record API responses and cannot be used with --local',
+    modoOutlierSemLimite: '--modo-outlier only applies with --limite-outlier',
+
+    // API do GitHub
+    aguardandoCota: (segundos, servico) => `${servico} API rate limit reached. Waiting ${segundos}s...`,
+    novaTentativa: (erro, tentativa, maximo, segundos) => `${erro}. Retrying (${tentativa}/${maximo}) in ${segundos}s...`,
+    tempoEsgotado: ms => `Timed out after ${ms}ms`,
+    falhaDeConexao: servico => `Could not connect to the ${servico} API`,
+    respostaInvalida: servico => `Invalid response from the ${servico} API (malformed JSON)`,
+    erroDaApi: (status, mensagem, servico) => `${servico} API returned ${status}: ${mensagem}`,
+    linkForaDaApi: (url, servico) => `Next page outside the ${servico} API (${url}); pagination stopped`,
+    respostaNaoGravada: (url, diretorio) => `Response not recorded in ${diretorio}: ${url}. Replay with the same options as the recording (including --fim)`,
+
+    // Coleta (mensagens do logger)
+    listandoMembrosDoTime: (org, time) => `Listing members of team ${org}/${time}...`,
+    retomandoDoCheckpoint: (repositorios, stats) => `Resuming from checkpoint: ${repositorios} repositor${repositorios === 1 ? 'y' : 'ies'} and ${stats} stat(s) already fetched.`,
+    checkpointNaoEncontrado: 'No checkpoint found for these parameters; starting from scratch.',
+    checkpointIgnorado: 'There is a checkpoint from an interrupted run with these parameters (use --retomar to resume from it); starting from scratch.',
+    checkpointNaoGravado: (arquivo, erro) => `Could not write the checkpoint to ${arquivo}: ${erro}`,
+    progressoSalvo: (repositorios, stats, arquivo) => `\nProgress saved (${repositorios} repositor${repositorios === 1 ? 'y' : 'ies'}, ${stats} stat(s)) to ${arquivo}`,
+    comoRetomar: 'Run again with the same parameters and --retomar to continue where it stopped.',
+    buscandoCommitsDoUsuario: usuario => `Fetching commits by ${usuario}...`,
+    buscandoCommitsDosUsuarios: usuarios => `Fetching commits by ${usuarios.length} users: ${usuarios.join(', ')}`,
+    periodo: (inicio, fim) => `Period: ${inicio} to ${fim}`,
+    comparacaoCom: (inicio, fim) => `Compared with: ${inicio} to ${fim}`,
+    tipoDeData: tipo => `Date type: ${tipo}-date`,
+    organizacao: org => `Organization: ${org}`,
+    gravandoRespostas: diretorio => `Recording API responses to: ${diretorio}`,
+    reproduzindoRespostas: diretorio => `Replaying responses recorded in: ${diretorio} (no network access)`,
+    fonteDaColeta: (servico, host, org) => `\nSource: ${servico} at ${host}${org ? ` (organization ${org})` : ''}`,
+    branchesSemOrg: '--branches and --branches-ativas-desde only apply to organization scans (--org) through the API; ignored.',
+    retomarSemOrg: '--retomar only applies to organization scans (--org) through the API; ignored.',
+    buscandoPeriodoDeComparacao: (inicio, fim) => `\nFetching commits for the comparison period (${inicio} to ${fim})...`,
+    processandoCommits: total => `\nProcessing ${total} commits...\n`,
+    respostasDoCache: (acertos, diretorio) => `Cache: ${acertos} response(s) reused from ${diretorio}`,
+    respostasGravadas: (quantidade, diretorio) => `Recording: ${quantidade} response(s) saved to ${diretorio}`,
+    commitsSemData: (total, tipo) => `${total} commit(s) without a ${tipo} date in the period were left out of the time series.`,
+    commitsForaDaCurva: (total, limite, modo) => `${total} commit(s) with more than ${limite} changed lines ${modo === 'limitar' ? `count as ${limite} lines` : 'were left out of the totals'} (--limite-outlier).`,
+    buscandoPullRequests: '\nFetching pull requests and reviews...',
+
+    // Avisos da coleta
+    erroAoBuscarRepositorios: pagina => `Error fetching repositories (page ${pagina}). Continuing...`,
+    erroAoBuscarBranches: (pagina, repo) => `Error fetching branches (page ${pagina}) of ${repo}. Continuing...`,
+    listandoRepositorios: org => `Listing repositories of organization ${org}...`,
+    repositoriosEncontrados: (total, ignorados) => `Found ${total} repositor${total === 1 ? 'y' : 'ies'}${ignorados > 0 ? ` (${ignorados} skipped by filters)` : ''}.`,
+    totalIndisponivel: rotulo => `Could not get the total number of commits (${rotulo}).`,
+    janelaIndivisivel: (rotulo, total, maximo) => `${rotulo} has ${total} commits and cannot be split; only ${maximo} will be fetched.`,
+    limiteDaBuscaSemTotal: maximo => `Unknown total and ${maximo} results fetched (search limit); the interval may have more commits.`,
+    limiteDeRepositorios: maximo => `Limit of ${maximo} repositories per organization reached; the others were not scanned.`,
+    nomesIgnoradosComOrg: 'Names from the identities file are not used with --org (only logins and e-mails).',
+    provedorExigeOrg: (servico, provedor) => `${servico} has no commit search: specify the organization (--org or --fonte ${provedor}:<organization>)`,
+    usuarioDaBusca: usuario => `\nUser: ${usuario}`,
+    criterioDaBusca: rotulo => `Criterion: ${rotulo}`,
+    buscandoCommitsPaginados: 'Fetching commits (paginated)...',
+    totalEncontrado: total => `Total found: ${total} commits in the GitHub API.`,
+    periodoDividido: (janelas, maximo) => `Period split into ${janelas} ranges to work around the search limit of ${maximo} results.`,
+    erroAoBuscarCommits: 'Error fetching commits. Check your connection and the GitHub token (GITHUB_TOKEN).',
+    diretorioIlegivel: diretorio => `Could not read directory ${diretorio}. Continuing...`,
+    procurandoClones: total => `Looking for git clones in ${total} director${total === 1 ? 'y' : 'ies'}...`,
+    clonesEncontrados: total => `Found ${total} local repositor${total === 1 ? 'y' : 'ies'}.`,
+    erroAoLerHistorico: diretorio => `Error reading the history of ${diretorio}. Continuing...`,
+    erroAoBuscarPrs: query => `Error searching PRs (${query}); the results may be incomplete.`,
+    buscaDePrsIncompleta: (query, total, lidos) => `Incomplete PR search (${query}): ${total} results, only ${lidos} fetched.`,
+    prIndisponivel: pr => `Could not fetch PR ${pr}.`,
+    revisoesIndisponiveis: pr => `Could not fetch the reviews of PR ${pr}.`,
+    dadosIncompletosAviso: total => `${total} failure(s) during collection: totals may be incomplete (see "Incomplete data" in the report).`,
+    paginaDaListagem: pagina => `page ${pagina}`,
+
+    // Arquivo de identidades
+    arquivoDeIdentidadesIlegivel: (arquivo, inexistente) => `Could not read the identities file "${arquivo}": ${inexistente ? 'file not found' : 'invalid JSON'}`,
+    identidadesInformadas: 'given',
+    identidadesInvalidas: origem => `Invalid identities (${origem}). Use an object { "login": { "emails": [], "nomes": [] } }.`,
+    emailsDe: login => `emails of "${login}"`,
+    nomesDe: login => `nomes of "${login}"`,
+    emailInvalido: (login, email) => `Invalid e-mail for "${login}" in the identities file: "${email}"`,
+    listaDeTextosInvalida: descricao => `Identities file: ${descricao} must be a list of strings`,
+
+    // Barra de progresso
+    etapaBuscandoRepos: 'Scanning repos',
+    etapaBuscandoPaginas: 'Fetching pages',
+    etapaLendoClones: 'Reading clones',
+    etapaObtendoStats: 'Fetching stats',
+    etapaBuscandoPrs: 'Fetching PRs',
+    commitsNoProgresso: total => `+${total} commits`,
+    paginaNoProgresso: pagina => `Page ${pagina}`,
+    totalDeCommits: total => `Total: ${total} commits`,
+    concluido: 'Done',
+    tempoTotal: tempo => `Total time: ${tempo}`,
+    cotaDaApi: (restante, limite) => `API quota: ${restante}/${limite}`,
+
+    // Arquivo de configuração
+    erroNaConfiguracao: (arquivo, detalhe) => `Configuration file "${arquivo}": ${detalhe}`,
+    erroNaLinhaDaConfiguracao: (arquivo, linha, motivo) => `Configuration file "${arquivo}", line ${linha}: ${motivo}`,
+    yamlTabulacao: 'use spaces (not tabs) for indentation',
+    yamlAspasInvalidas: 'invalid quoted string',
+    yamlListaSemFechamento: 'inline list without "]"',
+    yamlChaveEsperada: 'expected "key: value"',
+    yamlRecuoInesperado: 'unexpected indentation',
+    grupoDeOpcoesInvalido: descricao => `${descricao} must be an object with options`,
+    opcoesPadrao: 'the default options',
+    oPerfil: nome => `profile "${nome}"`,
+    configuracaoIlegivel: (arquivo, erro) => `Could not read the configuration file "${arquivo}": ${erro || 'file not found'}`,
+    jsonInvalido: 'invalid JSON',
+    perfisInvalidos: '"perfis" must be an object { "name": { options } }',
+    perfilSemConfiguracao: (perfil, arquivo, diretorio) => `Profile "${perfil}" not found: no ${arquivo} file in the current directory, above it or in ${diretorio}`,
+    perfilNaoEncontrado: (perfil, arquivo, disponiveis) => `Profile "${perfil}" not found in "${arquivo}". ${disponiveis.length > 0 ? `Available profiles: ${disponiveis.join(', ')}` : 'No profiles defined.'}`,
+    tipoDaOpcaoInvalido: (opcao, tipo) => `${opcao} must be ${tipo}`,
+    tipoBooleano: 'true or false',
+    tipoListaDeTextos: 'a string or a list of strings',
+    tipoTexto: 'a string',
+    opcaoDesconhecida: (nome, arquivo) => `Unknown option "${nome}" in configuration file "${arquivo}"`,
+
+    // CLI
+    aviso: mensagem => `Warning: ${mensagem}`,
+    erro: mensagem => `Error: ${mensagem}`,
+    configuracaoUsada: (arquivo, perfil) => `Configuration: ${arquivo}${perfil ? ` (profile ${perfil})` : ''}`,
+    inicioObrigatorio: 'Start date is required: use --inicio or set "inicio" in the configuration file',
+    cacheRemovido: diretorio => `Cache removed: ${diretorio}`,
+    relatorioSalvo: (formato, arquivo) => `\nReport (${formato}) saved to: ${arquivo}`,
+    relatorioHtmlSalvo: arquivo => `\nHTML report saved to: ${arquivo}`,
+    nenhumCommit: '\nNo commits found for the given period.',
+    interrompido: '\nInterrupted.',
+    cotaEsgotada: (renovacao, servico) => `${servico} API rate limit reached.${renovacao ? ` The quota resets at ${renovacao}.` : ''}`,
+    cotaEsgotadaDica: 'Run stopped so as not to report incorrect totals. Try again after the reset or increase --espera-maxima-cota.',
+    dadosIncompletosEstrito: total => `${total} failure(s) during collection; exiting with an error because of --estrito.`,
+
+    // Servidor (commit-stats servir)
+    servidorIniciado: url => `Serving stats at ${url} (/stats and /metrics). Press Ctrl-C to stop.`,
+    calculandoRelatorio: (usuarios, inicio, fim, org) => `Computing report for ${usuarios.join(', ')} (${inicio} to ${fim}${org ? `, organization ${org}` : ''})`,
+    filaCheia: 'Too many reports waiting to be computed. Try again shortly.',
+    rotaNaoEncontrada: (caminho, rotas) => `Route not found: ${caminho}. Use ${rotas.join(' or ')}.`,
+    metodoNaoPermitido: metodo => `Method not allowed: ${metodo}. Use GET.`,
+    metricaPorUsuario: campo => `${CAMPOS[campo]} in the period, per user`,
+    metricaPorRepositorio: campo => `${CAMPOS[campo]} in the period, per repository`,
+    metricaDadosIncompletos: 'Failures while collecting the report (non-zero: totals may be incomplete)',
+    metricaExecucoesEmAndamento: 'Reports being computed',
+    metricaExecucoesNaFila: 'Reports waiting in the queue',
+    metricaExecucoes: 'Reports computed since the server started',
+    metricaRelatoriosEmCache: 'Reports in the server cache',
+    metricaAcertosDoCache: 'Requests served from the server cache',
+
+    // Ajuda da CLI (--help)
+    ajudaDescricao: 'CLI to fetch commit statistics from GitHub, GitLab and Gitea',
+    ajudaVersao: 'Output the version number',
+    ajudaAjuda: 'Display this help',
+    ajudaUsuarios: 'User name(s) on the provider (several = team mode)',
+    ajudaInicio: 'Start date (YYYY-MM-DD, MM/DD/YYYY or relative: today, -30d, last-month, this-quarter...)',
+    ajudaFim: 'End date (YYYY-MM-DD, MM/DD/YYYY or relative). Default: today or the end of the --inicio period',
+    ajudaOrg: 'Filter by organization (a group on GitLab, e.g. company/backend)',
+    ajudaProvedor: provedores => `Commit provider: ${provedores.join(', ')}. Default: github`,
+    ajudaFonte: 'Commit source provider[:organization][@url], e.g. gitlab:company@https://gitlab.company.com/api/v4 (can be repeated; sources are combined into one report)',
+    ajudaTipoData: 'Date used to filter: "author" (when the commit was created) or "committer" (when it was merged/rebased). Default: committer',
+    ajudaTime: 'File with the team\'s users (one per line)',
+    ajudaTimeOrg: 'Slug of an organization team (--org) whose members will be analyzed',
+    ajudaFormato: 'Output format: tabela (table), json, csv or markdown. Default: tabela',
+    ajudaSaida: 'Save the report to a file instead of printing it',
+    ajudaHtml: 'Also write a self-contained HTML report with charts and sortable tables',
+    ajudaExcluirCaminho: 'Ignore files matching the glob (e.g. "dist/**", "*.min.js"; can be repeated)',
+    ajudaSemExclusoesPadrao: 'Do not apply the default exclusions (lockfiles, node_modules, vendor, dist, minified files)',
+    ajudaIdentidades: 'JSON file with extra e-mails and names for each login',
+    ajudaCoautoria: 'Credit commits where the user appears in a "Co-authored-by:" trailer',
+    ajudaSemMerges: 'Ignore merge commits (commits with more than one parent)',
+    ajudaIncluirRepo: 'Only consider repositories matching the glob or /regex/ (can be repeated)',
+    ajudaExcluirRepo: 'Ignore repositories matching the glob or /regex/ (can be repeated)',
+    ajudaSemArquivados: 'Ignore archived repositories of the organization (--org)',
+    ajudaSemForks: 'Ignore forks',
+    ajudaBranches: 'Branches scanned with --org: "padrao" (default branch), "principais" (main branches), "todas" (all) or a glob of names (e.g. "release/*"). Default: todas',
+    ajudaMaxBranches: (maximo, padrao) => `Maximum branches scanned per repository with --org (1 to ${maximo}). Default: ${padrao}`,
+    ajudaMaxPaginasPorBranch: (maximo, padrao) => `Maximum pages of 100 commits read per branch with --org (1 to ${maximo}). Default: ${padrao}`,
+    ajudaBranchesAtivasDesde: 'With --org, skip branches without commits since the date (YYYY-MM-DD or relative, e.g. -90d)',
+    ajudaLimiteOutlier: 'Leave commits with more changed lines than the limit out of the totals (listed separately under "Outliers")',
+    ajudaModoOutlier: modos => `What to do with commits above --limite-outlier: ${modos.join(' or ')} (count only up to the limit). Default: excluir`,
+    ajudaPrs: 'Include pull requests (open, merged, closed) and reviews made in the period',
+    ajudaCompararCom: 'Compare with another period <start>..<end> (YYYY-MM-DD or relative dates, e.g. 2025-12-01..2025-12-31)',
+    ajudaComparar: 'Compare with the "anterior" (previous) period, right before and of the same length',
+    ajudaAgrupar: 'Include a time series grouped by "dia" (day), "semana" (week) or "mes" (month)',
+    ajudaConcorrencia: (maximo, padrao) => `Maximum simultaneous API requests (1 to ${maximo}). Default: ${padrao}`,
+    ajudaEsperaMaximaCota: padrao => `Minutes to wait for the API quota to reset before stopping. Default: ${padrao}`,
+    ajudaSemCache: 'Do not read or write the local cache of API responses',
+    ajudaLimparCache: 'Delete the local cache before running',
+    ajudaApiUrl: 'Base URL of the provider API (GitHub Enterprise, self-hosted GitLab or Gitea, or a mock server). Default: GITHUB_API_URL, GITLAB_API_URL or GITEA_API_URL, or the provider public API',
+    ajudaRetomar: 'Resume the organization scan (--org) from the checkpoint of an interrupted run',
+    ajudaLocal: 'Compute from local git clones instead of the API (can be repeated)',
+    ajudaGravar: 'Record every API response to the directory, to replay the run later (disables the cache)',
+    ajudaReproduzir: 'Use the responses recorded with --gravar in the directory, with no network access',
+    ajudaEstrito: 'Exit with an error if totals may be incomplete, with dedicated exit codes for authentication, rate limit and validation',
+    ajudaIdioma: idiomas => `Language of messages and report: ${idiomas.join(' or ')}. Default: detected from LANG (pt-BR if unset)`,
+    ajudaPerfil: 'Use the options of a profile from the configuration file (.commitstatsrc)',
+    ajudaConfig: 'Configuration file. Default: .commitstatsrc in the current directory, above it or in the home directory',
+    ajudaServir: 'Serve the stats over HTTP (/stats as JSON and /metrics for Prometheus); the other options apply to every request',
+    ajudaPorta: padrao => `Server port. Default: ${padrao}`,
+    ajudaHost: 'Address the server listens on. Default: 127.0.0.1 (use 0.0.0.0 to accept connections from other machines)',
+    ajudaTtlCache: (maximo, padrao) => `Seconds a computed report is reused by identical requests (0 to ${maximo}). Default: ${padrao}`,
+    ajudaMaxExecucoes: (maximo, padrao) => `Maximum reports computed at the same time; the rest wait in the queue (1 to ${maximo}). Default: ${padrao}`,
+
+    // Relatório
+    rotulosDeRota: { login: 'login', email: 'e-mail', nome: 'name', coautoria: 'co-author' },
+    rotulosDeAgrupamento: { dia: 'day', semana: 'week', mes: 'month' },
+    rotulosDeSituacao: { abertos: 'Open', mesclados: 'Merged', fechados: 'Closed without merge' },
+    rotulosDeComparacao: { ativo: '', novo: 'new', 'sem-atividade': 'no activity' },
+    rotulosDeFalha: {
+        repositorios: 'Organization repositories',
+        branchPadrao: 'Default branch',
+        branches: 'Branches',
+        commits: 'Branch commits',
+        item: 'Unreadable commit',
+        busca: 'Search',
+        stats: 'Commit stats',
+        pr: 'Pull request',
+        revisoes: 'PR reviews',
+        local: 'Local clone'
+    },
+    estatisticasDeCommits: 'Commit statistics',
+    intervalo: (inicio, fim) => `${inicio} to ${fim}`,
+    comparadoCom: 'Compared with',
+    relatorioDeTime: (nome, usuarios) => `TEAM ${nome}(${usuarios} users)`,
+    totalGeral: 'Grand total',
+    linhasAdicionadas: 'Lines added',
+    linhasRemovidas: 'Lines removed',
+    totalDeLinhasAlteradas: 'Total lines changed',
+    repositorios: 'Repositories',
+    ignoradas: 'Ignored',
+    ignoradoEmArquivos: (adicoes, remocoes, arquivos) => `+${adicoes} / -${remocoes} in ${arquivos} file(s)`,
+    commitsAtribuidosPor: 'Commits attributed by',
+    commitsEncontradosNa: 'Commits found on',
+    resumoDasBranches: (padrao, outras) => `default branch ${padrao} | only on other branches ${outras}`,
+    variacaoDoTotal: (anterior, diferenca, percentual) => `previous: ${anterior} | ${diferenca}, ${percentual}`,
+    rankingDoTime: 'Team ranking',
+    atribuicaoPorUsuario: 'Attribution by user',
+    porRepositorio: 'By repository',
+    foraDaBranchPadrao: 'Outside the default branch',
+    porLinguagem: 'By language',
+    porAgrupamento: rotulo => `By ${rotulo}`,
+    commitsPorAgrupamento: rotulo => `Commits by ${rotulo}`,
+    pullRequests: 'Pull requests',
+    revisoesPorRepositorio: 'Reviews by repository',
+    maisBranches: omitidos => `... and ${omitidos} more branch(es)`,
+    dadosIncompletos: 'Incomplete data',
+    resumoDosDadosIncompletos: total => `${total} failure(s) during collection; totals may be lower than the real ones`,
+    maisFalhas: omitidas => `... and ${omitidas} more failure(s) (all of them are in --formato json)`,
+    tamanhoDosCommits: 'Commit size',
+    resumoDosTamanhos: (mediana, p90, maximo, commits) => `Changed lines per commit: median ${mediana} | p90 ${p90} | max ${maximo} (${commits} commits)`,
+    foraDaCurva: 'Outliers',
+    resumoForaDaCurva: (commits, limite, modo, adicoes, remocoes) => `${commits} commit(s) with more than ${limite} lines ${modo === 'limitar' ? `counted as ${limite} lines` : 'excluded from the totals'}; +${adicoes} / -${remocoes} lines disregarded`,
+    maisCommitsForaDaCurva: omitidos => `... and ${omitidos} more commit(s) (all of them are in --formato json)`,
+    tendencia: 'Trend (lines changed)',
+    medianaERevisoes: (mediana, revisoes, prs) => `Median time to merge: ${mediana} | Reviews on others' PRs: ${revisoes} (${prs} PRs)`,
+    medianaERevisoesResumo: (mediana, revisoes, prs) => `median time to merge ${mediana}; ${revisoes} reviews on ${prs} PRs by others`,
+    colunaUsuario: 'User',
+    colunaRepositorio: 'Repository',
+    colunaRepositorioEBranch: 'Repository / branch',
+    colunaAdicoes: 'Additions',
+    colunaRemocoes: 'Deletions',
+    colunaLinguagem: 'Language',
+    colunaPeriodo: 'Period',
+    colunaInicio: 'Start',
+    colunaData: 'Date',
+    colunaSituacao: 'Status',
+    colunaRevisoes: 'Reviews',
+    colunaDeltaTotal: 'Δ Total',
+    colunaVariacao: 'Change',
+    colunaTotalAnterior: 'Previous total',
+    colunaDiferenca: 'Difference',
+    colunaVariacaoPercentual: 'Change %',
+    colunaFalha: 'Failure',
+    colunaLocal: 'Where',
+    colunaMotivo: 'Reason',
+    colunaLinhas: 'Changed lines',
+    colunaMensagem: 'Message',
+    linhaTotal: 'TOTAL',
+    linhaTime: 'TEAM',
+    totalDoTime: 'Team total',
+
+    // Relatório HTML
+    detalheDeData: tipo => `date: ${tipo}`,
+    detalheDeOrganizacao: org => `organization: ${org}`,
+    detalheDeFontes: fontes => `sources: ${fontes.join(', ')}`,
+    adicoesERemocoesPorRepositorio: 'Additions and deletions by repository',
+    commitsPorPeriodo: 'Commits by period',
+    exibindoRepositorios: (exibidos, total) => `Showing the ${exibidos} repositories with the most lines changed out of ${total}.`,
+    maioresCommits: 'Largest commits',
+    geradoEm: data => `Generated on ${data} UTC.`
+};
@@ -0,0 +1,343 @@
+/**
+ * Catálogo de mensagens em português (pt-BR), o idioma padrão
+ * Chaves com parâmetros são funções; listas de valores válidos chegam como arrays
+ */
+
+const lista = valores => valores.map(valor => `'${valor}'`).join(', ');
+// Nomes dos campos das métricas do servidor (commit-stats servir)
+const CAMPOS = { commits: 'Commits', additions: 'Linhas adicionadas', deletions: 'Linhas removidas' };
+
+module.exports = {
+    // Idioma
+    idiomaInvalido: (valor, idiomas) => `Idioma inválido: "${valor}". Use ${lista(idiomas)}.`,
+
+    // Validação das entradas
+    usuarioObrigatorio: 'Nome de usuário é obrigatório',
+    usuarioInvalido: usuario => `Nome de usuário inválido: "${usuario}". Use apenas letras, números, _ e - (máx 39 caracteres)`,
+    organizacaoInvalida: org => `Nome de organização inválido: "${org}". Use apenas letras, números e - (máx 39 caracteres)`,
+    usuarioDeProvedorInvalido: usuario => `Nome de usuário inválido: "${usuario}". Use apenas letras, números, ., _ e -`,
+    grupoInvalido: grupo => `Grupo do GitLab inválido: "${grupo}". Use letras, números, ., _ e -, com subgrupos separados por / (ex: empresa/backend)`,
+    organizacaoDoGiteaInvalida: org => `Nome de organização do Gitea inválido: "${org}". Use apenas letras, números, ., _ e - (máx 40 caracteres)`,
+    provedorInvalido: (valor, provedores) => `Provedor inválido: "${valor}". Use ${lista(provedores)}.`,
+    urlDaApiInvalida: url => `URL da API inválida: "${url}". Use uma URL http ou https (ex: https://gitlab.empresa.com/api/v4).`,
+    fonteInvalida: fonte => `Fonte inválida: "${fonte}". Use provedor[:organização][@url] (ex: gitlab:empresa/backend@https://gitlab.empresa.com/api/v4).`,
+    usuariosObrigatorios: 'Nome de usuário é obrigatório (informe usuários, --time ou --time-org)',
+    slugDoTimeInvalido: slug => `Slug de time inválido: "${slug}". Use apenas letras, números, _ e -.`,
+    arquivoDoTimeIlegivel: arquivo => `Não foi possível ler o arquivo de time: "${arquivo}"`,
+    dataObrigatoria: 'Data é obrigatória',
+    formatoDeDataInvalido: data => `Formato de data inválido: "${data}". Use YYYY-MM-DD, DD/MM/AAAA ou uma data relativa (ex: ultimo-mes, -30d).`,
+    dataInvalida: data => `Data inválida: "${data}"`,
+    tipoDeDataInvalido: valor => `Tipo de data inválido: "${valor}". Use 'author' ou 'committer'.`,
+    formatoDeSaidaInvalido: (valor, formatos) => `Formato de saída inválido: "${valor}". Use ${lista(formatos)}.`,
+    agrupamentoInvalido: valor => `Agrupamento inválido: "${valor}". Use 'dia', 'semana' ou 'mes'.`,
+    padraoDeCaminhoVazio: 'Padrão de caminho vazio em --excluir-caminho',
+    padraoDeRepositorioVazio: 'Padrão de repositório vazio',
+    padraoDeRepositorioInvalido: padrao => `Padrão de repositório inválido: "${padrao}". Use um glob (ex: "api-*") ou uma expressão regular entre barras (ex: "/^api-/").`,
+    estrategiaDeBranchesVazia: estrategias => `Estratégia de branches vazia. Use ${lista(estrategias)} ou um glob (ex: "release/*").`,
+    estrategiaDeBranchesInvalida: (valor, estrategias) => `Estratégia de branches inválida: "${valor}". Use ${lista(estrategias)}, um glob (ex: "release/*") ou uma expressão regular entre barras.`,
+    maximoDeBranchesInvalido: (valor, maximo) => `Máximo de branches inválido: "${valor}". Use um número inteiro entre 1 e ${maximo}.`,
+    paginasPorBranchInvalido: (valor, maximo) => `Máximo de páginas por branch inválido: "${valor}". Use um número inteiro entre 1 e ${maximo}.`,
+    limiteDeOutlierInvalido: valor => `Limite de outlier inválido: "${valor}". Use um número inteiro de linhas maior que zero.`,
+    modoDeOutlierInvalido: (valor, modos) => `Modo de outlier inválido: "${valor}". Use ${lista(modos)}.`,
+    concorrenciaInvalida: (valor, maximo) => `Concorrência inválida: "${valor}". Use um número inteiro entre 1 e ${maximo}.`,
+    esperaMaximaInvalida: (valor, maximo) => `Espera máxima inválida: "${valor}". Use um número inteiro de minutos entre 0 e ${maximo}.`,
+    portaInvalida: valor => `Porta inválida: "${valor}". Use um número inteiro entre 1 e 65535.`,
+    ttlDoCacheInvalido: (valor, maximo) => `TTL do cache inválido: "${valor}". Use um número inteiro de segundos entre 0 e ${maximo}.`,
+    maximoDeExecucoesInvalido: (valor, maximo) => `Máximo de execuções inválido: "${valor}". Use um número inteiro entre 1 e ${maximo}.`,
+    diretorioObrigatorio: 'Diretório é obrigatório',
+    diretorioInvalido: diretorio => `Diretório inválido: "${diretorio}"`,
+
+    // Opções da execução
+    comparacaoDupla: 'Use --comparar-com ou --comparar, não os dois',
+    comparacaoInvalida: valor => `Comparação inválida: "${valor}". Use 'anterior' ou --comparar-com <inicio>..<fim>.`,
+    periodoDeComparacaoInvalido: valor => `Período de comparação inválido: "${valor}". Use <inicio>..<fim> (ex: 2025-12-01..2025-12-31).`,
+    timeOrgSemOrg: 'timeOrg (--time-org) exige org (organização dona do time)',
+    prsComLocal: '--prs depende da API do GitHub e não pode ser usado com --local',
+    fonteComProvedor: 'Use --fonte ou --provedor/--org/--api-url, não os dois',
+    fonteComLocal: '--fonte não pode ser usado com --local',
+    fonteRepetida: fonte => `Fonte repetida: ${fonte}`,
+    apenasGithub: opcao => `${opcao} depende da API do GitHub e só pode ser usado com uma única fonte github`,
+    gravarComReproduzir: 'Use --gravar ou --reproduzir, não os dois',
+    gravacaoComLocal: '--gravar e --reproduzir gravam respostas da API e não podem ser usados com --local',
+    modoOutlierSemLimite: '--modo-outlier só se aplica com --limite-outlier',
+
+    // API do GitHub (ou do GitLab/Gitea, conforme o provedor)
+    aguardandoCota: (segundos, servico) => `Limite da API do ${servico} atingido. Aguardando ${segundos}s...`,
+    novaTentativa: (erro, tentativa, maximo, segundos) => `${erro}. Nova tentativa (${tentativa}/${maximo}) em ${segundos}s...`,
+    tempoEsgotado: ms => `Tempo esgotado após ${ms}ms`,
+    falhaDeConexao: servico => `Falha de conexão com a API do ${servico}`,
+    respostaInvalida: servico => `Resposta inválida da API do ${servico} (JSON malformado)`,
+    erroDaApi: (status, mensagem, servico) => `API do ${servico} retornou ${status}: ${mensagem}`,
+    linkForaDaApi: (url, servico) => `Próxima página fora da API do ${servico} (${url}); paginação interrompida`,
+    respostaNaoGravada: (url, diretorio) => `Resposta não gravada em ${diretorio}: ${url}. Reproduza com as mesmas opções da gravação (inclusive --fim)`,
+
+    // Coleta (mensagens do logger)
+    listandoMembrosDoTime: (org, time) => `Listando membros do time ${org}/${time}...`,
+    retomandoDoCheckpoint: (repositorios, stats) => `Retomando do checkpoint: ${repositorios} repositório(s) e ${stats} estatística(s) já obtidos.`,
+    checkpointNaoEncontrado: 'Nenhum checkpoint encontrado para estes parâmetros; iniciando do zero.',
+    checkpointIgnorado: 'Há um checkpoint de uma execução interrompida com estes parâmetros (use --retomar para continuar dele); iniciando do zero.',
+    checkpointNaoGravado: (arquivo, erro) => `Não foi possível gravar o checkpoint em ${arquivo}: ${erro}`,
+    progressoSalvo: (repositorios, stats, arquivo) => `\nProgresso salvo (${repositorios} repositório(s), ${stats} estatística(s)) em ${arquivo}`,
+    comoRetomar: 'Execute novamente com os mesmos parâmetros e --retomar para continuar de onde parou.',
+    buscandoCommitsDoUsuario: usuario => `Buscando commits de ${usuario}...`,
+    buscandoCommitsDosUsuarios: usuarios => `Buscando commits de ${usuarios.length} usuários: ${usuarios.join(', ')}`,
+    periodo: (inicio, fim) => `Período: ${inicio} até ${fim}`,
+    comparacaoCom: (inicio, fim) => `Comparação com: ${inicio} até ${fim}`,
+    tipoDeData: tipo => `Tipo de data: ${tipo}-date`,
+    organizacao: org => `Organização: ${org}`,
+    gravandoRespostas: diretorio => `Gravando as respostas da API em: ${diretorio}`,
+    reproduzindoRespostas: diretorio => `Reproduzindo as respostas gravadas em: ${diretorio} (sem acesso à rede)`,
+    fonteDaColeta: (servico, host, org) => `\nFonte: ${servico} em ${host}${org ? ` (organização ${org})` : ''}`,
+    branchesSemOrg: '--branches e --branches-ativas-desde só se aplicam à varredura de organização (--org) pela API; ignorados.',
+    retomarSemOrg: '--retomar só se aplica à varredura de organização (--org) pela API; ignorado.',
+    buscandoPeriodoDeComparacao: (inicio, fim) => `\nBuscando commits do período de comparação (${inicio} até ${fim})...`,
+    processandoCommits: total => `\nProcessando ${total} commits...\n`,
+    respostasDoCache: (acertos, diretorio) => `Cache: ${acertos} resposta(s) reaproveitada(s) de ${diretorio}`,
+    respostasGravadas: (quantidade, diretorio) => `Gravação: ${quantidade} resposta(s) salva(s) em ${diretorio}`,
+    commitsSemData: (total, tipo) => `${total} commit(s) sem data ${tipo} no período ficaram fora da série temporal.`,
+    commitsForaDaCurva: (total, limite, modo) => `${total} commit(s) com mais de ${limite} linhas alteradas ${modo === 'limitar' ? `contam com ${limite} linhas` : 'ficaram fora dos totais'} (--limite-outlier).`,
+    buscandoPullRequests: '\nBuscando pull requests e revisões...',
+
+    // Avisos da coleta
+    erroAoBuscarRepositorios: pagina => `Erro ao buscar repositórios (página ${pagina}). Continuando...`,
+    erroAoBuscarBranches: (pagina, repo) => `Erro ao buscar branches (página ${pagina}) de ${repo}. Continuando...`,
+    listandoRepositorios: org => `Listando repositórios da organização ${org}...`,
+    repositoriosEncontrados: (total, ignorados) => `Encontrados ${total} repositório(s)${ignorados > 0 ? ` (${ignorados} ignorado(s) pelos filtros)` : ''}.`,
+    totalIndisponivel: rotulo => `Não foi possível obter o total de commits (${rotulo}).`,
+    janelaIndivisivel: (rotulo, total, maximo) => `${rotulo} tem ${total} commits e não pode ser dividido; apenas ${maximo} serão obtidos.`,
+    limiteDaBuscaSemTotal: maximo => `Total desconhecido e ${maximo} resultados obtidos (limite da busca); pode haver mais commits no intervalo.`,
+    limiteDeRepositorios: maximo => `Limite de ${maximo} repositórios por organização atingido; os demais não foram varridos.`,
+    nomesIgnoradosComOrg: 'Nomes do arquivo de identidades não são usados com --org (apenas logins e e-mails).',
+    provedorExigeOrg: (servico, provedor) => `O ${servico} não tem busca de commits: informe a organização (--org ou --fonte ${provedor}:<organização>)`,
+    usuarioDaBusca: usuario => `\nUsuário: ${usuario}`,
+    criterioDaBusca: rotulo => `Critério: ${rotulo}`,
+    buscandoCommitsPaginados: 'Buscando commits (com paginação)...',
+    totalEncontrado: total => `Total encontrado: ${total} commits na API do GitHub.`,
+    periodoDividido: (janelas, maximo) => `Período dividido em ${janelas} intervalos para contornar o limite de ${maximo} resultados da busca.`,
+    erroAoBuscarCommits: 'Erro ao buscar commits. Verifique sua conexão e o token do GitHub (GITHUB_TOKEN).',
+    diretorioIlegivel: diretorio => `Não foi possível ler o diretório ${diretorio}. Continuando...`,
+    procurandoClones: total => `Procurando clones git em ${total} diretório(s)...`,
+    clonesEncontrados: total => `Encontrados ${total} repositório(s) locais.`,
+    erroAoLerHistorico: diretorio => `Erro ao ler histórico de ${diretorio}. Continuando...`,
+    erroAoBuscarPrs: query => `Erro ao buscar PRs (${query}); os resultados podem estar incompletos.`,
+    buscaDePrsIncompleta: (query, total, lidos) => `Busca de PRs incompleta (${query}): ${total} resultados, apenas ${lidos} obtidos.`,
+    prIndisponivel: pr => `Não foi possível obter o PR ${pr}.`,
+    revisoesIndisponiveis: pr => `Não foi possível obter as revisões do PR ${pr}.`,
+    dadosIncompletosAviso: total => `${total} falha(s) durante a coleta: os totais podem estar incompletos (veja "Dados incompletos" no relatório).`,
+    paginaDaListagem: pagina => `página ${pagina}`,
+
+    // Arquivo de identidades
+    arquivoDeIdentidadesIlegivel: (arquivo, inexistente) => `Não foi possível ler o arquivo de identidades "${arquivo}": ${inexistente ? 'arquivo não encontrado' : 'JSON inválido'}`,
+    identidadesInformadas: 'informadas',
+    identidadesInvalidas: origem => `Identidades inválidas (${origem}). Use um objeto { "login": { "emails": [], "nomes": [] } }.`,
+    emailsDe: login => `emails de "${login}"`,
+    nomesDe: login => `nomes de "${login}"`,
+    emailInvalido: (login, email) => `E-mail inválido para "${login}" no arquivo de identidades: "${email}"`,
+    listaDeTextosInvalida: descricao => `Arquivo de identidades: ${descricao} deve ser uma lista de textos`,
+
+    // Barra de progresso
+    etapaBuscandoRepos: 'Buscando repos',
+    etapaBuscandoPaginas: 'Buscando páginas',
+    etapaLendoClones: 'Lendo clones',
+    etapaObtendoStats: 'Obtendo stats',
+    etapaBuscandoPrs: 'Buscando PRs',
+    commitsNoProgresso: total => `+${total} commits`,
+    paginaNoProgresso: pagina => `Página ${pagina}`,
+    totalDeCommits: total => `Total: ${total} commits`,
+    concluido: 'Concluído',
+    tempoTotal: tempo => `Tempo total: ${tempo}`,
+    cotaDaApi: (restante, limite) => `Cota API: ${restante}/${limite}`,
+
+    // Arquivo de configuração
+    erroNaConfiguracao: (arquivo, detalhe) => `Arquivo de configuração "${arquivo}": ${detalhe}`,
+    erroNaLinhaDaConfiguracao: (arquivo, linha, motivo) => `Arquivo de configuração "${arquivo}", linha ${linha}: ${motivo}`,
+    yamlTabulacao: 'use espaços (não tabulação) no recuo',
+    yamlAspasInvalidas: 'texto entre aspas inválido',
+    yamlListaSemFechamento: 'lista em linha sem "]"',
+    yamlChaveEsperada: 'esperado "chave: valor"',
+    yamlRecuoInesperado: 'recuo inesperado',
+    grupoDeOpcoesInvalido: descricao => `${descricao} deve ser um objeto com opções`,
+    opcoesPadrao: 'as opções padrão',
+    oPerfil: nome => `o perfil "${nome}"`,
+    configuracaoIlegivel: (arquivo, erro) => `Não foi possível ler o arquivo de configuração "${arquivo}": ${erro || 'arquivo não encontrado'}`,
+    jsonInvalido: 'JSON inválido',
+    perfisInvalidos: '"perfis" deve ser um objeto { "nome": { opções } }',
+    perfilSemConfiguracao: (perfil, arquivo, diretorio) => `Perfil "${perfil}" não encontrado: nenhum arquivo ${arquivo} no diretório atual, acima dele ou em ${diretorio}`,
+    perfilNaoEncontrado: (perfil, arquivo, disponiveis) => `Perfil "${perfil}" não encontrado em "${arquivo}". ${disponiveis.length > 0 ? `Perfis disponíveis: ${disponiveis.join(', ')}` : 'Nenhum perfil definido.'}`,
+    tipoDaOpcaoInvalido: (opcao, tipo) => `${opcao} deve ser ${tipo}`,
+    tipoBooleano: 'true ou false',
+    tipoListaDeTextos: 'um texto ou uma lista de textos',
+    tipoTexto: 'um texto',
+    opcaoDesconhecida: (nome, arquivo) => `Opção desconhecida "${nome}" no arquivo de configuração "${arquivo}"`,
+
+    // CLI
+    aviso: mensagem => `Aviso: ${mensagem}`,
+    erro: mensagem => `Erro: ${mensagem}`,
+    configuracaoUsada: (arquivo, perfil) => `Configuração: ${arquivo}${perfil ? ` (perfil ${perfil})` : ''}`,
+    inicioObrigatorio: 'Data de início é obrigatória: use --inicio ou defina "inicio" no arquivo de configuração',
+    cacheRemovido: diretorio => `Cache removido: ${diretorio}`,
+    relatorioSalvo: (formato, arquivo) => `\nRelatório (${formato}) salvo em: ${arquivo}`,
+    relatorioHtmlSalvo: arquivo => `\nRelatório HTML salvo em: ${arquivo}`,
+    nenhumCommit: '\nNenhum commit encontrado para o período especificado.',
+    interrompido: '\nInterrompido.',
+    cotaEsgotada: (renovacao, servico) => `Limite de requisições da API do ${servico} atingido.${renovacao ? ` A cota renova às ${renovacao}.` : ''}`,
+    cotaEsgotadaDica: 'Execução interrompida para não gerar totais incorretos. Tente novamente após a renovação ou aumente --espera-maxima-cota.',
+    dadosIncompletosEstrito: total => `${total} falha(s) durante a coleta; encerrando com erro por causa de --estrito.`,
+
+    // Servidor (commit-stats servir)
+    servidorIniciado: url => `Servindo estatísticas em ${url} (/stats e /metrics). Ctrl-C encerra.`,
+    calculandoRelatorio: (usuarios, inicio, fim, org) => `Calculando relatório de ${usuarios.join(', ')} (${inicio} a ${fim}${org ? `, organização ${org}` : ''})`,
+    filaCheia: 'Muitos relatórios aguardando cálculo. Tente novamente em instantes.',
+    rotaNaoEncontrada: (caminho, rotas) => `Rota não encontrada: ${caminho}. Use ${rotas.join(' ou ')}.`,
+    metodoNaoPermitido: metodo => `Método não permitido: ${metodo}. Use GET.`,
+    metricaPorUsuario: campo => `${CAMPOS[campo]} no período, por usuário`,
+    metricaPorRepositorio: campo => `${CAMPOS[campo]} no período, por repositório`,
+    metricaDadosIncompletos: 'Falhas na coleta do relatório (diferente de zero: os totais podem estar incompletos)',
+    metricaExecucoesEmAndamento: 'Relatórios sendo calculados',
+    metricaExecucoesNaFila: 'Relatórios aguardando cálculo na fila',
+    metricaExecucoes: 'Relatórios calculados desde o início do servidor',
+    metricaRelatoriosEmCache: 'Relatórios no cache do servidor',
+    metricaAcertosDoCache: 'Pedidos atendidos pelo cache do servidor',
+
+    // Ajuda da CLI (--help)
+    ajudaDescricao: 'CLI para buscar estatísticas de commits do GitHub, GitLab e Gitea',
+    ajudaVersao: 'Exibe a versão',
+    ajudaAjuda: 'Exibe esta ajuda',
+    ajudaUsuarios: 'Nome(s) do(s) usuário(s) no provedor (vários = modo time)',
+    ajudaInicio: 'Data de início (YYYY-MM-DD, DD/MM/AAAA ou relativa: hoje, -30d, ultimo-mes, trimestre-atual...)',
+    ajudaFim: 'Data final (YYYY-MM-DD, DD/MM/AAAA ou relativa). Padrão: hoje ou o fim do período de --inicio',
+    ajudaOrg: 'Filtrar por organização (no GitLab, um grupo, ex: empresa/backend)',
+    ajudaProvedor: provedores => `Provedor dos commits: ${provedores.join(', ')}. Padrão: github`,
+    ajudaFonte: 'Fonte de commits provedor[:organização][@url], ex: gitlab:empresa@https://gitlab.empresa.com/api/v4 (pode ser repetido; combina as fontes em um relatório)',
+    ajudaTipoData: 'Tipo de data para filtrar: "author" (data de criação do commit) ou "committer" (data de merge/rebase). Padrão: committer',
+    ajudaTime: 'Arquivo com os usuários do time (um por linha)',
+    ajudaTimeOrg: 'Slug de um time da organização (--org) cujos membros serão analisados',
+    ajudaFormato: 'Formato de saída: tabela, json, csv ou markdown. Padrão: tabela',
+    ajudaSaida: 'Salvar o relatório em arquivo em vez de exibir no terminal',
+    ajudaHtml: 'Gerar também um relatório HTML autocontido, com gráficos e tabelas ordenáveis',
+    ajudaExcluirCaminho: 'Ignorar arquivos que casam com o glob (ex: "dist/**", "*.min.js"; pode ser repetido)',
+    ajudaSemExclusoesPadrao: 'Não aplicar as exclusões padrão (lockfiles, node_modules, vendor, dist, arquivos minificados)',
+    ajudaIdentidades: 'Arquivo JSON com e-mails e nomes extras de cada login',
+    ajudaCoautoria: 'Creditar commits em que o usuário aparece em um trailer "Co-authored-by:"',
+    ajudaSemMerges: 'Ignorar merge commits (commits com mais de um pai)',
+    ajudaIncluirRepo: 'Considerar apenas repositórios que casam com o glob ou /regex/ (pode ser repetido)',
+    ajudaExcluirRepo: 'Ignorar repositórios que casam com o glob ou /regex/ (pode ser repetido)',
+    ajudaSemArquivados: 'Ignorar repositórios arquivados da organização (--org)',
+    ajudaSemForks: 'Ignorar forks',
+    ajudaBranches: 'Branches varridas com --org: "padrao", "principais", "todas" ou um glob de nomes (ex: "release/*"). Padrão: todas',
+    ajudaMaxBranches: (maximo, padrao) => `Máximo de branches varridas por repositório com --org (1 a ${maximo}). Padrão: ${padrao}`,
+    ajudaMaxPaginasPorBranch: (maximo, padrao) => `Máximo de páginas de 100 commits lidas por branch com --org (1 a ${maximo}). Padrão: ${padrao}`,
+    ajudaBranchesAtivasDesde: 'Com --org, ignorar branches sem commits desde a data (YYYY-MM-DD ou relativa, ex: -90d)',
+    ajudaLimiteOutlier: 'Deixar fora dos totais os commits com mais linhas alteradas que o limite (listados à parte em "Fora da curva")',
+    ajudaModoOutlier: modos => `Tratamento dos commits acima de --limite-outlier: ${modos.join(' ou ')} (contar só até o limite). Padrão: excluir`,
+    ajudaPrs: 'Incluir pull requests (abertos, mesclados, fechados) e revisões feitas no período',
+    ajudaCompararCom: 'Comparar com outro período <inicio>..<fim> (datas YYYY-MM-DD ou relativas, ex: 2025-12-01..2025-12-31)',
+    ajudaComparar: 'Comparar com o período "anterior" (imediatamente antes, de mesma duração)',
+    ajudaAgrupar: 'Incluir série temporal agrupada por "dia", "semana" ou "mes"',
+    ajudaConcorrencia: (maximo, padrao) => `Máximo de requisições simultâneas à API (1 a ${maximo}). Padrão: ${padrao}`,
+    ajudaEsperaMaximaCota: padrao => `Minutos a aguardar pela renovação da cota da API antes de interromper. Padrão: ${padrao}`,
+    ajudaSemCache: 'Não ler nem gravar o cache local de respostas da API',
+    ajudaLimparCache: 'Apagar o cache local antes de executar',
+    ajudaApiUrl: 'URL base da API do provedor (GitHub Enterprise, GitLab ou Gitea próprios, ou servidor mock). Padrão: GITHUB_API_URL, GITLAB_API_URL ou GITEA_API_URL, ou a API pública do provedor',
+    ajudaRetomar: 'Continuar a varredura da organização (--org) do checkpoint de uma execução interrompida',
+    ajudaLocal: 'Calcular a partir de clones git locais em vez da API (pode ser repetido)',
+    ajudaGravar: 'Gravar todas as respostas da API no diretório, para reproduzir a execução depois (desliga o cache)',
+    ajudaReproduzir: 'Usar as respostas gravadas com --gravar no diretório, sem acesso à rede',
+    ajudaEstrito: 'Encerrar com erro se os totais puderem estar incompletos, com códigos de saída próprios para autenticação, cota e validação',
+    ajudaIdioma: idiomas => `Idioma das mensagens e do relatório: ${idiomas.join(' ou ')}. Padrão: detectado de LANG (pt-BR se ausente)`,
+    ajudaPerfil: 'Usar as opções de um perfil do arquivo de configuração (.commitstatsrc)',
+    ajudaConfig: 'Arquivo de configuração. Padrão: .commitstatsrc no diretório atual, acima dele ou no diretório do usuário',
+    ajudaServir: 'Servir as estatísticas por HTTP (/stats em JSON e /metrics para o Prometheus); as demais opções valem para todos os pedidos',
+    ajudaPorta: padrao => `Porta do servidor. Padrão: ${padrao}`,
+    ajudaHost: 'Endereço em que o servidor escuta. Padrão: 127.0.0.1 (use 0.0.0.0 para aceitar conexões de outras máquinas)',
+    ajudaTtlCache: (maximo, padrao) => `Segundos que um relatório calculado é reaproveitado por pedidos iguais (0 a ${maximo}). Padrão: ${padrao}`,
+    ajudaMaxExecucoes: (maximo, padrao) => `Máximo de relatórios calculados ao mesmo tempo; os demais esperam na fila (1 a ${maximo}). Padrão: ${padrao}`,
+
+    // Relatório
+    rotulosDeRota: { login: 'login', email: 'e-mail', nome: 'nome', coautoria: 'co-autoria' },
+    rotulosDeAgrupamento: { dia: 'dia', semana: 'semana', mes: 'mês' },
+    rotulosDeSituacao: { abertos: 'Abertos', mesclados: 'Mesclados', fechados: 'Fechados sem merge' },
+    rotulosDeComparacao: { ativo: '', novo: 'novo', 'sem-atividade': 'sem atividade' },
+    rotulosDeFalha: {
+        repositorios: 'Repositórios da organização',
+        branchPadrao: 'Branch padrão',
+        branches: 'Branches',
+        commits: 'Commits da branch',
+        item: 'Commit ilegível',
+        busca: 'Busca',
+        stats: 'Estatísticas do commit',
+        pr: 'Pull request',
+        revisoes: 'Revisões do PR',
+        local: 'Clone local'
+    },
+    estatisticasDeCommits: 'Estatísticas de commits',
+    intervalo: (inicio, fim) => `${inicio} até ${fim}`,
+    comparadoCom: 'Comparado com',
+    relatorioDeTime: (nome, usuarios) => `TIME ${nome}(${usuarios} usuários)`,
+    totalGeral: 'Total geral',
+    linhasAdicionadas: 'Linhas adicionadas',
+    linhasRemovidas: 'Linhas removidas',
+    totalDeLinhasAlteradas: 'Total de linhas alteradas',
+    repositorios: 'Repositórios',
+    ignoradas: 'Ignoradas',
+    ignoradoEmArquivos: (adicoes, remocoes, arquivos) => `+${adicoes} / -${remocoes} em ${arquivos} arquivo(s)`,
+    commitsAtribuidosPor: 'Commits atribuídos por',
+    commitsEncontradosNa: 'Commits encontrados na',
+    resumoDasBranches: (padrao, outras) => `branch padrão ${padrao} | só em outras branches ${outras}`,
+    variacaoDoTotal: (anterior, diferenca, percentual) => `anterior: ${anterior} | ${diferenca}, ${percentual}`,
+    rankingDoTime: 'Ranking do time',
+    atribuicaoPorUsuario: 'Atribuição por usuário',
+    porRepositorio: 'Por repositório',
+    foraDaBranchPadrao: 'Fora da branch padrão',
+    porLinguagem: 'Por linguagem',
+    porAgrupamento: rotulo => `Por ${rotulo}`,
+    commitsPorAgrupamento: rotulo => `Commits por ${rotulo}`,
+    pullRequests: 'Pull requests',
+    revisoesPorRepositorio: 'Revisões por repositório',
+    maisBranches: omitidos => `... e mais ${omitidos} branch(es)`,
+    dadosIncompletos: 'Dados incompletos',
+    resumoDosDadosIncompletos: total => `${total} falha(s) na coleta; os totais podem estar abaixo do real`,
+    maisFalhas: omitidas => `... e mais ${omitidas} falha(s) (todas estão no --formato json)`,
+    tamanhoDosCommits: 'Tamanho dos commits',
+    resumoDosTamanhos: (mediana, p90, maximo, commits) => `Linhas alteradas por commit: mediana ${mediana} | p90 ${p90} | máximo ${maximo} (${commits} commits)`,
+    foraDaCurva: 'Fora da curva',
+    resumoForaDaCurva: (commits, limite, modo, adicoes, remocoes) => `${commits} commit(s) com mais de ${limite} linhas ${modo === 'limitar' ? `contados com ${limite} linhas` : 'excluídos dos totais'}; +${adicoes} / -${remocoes} linhas desconsideradas`,
+    maisCommitsForaDaCurva: omitidos => `... e mais ${omitidos} commit(s) (todos estão no --formato json)`,
+    tendencia: 'Tendência (linhas alteradas)',
+    medianaERevisoes: (mediana, revisoes, prs) => `Mediana até o merge: ${mediana} | Revisões em PRs de outros: ${revisoes} (${prs} PRs)`,
+    medianaERevisoesResumo: (mediana, revisoes, prs) => `mediana até o merge ${mediana}; ${revisoes} revisões em ${prs} PRs de outros`,
+    colunaUsuario: 'Usuário',
+    colunaRepositorio: 'Repositório',
+    colunaRepositorioEBranch: 'Repositório / branch',
+    colunaAdicoes: 'Adições',
+    colunaRemocoes: 'Remoções',
+    colunaLinguagem: 'Linguagem',
+    colunaPeriodo: 'Período',
+    colunaInicio: 'Início',
+    colunaData: 'Data',
+    colunaSituacao: 'Situação',
+    colunaRevisoes: 'Revisões',
+    colunaDeltaTotal: 'Δ Total',
+    colunaVariacao: 'Variação',
+    colunaTotalAnterior: 'Total anterior',
+    colunaDiferenca: 'Diferença',
+    colunaVariacaoPercentual: 'Variação %',
+    colunaFalha: 'Falha',
+    colunaLocal: 'Onde',
+    colunaMotivo: 'Motivo',
+    colunaLinhas: 'Linhas alteradas',
+    colunaMensagem: 'Mensagem',
+    linhaTotal: 'TOTAL',
+    linhaTime: 'TIME',
+    totalDoTime: 'Total do time',
+
+    // Relatório HTML
+    detalheDeData: tipo => `data: ${tipo}`,
+    detalheDeOrganizacao: org => `organização: ${org}`,
+    detalheDeFontes: fontes => `fontes: ${fontes.join(', ')}`,
+    adicoesERemocoesPorRepositorio: 'Adições e remoções por repositório',
+    commitsPorPeriodo: 'Commits por período',
+    exibindoRepositorios: (exibidos, total) => `Exibindo os ${exibidos} repositórios com mais linhas alteradas de ${total}.`,
+    maioresCommits: 'Maiores commits',
+    geradoEm: data => `Gerado em ${data} UTC.`
+};
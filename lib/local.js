@@ -0,0 +1,247 @@
+/**
+ * Modo offline: commits e estatísticas lidos de clones git locais (git log --numstat)
+ * Dispensa a API do GitHub; as funções recebem o contexto da execução (ctx, ver lib/contexto.js)
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { identidadeDoUsuario, ehCoautor, rotaDoAutor } = require('./identidades');
+const { sanitizar, primeiraLinha } = require('./validacao');
+const { t } = require('./idioma');
+
+const GIT_TIMEOUT = 90000;  // 90 segundos por repositório
+const MAX_LOCAL_DEPTH = 3;  // Profundidade máxima ao procurar clones em diretórios locais
+const GIT_MAX_BUFFER = 256 * 1024 * 1024;  // 256MB para saída do git log em repositórios grandes
+
+/**
+ * Verifica se um diretório é um repositório git (clone normal ou bare/mirror)
+ */
+function ehRepositorioGit(diretorio) {
+    if (fs.existsSync(path.join(diretorio, '.git'))) {
+        return true;
+    }
+    // Repositórios bare (ex: git clone --mirror) não têm .git
+    return fs.existsSync(path.join(diretorio, 'HEAD'))
+        && fs.existsSync(path.join(diretorio, 'objects'))
+        && fs.existsSync(path.join(diretorio, 'refs'));
+}
+
+/**
+ * Localiza clones git locais a partir dos diretórios informados
+ * Cada diretório pode ser um clone ou uma pasta contendo clones (até MAX_LOCAL_DEPTH níveis)
+ */
+function buscarRepositoriosLocais(ctx, diretorios) {
+    const repos = [];
+    const seen = new Set();
+
+    const visitar = (diretorio, profundidade) => {
+        if (seen.has(diretorio)) return;
+        seen.add(diretorio);
+
+        if (ehRepositorioGit(diretorio)) {
+            repos.push(diretorio);
+            return;
+        }
+        if (profundidade >= MAX_LOCAL_DEPTH) return;
+
+        let entradas = [];
+        try {
+            entradas = fs.readdirSync(diretorio, { withFileTypes: true });
+        } catch (e) {
+            ctx.logger.aviso(t('diretorioIlegivel', diretorio));
+            ctx.registrarFalha('local', null, diretorio, e);
+            return;
+        }
+        for (const entrada of entradas) {
+            if (entrada.isDirectory() && !entrada.name.startsWith('.')) {
+                visitar(path.join(diretorio, entrada.name), profundidade + 1);
+            }
+        }
+    };
+
+    for (const diretorio of diretorios) {
+        visitar(diretorio, 0);
+    }
+
+    return repos;
+}
+
+/**
+ * Obtém o nome do repositório (owner/nome) a partir do remote origin
+ * Se não houver remote, usa o nome do diretório
+ */
+function nomeDoRepositorioLocal(diretorio) {
+    try {
+        const url = execFileSync('git', ['-C', diretorio, 'config', '--get', 'remote.origin.url'], {
+            encoding: 'utf-8',
+            timeout: 30000,
+            stdio: ['pipe', 'pipe', 'pipe']
+        }).trim();
+        // Aceita https://host/owner/repo(.git) e git@host:owner/repo(.git)
+        const match = url.match(/[/:]([^/:]+\/[^/]+?)(?:\.git)?\/?$/);
+        if (match) {
+            return sanitizar(match[1]);
+        }
+    } catch (e) {
+        // Sem remote origin: usa o nome do diretório
+    }
+    return sanitizar(path.basename(diretorio).replace(/\.git$/, ''));
+}
+
+/**
+ * Busca commits de um usuário em um clone local via git log --numstat
+ * O usuário é comparado com nome e email do autor (equivalente a git log --author),
+ * assim como os e-mails e nomes da sua identidade; com --coautoria todo o histórico
+ * do período é lido para encontrar trailers Co-authored-by
+ * As estatísticas já vêm calculadas, dispensando getCommitStats
+ */
+function buscarCommitsNoRepositorioLocal(ctx, diretorio, repo, identidade, inicio, fim, tipoData) {
+    const inicioMs = new Date(`${inicio}T00:00:00Z`).getTime();
+    const fimMs = new Date(`${fim}T23:59:59Z`).getTime();
+
+    // --since/--until filtram pela committer-date; para author-date só o --since
+    // é seguro como pré-filtro (a data de commit nunca é anterior à de autoria)
+    const gitArgs = [
+        '-C', diretorio, 'log', '--all',
+        `--since=${inicio}T00:00:00Z`,
+        '--numstat', '--diff-merges=first-parent',
+        '--format=%x1e%H%x1f%aI%x1f%cI%x1f%an%x1f%ae%x1f%(trailers:key=Co-authored-by,valueonly,separator=%x1d)%x1f%s'
+    ];
+    if (!ctx.coautoria) {
+        // Vários --author são combinados com "ou"; textos literais, sem diferenciar maiúsculas
+        gitArgs.push('--fixed-strings', '--regexp-ignore-case');
+        for (const autor of [identidade.login, ...identidade.emails, ...identidade.nomes]) {
+            gitArgs.push(`--author=${autor}`);
+        }
+    }
+    if (tipoData === 'committer') {
+        gitArgs.push(`--until=${fim}T23:59:59Z`);
+    }
+    if (ctx.semMerges) {
+        gitArgs.push('--no-merges');
+    }
+
+    const output = execFileSync('git', gitArgs, {
+        encoding: 'utf-8',
+        timeout: GIT_TIMEOUT,
+        stdio: ['pipe', 'pipe', 'pipe'],
+        maxBuffer: GIT_MAX_BUFFER
+    });
+
+    const commits = [];
+    const seenShas = new Set();
+
+    for (const bloco of output.split('\x1e')) {
+        if (!bloco.trim()) continue;
+        const [cabecalho, ...linhas] = bloco.split('\n');
+        const [sha, authorDate, committerDate, nomeDoAutor, emailDoAutor, coautores, assunto] = cabecalho.split('\x1f');
+        const date = tipoData === 'author' ? authorDate : committerDate;
+        const dateMs = new Date(date).getTime();
+
+        if (!/^[a-f0-9]{40}$/i.test(sha) || seenShas.has(sha)) continue;
+        if (isNaN(dateMs) || dateMs < inicioMs || dateMs > fimMs) continue;
+
+        let rota = rotaDoAutor(nomeDoAutor, emailDoAutor, identidade);
+        if (!rota && ctx.coautoria) {
+            const trailers = (coautores || '').split('\x1d').filter(Boolean).map(valor => `Co-authored-by: ${valor}`).join('\n');
+            rota = ehCoautor(trailers, identidade) ? 'coautoria' : null;
+        }
+        if (!rota) continue;
+        seenShas.add(sha);
+
+        let additions = 0;
+        let deletions = 0;
+        const arquivos = [];
+        for (const linha of linhas) {
+            // Formato: <adições>\t<remoções>\t<arquivo> ("-" para arquivos binários)
+            const match = linha.match(/^(\d+|-)\t(\d+|-)\t(.+)$/);
+            if (!match) continue;
+            const arquivo = {
+                caminho: caminhoRenomeado(match[3]),
+                additions: match[1] === '-' ? 0 : parseInt(match[1], 10),
+                deletions: match[2] === '-' ? 0 : parseInt(match[2], 10)
+            };
+            additions += arquivo.additions;
+            deletions += arquivo.deletions;
+            arquivos.push(arquivo);
+        }
+
+        commits.push({ repo, sha, date, rota, mensagem: primeiraLinha(assunto), stats: { additions, deletions, arquivos } });
+    }
+
+    return commits;
+}
+
+/**
+ * Caminho final de um arquivo renomeado no --numstat ("a => b" ou "dir/{a => b}/arq")
+ */
+function caminhoRenomeado(caminho) {
+    return caminho
+        .replace(/\{[^{}]* => ([^{}]*)\}/, '$1')
+        .replace(/^.* => /, '')
+        .replace(/\/\//g, '/');
+}
+
+/**
+ * Busca commits de um ou mais usuários em clones git locais (modo offline)
+ * Se houver organização, considera apenas repositórios cujo owner corresponde a ela
+ */
+function buscarCommitsEmClonesLocais(ctx, diretorios, usuarios, inicio, fim, org, tipoData) {
+    ctx.logger.info(t('procurandoClones', diretorios.length));
+    let repos = buscarRepositoriosLocais(ctx, diretorios).map(diretorio => ({
+        diretorio,
+        nome: nomeDoRepositorioLocal(diretorio)
+    }));
+    if (org) {
+        const prefixo = `${org.toLowerCase()}/`;
+        repos = repos.filter(r => r.nome.toLowerCase().startsWith(prefixo));
+    }
+    repos = repos.filter(r => ctx.repositorioPermitido(r.nome));
+    ctx.logger.info(t('clonesEncontrados', repos.length));
+
+    const allCommits = [];
+    const seen = new Set();  // Deduplicar por usuário + SHA (clones do mesmo repositório)
+
+    if (repos.length === 0) {
+        return allCommits;
+    }
+
+    const progresso = ctx.criarProgresso(repos.length, t('etapaLendoClones'));
+
+    for (const { diretorio, nome } of repos) {
+        const commits = [];
+        try {
+            for (const usuario of [].concat(usuarios)) {
+                const commitsDoUsuario = buscarCommitsNoRepositorioLocal(ctx, diretorio, nome, identidadeDoUsuario(usuario, ctx.identidades), inicio, fim, tipoData);
+                commits.push(...commitsDoUsuario.map(commit => ({ ...commit, usuario })));
+            }
+        } catch (e) {
+            ctx.logger.aviso(t('erroAoLerHistorico', diretorio));
+            ctx.registrarFalha('local', nome, diretorio, e);
+        }
+
+        for (const commit of commits) {
+            const chave = `${commit.usuario}:${commit.sha}`;
+            if (!seen.has(chave)) {
+                seen.add(chave);
+                allCommits.push(commit);
+            }
+        }
+
+        progresso.update(1, `${nome} | ${t('commitsNoProgresso', commits.length)}`);
+    }
+
+    progresso.complete(t('totalDeCommits', allCommits.length));
+
+    // Ordenar por data descrescente
+    allCommits.sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    return allCommits;
+}
+
+module.exports = {
+    buscarRepositoriosLocais,
+    nomeDoRepositorioLocal,
+    buscarCommitsEmClonesLocais
+};
@@ -0,0 +1,54 @@
+/**
+ * Acompanhamento de progresso das etapas da coleta
+ * A biblioteca não escreve no terminal: cada atualização vira um evento entregue ao
+ * callback onProgresso (a CLI usa esses eventos para desenhar a barra de progresso)
+ */
+
+class Progresso {
+    /**
+     * @param {number} total Total de itens da etapa
+     * @param {string} etapa Nome da etapa (ex: "Obtendo stats")
+     * @param {Function} [emitir] Recebe { etapa, atual, total, info, concluido, iniciadoEm, cota }
+     * @param {Function} [cota] Retorna a cota atual da API ({ restante, limite }) ou null
+     */
+    constructor(total, etapa, emitir = null, cota = null) {
+        this.total = total;
+        this.current = 0;
+        this.etapa = etapa;
+        this.emitir = emitir;
+        this.cota = cota;
+        this.iniciadoEm = Date.now();
+    }
+
+    update(increment = 1, info = '') {
+        this.current += increment;
+        this.notificar(info, false);
+    }
+
+    setCurrent(current, info = '') {
+        this.current = current;
+        this.notificar(info, false);
+    }
+
+    complete(info = '') {
+        this.current = this.total;
+        this.notificar(info, true);
+    }
+
+    notificar(info, concluido) {
+        if (!this.emitir) return;
+        this.emitir({
+            etapa: this.etapa,
+            atual: this.current,
+            total: this.total,
+            info,
+            concluido,
+            iniciadoEm: this.iniciadoEm,
+            cota: this.cota ? this.cota() : null
+        });
+    }
+}
+
+module.exports = {
+    Progresso
+};
@@ -0,0 +1,73 @@
+/**
+ * Contagem de linhas adicionadas e removidas em diffs unificados
+ * Usada pelos provedores cujas APIs não informam as linhas por arquivo (GitLab e Gitea)
+ */
+
+const REGEX_HUNK = /^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/;
+
+/**
+ * Linhas adicionadas e removidas nos hunks de um diff ({ additions, deletions })
+ * Os tamanhos do cabeçalho de cada hunk delimitam o conteúdo, para que linhas como
+ * "--- x" removidas não sejam confundidas com cabeçalhos de arquivo
+ */
+function contarHunks(linhas) {
+    let additions = 0;
+    let deletions = 0;
+    let antigas = 0;
+    let novas = 0;
+    for (const linha of linhas) {
+        if (antigas > 0 || novas > 0) {
+            if (linha.startsWith('+')) {
+                additions++;
+                novas--;
+            } else if (linha.startsWith('-')) {
+                deletions++;
+                antigas--;
+            } else if (!linha.startsWith('\\')) {
+                antigas--;
+                novas--;
+            }
+            continue;
+        }
+        const hunk = REGEX_HUNK.exec(linha);
+        if (hunk) {
+            antigas = hunk[1] === undefined ? 1 : parseInt(hunk[1], 10);
+            novas = hunk[2] === undefined ? 1 : parseInt(hunk[2], 10);
+        }
+    }
+    return { additions, deletions };
+}
+
+/**
+ * Arquivos de um diff no formato do git ("diff --git a/x b/x" seguido dos hunks)
+ * Retorna [{ caminho, additions, deletions }], com o caminho novo (ou o antigo, se removido)
+ */
+function contarLinhasDoDiff(texto) {
+    const arquivos = [];
+    let atual = null;
+    const concluir = () => {
+        if (atual) {
+            arquivos.push({ caminho: atual.caminho, ...contarHunks(atual.linhas) });
+        }
+    };
+
+    for (const linha of String(texto || '').split('\n')) {
+        const cabecalho = /^diff --git a\/(.*) b\/(.*)$/.exec(linha);
+        if (cabecalho) {
+            concluir();
+            atual = { caminho: cabecalho[2], linhas: [], noConteudo: false };
+        } else if (atual && !atual.noConteudo && /^\+\+\+ b\//.test(linha)) {
+            atual.caminho = linha.slice(6);
+        } else if (atual) {
+            atual.noConteudo = atual.noConteudo || linha.startsWith('@@');
+            atual.linhas.push(linha);
+        }
+    }
+    concluir();
+    return arquivos;
+}
+
+module.exports = {
+    contarHunks,
+    contarLinhasDoDiff
+};
@@ -0,0 +1,105 @@
+/**
+ * Provedor Gitea (gitea.com e instâncias próprias, incluindo Forgejo), API v1
+ * Endpoints parecidos com os do GitHub, mas sem filtro por autor na listagem de commits
+ * e sem linhas por arquivo: as estatísticas vêm do diff do commit
+ */
+
+const { sanitizar } = require('../validacao');
+const { contarLinhasDoDiff } = require('./diff');
+
+const MAX_PAGE_SIZE = 50;  // Gitea API: padrão de MAX_RESPONSE_ITEMS
+
+function ehMerge(item) {
+    return Array.isArray(item.parents) && item.parents.length > 1;
+}
+
+async function* listarRepositorios(cliente, org) {
+    for await (const { data } of cliente.paginas(`orgs/${org}/repos`, { limit: MAX_PAGE_SIZE })) {
+        yield data.map(item => ({ nome: sanitizar(item.full_name), arquivado: item.archived === true, fork: item.fork === true }));
+    }
+}
+
+async function obterBranchPadrao(cliente, repo) {
+    const { data } = await cliente.get(`repos/${repo}`);
+    return sanitizar(data && data.default_branch);
+}
+
+async function* listarBranches(cliente, repo) {
+    for await (const { data } of cliente.paginas(`repos/${repo}/branches`, { limit: MAX_PAGE_SIZE })) {
+        yield data.map(item => sanitizar(item.name));
+    }
+}
+
+/**
+ * Commits de uma branch no período, sem as estatísticas e arquivos (mais rápido na API)
+ */
+async function* listarCommits(cliente, repo, { branch, inicio, fim, maxPaginas }) {
+    const paginas = cliente.paginas(`repos/${repo}/commits`, {
+        sha: branch,
+        since: `${inicio}T00:00:00Z`,
+        until: `${fim}T23:59:59Z`,
+        limit: MAX_PAGE_SIZE,
+        stat: false,
+        verification: false,
+        files: false
+    }, { maxPaginas });
+    for await (const { data } of paginas) {
+        yield data;
+    }
+}
+
+function lerCommit(item, tipoData) {
+    return {
+        sha: sanitizar(item.sha),
+        merge: ehMerge(item),
+        data: item.commit[tipoData].date,
+        mensagem: item.commit.message,
+        autor: {
+            login: item.author ? sanitizar(item.author.login) : null,
+            nome: item.commit.author.name,
+            email: item.commit.author.email
+        }
+    };
+}
+
+async function branchTemCommitsDesde(cliente, repo, branch, data) {
+    const { data: itens } = await cliente.get(`repos/${repo}/commits`, {
+        sha: branch,
+        since: `${data}T00:00:00Z`,
+        limit: 1,
+        stat: false,
+        verification: false,
+        files: false
+    });
+    return !Array.isArray(itens) || itens.length > 0;
+}
+
+/**
+ * Linhas por arquivo contadas no diff do commit; os totais são a soma dos arquivos
+ */
+async function obterEstatisticas(cliente, repo, sha) {
+    const { data } = await cliente.get(`repos/${repo}/git/commits/${sha}.diff`, {}, { texto: true });
+    const arquivos = contarLinhasDoDiff(data);
+    const stats = arquivos.reduce((soma, a) => ({ additions: soma.additions + a.additions, deletions: soma.deletions + a.deletions }), { additions: 0, deletions: 0 });
+    return { stats, arquivos };
+}
+
+module.exports = {
+    nome: 'gitea',
+    servico: 'Gitea',
+    urlPadrao: 'https://gitea.com/api/v1',
+    variavelDaUrl: 'GITEA_API_URL',
+    variaveisDeToken: ['GITEA_TOKEN'],
+    cabecalhos: { 'Accept': 'application/json' },
+    filtraPorAutor: false,
+    // login@noreply.<domínio> (NO_REPLY_ADDRESS da instância)
+    regexEmailNoreply: /^([^@]+)@noreply\.[^@]+$/i,
+    ehMerge,
+    listarRepositorios,
+    obterBranchPadrao,
+    listarBranches,
+    listarCommits,
+    lerCommit,
+    branchTemCommitsDesde,
+    obterEstatisticas
+};
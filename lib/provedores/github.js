@@ -0,0 +1,129 @@
+/**
+ * Provedor GitHub (github.com e GitHub Enterprise)
+ * Endpoints da API REST v3; a busca de commits, pull requests e times (lib/commits.js,
+ * lib/pull_requests.js) existe apenas neste provedor
+ */
+
+const { sanitizar } = require('../validacao');
+
+const MAX_PAGE_SIZE = 100;  // GitHub API: max 100 itens por página
+const MAX_PAGINAS_ARQUIVOS = 10;  // GitHub API: 300 arquivos por página, máx 3000 por commit
+
+/**
+ * Indica se um commit da API é um merge (mais de um pai)
+ */
+function ehMerge(item) {
+    return Array.isArray(item.parents) && item.parents.length > 1;
+}
+
+/**
+ * Repositórios da organização, uma página por iteração ([{ nome, arquivado, fork }])
+ */
+async function* listarRepositorios(cliente, org) {
+    for await (const { data } of cliente.paginas(`orgs/${org}/repos`, { per_page: MAX_PAGE_SIZE, type: 'all' })) {
+        yield data.map(item => ({ nome: sanitizar(item.full_name), arquivado: item.archived === true, fork: item.fork === true }));
+    }
+}
+
+async function obterBranchPadrao(cliente, repo) {
+    const { data } = await cliente.get(`repos/${repo}`);
+    return sanitizar(data && data.default_branch);
+}
+
+/**
+ * Nomes das branches do repositório, uma página por iteração
+ */
+async function* listarBranches(cliente, repo) {
+    for await (const { data } of cliente.paginas(`repos/${repo}/branches`, { per_page: MAX_PAGE_SIZE })) {
+        yield data.map(item => sanitizar(item.name));
+    }
+}
+
+/**
+ * Commits de uma branch no período, uma página (itens da API) por iteração
+ * A API filtra por autor (login ou e-mail); sem autor, lista todos os commits
+ */
+async function* listarCommits(cliente, repo, { branch, autor, inicio, fim, maxPaginas }) {
+    const paginas = cliente.paginas(`repos/${repo}/commits`, {
+        ...(autor ? { author: autor } : {}),
+        sha: branch,
+        since: `${inicio}T00:00:00Z`,
+        until: `${fim}T23:59:59Z`,
+        per_page: MAX_PAGE_SIZE
+    }, { maxPaginas });
+    for await (const { data } of paginas) {
+        yield data;
+    }
+}
+
+/**
+ * Converte um item de listarCommits para { sha, merge, data, mensagem, autor }
+ * Lança erro para itens malformados (ignorados pela coleta)
+ */
+function lerCommit(item, tipoData) {
+    return {
+        sha: sanitizar(item.sha),
+        merge: ehMerge(item),
+        data: tipoData === 'author' ? item.commit.author.date : item.commit.committer.date,
+        mensagem: item.commit.message,
+        autor: {
+            login: item.author ? sanitizar(item.author.login) : null,
+            nome: item.commit.author.name,
+            email: item.commit.author.email
+        }
+    };
+}
+
+async function branchTemCommitsDesde(cliente, repo, branch, data) {
+    const { data: itens } = await cliente.get(`repos/${repo}/commits`, {
+        sha: branch,
+        since: `${data}T00:00:00Z`,
+        per_page: 1
+    });
+    return !Array.isArray(itens) || itens.length > 0;
+}
+
+/**
+ * Totais e arquivos alterados de um commit ({ stats, arquivos })
+ * A lista de arquivos vem paginada acima de 300 arquivos (máx 3000 no total)
+ */
+async function obterEstatisticas(cliente, repo, sha) {
+    let stats = {};
+    const arquivos = [];
+    for await (const { data } of cliente.paginas(`repos/${repo}/commits/${sha}`, {}, { maxPaginas: MAX_PAGINAS_ARQUIVOS })) {
+        if (!data) continue;
+        if (data.stats) {
+            stats = data.stats;
+        }
+        for (const arquivo of data.files || []) {
+            arquivos.push({
+                caminho: typeof arquivo.filename === 'string' ? arquivo.filename : null,
+                additions: typeof arquivo.additions === 'number' ? arquivo.additions : 0,
+                deletions: typeof arquivo.deletions === 'number' ? arquivo.deletions : 0
+            });
+        }
+    }
+    return { stats, arquivos };
+}
+
+module.exports = {
+    nome: 'github',
+    servico: 'GitHub',
+    urlPadrao: 'https://api.github.com',
+    variavelDaUrl: 'GITHUB_API_URL',
+    variaveisDeToken: ['GITHUB_TOKEN', 'GH_TOKEN'],
+    cabecalhos: {
+        'Accept': 'application/vnd.github+json',
+        'X-GitHub-Api-Version': '2022-11-28'
+    },
+    // O filtro author da API aceita login ou e-mail
+    filtraPorAutor: true,
+    ehMerge,
+    listarRepositorios,
+    obterBranchPadrao,
+    listarBranches,
+    listarCommits,
+    lerCommit,
+    branchTemCommitsDesde,
+    obterEstatisticas
+};
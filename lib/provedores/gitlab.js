@@ -0,0 +1,118 @@
+/**
+ * Provedor GitLab (gitlab.com e instâncias próprias), API REST v4
+ * A organização corresponde a um grupo (incluindo subgrupos) e os repositórios aos
+ * projetos, identificados pelo caminho completo (ex: grupo/subgrupo/projeto)
+ */
+
+const { sanitizar } = require('../validacao');
+const { contarHunks } = require('./diff');
+
+const MAX_PAGE_SIZE = 100;  // GitLab API: max 100 itens por página
+const MAX_PAGINAS_ARQUIVOS = 30;  // Diff paginado, 100 arquivos por página
+
+/**
+ * Caminho de um projeto na API (o caminho completo codificado como um único componente)
+ */
+function projeto(repo) {
+    return `projects/${encodeURIComponent(repo)}`;
+}
+
+function ehMerge(item) {
+    return Array.isArray(item.parent_ids) && item.parent_ids.length > 1;
+}
+
+async function* listarRepositorios(cliente, grupo) {
+    const paginas = cliente.paginas(`groups/${encodeURIComponent(grupo)}/projects`, { per_page: MAX_PAGE_SIZE, include_subgroups: true });
+    for await (const { data } of paginas) {
+        yield data.map(item => ({
+            nome: sanitizar(item.path_with_namespace),
+            arquivado: item.archived === true,
+            fork: Boolean(item.forked_from_project)
+        }));
+    }
+}
+
+async function obterBranchPadrao(cliente, repo) {
+    const { data } = await cliente.get(projeto(repo));
+    return sanitizar(data && data.default_branch);
+}
+
+async function* listarBranches(cliente, repo) {
+    for await (const { data } of cliente.paginas(`${projeto(repo)}/repository/branches`, { per_page: MAX_PAGE_SIZE })) {
+        yield data.map(item => sanitizar(item.name));
+    }
+}
+
+/**
+ * Commits de uma branch no período; a API não filtra por login, então o autor é
+ * comparado pela coleta com o nome e o e-mail de cada commit
+ */
+async function* listarCommits(cliente, repo, { branch, inicio, fim, maxPaginas }) {
+    const paginas = cliente.paginas(`${projeto(repo)}/repository/commits`, {
+        ref_name: branch,
+        since: `${inicio}T00:00:00Z`,
+        until: `${fim}T23:59:59Z`,
+        per_page: MAX_PAGE_SIZE
+    }, { maxPaginas });
+    for await (const { data } of paginas) {
+        yield data;
+    }
+}
+
+function lerCommit(item, tipoData) {
+    return {
+        sha: sanitizar(item.id),
+        merge: ehMerge(item),
+        data: tipoData === 'author' ? item.authored_date : item.committed_date,
+        mensagem: item.message,
+        autor: { login: null, nome: item.author_name, email: item.author_email }
+    };
+}
+
+async function branchTemCommitsDesde(cliente, repo, branch, data) {
+    const { data: itens } = await cliente.get(`${projeto(repo)}/repository/commits`, {
+        ref_name: branch,
+        since: `${data}T00:00:00Z`,
+        per_page: 1
+    });
+    return !Array.isArray(itens) || itens.length > 0;
+}
+
+/**
+ * Totais do commit (stats) e linhas por arquivo contadas no diff de cada arquivo
+ * Diffs omitidos pela API (muito grandes) ficam de fora da lista de arquivos
+ */
+async function obterEstatisticas(cliente, repo, sha) {
+    const { data } = await cliente.get(`${projeto(repo)}/repository/commits/${sha}`);
+    const arquivos = [];
+    const paginas = cliente.paginas(`${projeto(repo)}/repository/commits/${sha}/diff`, { per_page: MAX_PAGE_SIZE }, { maxPaginas: MAX_PAGINAS_ARQUIVOS });
+    for await (const { data: diffs } of paginas) {
+        for (const arquivo of diffs || []) {
+            arquivos.push({
+                caminho: typeof arquivo.new_path === 'string' ? arquivo.new_path : null,
+                ...contarHunks(String(arquivo.diff || '').split('\n'))
+            });
+        }
+    }
+    return { stats: (data && data.stats) || {}, arquivos };
+}
+
+module.exports = {
+    nome: 'gitlab',
+    servico: 'GitLab',
+    urlPadrao: 'https://gitlab.com/api/v4',
+    variavelDaUrl: 'GITLAB_API_URL',
+    variaveisDeToken: ['GITLAB_TOKEN'],
+    cabecalhos: { 'Accept': 'application/json' },
+    filtraPorAutor: false,
+    // ID-login@users.noreply.gitlab.com (ou users.noreply.<host> em instâncias próprias)
+    regexEmailNoreply: /^(?:\d+-)?([^@]+)@users\.noreply\.[^@]+$/i,
+    ehMerge,
+    listarRepositorios,
+    obterBranchPadrao,
+    listarBranches,
+    listarCommits,
+    lerCommit,
+    branchTemCommitsDesde,
+    obterEstatisticas
+};
@@ -0,0 +1,32 @@
+/**
+ * Provedores de commits (--provedor): GitHub, GitLab e Gitea
+ * Cada provedor traduz as operações da coleta (repositórios da organização, branches,
+ * commits de uma branch e estatísticas de um commit) para os endpoints da sua API;
+ * cache, filtros, seleção de branches e atribuição ficam em lib/commits.js
+ *
+ * Interface de um provedor:
+ * - nome, servico (nome exibido nas mensagens), urlPadrao, variavelDaUrl, variaveisDeToken, cabecalhos
+ * - filtraPorAutor: true se listarCommits aceita o autor (login ou e-mail); caso contrário
+ *   a coleta lista a branch uma única vez e compara nome, e-mail e login de cada commit
+ * - regexEmailNoreply (provedores sem filtro de autor): e-mail noreply do provedor, com o login
+ *   no primeiro grupo
+ * - listarRepositorios(cliente, org), listarBranches(cliente, repo), listarCommits(cliente, repo, opcoes):
+ *   geradores assíncronos, uma página por iteração
+ * - lerCommit(item, tipoData): { sha, merge, data, mensagem, autor: { login, nome, email } }
+ * - obterBranchPadrao, branchTemCommitsDesde e obterEstatisticas ({ stats, arquivos })
+ */
+
+const PROVEDORES = {
+    github: require('./github'),
+    gitlab: require('./gitlab'),
+    gitea: require('./gitea')
+};
+
+function obterProvedor(nome) {
+    return PROVEDORES[nome];
+}
+
+module.exports = {
+    PROVEDORES,
+    obterProvedor
+};
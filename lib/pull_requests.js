@@ -0,0 +1,231 @@
+/**
+ * Pull requests e revisões dos usuários no período (--prs)
+ * As funções recebem o contexto da execução (ctx, ver lib/contexto.js)
+ */
+
+const { ehErroFatal } = require('./github_client');
+const { API_TIMEOUT, MAX_PAGE_SIZE, MAX_SEARCH_RESULTS, planejarJanelasDeBusca } = require('./commits');
+const { mapearComConcorrencia } = require('./concorrencia');
+const { sanitizar } = require('./validacao');
+const { t } = require('./idioma');
+
+const SITUACOES_DE_PR = ['abertos', 'mesclados', 'fechados'];
+
+/**
+ * Busca itens da API de busca de issues/PRs em todos os intervalos do período
+ * Usa a mesma divisão automática da busca de commits para passar do limite de 1000 resultados;
+ * com dividir = false a query é feita uma única vez (critérios que não são intervalos de data)
+ * Erros da busca ficam em dadosIncompletos e retornam os itens já obtidos, como na busca de commits;
+ * uma busca que para antes do total_count (limite de 10 páginas) também fica registrada
+ */
+async function buscarItensDaBuscaDeIssues(ctx, montarQuery, inicio, fim, { dividir = true } = {}) {
+    const itens = [];
+    const vistos = new Set();
+    try {
+        const janelas = dividir
+            ? await planejarJanelasDeBusca(ctx, montarQuery, inicio, fim, 'search/issues')
+            : [{ query: montarQuery(inicio, fim) }];
+        for (const janela of janelas) {
+            let total = null;
+            let lidos = 0;
+            const paginas = ctx.cliente.paginas(`search/issues?q=${janela.query}`, { per_page: MAX_PAGE_SIZE }, { maxPaginas: 10, timeout: API_TIMEOUT });
+            for await (const { data } of paginas) {
+                if (total === null && data && data.total_count !== undefined) {
+                    total = parseInt(data.total_count, 10) || 0;
+                }
+                for (const item of (data && data.items) || []) {
+                    lidos++;
+                    const pr = referenciaDoPullRequest(item);
+                    if (pr && !vistos.has(pr.chave)) {
+                        vistos.add(pr.chave);
+                        itens.push(pr);
+                    }
+                }
+            }
+            // Intervalos indivisíveis acima do limite já foram registrados por planejarJanelasDeBusca
+            const jaRegistrada = janela.total > MAX_SEARCH_RESULTS;
+            if (total !== null && total > lidos && !jaRegistrada) {
+                const query = decodeURIComponent(janela.query);
+                ctx.logger.aviso(t('buscaDePrsIncompleta', query, total, lidos));
+                ctx.registrarFalha('busca', null, query, t('buscaDePrsIncompleta', query, total, lidos));
+            }
+        }
+    } catch (e) {
+        if (ehErroFatal(e)) throw e;
+        const query = decodeURIComponent(montarQuery(inicio, fim));
+        ctx.logger.aviso(t('erroAoBuscarPrs', query));
+        ctx.registrarFalha('busca', null, query, e);
+    }
+    return itens;
+}
+
+/**
+ * Repositório e número de um PR retornado pela busca (repository_url termina em /repos/owner/repo)
+ */
+function referenciaDoPullRequest(item) {
+    const match = /\/repos\/([^/]+\/[^/]+)$/.exec((item && item.repository_url) || '');
+    const repo = match ? sanitizar(match[1]) : '';
+    const numero = Number(item && item.number);
+    if (!repo || !Number.isInteger(numero) || numero <= 0) {
+        return null;
+    }
+    return { chave: `${repo}#${numero}`, repo, numero };
+}
+
+/**
+ * Busca os PRs de um usuário abertos, mesclados e fechados sem merge no período
+ * Um PR pode aparecer em mais de uma situação (ex: aberto e mesclado no mesmo período)
+ */
+async function buscarPullRequestsDoUsuario(ctx, usuario, inicio, fim, orgValidada) {
+    const escopo = `type:pr+author:${usuario}${orgValidada ? `+org:${orgValidada}` : ''}`;
+    return {
+        abertos: await buscarItensDaBuscaDeIssues(ctx, (i, f) => `${escopo}+created:${i}..${f}`, inicio, fim),
+        mesclados: await buscarItensDaBuscaDeIssues(ctx, (i, f) => `${escopo}+is:merged+merged:${i}..${f}`, inicio, fim),
+        fechados: await buscarItensDaBuscaDeIssues(ctx, (i, f) => `${escopo}+is:unmerged+is:closed+closed:${i}..${f}`, inicio, fim)
+    };
+}
+
+/**
+ * Detalhes de um PR (adições, remoções e datas), ou null se não puder ser obtido
+ * PRs abertos mudam, por isso não vão para o cache
+ */
+async function buscarDetalhesDoPullRequest(ctx, pr) {
+    try {
+        const { data } = await ctx.cliente.get(`repos/${pr.repo}/pulls/${pr.numero}`);
+        return {
+            repo: pr.repo,
+            numero: pr.numero,
+            titulo: typeof data.title === 'string' ? data.title : '',
+            criadoEm: data.created_at || null,
+            mescladoEm: data.merged_at || null,
+            fechadoEm: data.closed_at || null,
+            additions: typeof data.additions === 'number' ? data.additions : 0,
+            deletions: typeof data.deletions === 'number' ? data.deletions : 0
+        };
+    } catch (e) {
+        if (ehErroFatal(e)) throw e;
+        ctx.logger.aviso(t('prIndisponivel', pr.chave));
+        ctx.registrarFalha('pr', pr.repo, `#${pr.numero}`, e);
+        return null;
+    }
+}
+
+/**
+ * Conta as revisões que o usuário enviou no período em PRs de outras pessoas
+ * A busca reviewed-by não filtra pela data da revisão: PRs atualizados desde o início
+ * do período são candidatos, e as revisões de cada um são conferidas pela data de envio
+ */
+async function buscarRevisoesDoUsuario(ctx, usuario, inicio, fim, orgValidada) {
+    const inicioMs = new Date(`${inicio}T00:00:00Z`).getTime();
+    const fimMs = new Date(`${fim}T23:59:59Z`).getTime();
+    const escopo = `type:pr+reviewed-by:${usuario}+-author:${usuario}${orgValidada ? `+org:${orgValidada}` : ''}`;
+    const candidatos = await buscarItensDaBuscaDeIssues(ctx, i => `${escopo}+updated:${encodeURIComponent('>=')}${i}`, inicio, fim, { dividir: false });
+
+    const revisoesPorPr = await mapearComConcorrencia(candidatos, ctx.concorrencia, async (pr) => {
+        let revisoes = 0;
+        try {
+            const paginas = ctx.cliente.paginas(`repos/${pr.repo}/pulls/${pr.numero}/reviews`, { per_page: MAX_PAGE_SIZE });
+            for await (const { data } of paginas) {
+                for (const revisao of data || []) {
+                    const autor = revisao.user && revisao.user.login;
+                    const enviadaMs = new Date(revisao.submitted_at).getTime();
+                    if (typeof autor === 'string' && autor.toLowerCase() === usuario.toLowerCase() &&
+                        revisao.state !== 'PENDING' && enviadaMs >= inicioMs && enviadaMs <= fimMs) {
+                        revisoes++;
+                    }
+                }
+            }
+        } catch (e) {
+            if (ehErroFatal(e)) throw e;
+            ctx.logger.aviso(t('revisoesIndisponiveis', pr.chave));
+            ctx.registrarFalha('revisoes', pr.repo, `#${pr.numero}`, e);
+        }
+        return { repo: pr.repo, numero: pr.numero, revisoes };
+    });
+
+    return revisoesPorPr.filter(pr => pr.revisoes > 0);
+}
+
+/**
+ * Estatísticas de PRs e revisões dos usuários no período (--prs)
+ * Retorna situação por usuário, revisões por repositório e a lista de PRs
+ */
+async function buscarEstatisticasDePullRequests(ctx, usuarios, inicio, fim, orgValidada) {
+    const porUsuario = {};
+    const porRepositorio = {};
+    const lista = [];
+
+    const progresso = ctx.criarProgresso(usuarios.length, t('etapaBuscandoPrs'));
+
+    for (const usuario of usuarios) {
+        const situacoes = await buscarPullRequestsDoUsuario(ctx, usuario, inicio, fim, orgValidada);
+
+        // Detalhes buscados uma vez por PR, mesmo que esteja em mais de uma situação
+        const unicos = new Map();
+        for (const pr of [...situacoes.abertos, ...situacoes.mesclados, ...situacoes.fechados]) {
+            unicos.set(pr.chave, pr);
+        }
+        const detalhes = await mapearComConcorrencia(Array.from(unicos.values()), ctx.concorrencia, pr => buscarDetalhesDoPullRequest(ctx, pr));
+        const detalhesPorChave = new Map(Array.from(unicos.keys()).map((chave, indice) => [chave, detalhes[indice]]));
+
+        const doUsuario = { revisoes: 0, prsRevisados: 0, medianaAteMergeHoras: null };
+        for (const situacao of SITUACOES_DE_PR) {
+            doUsuario[situacao] = { prs: 0, additions: 0, deletions: 0 };
+            for (const pr of situacoes[situacao]) {
+                const detalhe = detalhesPorChave.get(pr.chave);
+                doUsuario[situacao].prs++;
+                if (detalhe) {
+                    doUsuario[situacao].additions += detalhe.additions;
+                    doUsuario[situacao].deletions += detalhe.deletions;
+                }
+            }
+        }
+
+        const horasAteMerge = situacoes.mesclados
+            .map(pr => detalhesPorChave.get(pr.chave))
+            .filter(detalhe => detalhe && detalhe.criadoEm && detalhe.mescladoEm)
+            .map(detalhe => (new Date(detalhe.mescladoEm) - new Date(detalhe.criadoEm)) / 3600000);
+        doUsuario.medianaAteMergeHoras = mediana(horasAteMerge);
+
+        for (const detalhe of detalhesPorChave.values()) {
+            if (detalhe) {
+                lista.push({ usuario, ...detalhe });
+            }
+        }
+
+        for (const pr of await buscarRevisoesDoUsuario(ctx, usuario, inicio, fim, orgValidada)) {
+            doUsuario.revisoes += pr.revisoes;
+            doUsuario.prsRevisados++;
+            if (!porRepositorio[pr.repo]) {
+                porRepositorio[pr.repo] = { revisoes: 0, prs: 0 };
+            }
+            porRepositorio[pr.repo].revisoes += pr.revisoes;
+            porRepositorio[pr.repo].prs++;
+        }
+
+        porUsuario[usuario] = doUsuario;
+        progresso.update(1, usuario);
+    }
+
+    progresso.complete();
+
+    return { porUsuario, revisoes: { porRepositorio }, lista };
+}
+
+/**
+ * Mediana de uma lista de números, ou null se vazia
+ */
+function mediana(valores) {
+    if (valores.length === 0) {
+        return null;
+    }
+    const ordenados = [...valores].sort((a, b) => a - b);
+    const meio = Math.floor(ordenados.length / 2);
+    return ordenados.length % 2 === 1 ? ordenados[meio] : (ordenados[meio - 1] + ordenados[meio]) / 2;
+}
+
+module.exports = {
+    SITUACOES_DE_PR,
+    buscarEstatisticasDePullRequests,
+    mediana
+};
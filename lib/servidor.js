@@ -0,0 +1,271 @@
+/**
+ * Servidor HTTP de estatísticas (commit-stats servir), para painéis internos
+ * GET /stats?usuario=&inicio=&fim=&org=    relatório de getStats em JSON (o mesmo de --formato json)
+ * GET /metrics?usuario=&inicio=&fim=&org=  commits, adições e remoções por usuário e por
+ *                                          repositório no formato de texto do Prometheus
+ *
+ * Cada relatório calculado fica em cache por ttlCache segundos; os cálculos passam por uma
+ * fila com no máximo maxExecucoes simultâneos, e pedidos iguais compartilham a mesma execução
+ */
+
+const http = require('http');
+const { getStats, formatarRelatorio } = require('../index');
+const { normalizarOpcoes } = require('./contexto');
+const { FilaDeExecucoes } = require('./concorrencia');
+const { GitHubApiError, ehErroDeCota } = require('./github_client');
+const { validarUsuario, validarFormatoData, validarOrganizacao } = require('./validacao');
+const { resolverData } = require('./datas');
+const { t, localeAtual } = require('./idioma');
+
+const MAX_RELATORIOS_NO_CACHE = 100;
+const MAX_NA_FILA = 20;  // Acima disso, novos cálculos recebem 503 em vez de esperar
+const CAMPOS_DAS_METRICAS = ['commits', 'additions', 'deletions'];
+
+/**
+ * Erro com o status HTTP da resposta
+ */
+class ErroHttp extends Error {
+    constructor(status, mensagem, cabecalhos = {}) {
+        super(mensagem);
+        this.name = 'ErroHttp';
+        this.status = status;
+        this.cabecalhos = cabecalhos;
+    }
+}
+
+/**
+ * Relatórios já calculados, por chave do pedido, válidos por ttl segundos
+ * Acima do máximo de entradas, a mais antiga é descartada
+ */
+class CacheDeRelatorios {
+    constructor(ttl, maximo = MAX_RELATORIOS_NO_CACHE) {
+        this.ttl = ttl;
+        this.maximo = maximo;
+        this.entradas = new Map();
+        this.acertos = 0;
+    }
+
+    get tamanho() {
+        return this.entradas.size;
+    }
+
+    obter(chave) {
+        const entrada = this.entradas.get(chave);
+        if (!entrada) {
+            return null;
+        }
+        if (entrada.expiraEm <= Date.now()) {
+            this.entradas.delete(chave);
+            return null;
+        }
+        this.acertos++;
+        return entrada.relatorio;
+    }
+
+    guardar(chave, relatorio) {
+        if (this.ttl === 0) return;
+        // Reinserida no fim, a entrada passa a ser a mais recente (o Map mantém a ordem de inserção)
+        this.entradas.delete(chave);
+        this.entradas.set(chave, { relatorio, expiraEm: Date.now() + this.ttl * 1000 });
+        if (this.entradas.size > this.maximo) {
+            this.entradas.delete(this.entradas.keys().next().value);
+        }
+    }
+}
+
+/**
+ * Escapa o valor de um rótulo do Prometheus (barra invertida, aspas e quebras de linha)
+ */
+function escaparRotulo(valor) {
+    return String(valor).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formata métricas no formato de texto do Prometheus
+ * Cada métrica: { nome, ajuda, tipo, amostras: [{ rotulos, valor }] }
+ */
+function formatarMetricas(metricas) {
+    const linhas = [];
+    for (const { nome, ajuda, tipo, amostras } of metricas) {
+        linhas.push(`# HELP ${nome} ${ajuda.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        linhas.push(`# TYPE ${nome} ${tipo}`);
+        for (const { rotulos, valor } of amostras) {
+            const pares = Object.entries(rotulos || {}).map(([rotulo, texto]) => `${rotulo}="${escaparRotulo(texto)}"`);
+            linhas.push(`${nome}${pares.length > 0 ? `{${pares.join(',')}}` : ''} ${valor}`);
+        }
+    }
+    return linhas.join('\n') + '\n';
+}
+
+/**
+ * Métricas do relatório: commits, adições e remoções no período por usuário e por repositório,
+ * e o número de falhas da coleta
+ */
+function metricasDoRelatorio(relatorio) {
+    const metricas = [];
+    for (const campo of CAMPOS_DAS_METRICAS) {
+        metricas.push({
+            nome: `commit_stats_usuario_${campo}`,
+            ajuda: t('metricaPorUsuario', campo),
+            tipo: 'gauge',
+            amostras: Object.entries(relatorio.porUsuario).map(([usuario, stats]) => ({ rotulos: { usuario }, valor: stats[campo] }))
+        });
+    }
+    for (const campo of CAMPOS_DAS_METRICAS) {
+        metricas.push({
+            nome: `commit_stats_repositorio_${campo}`,
+            ajuda: t('metricaPorRepositorio', campo),
+            tipo: 'gauge',
+            amostras: Object.entries(relatorio.results).map(([repo, stats]) => ({ rotulos: { repo }, valor: stats[campo] }))
+        });
+    }
+    // Diferente de zero, os valores acima podem estar abaixo do real (um painel distingue um mês parado de uma coleta com falhas)
+    metricas.push({
+        nome: 'commit_stats_dados_incompletos',
+        ajuda: t('metricaDadosIncompletos'),
+        tipo: 'gauge',
+        amostras: [{ valor: relatorio.dadosIncompletos.length }]
+    });
+    return metricas;
+}
+
+/**
+ * Cria o servidor HTTP (ainda sem escutar; use servidor.listen)
+ *
+ * @param {Object} opcoes Opções de getStats aplicadas a todos os pedidos (provedor, apiUrl, filtros...);
+ *   usuário, período e organização vêm de cada pedido
+ * @param {Object} config { ttlCache (segundos), maxExecucoes, logger }
+ */
+function criarServidor(opcoes, { ttlCache, maxExecucoes, logger }) {
+    // Opções comuns validadas uma vez, na partida; a organização padrão vale para pedidos sem org
+    // Sem checkpoint: um pedido com falhas não deixa arquivo nem sugere --retomar a um cliente HTTP
+    const base = { ...opcoes, usuario: undefined, usuarios: undefined, time: null, timeOrg: null, retomar: false, checkpoint: false };
+    const { fontes } = normalizarOpcoes({ ...base, usuario: 'commit-stats', inicio: '1970-01-01' });
+    const provedores = fontes.map(fonte => fonte.provedor);
+
+    const cache = new CacheDeRelatorios(ttlCache);
+    const fila = new FilaDeExecucoes(maxExecucoes);
+    let execucoes = 0;
+
+    /**
+     * Valida os parâmetros do pedido e monta as opções de getStats e a chave do relatório
+     * A chave usa os valores normalizados: datas relativas resolvidas e, sem fim, a data de hoje
+     */
+    const lerPedido = (consulta) => {
+        try {
+            const usuarios = consulta.getAll('usuario');
+            if (usuarios.length === 0) {
+                throw new Error(t('usuarioObrigatorio'));
+            }
+            usuarios.forEach(usuario => validarUsuario(usuario, provedores));
+            // Datas aceitam os mesmos formatos da CLI (ex: inicio=ultimo-mes, inicio=-30d)
+            validarFormatoData(resolverData(consulta.get('inicio'), 'inicio'));
+            if (consulta.has('fim')) {
+                validarFormatoData(resolverData(consulta.get('fim'), 'fim'));
+            }
+            const org = consulta.get('org') ? validarOrganizacao(consulta.get('org'), provedores[0]) : base.org;
+
+            const parametros = normalizarOpcoes({ ...base, usuarios, inicio: consulta.get('inicio'), fim: consulta.get('fim') || undefined, org });
+            return {
+                // Datas já resolvidas, para que o relatório calculado corresponda à chave
+                opcoes: { ...base, usuarios, inicio: parametros.inicio, fim: parametros.fim, org },
+                parametros,
+                chave: JSON.stringify([parametros.usuarios, parametros.inicio, parametros.fim, parametros.org])
+            };
+        } catch (e) {
+            throw new ErroHttp(400, e.message);
+        }
+    };
+
+    const obterRelatorio = (consulta) => {
+        const { opcoes: doPedido, parametros, chave } = lerPedido(consulta);
+        const emCache = cache.obter(chave);
+        if (emCache) {
+            return Promise.resolve(emCache);
+        }
+        if (!fila.temPendente(chave) && fila.naFila >= MAX_NA_FILA) {
+            throw new ErroHttp(503, t('filaCheia'), { 'Retry-After': '30' });
+        }
+        return fila.executar(chave, async () => {
+            execucoes++;
+            logger.info(t('calculandoRelatorio', parametros.usuarios, parametros.inicio, parametros.fim, parametros.org));
+            // Mensagens de progresso de execuções simultâneas se misturariam; só os avisos são registrados
+            const relatorio = await getStats({ ...doPedido, logger: { info: () => {}, aviso: logger.aviso } });
+            // Relatórios com dados incompletos não vão para o cache: o próximo pedido tenta de novo
+            if (relatorio.dadosIncompletos.length === 0) {
+                cache.guardar(chave, relatorio);
+            }
+            return relatorio;
+        });
+    };
+
+    const metricasDoServidor = () => [
+        { nome: 'commit_stats_execucoes_em_andamento', ajuda: t('metricaExecucoesEmAndamento'), tipo: 'gauge', amostras: [{ valor: fila.emAndamento }] },
+        { nome: 'commit_stats_execucoes_na_fila', ajuda: t('metricaExecucoesNaFila'), tipo: 'gauge', amostras: [{ valor: fila.naFila }] },
+        { nome: 'commit_stats_execucoes_total', ajuda: t('metricaExecucoes'), tipo: 'counter', amostras: [{ valor: execucoes }] },
+        { nome: 'commit_stats_relatorios_em_cache', ajuda: t('metricaRelatoriosEmCache'), tipo: 'gauge', amostras: [{ valor: cache.tamanho }] },
+        { nome: 'commit_stats_acertos_do_cache_total', ajuda: t('metricaAcertosDoCache'), tipo: 'counter', amostras: [{ valor: cache.acertos }] }
+    ];
+
+    const rotas = {
+        '/stats': async (consulta) => ({
+            tipo: 'application/json; charset=utf-8',
+            corpo: formatarRelatorio(await obterRelatorio(consulta), 'json')
+        }),
+        // Sem usuário, apenas as métricas do próprio servidor (fila e cache)
+        '/metrics': async (consulta) => {
+            const doRelatorio = consulta.has('usuario') ? metricasDoRelatorio(await obterRelatorio(consulta)) : [];
+            return {
+                tipo: 'text/plain; version=0.0.4; charset=utf-8',
+                corpo: formatarMetricas([...doRelatorio, ...metricasDoServidor()])
+            };
+        }
+    };
+
+    return http.createServer(async (pedido, resposta) => {
+        const iniciadoEm = Date.now();
+        const responder = (status, tipo, corpo, cabecalhos = {}) => {
+            resposta.writeHead(status, { 'Content-Type': tipo, ...cabecalhos });
+            resposta.end(corpo);
+            logger.info(`${pedido.method} ${pedido.url} ${status} ${Date.now() - iniciadoEm}ms`);
+        };
+
+        try {
+            const url = new URL(pedido.url, 'http://localhost');
+            const rota = rotas[url.pathname];
+            if (!rota) {
+                throw new ErroHttp(404, t('rotaNaoEncontrada', url.pathname, Object.keys(rotas)));
+            }
+            if (pedido.method !== 'GET' && pedido.method !== 'HEAD') {
+                throw new ErroHttp(405, t('metodoNaoPermitido', pedido.method), { 'Allow': 'GET, HEAD' });
+            }
+            const { tipo, corpo } = await rota(url.searchParams);
+            responder(200, tipo, corpo);
+        } catch (erro) {
+            let status = 500;
+            let cabecalhos = {};
+            let mensagem = erro.message;
+            if (erro instanceof ErroHttp) {
+                status = erro.status;
+                cabecalhos = erro.cabecalhos;
+            } else if (ehErroDeCota(erro)) {
+                // Cota do provedor esgotada: o painel pode tentar de novo após a renovação
+                status = 503;
+                mensagem = t('cotaEsgotada', erro.resetEm ? erro.resetEm.toLocaleTimeString(localeAtual()) : null, erro.servico);
+                if (erro.resetEm) {
+                    cabecalhos = { 'Retry-After': String(Math.max(1, Math.ceil((erro.resetEm.getTime() - Date.now()) / 1000))) };
+                }
+            } else if (erro instanceof GitHubApiError) {
+                status = 502;
+            }
+            if (status >= 500) {
+                logger.aviso(mensagem);
+            }
+            responder(status, 'application/json; charset=utf-8', JSON.stringify({ erro: mensagem }), cabecalhos);
+        }
+    });
+}
+
+module.exports = {
+    criarServidor
+};
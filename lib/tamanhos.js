@@ -0,0 +1,146 @@
+/**
+ * Tamanho dos commits: distribuição das linhas alteradas por commit e commits fora da curva
+ * Um único commit enorme (ex: código de terceiros importado de uma vez) pode dominar o total de
+ * um repositório; a mediana, o p90 e os maiores commits mostram isso, e --limite-outlier
+ * exclui (ou limita) esses commits nos totais, listando-os à parte
+ */
+
+// Limite superior (linhas alteradas) de cada faixa do histograma; a última faixa não tem limite
+const FAIXAS_DE_TAMANHO = [10, 50, 100, 500, 1000, 5000];
+// Tamanho fixo da lista de maiores commits (em todos os formatos); os commits acima de um tamanho
+// ficam todos em outliers.commits com --limite-outlier
+const MAX_MAIORES_COMMITS = 20;
+
+/**
+ * Percentil p (0 a 1) de uma lista já ordenada, com interpolação linear entre as posições
+ * vizinhas (p = 0,5 é a mediana); uma casa decimal, ou null se a lista for vazia
+ */
+function percentil(ordenados, p) {
+    if (ordenados.length === 0) {
+        return null;
+    }
+    const posicao = (ordenados.length - 1) * p;
+    const abaixo = Math.floor(posicao);
+    const acima = Math.min(abaixo + 1, ordenados.length - 1);
+    const valor = ordenados[abaixo] + (ordenados[acima] - ordenados[abaixo]) * (posicao - abaixo);
+    return Math.round(valor * 10) / 10;
+}
+
+/**
+ * Resumo de um commit para as listas de maiores e de fora da curva
+ */
+function resumoDoCommit(commit, stats = commit) {
+    return {
+        repo: commit.repo,
+        sha: commit.sha,
+        date: commit.date || null,
+        usuario: commit.usuario || null,
+        branch: commit.branch || null,
+        mensagem: commit.mensagem || null,
+        additions: stats.additions,
+        deletions: stats.deletions,
+        total: stats.additions + stats.deletions
+    };
+}
+
+/**
+ * Ordena commits pelo total de linhas alteradas (decrescente), depois por repositório e SHA
+ */
+function ordenarPorTamanho(commits) {
+    return commits.sort((a, b) => b.total - a.total || a.repo.localeCompare(b.repo) || a.sha.localeCompare(b.sha));
+}
+
+/**
+ * Distribuição do tamanho dos commits (já deduplicados, cada um com additions e deletions)
+ * Retorna { commits, mediana, p90, maximo, faixas: [{ de, ate, commits }], maiores }
+ * A última faixa tem ate null (sem limite superior)
+ */
+function distribuirTamanhos(commits) {
+    const tamanhos = commits.map(commit => commit.additions + commit.deletions).sort((a, b) => a - b);
+
+    const faixas = [...FAIXAS_DE_TAMANHO, null].map((ate, indice) => ({
+        de: indice === 0 ? 0 : FAIXAS_DE_TAMANHO[indice - 1] + 1,
+        ate,
+        commits: 0
+    }));
+    for (const tamanho of tamanhos) {
+        faixas.find(faixa => faixa.ate === null || tamanho <= faixa.ate).commits++;
+    }
+
+    return {
+        commits: tamanhos.length,
+        mediana: percentil(tamanhos, 0.5),
+        p90: percentil(tamanhos, 0.9),
+        maximo: tamanhos.length > 0 ? tamanhos[tamanhos.length - 1] : null,
+        faixas,
+        maiores: ordenarPorTamanho(commits.map(commit => resumoDoCommit(commit))).slice(0, MAX_MAIORES_COMMITS)
+    };
+}
+
+/**
+ * Reduz as linhas de um commit ao limite, na proporção original de cada arquivo
+ * Arredondamento pelo maior resto: a soma fica exatamente no limite, e o total por
+ * linguagem continua batendo com o total geral
+ */
+function limitarStats(stats, limite) {
+    const fator = limite / (stats.additions + stats.deletions);
+    const partes = [];
+    stats.arquivos.forEach((arquivo, indice) => {
+        for (const campo of ['additions', 'deletions']) {
+            const valor = arquivo[campo] * fator;
+            partes.push({ indice, campo, inteiro: Math.floor(valor), resto: valor - Math.floor(valor) });
+        }
+    });
+    let restante = limite - partes.reduce((soma, parte) => soma + parte.inteiro, 0);
+    for (const parte of [...partes].sort((a, b) => b.resto - a.resto)) {
+        if (restante <= 0) break;
+        parte.inteiro++;
+        restante--;
+    }
+
+    const arquivos = stats.arquivos.map(arquivo => ({ ...arquivo, additions: 0, deletions: 0 }));
+    for (const { indice, campo, inteiro } of partes) {
+        arquivos[indice][campo] = inteiro;
+    }
+    return {
+        ...stats,
+        additions: arquivos.reduce((soma, arquivo) => soma + arquivo.additions, 0),
+        deletions: arquivos.reduce((soma, arquivo) => soma + arquivo.deletions, 0),
+        arquivos
+    };
+}
+
+/**
+ * Aplica --limite-outlier às estatísticas dos commits (já deduplicados)
+ * excluir: commits acima do limite ficam fora de todos os totais (stats null);
+ * limitar: contam com no máximo limite linhas
+ * Retorna { stats, outliers }, com outliers null sem limite; em outliers, additions e
+ * deletions são as linhas que deixaram de contar nos totais
+ */
+function aplicarLimiteDeOutlier(commits, statsPorCommit, limite, modo) {
+    if (!limite) {
+        return { stats: statsPorCommit, outliers: null };
+    }
+
+    const outliers = { limite, modo, commits: [], additions: 0, deletions: 0 };
+    const stats = statsPorCommit.map((doCommit, indice) => {
+        if (doCommit.additions + doCommit.deletions <= limite) {
+            return doCommit;
+        }
+        const considerado = modo === 'limitar' ? limitarStats(doCommit, limite) : null;
+        outliers.commits.push(resumoDoCommit(commits[indice], doCommit));
+        outliers.additions += doCommit.additions - (considerado ? considerado.additions : 0);
+        outliers.deletions += doCommit.deletions - (considerado ? considerado.deletions : 0);
+        return considerado;
+    });
+    ordenarPorTamanho(outliers.commits);
+    return { stats, outliers };
+}
+
+module.exports = {
+    FAIXAS_DE_TAMANHO,
+    MAX_MAIORES_COMMITS,
+    percentil,
+    distribuirTamanhos,
+    aplicarLimiteDeOutlier
+};
@@ -0,0 +1,503 @@
+/**
+ * Validação e sanitização das entradas (usuários, datas, opções)
+ * Todas as funções lançam ErroDeValidacao com mensagem no idioma atual (lib/idioma.js) quando o valor é inválido
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { padraoParaRegex } = require('./caminhos');
+const { t } = require('./idioma');
+
+const DEFAULT_CONCURRENCY = 4;  // Requisições simultâneas padrão (evita limites secundários da API)
+const MAX_CONCURRENCY = 32;
+const DEFAULT_ESPERA_MAXIMA_COTA = 10;  // Minutos a aguardar pela renovação da cota antes de interromper
+const MAX_ESPERA_MAXIMA_COTA = 60;  // A cota primária do GitHub renova a cada hora
+const ESTRATEGIAS_DE_BRANCHES = ['padrao', 'principais', 'todas'];
+const DEFAULT_MAX_BRANCHES = 100;  // Branches varridas por repositório
+const MAX_MAX_BRANCHES = 1000;
+const DEFAULT_PAGINAS_POR_BRANCH = 10;  // Páginas de 100 commits lidas por branch e autor
+const MAX_PAGINAS_POR_BRANCH = 100;
+const PROVEDORES = ['github', 'gitlab', 'gitea'];
+const MODOS_DE_OUTLIER = ['excluir', 'limitar'];  // O que fazer com commits acima de --limite-outlier
+const DEFAULT_PORTA = 8080;  // Porta padrão de commit-stats servir
+const DEFAULT_TTL_CACHE = 300;  // Segundos que um relatório servido fica em cache
+const MAX_TTL_CACHE = 24 * 60 * 60;
+const DEFAULT_MAX_EXECUCOES = 2;  // Relatórios calculados ao mesmo tempo pelo servidor
+const MAX_MAX_EXECUCOES = 8;
+
+/**
+ * Erro de uma opção ou entrada inválida (a CLI encerra com código próprio em --estrito)
+ */
+class ErroDeValidacao extends Error {
+    constructor(mensagem) {
+        super(mensagem);
+        this.name = 'ErroDeValidacao';
+    }
+}
+
+// Nomes de usuário por provedor: GitHub até 39 caracteres, sem ponto e sem hífen nas pontas;
+// GitLab e Gitea aceitam também pontos (ex: joao.silva)
+const REGEX_DE_USUARIO = {
+    github: /^[a-zA-Z0-9](?:[a-zA-Z0-9_-]{0,37}[a-zA-Z0-9])?$/,
+    gitlab: /^[a-zA-Z0-9_](?:[a-zA-Z0-9_.-]{0,253}[a-zA-Z0-9_])?$/,
+    gitea: /^[a-zA-Z0-9_](?:[a-zA-Z0-9_.-]{0,38}[a-zA-Z0-9_])?$/
+};
+
+/**
+ * Valida nome de usuário do GitHub (ou de um dos provedores informados)
+ * GitHub: alfanuméricos, hífens e underscores (máx 39 caracteres); GitLab e Gitea também aceitam pontos
+ */
+function validarUsuario(usuario, provedores = 'github') {
+    if (!usuario || typeof usuario !== 'string') {
+        throw new ErroDeValidacao(t('usuarioObrigatorio'));
+    }
+    const aceitos = [].concat(provedores);
+    if (!aceitos.some(provedor => REGEX_DE_USUARIO[provedor].test(usuario))) {
+        const soGithub = aceitos.every(provedor => provedor === 'github');
+        throw new ErroDeValidacao(soGithub ? t('usuarioInvalido', usuario) : t('usuarioDeProvedorInvalido', usuario));
+    }
+    return usuario;
+}
+
+/**
+ * Valida nome de organização do provedor (no GitLab, o caminho de um grupo)
+ * GitHub: alfanuméricos e hífens (máx 39 caracteres); Gitea: também pontos e underscores;
+ * GitLab: grupos e subgrupos separados por / (ex: empresa/backend)
+ */
+function validarOrganizacao(org, provedor = 'github') {
+    if (!org || typeof org !== 'string') {
+        return null;
+    }
+    if (provedor === 'gitlab') {
+        const segmento = /^[a-zA-Z0-9_](?:[a-zA-Z0-9_.-]{0,253}[a-zA-Z0-9_])?$/;
+        if (!org.split('/').every(parte => segmento.test(parte))) {
+            throw new ErroDeValidacao(t('grupoInvalido', org));
+        }
+        return org;
+    }
+    if (provedor === 'gitea') {
+        if (!/^[a-zA-Z0-9_](?:[a-zA-Z0-9_.-]{0,38}[a-zA-Z0-9_])?$/.test(org)) {
+            throw new ErroDeValidacao(t('organizacaoDoGiteaInvalida', org));
+        }
+        return org;
+    }
+    // GitHub organization name: similar a username
+    const regex = /^[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,37}[a-zA-Z0-9])?$/;
+    if (!regex.test(org)) {
+        throw new ErroDeValidacao(t('organizacaoInvalida', org));
+    }
+    return org;
+}
+
+/**
+ * Valida lista de usuários (modo time)
+ * Remove duplicados sem diferenciar maiúsculas/minúsculas, preservando a ordem
+ * Com vários provedores, cada usuário precisa ser válido em ao menos um deles
+ */
+function validarUsuarios(usuarios, provedores = 'github') {
+    const validados = [];
+    const vistos = new Set();
+    for (const usuario of usuarios) {
+        const valido = validarUsuario(usuario, provedores);
+        if (!vistos.has(valido.toLowerCase())) {
+            vistos.add(valido.toLowerCase());
+            validados.push(valido);
+        }
+    }
+    if (validados.length === 0) {
+        throw new ErroDeValidacao(t('usuariosObrigatorios'));
+    }
+    return validados;
+}
+
+/**
+ * Valida slug de time de organização do GitHub (ex: squad-pagamentos)
+ */
+function validarSlugDoTime(slug) {
+    if (!slug || typeof slug !== 'string') {
+        return null;
+    }
+    const regex = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,99}$/;
+    if (!regex.test(slug)) {
+        throw new ErroDeValidacao(t('slugDoTimeInvalido', slug));
+    }
+    return slug;
+}
+
+/**
+ * Lê arquivo de time: um usuário por linha (ou separados por vírgula/espaço)
+ * Linhas vazias e comentários iniciados por # são ignorados
+ */
+function lerArquivoDoTime(arquivo) {
+    let conteudo;
+    try {
+        conteudo = fs.readFileSync(arquivo, 'utf-8');
+    } catch (e) {
+        throw new ErroDeValidacao(t('arquivoDoTimeIlegivel', arquivo));
+    }
+    return conteudo
+        .split('\n')
+        .map(linha => linha.replace(/#.*$/, ''))
+        .flatMap(linha => linha.split(/[\s,;]+/))
+        .filter(Boolean);
+}
+
+/**
+ * Valida formato de data YYYY-MM-DD
+ * Retorna a string original validada (não o objeto Date)
+ */
+function validarFormatoData(dataStr) {
+    if (!dataStr || typeof dataStr !== 'string') {
+        throw new ErroDeValidacao(t('dataObrigatoria'));
+    }
+    const regex = /^\d{4}-\d{2}-\d{2}$/;
+    if (!regex.test(dataStr)) {
+        throw new ErroDeValidacao(t('formatoDeDataInvalido', dataStr));
+    }
+    const data = new Date(dataStr);
+    if (isNaN(data.getTime())) {
+        throw new ErroDeValidacao(t('dataInvalida', dataStr));
+    }
+    // Retorna a string original, não o objeto Date
+    return dataStr;
+}
+
+/**
+ * Valida tipo de data para busca (author-date ou committer-date)
+ * author-date: Data em que o commit foi originalmente criado
+ * committer-date: Data em que o commit foi aplicado ao branch (merge/rebase)
+ */
+function validarTipoData(tipoData) {
+    const tiposValidos = ['author', 'committer'];
+    const valor = tipoData || 'committer'; // Padrão: committer-date
+    if (!tiposValidos.includes(valor)) {
+        throw new ErroDeValidacao(t('tipoDeDataInvalido', valor));
+    }
+    return valor;
+}
+
+/**
+ * Valida formato de saída do relatório
+ * tabela: tabela formatada para terminal (padrão)
+ * json, csv, markdown: formatos para consumo por outras ferramentas
+ */
+function validarFormatoSaida(formato) {
+    const formatosValidos = ['tabela', 'json', 'csv', 'markdown'];
+    const valor = formato || 'tabela';
+    if (!formatosValidos.includes(valor)) {
+        throw new ErroDeValidacao(t('formatoDeSaidaInvalido', valor, formatosValidos));
+    }
+    return valor;
+}
+
+/**
+ * Valida período de agrupamento da série temporal (--agrupar)
+ * Retorna null quando não informado (relatório sem série temporal)
+ */
+function validarAgrupamento(agrupamento) {
+    if (!agrupamento) {
+        return null;
+    }
+    const periodosValidos = ['dia', 'semana', 'mes'];
+    if (!periodosValidos.includes(agrupamento)) {
+        throw new ErroDeValidacao(t('agrupamentoInvalido', agrupamento));
+    }
+    return agrupamento;
+}
+
+/**
+ * Valida glob de caminho para --excluir-caminho
+ */
+function validarGlob(glob) {
+    if (!glob || typeof glob !== 'string' || !glob.trim()) {
+        throw new ErroDeValidacao(t('padraoDeCaminhoVazio'));
+    }
+    return glob.trim();
+}
+
+/**
+ * Valida padrão de --incluir-repo/--excluir-repo (glob ou /regex/)
+ * Retorna a expressão regular correspondente
+ */
+function validarPadraoDeRepositorio(padrao) {
+    if (!padrao || typeof padrao !== 'string' || !padrao.trim()) {
+        throw new ErroDeValidacao(t('padraoDeRepositorioVazio'));
+    }
+    try {
+        return padraoParaRegex(padrao.trim());
+    } catch (e) {
+        throw new ErroDeValidacao(t('padraoDeRepositorioInvalido', padrao));
+    }
+}
+
+/**
+ * Valida a estratégia de --branches: "padrao", "principais", "todas" ou um glob (ou /regex/)
+ * com os nomes das branches a varrer
+ * Retorna { estrategia, regex }, com regex apenas quando a estratégia é um padrão de nomes
+ */
+function validarEstrategiaDeBranches(valor) {
+    if (valor === undefined || valor === null) {
+        return { estrategia: 'todas', regex: null };
+    }
+    if (!valor || typeof valor !== 'string' || !valor.trim()) {
+        throw new ErroDeValidacao(t('estrategiaDeBranchesVazia', ESTRATEGIAS_DE_BRANCHES));
+    }
+    const estrategia = valor.trim();
+    if (ESTRATEGIAS_DE_BRANCHES.includes(estrategia)) {
+        return { estrategia, regex: null };
+    }
+    try {
+        return { estrategia, regex: padraoParaRegex(estrategia) };
+    } catch (e) {
+        throw new ErroDeValidacao(t('estrategiaDeBranchesInvalida', valor, ESTRATEGIAS_DE_BRANCHES));
+    }
+}
+
+/**
+ * Valida o máximo de branches varridas por repositório (--max-branches)
+ */
+function validarMaximoDeBranches(valor) {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 1 || numero > MAX_MAX_BRANCHES) {
+        throw new ErroDeValidacao(t('maximoDeBranchesInvalido', valor, MAX_MAX_BRANCHES));
+    }
+    return numero;
+}
+
+/**
+ * Valida o máximo de páginas de commits lidas por branch (--max-paginas-por-branch)
+ */
+function validarPaginasPorBranch(valor) {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 1 || numero > MAX_PAGINAS_POR_BRANCH) {
+        throw new ErroDeValidacao(t('paginasPorBranchInvalido', valor, MAX_PAGINAS_POR_BRANCH));
+    }
+    return numero;
+}
+
+/**
+ * Valida o limite de linhas alteradas por commit (--limite-outlier), ou null se ausente
+ */
+function validarLimiteDeOutlier(valor) {
+    if (valor === undefined || valor === null || valor === '') {
+        return null;
+    }
+    const numero = Number(valor);
+    if (!Number.isSafeInteger(numero) || numero < 1) {
+        throw new ErroDeValidacao(t('limiteDeOutlierInvalido', valor));
+    }
+    return numero;
+}
+
+/**
+ * Valida o tratamento dos commits acima do limite (--modo-outlier). Padrão: excluir
+ */
+function validarModoDeOutlier(valor) {
+    if (valor === undefined || valor === null) {
+        return MODOS_DE_OUTLIER[0];
+    }
+    if (!MODOS_DE_OUTLIER.includes(valor)) {
+        throw new ErroDeValidacao(t('modoDeOutlierInvalido', valor, MODOS_DE_OUTLIER));
+    }
+    return valor;
+}
+
+/**
+ * Valida limite de requisições simultâneas à API
+ */
+function validarConcorrencia(valor) {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 1 || numero > MAX_CONCURRENCY) {
+        throw new ErroDeValidacao(t('concorrenciaInvalida', valor, MAX_CONCURRENCY));
+    }
+    return numero;
+}
+
+/**
+ * Valida tempo máximo (minutos) de espera pela renovação da cota da API
+ * 0 = interromper assim que a cota acabar
+ */
+function validarEsperaMaximaCota(valor) {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 0 || numero > MAX_ESPERA_MAXIMA_COTA) {
+        throw new ErroDeValidacao(t('esperaMaximaInvalida', valor, MAX_ESPERA_MAXIMA_COTA));
+    }
+    return numero;
+}
+
+/**
+ * Valida a porta TCP do servidor (commit-stats servir --porta)
+ */
+function validarPorta(valor) {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 1 || numero > 65535) {
+        throw new ErroDeValidacao(t('portaInvalida', valor));
+    }
+    return numero;
+}
+
+/**
+ * Valida por quantos segundos o servidor reutiliza um relatório calculado (--ttl-cache)
+ * 0 = sem cache; pedidos iguais simultâneos continuam compartilhando a mesma execução
+ */
+function validarTtlDoCache(valor) {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 0 || numero > MAX_TTL_CACHE) {
+        throw new ErroDeValidacao(t('ttlDoCacheInvalido', valor, MAX_TTL_CACHE));
+    }
+    return numero;
+}
+
+/**
+ * Valida o máximo de relatórios calculados ao mesmo tempo pelo servidor (--max-execucoes)
+ */
+function validarMaximoDeExecucoes(valor) {
+    const numero = Number(valor);
+    if (!Number.isInteger(numero) || numero < 1 || numero > MAX_MAX_EXECUCOES) {
+        throw new ErroDeValidacao(t('maximoDeExecucoesInvalido', valor, MAX_MAX_EXECUCOES));
+    }
+    return numero;
+}
+
+/**
+ * Valida o provedor de commits (--provedor): github, gitlab ou gitea
+ */
+function validarProvedor(provedor) {
+    const valor = provedor || 'github';
+    if (!PROVEDORES.includes(valor)) {
+        throw new ErroDeValidacao(t('provedorInvalido', valor, PROVEDORES));
+    }
+    return valor;
+}
+
+/**
+ * Valida URL base da API (--api-url): http ou https
+ */
+function validarUrlDaApi(url) {
+    let protocolo;
+    try {
+        protocolo = new URL(url).protocol;
+    } catch (e) {
+        throw new ErroDeValidacao(t('urlDaApiInvalida', url));
+    }
+    if (protocolo !== 'http:' && protocolo !== 'https:') {
+        throw new ErroDeValidacao(t('urlDaApiInvalida', url));
+    }
+    return url;
+}
+
+/**
+ * Valida uma fonte de commits (--fonte) no formato provedor[:organização][@url]
+ * Ex: "github:acme", "gitlab:empresa/backend@https://gitlab.empresa.com/api/v4"
+ * Aceita também objetos { provedor, org, apiUrl, token } (uso como biblioteca)
+ * Retorna { provedor, org, apiUrl, token }, com null nos campos ausentes
+ */
+function validarFonte(fonte) {
+    if (fonte && typeof fonte === 'object') {
+        const provedor = validarProvedor(fonte.provedor);
+        return {
+            provedor,
+            org: validarOrganizacao(fonte.org, provedor),
+            apiUrl: fonte.apiUrl ? validarUrlDaApi(fonte.apiUrl) : null,
+            token: fonte.token || null
+        };
+    }
+    const partes = typeof fonte === 'string' ? /^([a-z]+)(?::([^@]+))?(?:@(.+))?$/.exec(fonte.trim()) : null;
+    if (!partes) {
+        throw new ErroDeValidacao(t('fonteInvalida', fonte));
+    }
+    const provedor = validarProvedor(partes[1]);
+    return {
+        provedor,
+        org: validarOrganizacao(partes[2], provedor),
+        apiUrl: partes[3] ? validarUrlDaApi(partes[3]) : null,
+        token: null
+    };
+}
+
+/**
+ * Sanitiza string para uso seguro em comandos shell
+ * Escapa caracteres especiais que poderiam ser usados para injeção
+ */
+function sanitizar(input) {
+    if (typeof input !== 'string') {
+        return '';
+    }
+    // Remove caracteres perigosos e mantém apenas alfanuméricos, /, ., -, _, @, :
+    // Suficiente para nomes de repo e organizações do GitHub
+    return input.replace(/[^a-zA-Z0-9/._@:\-+]/g, '');
+}
+
+/**
+ * Primeira linha de uma mensagem de commit, sem caracteres de controle, ou null se vazia
+ * A mensagem vem do autor do commit e é exibida no terminal
+ */
+function primeiraLinha(mensagem) {
+    if (typeof mensagem !== 'string') {
+        return null;
+    }
+    const linha = mensagem.trim().split(/\r?\n/)[0].replace(/[\u0000-\u001f\u007f-\u009f]/g, '').trim();
+    return linha || null;
+}
+
+/**
+ * Valida diretório informado para o modo local
+ * Retorna o caminho absoluto
+ */
+function validarDiretorio(diretorio) {
+    if (!diretorio || typeof diretorio !== 'string') {
+        throw new ErroDeValidacao(t('diretorioObrigatorio'));
+    }
+    const caminho = path.resolve(diretorio);
+    if (!fs.existsSync(caminho) || !fs.statSync(caminho).isDirectory()) {
+        throw new ErroDeValidacao(t('diretorioInvalido', diretorio));
+    }
+    return caminho;
+}
+
+module.exports = {
+    ErroDeValidacao,
+    DEFAULT_CONCURRENCY,
+    MAX_CONCURRENCY,
+    DEFAULT_ESPERA_MAXIMA_COTA,
+    MAX_ESPERA_MAXIMA_COTA,
+    ESTRATEGIAS_DE_BRANCHES,
+    DEFAULT_MAX_BRANCHES,
+    MAX_MAX_BRANCHES,
+    DEFAULT_PAGINAS_POR_BRANCH,
+    MAX_PAGINAS_POR_BRANCH,
+    PROVEDORES,
+    MODOS_DE_OUTLIER,
+    DEFAULT_PORTA,
+    DEFAULT_TTL_CACHE,
+    MAX_TTL_CACHE,
+    DEFAULT_MAX_EXECUCOES,
+    MAX_MAX_EXECUCOES,
+    validarUsuario,
+    validarOrganizacao,
+    validarUsuarios,
+    validarSlugDoTime,
+    lerArquivoDoTime,
+    validarFormatoData,
+    validarTipoData,
+    validarFormatoSaida,
+    validarAgrupamento,
+    validarGlob,
+    validarPadraoDeRepositorio,
+    validarEstrategiaDeBranches,
+    validarMaximoDeBranches,
+    validarPaginasPorBranch,
+    validarLimiteDeOutlier,
+    validarModoDeOutlier,
+    validarConcorrencia,
+    validarEsperaMaximaCota,
+    validarPorta,
+    validarTtlDoCache,
+    validarMaximoDeExecucoes,
+    validarProvedor,
+    validarUrlDaApi,
+    validarFonte,
+    sanitizar,
+    primeiraLinha,
+    validarDiretorio
+};
@@ -0,0 +1,133 @@
+/**
+ * Busca de commits em intervalos (planejarJanelasDeBusca e buscarCommitsViaBusca)
+ * A API de busca é simulada por um cliente em memória que, como a do GitHub, informa o
+ * total_count do intervalo pedido e entrega no máximo 10 páginas de 100 resultados
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizarOpcoes, criarContexto } = require('../lib/contexto');
+const { MAX_SEARCH_RESULTS, planejarJanelasDeBusca, buscarCommitsViaBusca } = require('../lib/commits');
+
+const INICIO = '2026-01-01';
+const FIM = '2026-01-31';
+const segundos = iso => Date.parse(iso) / 1000;
+
+/**
+ * Cliente com os commits informados ({ sha, repo, data (segundos UTC) })
+ * Com sobreposicao, o fim de cada intervalo inclui um segundo a mais (um commit no limite
+ * entre dois intervalos volta nos dois)
+ */
+function criarClienteFalso(commits, { sobreposicao = 0 } = {}) {
+    const limite = (valor, fim) => /^\d{4}-\d{2}-\d{2}$/.test(valor)
+        ? segundos(`${valor}T${fim ? '23:59:59' : '00:00:00'}Z`)
+        : segundos(valor);
+    const noIntervalo = caminho => {
+        const [, de, ate] = /committer-date:([^.+]+)\.\.([^+]+)/.exec(caminho);
+        const inicio = limite(de, false);
+        const fim = limite(ate, true) + sobreposicao;
+        return commits.filter(commit => commit.data >= inicio && commit.data <= fim);
+    };
+    const item = commit => ({
+        sha: commit.sha,
+        parents: [{ sha: 'f'.repeat(40) }],
+        repository: { full_name: commit.repo, fork: false },
+        commit: { message: 'commit', committer: { date: new Date(commit.data * 1000).toISOString() } }
+    });
+
+    return {
+        cotaAtual: () => null,
+        async get(caminho) {
+            return { data: { total_count: noIntervalo(caminho).length, items: [] } };
+        },
+        async *paginas(caminho, params, { maxPaginas }) {
+            const encontrados = noIntervalo(caminho);
+            for (let pagina = 0; pagina < maxPaginas && pagina * 100 < Math.min(encontrados.length, MAX_SEARCH_RESULTS); pagina++) {
+                yield { data: { total_count: encontrados.length, items: encontrados.slice(pagina * 100, (pagina + 1) * 100).map(item) } };
+            }
+        }
+    };
+}
+
+function criarCtx(commits, opcoesDoCliente) {
+    const ctx = criarContexto(normalizarOpcoes({ usuario: 'fulano', inicio: INICIO, fim: FIM, token: 'x', cache: false }));
+    ctx.cliente = criarClienteFalso(commits, opcoesDoCliente);
+    return ctx;
+}
+
+/**
+ * Commits distribuídos uniformemente no período, cada um com um SHA diferente
+ */
+function commitsNoPeriodo(quantidade, repo = 'acme/api') {
+    const inicio = segundos(`${INICIO}T00:00:00Z`);
+    const duracao = segundos(`${FIM}T23:59:59Z`) - inicio;
+    return Array.from({ length: quantidade }, (_, indice) => ({
+        sha: indice.toString(16).padStart(40, '0'),
+        repo,
+        data: inicio + Math.floor(indice * duracao / quantidade)
+    }));
+}
+
+const montarQuery = (i, f) => `author:fulano+committer-date:${i}..${f}+sort:committer-date-desc`;
+
+test('intervalo acima de 1000 resultados é dividido em dias, sem lacunas nem sobreposição', async () => {
+    const ctx = criarCtx(commitsNoPeriodo(2500));
+    const janelas = await planejarJanelasDeBusca(ctx, montarQuery, INICIO, FIM);
+
+    assert.ok(janelas.length > 1);
+    for (const janela of janelas) {
+        assert.ok(janela.total <= MAX_SEARCH_RESULTS, `${janela.rotulo}: ${janela.total}`);
+        assert.match(janela.rotulo, /^\d{4}-\d{2}-\d{2}\.\.\d{4}-\d{2}-\d{2}$/);
+    }
+    assert.strictEqual(janelas.reduce((soma, janela) => soma + janela.total, 0), 2500);
+
+    // Do mais recente para o mais antigo, cobrindo o período inteiro
+    const crescentes = [...janelas].reverse();
+    assert.strictEqual(crescentes[0].inicio, segundos(`${INICIO}T00:00:00Z`));
+    assert.strictEqual(crescentes[crescentes.length - 1].fim, segundos(`${FIM}T23:59:59Z`));
+    for (let indice = 1; indice < crescentes.length; indice++) {
+        assert.strictEqual(crescentes[indice].inicio, crescentes[indice - 1].fim + 1);
+    }
+
+    const commits = await buscarCommitsViaBusca(ctx, 'author:fulano', INICIO, FIM, 'committer');
+    assert.strictEqual(commits.length, 2500);
+    assert.deepStrictEqual(ctx.falhas.listar(), []);
+});
+
+test('intervalo indivisível acima do limite fica em dadosIncompletos', async () => {
+    // 1200 commits no mesmo segundo (ex: importação em massa) e alguns no resto do mês
+    const noMesmoSegundo = Array.from({ length: 1200 }, (_, indice) => ({
+        sha: `a${indice.toString(16).padStart(39, '0')}`,
+        repo: 'acme/importado',
+        data: segundos('2026-01-15T12:00:00Z')
+    }));
+    const ctx = criarCtx([...noMesmoSegundo, ...commitsNoPeriodo(30)]);
+    const janelas = await planejarJanelasDeBusca(ctx, montarQuery, INICIO, FIM);
+
+    // Dentro do dia, os limites passam a ter hora (ISO 8601)
+    const indivisivel = janelas.find(janela => janela.total > MAX_SEARCH_RESULTS);
+    assert.strictEqual(indivisivel.rotulo, '2026-01-15T12:00:00Z..2026-01-15T12:00:00Z');
+    assert.strictEqual(indivisivel.total, 1200);
+
+    const falhas = ctx.falhas.listar();
+    assert.strictEqual(falhas.length, 1);
+    assert.strictEqual(falhas[0].tipo, 'busca');
+    assert.strictEqual(falhas[0].alvo, indivisivel.rotulo);
+
+    // Só os 1000 primeiros do segundo indivisível são obtidos
+    const commits = await buscarCommitsViaBusca(ctx, 'author:fulano', INICIO, FIM, 'committer');
+    assert.strictEqual(commits.filter(commit => commit.repo === 'acme/importado').length, MAX_SEARCH_RESULTS);
+    assert.strictEqual(commits.length, MAX_SEARCH_RESULTS + 30);
+});
+
+test('o mesmo SHA em dois intervalos conta uma vez', async () => {
+    // O primeiro corte do mês é 2026-01-17T00:00:00Z; o commit nesse instante volta nas duas metades
+    const noCorte = { sha: 'c'.repeat(40), repo: 'acme/api', data: segundos('2026-01-17T00:00:00Z') };
+    const ctx = criarCtx([...commitsNoPeriodo(1500), noCorte], { sobreposicao: 1 });
+
+    const commits = await buscarCommitsViaBusca(ctx, 'author:fulano', INICIO, FIM, 'committer');
+    const shas = commits.map(commit => commit.sha);
+    assert.strictEqual(new Set(shas).size, shas.length);
+    assert.strictEqual(shas.filter(sha => sha === noCorte.sha).length, 1);
+    assert.strictEqual(commits.length, 1501);
+});
@@ -0,0 +1,123 @@
+/**
+ * Contagem de linhas em diffs unificados (lib/provedores/diff.js), usada com GitLab e Gitea
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { contarHunks, contarLinhasDoDiff } = require('../lib/provedores/diff');
+
+const linhas = texto => texto.split('\n');
+
+test('linhas removidas que começam com "---" e adicionadas com "+++" contam como conteúdo', () => {
+    // Um arquivo Markdown com réguas "---" e um diff colado dentro de outro arquivo
+    const hunk = [
+        '@@ -1,3 +1,3 @@',
+        ' # Título',
+        '---- ',
+        '--- a/exemplo.txt',
+        '+++++',
+        '+++ b/exemplo.txt'
+    ].join('\n');
+    assert.deepStrictEqual(contarHunks(linhas(hunk)), { additions: 2, deletions: 2 });
+
+    const diff = [
+        'diff --git a/docs/guia.md b/docs/guia.md',
+        'index 1111111..2222222 100644',
+        '--- a/docs/guia.md',
+        '+++ b/docs/guia.md',
+        hunk,
+        ''
+    ].join('\n');
+    assert.deepStrictEqual(contarLinhasDoDiff(diff), [{ caminho: 'docs/guia.md', additions: 2, deletions: 2 }]);
+});
+
+test('"\\ No newline at end of file" não conta como linha', () => {
+    const diff = [
+        'diff --git a/versao.txt b/versao.txt',
+        '--- a/versao.txt',
+        '+++ b/versao.txt',
+        '@@ -1 +1 @@',
+        '-1.0.0',
+        '\\ No newline at end of file',
+        '+1.1.0',
+        '\\ No newline at end of file',
+        ''
+    ].join('\n');
+    assert.deepStrictEqual(contarLinhasDoDiff(diff), [{ caminho: 'versao.txt', additions: 1, deletions: 1 }]);
+});
+
+test('renomeações, arquivos binários e removidos', () => {
+    const diff = [
+        'diff --git a/src/antigo.js b/src/novo.js',
+        'similarity index 100%',
+        'rename from src/antigo.js',
+        'rename to src/novo.js',
+        'diff --git a/lib/velho.js b/lib/atual.js',
+        'similarity index 80%',
+        'rename from lib/velho.js',
+        'rename to lib/atual.js',
+        '--- a/lib/velho.js',
+        '+++ b/lib/atual.js',
+        '@@ -1,2 +1,2 @@',
+        ' const a = 1;',
+        '-module.exports = a;',
+        '+module.exports = { a };',
+        'diff --git a/img/logo.png b/img/logo.png',
+        'index 3333333..4444444 100644',
+        'Binary files a/img/logo.png and b/img/logo.png differ',
+        'diff --git a/LEIA-ME.txt b/LEIA-ME.txt',
+        'deleted file mode 100644',
+        '--- a/LEIA-ME.txt',
+        '+++ /dev/null',
+        '@@ -1,2 +0,0 @@',
+        '-linha 1',
+        '-linha 2',
+        ''
+    ].join('\n');
+    assert.deepStrictEqual(contarLinhasDoDiff(diff), [
+        { caminho: 'src/novo.js', additions: 0, deletions: 0 },
+        { caminho: 'lib/atual.js', additions: 1, deletions: 1 },
+        { caminho: 'img/logo.png', additions: 0, deletions: 0 },
+        { caminho: 'LEIA-ME.txt', additions: 0, deletions: 2 }
+    ]);
+});
+
+test('vários hunks no mesmo arquivo e vários arquivos', () => {
+    const diff = [
+        'diff --git a/src/a.js b/src/a.js',
+        '--- a/src/a.js',
+        '+++ b/src/a.js',
+        '@@ -1,3 +1,4 @@',
+        ' linha 1',
+        '+nova 1',
+        ' linha 2',
+        ' linha 3',
+        '@@ -10,4 +11,2 @@ function x() {',
+        ' linha 10',
+        '-removida 11',
+        '-removida 12',
+        ' linha 13',
+        '@@ -20 +19,2 @@',
+        '-trocada',
+        '+trocada 1',
+        '+trocada 2',
+        'diff --git a/src/novo.js b/src/novo.js',
+        'new file mode 100644',
+        '--- /dev/null',
+        '+++ b/src/novo.js',
+        '@@ -0,0 +1,2 @@',
+        '+a',
+        '+b',
+        ''
+    ].join('\n');
+    assert.deepStrictEqual(contarLinhasDoDiff(diff), [
+        { caminho: 'src/a.js', additions: 3, deletions: 3 },
+        { caminho: 'src/novo.js', additions: 2, deletions: 0 }
+    ]);
+});
+
+test('diff sem cabeçalho de arquivo (GitLab) e texto vazio', () => {
+    assert.deepStrictEqual(contarHunks(linhas('@@ -1,2 +1,2 @@\n-a\n+b\n c\n')), { additions: 1, deletions: 1 });
+    assert.deepStrictEqual(contarLinhasDoDiff(''), []);
+    assert.deepStrictEqual(contarLinhasDoDiff(null), []);
+});
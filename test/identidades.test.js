@@ -0,0 +1,32 @@
+/**
+ * Atribuição exata de autores nos provedores sem filtro de autor (GitLab, Gitea)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rotaExataDoAutor } = require('../lib/identidades');
+const gitlab = require('../lib/provedores/gitlab');
+const gitea = require('../lib/provedores/gitea');
+
+const ana = { login: 'ana', emails: ['ana.souza@empresa.com'], nomes: ['Ana Souza'] };
+
+test('sem busca por trecho: "ana" não encontra Joana nem Mariana', () => {
+    assert.strictEqual(rotaExataDoAutor('Joana', 'joana@empresa.com', ana, gitlab.regexEmailNoreply), null);
+    assert.strictEqual(rotaExataDoAutor('Mariana', 'mariana@empresa.com', ana, gitlab.regexEmailNoreply), null);
+});
+
+test('a parte local do e-mail não basta: ana@outra.com pode ser outra pessoa', () => {
+    assert.strictEqual(rotaExataDoAutor('Ana', 'ana@outra.com', ana, gitlab.regexEmailNoreply), null);
+});
+
+test('e-mail noreply do provedor com o login', () => {
+    assert.strictEqual(rotaExataDoAutor('A.', '123-ana@users.noreply.gitlab.com', ana, gitlab.regexEmailNoreply), 'login');
+    assert.strictEqual(rotaExataDoAutor('A.', 'ana@users.noreply.gitlab.empresa.com', ana, gitlab.regexEmailNoreply), 'login');
+    assert.strictEqual(rotaExataDoAutor('A.', 'ana@noreply.gitea.com', ana, gitea.regexEmailNoreply), 'login');
+    assert.strictEqual(rotaExataDoAutor('J.', '456-joana@users.noreply.gitlab.com', ana, gitlab.regexEmailNoreply), null);
+});
+
+test('e-mails e nomes do arquivo de identidades, sem diferenciar maiúsculas', () => {
+    assert.strictEqual(rotaExataDoAutor('A.', 'Ana.Souza@Empresa.com', ana, gitlab.regexEmailNoreply), 'email');
+    assert.strictEqual(rotaExataDoAutor('ana souza', 'pessoal@exemplo.com', ana, gitea.regexEmailNoreply), 'nome');
+});
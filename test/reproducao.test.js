@@ -0,0 +1,83 @@
+/**
+ * Relatórios refeitos a partir de respostas gravadas (--reproduzir), sem rede nem token
+ * fixtures/org-committer: varredura da organização acme (um repositório, uma branch) com dois
+ * commits de fulano; o primeiro foi escrito em dezembro e rebaseado em janeiro, então só entra
+ * no período pela data do committer
+ * fixtures/busca-commits: busca de commits (sem --org) com três commits de fulano em dois
+ * repositórios, um deles com um lockfile ignorado nos totais
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getStats } = require('..');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// O checkpoint da varredura fica no diretório de cache: um temporário por execução
+let diretorioDoCache;
+let cacheAnterior;
+
+before(() => {
+    diretorioDoCache = fs.mkdtempSync(path.join(os.tmpdir(), 'commit-stats-teste-'));
+    cacheAnterior = process.env.COMMIT_STATS_CACHE_DIR;
+    process.env.COMMIT_STATS_CACHE_DIR = diretorioDoCache;
+});
+
+after(() => {
+    fs.rmSync(diretorioDoCache, { recursive: true, force: true });
+    if (cacheAnterior === undefined) {
+        delete process.env.COMMIT_STATS_CACHE_DIR;
+    } else {
+        process.env.COMMIT_STATS_CACHE_DIR = cacheAnterior;
+    }
+});
+
+test('varredura da organização com --tipo-data committer encontra os commits gravados', async () => {
+    const relatorio = await getStats({
+        usuario: 'fulano',
+        org: 'acme',
+        inicio: '2026-01-01',
+        fim: '2026-01-31',
+        tipoData: 'committer',
+        apiUrl: 'http://localhost:4030',
+        reproduzir: path.join(FIXTURES, 'org-committer')
+    });
+
+    assert.deepStrictEqual(relatorio.totais, { commits: 2, additions: 47, deletions: 6, total: 53 });
+    assert.deepStrictEqual(relatorio.results, {
+        'acme/app': { commits: 2, additions: 47, deletions: 6, total: 53 }
+    });
+
+    // Data do committer, não a do autor (2025-12-20)
+    const rebaseado = relatorio.commits.find(commit => commit.sha.startsWith('c0ffee'));
+    assert.ok(rebaseado);
+    assert.strictEqual(rebaseado.date, '2026-01-10T09:30:00Z');
+});
+
+test('busca de commits (sem --org) soma os commits gravados por repositório', async () => {
+    const relatorio = await getStats({
+        usuario: 'fulano',
+        inicio: '2026-01-01',
+        fim: '2026-01-31',
+        apiUrl: 'http://localhost:4031',
+        reproduzir: path.join(FIXTURES, 'busca-commits')
+    });
+
+    // package-lock.json (50 adições, 10 remoções) fica fora dos totais
+    assert.deepStrictEqual(relatorio.totais, { commits: 3, additions: 55, deletions: 8, total: 63 });
+    assert.deepStrictEqual(relatorio.results, {
+        'acme/api': { commits: 2, additions: 43, deletions: 8, total: 51 },
+        'outra/lib': { commits: 1, additions: 12, deletions: 0, total: 12 }
+    });
+    assert.deepStrictEqual(relatorio.ignorado, { arquivos: 1, additions: 50, deletions: 10 });
+
+    // Datas do committer (padrão de --tipo-data), do mais recente para o mais antigo
+    assert.deepStrictEqual(relatorio.commits.map(commit => [commit.repo, commit.date]), [
+        ['acme/api', '2026-01-21T08:00:00Z'],
+        ['acme/api', '2026-01-08T16:45:00Z'],
+        ['outra/lib', '2026-01-15T12:00:00Z']
+    ]);
+});
@@ -0,0 +1,113 @@
+/**
+ * Tamanho dos commits (lib/tamanhos.js): percentis, histograma e --limite-outlier
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_MAIORES_COMMITS, percentil, distribuirTamanhos, aplicarLimiteDeOutlier } = require('../lib/tamanhos');
+
+/**
+ * Commit e estatísticas com as linhas de cada arquivo ([[adições, remoções], ...])
+ */
+function commitComArquivos(sha, linhasPorArquivo) {
+    const arquivos = linhasPorArquivo.map(([additions, deletions], indice) => ({ caminho: `src/${indice}.js`, additions, deletions }));
+    return {
+        commit: { repo: 'acme/api', sha, date: '2026-01-10T00:00:00Z' },
+        stats: {
+            additions: arquivos.reduce((soma, arquivo) => soma + arquivo.additions, 0),
+            deletions: arquivos.reduce((soma, arquivo) => soma + arquivo.deletions, 0),
+            arquivos
+        }
+    };
+}
+
+test('percentil: lista vazia, um valor e os extremos', () => {
+    assert.strictEqual(percentil([], 0.5), null);
+    assert.strictEqual(percentil([42], 0.5), 42);
+    assert.strictEqual(percentil([42], 0.9), 42);
+    assert.strictEqual(percentil([3, 8, 20], 0), 3);
+    assert.strictEqual(percentil([3, 8, 20], 1), 20);
+});
+
+test('percentil: interpolação linear entre vizinhos, com uma casa decimal', () => {
+    assert.strictEqual(percentil([1, 2, 3, 4], 0.5), 2.5);
+    assert.strictEqual(percentil([1, 2, 3], 0.5), 2);
+    const dezValores = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    assert.strictEqual(percentil(dezValores, 0.9), 9.1);
+    assert.strictEqual(percentil([0, 10], 1 / 3), 3.3);
+    assert.strictEqual(percentil([5, 5, 5, 1000], 0.5), 5);
+});
+
+test('distribuirTamanhos: faixas inclusivas e maiores commits limitados', () => {
+    const tamanhos = [0, 10, 11, 50, 51, 100, 500, 501, 1000, 5000, 5001, 80000];
+    const commits = tamanhos.map((total, indice) => ({ repo: 'acme/api', sha: String(indice).padStart(40, '0'), additions: total, deletions: 0 }));
+    const distribuicao = distribuirTamanhos(commits);
+
+    assert.deepStrictEqual(distribuicao.faixas.map(faixa => [faixa.de, faixa.ate, faixa.commits]), [
+        [0, 10, 2], [11, 50, 2], [51, 100, 2], [101, 500, 1], [501, 1000, 2], [1001, 5000, 1], [5001, null, 2]
+    ]);
+    assert.strictEqual(distribuicao.maximo, 80000);
+    assert.strictEqual(distribuicao.maiores[0].total, 80000);
+
+    const muitos = Array.from({ length: 30 }, (_, indice) => ({ repo: 'acme/api', sha: String(indice).padStart(40, '0'), additions: indice, deletions: 0 }));
+    assert.strictEqual(distribuirTamanhos(muitos).maiores.length, MAX_MAIORES_COMMITS);
+});
+
+test('limitar: cada commit acima do limite soma exatamente o limite, arquivo a arquivo', () => {
+    // Tamanhos variados, com restos de arredondamento em vários arquivos
+    const casos = [
+        [[1000, 3]],
+        [[334, 333], [333, 0]],
+        [[7, 0], [7, 0], [7, 0], [1, 1]],
+        [[1234, 567], [89, 10], [0, 4321], [5, 5]],
+        [[999999, 1], [1, 999999]]
+    ];
+    for (const limite of [1, 7, 10, 500, 999]) {
+        const gerados = casos.map((linhas, indice) => commitComArquivos(String(indice).padStart(40, '0'), linhas));
+        const { stats, outliers } = aplicarLimiteDeOutlier(gerados.map(g => g.commit), gerados.map(g => g.stats), limite, 'limitar');
+
+        let excedente = 0;
+        stats.forEach((considerado, indice) => {
+            const original = gerados[indice].stats;
+            const totalOriginal = original.additions + original.deletions;
+            if (totalOriginal <= limite) {
+                assert.strictEqual(considerado, original);
+                return;
+            }
+            assert.strictEqual(considerado.additions + considerado.deletions, limite, `limite ${limite}, caso ${indice}`);
+            assert.strictEqual(considerado.arquivos.reduce((soma, arquivo) => soma + arquivo.additions, 0), considerado.additions);
+            assert.strictEqual(considerado.arquivos.reduce((soma, arquivo) => soma + arquivo.deletions, 0), considerado.deletions);
+            considerado.arquivos.forEach((arquivo, posicao) => {
+                assert.ok(arquivo.additions <= original.arquivos[posicao].additions);
+                assert.ok(arquivo.deletions <= original.arquivos[posicao].deletions);
+            });
+            excedente += totalOriginal - limite;
+        });
+        assert.strictEqual(outliers.additions + outliers.deletions, excedente);
+    }
+});
+
+test('limitar mantém a proporção entre os arquivos', () => {
+    const { commit, stats } = commitComArquivos('a'.repeat(40), [[900, 0], [100, 0]]);
+    const { stats: [considerado] } = aplicarLimiteDeOutlier([commit], [stats], 100, 'limitar');
+    assert.deepStrictEqual(considerado.arquivos.map(arquivo => arquivo.additions), [90, 10]);
+});
+
+test('excluir: commits acima do limite saem dos totais; no limite, continuam', () => {
+    const noLimite = commitComArquivos('a'.repeat(40), [[400, 100]]);
+    const acima = commitComArquivos('b'.repeat(40), [[450, 51]]);
+    const { stats, outliers } = aplicarLimiteDeOutlier([noLimite.commit, acima.commit], [noLimite.stats, acima.stats], 500, 'excluir');
+
+    assert.strictEqual(stats[0], noLimite.stats);
+    assert.strictEqual(stats[1], null);
+    assert.deepStrictEqual(outliers.commits.map(commit => [commit.sha, commit.total]), [['b'.repeat(40), 501]]);
+    assert.strictEqual(outliers.additions, 450);
+    assert.strictEqual(outliers.deletions, 51);
+});
+
+test('sem limite, as estatísticas não mudam', () => {
+    const { commit, stats } = commitComArquivos('a'.repeat(40), [[10000, 0]]);
+    const resultado = aplicarLimiteDeOutlier([commit], [stats], null, null);
+    assert.strictEqual(resultado.stats[0], stats);
+    assert.strictEqual(resultado.outliers, null);
+});